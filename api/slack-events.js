@@ -16,6 +16,8 @@ process.on('unhandledRejection', (error) => {
   // Don't crash the serverless function
 });
 
+const { runScheduledJobs, hasJob, isAuthorizedJobRequest } = require('../utils/scheduler');
+
 // Set up fallback utilities
 let aiUtils = {
   initAI: () => {},
@@ -30,11 +32,46 @@ let dbManager = {
 let commandHandlers = {
   handleDraftCommand: async () => ({ text: "Command handler temporarily unavailable" }),
   handleAuditCommand: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleAuditScopeAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  // Menu option requests must still be acknowledged or the menu shows an error
+  handleAuditScopeOptions: async ({ ack }) => { await ack({ options: [] }); },
+  handleAuditFixAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleAuditFixSuggestAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleAuditFixSubmission: async ({ ack }) => { await ack(); return { text: "Command handler temporarily unavailable" }; },
   handleDescribeCommand: async () => ({ text: "Command handler temporarily unavailable" }),
   handleReminderCommand: async () => ({ text: "Command handler temporarily unavailable" }),
   handleTaskCommand: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleCompleteTaskAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleOpenTaskModalAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleCreateTaskSubmission: async ({ ack }) => { await ack(); return { text: "Command handler temporarily unavailable" }; },
+  handleAppHomeOpened: async () => {},
+  handleMilestoneCommand: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleProjectCommand: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleSprintCommand: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleStandupCommand: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleStandupConfigureSubmission: async ({ ack }) => { await ack(); return { text: "Command handler temporarily unavailable" }; },
+  handleStandupAnswerAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleStandupAnswerSubmission: async ({ ack }) => { await ack(); return { text: "Command handler temporarily unavailable" }; },
+  handleWorkloadCommand: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleRetroCommand: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleRetroAddEntryAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleRetroEntrySubmission: async ({ ack }) => { await ack(); return { text: "Command handler temporarily unavailable" }; },
+  handleRetroVoteAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleRetroAddActionAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleRetroActionSubmission: async ({ ack }) => { await ack(); return { text: "Command handler temporarily unavailable" }; },
   handleConvoCommand: async () => ({ text: "Command handler temporarily unavailable" }),
   handleDeleteReminderAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleReminderDoneAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleReminderSnoozeAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleRescheduleReminderAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  // View submissions must still be acknowledged or the modal hangs
+  handleRescheduleReminderSubmission: async ({ ack }) => { await ack(); return { text: "Command handler temporarily unavailable" }; },
+  handleEditReminderAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleShiftReminderAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleCalendarImport: async () => false,
+  handleEditReminderSubmission: async ({ ack }) => { await ack(); return { text: "Command handler temporarily unavailable" }; },
+  handleOpenReminderModalAction: async () => ({ text: "Command handler temporarily unavailable" }),
+  handleCreateReminderSubmission: async ({ ack }) => { await ack(); return { text: "Command handler temporarily unavailable" }; },
   handleDirectMessage: async () => ({ text: "Command handler temporarily unavailable" }),
   handleAppMention: async () => ({ text: "Command handler temporarily unavailable" })
 };
@@ -65,11 +102,44 @@ try {
 const { 
   handleDraftCommand,
   handleAuditCommand,
+  handleAuditScopeAction,
+  handleAuditScopeOptions,
+  handleAuditFixAction,
+  handleAuditFixSuggestAction,
+  handleAuditFixSubmission,
   handleDescribeCommand,
   handleReminderCommand,
   handleTaskCommand, 
+  handleCompleteTaskAction,
+  handleOpenTaskModalAction,
+  handleCreateTaskSubmission,
+  handleMilestoneCommand,
+  handleProjectCommand,
+  handleSprintCommand,
+  handleStandupCommand,
+  handleStandupConfigureSubmission,
+  handleStandupAnswerAction,
+  handleStandupAnswerSubmission,
+  handleWorkloadCommand,
+  handleRetroCommand,
+  handleRetroAddEntryAction,
+  handleRetroEntrySubmission,
+  handleRetroVoteAction,
+  handleRetroAddActionAction,
+  handleRetroActionSubmission,
+  handleAppHomeOpened,
   handleConvoCommand,
   handleDeleteReminderAction,
+  handleReminderDoneAction,
+  handleReminderSnoozeAction,
+  handleRescheduleReminderAction,
+  handleRescheduleReminderSubmission,
+  handleEditReminderAction,
+  handleEditReminderSubmission,
+  handleOpenReminderModalAction,
+  handleCreateReminderSubmission,
+  handleShiftReminderAction,
+  handleCalendarImport,
   handleDirectMessage,
   handleAppMention
 } = commandHandlers;
@@ -254,6 +324,35 @@ expressReceiver.app.post('/slack/events', (req, res) => {
   expressReceiver.app.emit('request', req, res);
 });
 
+// Serverless has no long-running timer, so a cron service calls this route
+// with "Authorization: Bearer <CRON_SECRET>" to run background jobs;
+// "?job=<name>" (repeatable) runs only those jobs, e.g. ?job=run-audit-schedules.
+// Like the URL verification route it's registered on the Express app itself:
+// ExpressReceiver doesn't serve customRoutes, so a route there would never run.
+// app.client is only read per request, after the Slack app below is created.
+async function handleJobsRequest(req, res) {
+  if (!isAuthorizedJobRequest(req)) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: false, error: 'unauthorized' }));
+    return;
+  }
+  
+  const names = new URL(req.url, 'http://localhost').searchParams.getAll('job');
+  const unknown = names.filter(name => !hasJob(name));
+  if (unknown.length > 0) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: false, error: 'unknown_job', jobs: unknown }));
+    return;
+  }
+  
+  const results = await runScheduledJobs(app.client, names.length > 0 ? names : null);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: true, timestamp: new Date().toISOString(), results }));
+}
+
+expressReceiver.app.get('/jobs/run', handleJobsRequest);
+expressReceiver.app.post('/jobs/run', handleJobsRequest);
+
 // Initialize the Slack app with HTTP receiver
 let app;
 try {
@@ -363,11 +462,11 @@ app.command('/describe', async ({ command, ack, respond, client }) => {
 });
 
 // Handle /audit command
-app.command('/audit', async ({ command, ack, respond }) => {
+app.command('/audit', async ({ command, ack, respond, client }) => {
   await ack();
   console.log('Handling /audit command');
   try {
-    await handleAuditCommand({ command, ack: () => {}, respond });
+    await handleAuditCommand({ command, ack: () => {}, respond, client });
   } catch (error) {
     console.error("Error in /audit command:", error);
     await respond({
@@ -408,11 +507,11 @@ app.command('/reminder', async ({ command, ack, respond, client }) => {
 });
 
 // Handle /task command
-app.command('/task', async ({ command, ack, respond }) => {
+app.command('/task', async ({ command, ack, respond, client }) => {
   await ack();
   console.log('Handling /task command');
   try {
-    await handleTaskCommand({ command, ack: () => {}, respond });
+    await handleTaskCommand({ command, ack: () => {}, respond, client });
   } catch (error) {
     console.error("Error in /task command:", error);
     await respond({
@@ -422,6 +521,96 @@ app.command('/task', async ({ command, ack, respond }) => {
   }
 });
 
+// Handle /milestone command
+app.command('/milestone', async ({ command, ack, respond, client }) => {
+  await ack();
+  console.log('Handling /milestone command');
+  try {
+    await handleMilestoneCommand({ command, ack: () => {}, respond, client });
+  } catch (error) {
+    console.error("Error in /milestone command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: "Sorry, I encountered an error processing the /milestone command."
+    });
+  }
+});
+
+// Handle /project command
+app.command('/project', async ({ command, ack, respond, client }) => {
+  await ack();
+  console.log('Handling /project command');
+  try {
+    await handleProjectCommand({ command, ack: () => {}, respond, client });
+  } catch (error) {
+    console.error("Error in /project command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: "Sorry, I encountered an error processing the /project command."
+    });
+  }
+});
+
+// Handle /sprint command
+app.command('/sprint', async ({ command, ack, respond, client }) => {
+  await ack();
+  console.log('Handling /sprint command');
+  try {
+    await handleSprintCommand({ command, ack: () => {}, respond, client });
+  } catch (error) {
+    console.error("Error in /sprint command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: "Sorry, I encountered an error processing the /sprint command."
+    });
+  }
+});
+
+// Handle /standup command
+app.command('/standup', async ({ command, ack, respond, client }) => {
+  await ack();
+  console.log('Handling /standup command');
+  try {
+    await handleStandupCommand({ command, ack: () => {}, respond, client });
+  } catch (error) {
+    console.error("Error in /standup command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: "Sorry, I encountered an error processing the /standup command."
+    });
+  }
+});
+
+// Handle /workload command
+app.command('/workload', async ({ command, ack, respond, client }) => {
+  await ack();
+  console.log('Handling /workload command');
+  try {
+    await handleWorkloadCommand({ command, ack: () => {}, respond, client });
+  } catch (error) {
+    console.error("Error in /workload command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: "Sorry, I encountered an error processing the /workload command."
+    });
+  }
+});
+
+// Handle /retro command
+app.command('/retro', async ({ command, ack, respond, client }) => {
+  await ack();
+  console.log('Handling /retro command');
+  try {
+    await handleRetroCommand({ command, ack: () => {}, respond, client });
+  } catch (error) {
+    console.error("Error in /retro command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: "Sorry, I encountered an error processing the /retro command."
+    });
+  }
+});
+
 // Handle /convo command
 app.command('/convo', async ({ command, ack, respond }) => {
   await ack();
@@ -446,6 +635,9 @@ app.message(async ({ message, client }) => {
   const isBotMentioned = message.text && message.text.includes(`<@${app.botId}>`);
   const isDirectMessage = message.channel_type === 'im';
   
+  // Calendar files sent in a DM are imported as reminders
+  if (isDirectMessage && await handleCalendarImport({ message, client })) return;
+  
   if (isDirectMessage || isBotMentioned) {
     try {
       console.log('Processing message event in serverless function');
@@ -605,13 +797,13 @@ app.action('help_button', async ({ ack, body, client }) => {
 });
 
 // Handle Delete Reminder action
-app.action('delete_reminder', async ({ ack, body, client }) => {
+app.action('delete_reminder', async ({ ack, payload, body, client, respond }) => {
   await ack();
   console.log('Processing delete_reminder action in serverless function');
   
   try {
     // Call the improved handleDeleteReminderAction function
-    const result = await handleDeleteReminderAction({ body, client });
+    const result = await handleDeleteReminderAction({ ack: () => {}, payload, body, client, respond });
     
     if (!result.success) {
       console.warn('Delete reminder action completed with error:', result.error);
@@ -640,5 +832,274 @@ app.action('delete_reminder', async ({ ack, body, client }) => {
   }
 });
 
+// Handle the Done / Snooze / Reschedule buttons on delivered reminders, Edit in /reminder list
+// and "Move to working hours" on reminders set outside working hours
+const reminderActions = {
+  reminder_done: handleReminderDoneAction,
+  reminder_snooze: handleReminderSnoozeAction,
+  reminder_reschedule: handleRescheduleReminderAction,
+  edit_reminder: handleEditReminderAction,
+  reminder_shift_working: handleShiftReminderAction
+};
+
+Object.entries(reminderActions).forEach(([actionId, handler]) => {
+  // Snooze has one button per duration (reminder_snooze_15m, reminder_snooze_1h, ...)
+  const matcher = actionId === 'reminder_snooze' ? /^reminder_snooze_/ : actionId;
+  
+  app.action(matcher, async ({ ack, payload, body, client, respond }) => {
+    await ack();
+    console.log(`Processing ${payload?.action_id || actionId} action in serverless function`);
+    
+    try {
+      const result = await handler({ ack: () => {}, payload, body, client, respond });
+      
+      if (result && !result.success) {
+        console.warn(`${actionId} action completed with error:`, result.error);
+      }
+    } catch (error) {
+      console.error(`Error handling ${actionId} action:`, error);
+    }
+  });
+});
+
+// Handle the Complete button in /task list, task assignment DMs and the Home tab
+app.action('task_complete', async ({ ack, payload, body, client, respond }) => {
+  await ack();
+  console.log('Processing task_complete action in serverless function');
+  
+  try {
+    const result = await handleCompleteTaskAction({ ack: () => {}, payload, body, client, respond });
+    
+    if (result && !result.success) {
+      console.warn('task_complete action completed with error:', result.error);
+    }
+  } catch (error) {
+    console.error("Error handling task_complete action:", error);
+  }
+});
+
+// Handle the reschedule and edit modals; the handlers ack themselves so they can show validation errors
+app.view('reminder_reschedule_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handleRescheduleReminderSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling reschedule submission:", error);
+  }
+});
+
+app.view('reminder_edit_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handleEditReminderSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling edit reminder submission:", error);
+  }
+});
+
+// Show each user's dashboard on the Home tab
+app.event('app_home_opened', async ({ event, body, client }) => {
+  console.log('Publishing Home tab in serverless function');
+  await handleAppHomeOpened({ event, body, client });
+});
+
+// Handle the New task and New reminder buttons on the Home tab
+const homeActions = {
+  open_task_modal: handleOpenTaskModalAction,
+  open_reminder_modal: handleOpenReminderModalAction
+};
+
+Object.entries(homeActions).forEach(([actionId, handler]) => {
+  app.action(actionId, async ({ ack, body, client }) => {
+    await ack();
+    console.log(`Processing ${actionId} action in serverless function`);
+    
+    try {
+      const result = await handler({ ack: () => {}, body, client });
+      
+      if (result && !result.success) {
+        console.warn(`${actionId} action completed with error:`, result.error);
+      }
+    } catch (error) {
+      console.error(`Error handling ${actionId} action:`, error);
+    }
+  });
+});
+
+// Handle the create modals opened from the Home tab; the handlers ack themselves so they can show validation errors
+app.view('task_create_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handleCreateTaskSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling create task submission:", error);
+  }
+});
+
+app.view('reminder_create_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handleCreateReminderSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling create reminder submission:", error);
+  }
+});
+
+// Handle the Answer standup button in participants' DMs
+app.action('standup_answer', async ({ ack, payload, body, client, respond }) => {
+  await ack();
+  console.log('Processing standup_answer action in serverless function');
+  
+  try {
+    const result = await handleStandupAnswerAction({ ack: () => {}, payload, body, client, respond });
+    
+    if (result && !result.success) {
+      console.warn('standup_answer action completed with error:', result.error);
+    }
+  } catch (error) {
+    console.error("Error handling standup_answer action:", error);
+  }
+});
+
+// Handle the standup configure and answer modals; the handlers ack themselves so they can show validation errors
+app.view('standup_configure_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handleStandupConfigureSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling standup configure submission:", error);
+  }
+});
+
+app.view('standup_answer_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handleStandupAnswerSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling standup answer submission:", error);
+  }
+});
+
+// Handle the retro entry, vote and action item buttons
+app.action('retro_add_entry', async ({ ack, payload, body, client, respond }) => {
+  await ack();
+  console.log('Processing retro_add_entry action in serverless function');
+  
+  try {
+    const result = await handleRetroAddEntryAction({ ack: () => {}, payload, body, client, respond });
+    
+    if (result && !result.success) {
+      console.warn('retro_add_entry action completed with error:', result.error);
+    }
+  } catch (error) {
+    console.error("Error handling retro_add_entry action:", error);
+  }
+});
+
+app.action('retro_vote', async ({ ack, payload, body, client, respond }) => {
+  await ack();
+  console.log('Processing retro_vote action in serverless function');
+  
+  try {
+    const result = await handleRetroVoteAction({ ack: () => {}, payload, body, client, respond });
+    
+    if (result && !result.success) {
+      console.warn('retro_vote action completed with error:', result.error);
+    }
+  } catch (error) {
+    console.error("Error handling retro_vote action:", error);
+  }
+});
+
+app.action('retro_add_action', async ({ ack, payload, body, client, respond }) => {
+  await ack();
+  console.log('Processing retro_add_action action in serverless function');
+  
+  try {
+    const result = await handleRetroAddActionAction({ ack: () => {}, payload, body, client, respond });
+    
+    if (result && !result.success) {
+      console.warn('retro_add_action action completed with error:', result.error);
+    }
+  } catch (error) {
+    console.error("Error handling retro_add_action action:", error);
+  }
+});
+
+// Handle the retro entry and action item modals; the handlers ack themselves so they can show validation errors
+app.view('retro_entry_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handleRetroEntrySubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling retro entry submission:", error);
+  }
+});
+
+app.view('retro_action_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handleRetroActionSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling retro action item submission:", error);
+  }
+});
+
+// Handle the /audit scope menus; the options handler acks with the names so the menu can show them
+app.options(/^audit_scope_/, async ({ ack, payload, options }) => {
+  try {
+    await handleAuditScopeOptions({ ack, payload, options });
+  } catch (error) {
+    console.error("Error loading audit scope options:", error);
+  }
+});
+
+app.action(/^audit_scope_/, async ({ ack, payload, body, client, respond }) => {
+  await ack();
+  console.log('Processing audit scope action in serverless function');
+  
+  try {
+    const result = await handleAuditScopeAction({ ack: () => {}, payload, body, client, respond });
+    
+    if (result && !result.success) {
+      console.warn('Audit scope action completed with error:', result.error);
+    }
+  } catch (error) {
+    console.error("Error handling audit scope action:", error);
+  }
+});
+
+// Handle the Fix button in the audit report and its Suggest with AI button
+app.action('audit_fix_issue', async ({ ack, payload, body, client, respond }) => {
+  await ack();
+  console.log('Processing audit_fix_issue action in serverless function');
+  
+  try {
+    const result = await handleAuditFixAction({ ack: () => {}, payload, body, client, respond });
+    
+    if (result && !result.success) {
+      console.warn('audit_fix_issue action completed with error:', result.error);
+    }
+  } catch (error) {
+    console.error("Error handling audit_fix_issue action:", error);
+  }
+});
+
+app.action('audit_fix_suggest', async ({ ack, payload, body, client, respond }) => {
+  await ack();
+  console.log('Processing audit_fix_suggest action in serverless function');
+  
+  try {
+    const result = await handleAuditFixSuggestAction({ ack: () => {}, payload, body, client, respond });
+    
+    if (result && !result.success) {
+      console.warn('audit_fix_suggest action completed with error:', result.error);
+    }
+  } catch (error) {
+    console.error("Error handling audit_fix_suggest action:", error);
+  }
+});
+
+// Handle the audit fix modal; the handler acks itself so it can show validation errors
+app.view('audit_fix_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handleAuditFixSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling audit fix submission:", error);
+  }
+});
+
 // Export the Express app for Vercel
 module.exports = expressReceiver.app;
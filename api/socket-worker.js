@@ -6,6 +6,7 @@ require('dotenv').config();
 // Import handlers and AI utilities
 const handlers = require('../commands');
 const { initAI } = require('../utils/ai');
+const { startScheduler } = require('../utils/scheduler');
 const { OpenAI } = require('openai');
 const { Pool } = require('pg');
 
@@ -78,6 +79,9 @@ async function startSocketModeApp() {
       const isBotMentioned = message.text && message.text.includes(`<@${app.botId}>`);
       const isDirectMessage = message.channel_type === 'im';
       
+      // Calendar files sent in a DM are imported as reminders
+      if (isDirectMessage && await handlers.handleCalendarImport({ message, client })) return;
+      
       if (isDirectMessage || isBotMentioned) {
         try {
           const userMessage = message.text ? message.text.replace(/<@[A-Z0-9]+>/g, '').trim().toLowerCase() : '';
@@ -124,7 +128,10 @@ async function startSocketModeApp() {
     });
     
     // Register command handlers
-    app.command('/audit', handlers.handleAuditCommand);
+    app.command('/audit', async ({ command, ack, respond, client }) => {
+      await ack();
+      await handlers.handleAuditCommand({ command, respond, client });
+    });
     app.command('/draft', async ({ command, ack, respond }) => {
       await ack();
       try {
@@ -148,8 +155,38 @@ async function startSocketModeApp() {
         });
       }
     });
-    app.command('/reminder', handlers.handleReminderCommand);
-    app.command('/task', handlers.handleTaskCommand);
+    app.command('/reminder', async ({ command, ack, respond, client }) => {
+      await ack();
+      await handlers.handleReminderCommand({ command, respond, client });
+    });
+    app.command('/task', async ({ command, ack, respond, client }) => {
+      await ack();
+      await handlers.handleTaskCommand({ command, respond, client });
+    });
+    app.command('/milestone', async ({ command, ack, respond, client }) => {
+      await ack();
+      await handlers.handleMilestoneCommand({ command, respond, client });
+    });
+    app.command('/project', async ({ command, ack, respond, client }) => {
+      await ack();
+      await handlers.handleProjectCommand({ command, respond, client });
+    });
+    app.command('/sprint', async ({ command, ack, respond, client }) => {
+      await ack();
+      await handlers.handleSprintCommand({ command, respond, client });
+    });
+    app.command('/standup', async ({ command, ack, respond, client }) => {
+      await ack();
+      await handlers.handleStandupCommand({ command, respond, client });
+    });
+    app.command('/workload', async ({ command, ack, respond, client }) => {
+      await ack();
+      await handlers.handleWorkloadCommand({ command, respond, client });
+    });
+    app.command('/retro', async ({ command, ack, respond, client }) => {
+      await ack();
+      await handlers.handleRetroCommand({ command, respond, client });
+    });
     app.command('/convo', handlers.handleConvoCommand);
     
     // Handle button actions
@@ -245,11 +282,40 @@ async function startSocketModeApp() {
     });
     
     app.action('delete_reminder', handlers.handleDeleteReminderAction);
+    app.action('reminder_done', handlers.handleReminderDoneAction);
+    app.action(/^reminder_snooze_/, handlers.handleReminderSnoozeAction);
+    app.action('reminder_reschedule', handlers.handleRescheduleReminderAction);
+    app.view('reminder_reschedule_modal', handlers.handleRescheduleReminderSubmission);
+    app.action('reminder_shift_working', handlers.handleShiftReminderAction);
+    app.action('edit_reminder', handlers.handleEditReminderAction);
+    app.view('reminder_edit_modal', handlers.handleEditReminderSubmission);
+    app.action('task_complete', handlers.handleCompleteTaskAction);
+    app.event('app_home_opened', handlers.handleAppHomeOpened);
+    app.action('open_task_modal', handlers.handleOpenTaskModalAction);
+    app.view('task_create_modal', handlers.handleCreateTaskSubmission);
+    app.action('open_reminder_modal', handlers.handleOpenReminderModalAction);
+    app.view('reminder_create_modal', handlers.handleCreateReminderSubmission);
+    app.view('standup_configure_modal', handlers.handleStandupConfigureSubmission);
+    app.action('standup_answer', handlers.handleStandupAnswerAction);
+    app.view('standup_answer_modal', handlers.handleStandupAnswerSubmission);
+    app.action('retro_add_entry', handlers.handleRetroAddEntryAction);
+    app.view('retro_entry_modal', handlers.handleRetroEntrySubmission);
+    app.action('retro_vote', handlers.handleRetroVoteAction);
+    app.action('retro_add_action', handlers.handleRetroAddActionAction);
+    app.view('retro_action_modal', handlers.handleRetroActionSubmission);
+    app.options(/^audit_scope_/, handlers.handleAuditScopeOptions);
+    app.action(/^audit_scope_/, handlers.handleAuditScopeAction);
+    app.action('audit_fix_issue', handlers.handleAuditFixAction);
+    app.action('audit_fix_suggest', handlers.handleAuditFixSuggestAction);
+    app.view('audit_fix_modal', handlers.handleAuditFixSubmission);
     
     // Start the app
     await app.start();
     console.log('⚡️ Bolt app is running in Socket Mode!');
     
+    // Run background jobs such as scheduling the next recurring reminder
+    startScheduler(app.client);
+    
     // Set up a heartbeat/keep-alive mechanism
     setInterval(() => {
       console.log('Socket Mode worker heartbeat');
@@ -14,6 +14,7 @@ const { createClient } = require('@supabase/supabase-js');
 // Import command handlers and AI utilities
 const handlers = require('./commands');
 const { initAI, getAIResponse, cleanupMarkdown } = require('./utils/ai');
+const { startScheduler } = require('./utils/scheduler');
 
 // Custom function to remove only bold markdown (**) while keeping emojis
 function removeBoldMarkdown(text) {
@@ -156,6 +157,9 @@ app.message(async ({ message, client, say }) => {
   const isDirectMessage = message.channel_type === 'im';
   const isBotMentioned = message.text && /<@U[A-Z0-9]+>/.test(message.text); // Match any user mention pattern
   
+  // Calendar files sent in a DM are imported as reminders
+  if (isDirectMessage && await handlers.handleCalendarImport({ message, client })) return;
+  
   // Only respond in direct messages or when mentioned
   if (isDirectMessage || isBotMentioned) {
     try {
@@ -244,10 +248,11 @@ app.message(async ({ message, client, say }) => {
 });
 
 // Handle /audit command
-app.command('/audit', async ({ command, ack, respond, say }) => {
+app.command('/audit', async ({ command, ack, respond, say, client }) => {
+  await ack();
   // Use the specialized audit handler from commands/audit.js
   try {
-    await handlers.handleAuditCommand({ command, ack, respond, say });
+    await handlers.handleAuditCommand({ command, ack, respond, say, client });
   } catch (error) {
     console.error("Error handling /audit command:", error);
     await respond({
@@ -257,6 +262,48 @@ app.command('/audit', async ({ command, ack, respond, say }) => {
   }
 });
 
+// Handle the /audit scope menus: their searchable options, picking a name and the Run audit button
+app.options(/^audit_scope_/, async ({ ack, payload, options }) => {
+  try {
+    await handlers.handleAuditScopeOptions({ ack, payload, options });
+  } catch (error) {
+    console.error("Error loading audit scope options:", error);
+  }
+});
+
+app.action(/^audit_scope_/, async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleAuditScopeAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling audit scope action:", error);
+  }
+});
+
+// Handle the Fix button in the audit report, its Suggest with AI button and the fix modal
+app.action('audit_fix_issue', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleAuditFixAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling audit_fix_issue action:", error);
+  }
+});
+
+app.action('audit_fix_suggest', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleAuditFixSuggestAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling audit_fix_suggest action:", error);
+  }
+});
+
+app.view('audit_fix_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handlers.handleAuditFixSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling audit fix submission:", error);
+  }
+});
+
 // Handle /draft command
 app.command('/draft', async ({ command, ack, respond }) => {
   await ack();
@@ -351,7 +398,7 @@ app.action('help_button', async ({ ack, body, client }) => {
         "fields": [
           {
             "type": "mrkdwn",
-            "text": "* Project Audit*\n`/audit [project-id]`\nProvides detailed analysis of project data with insights on progress, risks, and timelines."
+            "text": "* Project Audit*\n`/audit [project-id] [workspace:<name>] [pillar:<name>] [theme:<name>]`\nProvides detailed analysis of project data with insights on progress, risks, and timelines."
           },
           {
             "type": "mrkdwn",
@@ -386,13 +433,17 @@ app.action('help_button', async ({ ack, body, client }) => {
 });
 
 // Handle /reminder command using the enhanced implementation
-app.command('/reminder', async ({ command, ack, say, client }) => {
+app.command('/reminder', async ({ command, ack, respond, client }) => {
+  await ack();
   try {
     // Use our enhanced reminder handler from the commands module
-    await handlers.handleReminderCommand({ command, ack, say, client });
+    await handlers.handleReminderCommand({ command, respond, client });
   } catch (error) {
     console.error("Error handling /reminder command:", error);
-    await say(`<@${command.user_id}> Sorry, I encountered an error with your reminder: ${error.message}`);
+    await respond({
+      response_type: 'ephemeral',
+      text: `<@${command.user_id}> Sorry, I encountered an error with your reminder: ${error.message}`
+    });
   }
 });
 
@@ -410,14 +461,274 @@ app.action('delete_reminder', async ({ ack, payload, respond, client, body }) =>
   }
 });
 
-// Handle /task command for daily task summarization
-app.command('/task', async ({ command, ack, say, client }) => {
+// Handle the Done / Snooze / Reschedule buttons on delivered reminders
+app.action('reminder_done', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleReminderDoneAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling reminder_done action:", error);
+  }
+});
+
+app.action(/^reminder_snooze_/, async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleReminderSnoozeAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling reminder snooze action:", error);
+  }
+});
+
+app.action('reminder_reschedule', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleRescheduleReminderAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling reminder_reschedule action:", error);
+  }
+});
+
+app.view('reminder_reschedule_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handlers.handleRescheduleReminderSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling reschedule submission:", error);
+  }
+});
+
+// Handle the "Move to working hours" button on reminders set outside working hours
+app.action('reminder_shift_working', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleShiftReminderAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling reminder_shift_working action:", error);
+  }
+});
+
+// Handle the Edit button in /reminder list and its modal
+app.action('edit_reminder', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleEditReminderAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling edit_reminder action:", error);
+  }
+});
+
+app.view('reminder_edit_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handlers.handleEditReminderSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling edit reminder submission:", error);
+  }
+});
+
+// Handle /task command for creating, listing and summarizing tasks
+app.command('/task', async ({ command, ack, respond, client }) => {
+  await ack();
   try {
     // Use our task handler from the commands module
-    await handlers.handleTaskCommand({ command, ack, say, client });
+    await handlers.handleTaskCommand({ command, respond, client });
   } catch (error) {
     console.error("Error handling /task command:", error);
-    await say(`<@${command.user_id}> Sorry, I encountered an error summarizing your tasks: ${error.message}`);
+    await respond({
+      response_type: 'ephemeral',
+      text: `<@${command.user_id}> Sorry, I encountered an error with your task: ${error.message}`
+    });
+  }
+});
+
+// Handle /milestone command for tracking project milestones and date slips
+app.command('/milestone', async ({ command, ack, respond, client }) => {
+  await ack();
+  try {
+    await handlers.handleMilestoneCommand({ command, respond, client });
+  } catch (error) {
+    console.error("Error handling /milestone command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `<@${command.user_id}> Sorry, I encountered an error with your milestone: ${error.message}`
+    });
+  }
+});
+
+// Handle /project command for creating projects and linking them to channels
+app.command('/project', async ({ command, ack, respond, client }) => {
+  await ack();
+  try {
+    await handlers.handleProjectCommand({ command, respond, client });
+  } catch (error) {
+    console.error("Error handling /project command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `<@${command.user_id}> Sorry, I encountered an error with your project: ${error.message}`
+    });
+  }
+});
+
+// Handle /sprint command for sprint scope and burndown tracking
+app.command('/sprint', async ({ command, ack, respond, client }) => {
+  await ack();
+  try {
+    await handlers.handleSprintCommand({ command, respond, client });
+  } catch (error) {
+    console.error("Error handling /sprint command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `<@${command.user_id}> Sorry, I encountered an error with your sprint: ${error.message}`
+    });
+  }
+});
+
+// Handle /workload command for per-person capacity
+app.command('/workload', async ({ command, ack, respond, client }) => {
+  await ack();
+  try {
+    await handlers.handleWorkloadCommand({ command, respond, client });
+  } catch (error) {
+    console.error("Error handling /workload command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `<@${command.user_id}> Sorry, I encountered an error working out the workload: ${error.message}`
+    });
+  }
+});
+
+// Handle /standup command for scheduled async standups
+app.command('/standup', async ({ command, ack, respond, client }) => {
+  await ack();
+  try {
+    await handlers.handleStandupCommand({ command, respond, client });
+  } catch (error) {
+    console.error("Error handling /standup command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `<@${command.user_id}> Sorry, I encountered an error with your standup: ${error.message}`
+    });
+  }
+});
+
+app.view('standup_configure_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handlers.handleStandupConfigureSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling standup configure submission:", error);
+  }
+});
+
+// Handle the Answer standup button in participants' DMs and the answer modal
+app.action('standup_answer', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleStandupAnswerAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling standup_answer action:", error);
+  }
+});
+
+app.view('standup_answer_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handlers.handleStandupAnswerSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling standup answer submission:", error);
+  }
+});
+
+// Handle /retro command for retrospectives
+app.command('/retro', async ({ command, ack, respond, client }) => {
+  await ack();
+  try {
+    await handlers.handleRetroCommand({ command, respond, client });
+  } catch (error) {
+    console.error("Error handling /retro command:", error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `<@${command.user_id}> Sorry, I encountered an error with your retro: ${error.message}`
+    });
+  }
+});
+
+// Handle the retro entry, vote and action item buttons and their modals
+app.action('retro_add_entry', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleRetroAddEntryAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling retro_add_entry action:", error);
+  }
+});
+
+app.view('retro_entry_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handlers.handleRetroEntrySubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling retro entry submission:", error);
+  }
+});
+
+app.action('retro_vote', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleRetroVoteAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling retro_vote action:", error);
+  }
+});
+
+app.action('retro_add_action', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleRetroAddActionAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling retro_add_action action:", error);
+  }
+});
+
+app.view('retro_action_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handlers.handleRetroActionSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling retro action item submission:", error);
+  }
+});
+
+// Handle the Complete button in /task list, task assignment DMs and the Home tab
+app.action('task_complete', async ({ ack, payload, respond, client, body }) => {
+  try {
+    await handlers.handleCompleteTaskAction({ ack, payload, respond, client, body });
+  } catch (error) {
+    console.error("Error handling task_complete action:", error);
+  }
+});
+
+// Show each user's dashboard on the Home tab
+app.event('app_home_opened', async ({ event, body, client }) => {
+  await handlers.handleAppHomeOpened({ event, body, client });
+});
+
+// Handle the New task and New reminder buttons on the Home tab and their modals
+app.action('open_task_modal', async ({ ack, body, client }) => {
+  try {
+    await handlers.handleOpenTaskModalAction({ ack, body, client });
+  } catch (error) {
+    console.error("Error handling open_task_modal action:", error);
+  }
+});
+
+app.view('task_create_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handlers.handleCreateTaskSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling create task submission:", error);
+  }
+});
+
+app.action('open_reminder_modal', async ({ ack, body, client }) => {
+  try {
+    await handlers.handleOpenReminderModalAction({ ack, body, client });
+  } catch (error) {
+    console.error("Error handling open_reminder_modal action:", error);
+  }
+});
+
+app.view('reminder_create_modal', async ({ ack, view, body, client }) => {
+  try {
+    await handlers.handleCreateReminderSubmission({ ack, view, body, client });
+  } catch (error) {
+    console.error("Error handling create reminder submission:", error);
   }
 });
 
@@ -468,14 +779,14 @@ app.command('/describe', async ({ ack, respond }) => {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: "* Project Management*\n`/audit [project]`\nVerify project data accuracy and identify potential issues.\n\n`/draft [topic]`\nGenerate draft project plans with milestones and timelines."
+            text: "* Project Management*\n`/audit [project] [workspace:<name>]`\nVerify project data accuracy and identify potential issues. Use `/audit scope` to pick a workspace, pillar or theme, or `/audit schedule weekly mon 9am #channel` to post it every week.\n\n`/draft [topic]`\nGenerate draft project plans with milestones and timelines.\n\n`/milestone list`\nSee which milestones are on track, at risk or overdue, and log date slips.\n\n`/project link-channel [key]`\nMake a project the default for commands run in this channel.\n\n`/sprint status`\nSee the sprint burndown and whether it will land.\n\n`/workload [@user|#channel|project]`\nSee who is over capacity and how to rebalance their tasks.\n\n`/retro start`\nRun an anonymous retro with AI-grouped themes, voting and action items."
           }
         },
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: "* Time Management*\n`/reminder [task] [time]`\nSet smart reminders with AI-powered time suggestions.\n\n`/task`\nGet a summary of your daily tasks based on your active reminders."
+            text: "* Time Management*\n`/reminder [task] [time]`\nSet smart reminders with AI-powered time suggestions.\n\n`/task`\nCreate, assign and complete tasks, or get an AI summary with `/task summary`.\n\n`/standup configure`\nCollect standup answers by DM on a schedule and post a summary with blockers."
           }
         },
         {
@@ -586,6 +897,10 @@ function setupSocketModeReconnection(app) {
     // Setup socket mode reconnection after app starts
     setupSocketModeReconnection(app);
     console.log('Socket Mode reconnection handler initialized');
+    
+    // Run background jobs such as scheduling the next recurring reminder
+    startScheduler(app.client);
+    console.log('Background job scheduler started');
   } catch (error) {
     console.error("Error starting the application:", error);
     console.log('\n\n---- TROUBLESHOOTING ----');
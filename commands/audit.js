@@ -1,36 +1,1110 @@
 // audit.js - Handler for /audit slash command
-const { getAIResponse } = require('../utils/ai');
+const { getAIResponse, getFallbackResponse } = require('../utils/ai');
+const { parseProjectOption, resolveProjectId, describeProjectForPrompt } = require('../utils/projects');
+const {
+  SEVERITIES,
+  AUDIT_RULES,
+  getAuditRule,
+  isRuleEnabled,
+  runAuditRules,
+  toScore,
+  scoreAudit,
+  formatScoreChange,
+  diffAuditRuns
+} = require('../utils/auditRules');
+const { isWorkspaceAdmin } = require('../utils/permissions');
+const { registerJob } = require('../utils/scheduler');
+const { parseRecurrence, firstOccurrence, describeRecurrence } = require('../utils/recurrence');
+const { toWallClock, fromWallClock, formatInTimeZone, getUserTimeZone } = require('../utils/timezone');
+const {
+  listAuditIssues,
+  getAuditIssue,
+  updateAuditIssue,
+  listAuditThemes,
+  listAuditScopeNames,
+  saveAuditRun,
+  listAuditRuns,
+  createAuditSchedule,
+  listAuditSchedules,
+  getAuditSchedule,
+  deleteAuditSchedule,
+  getDueAuditSchedules,
+  claimAuditSchedule,
+  getWorkspaceSettings,
+  updateWorkspaceSettings
+} = require('../utils/database');
+const { refreshHomeTabs } = require('./home');
 
-// Global pool is set up in slack-events.js
-// Use try/catch to handle cases where global pool is not available
-function getPool() {
-  try {
-    if (global.vercelPool) {
-      console.log('Using global vercelPool in audit command');
-      return global.vercelPool;
+// Issues listed under each rule in the report; the full list goes in the detailed report
+const MAX_LISTED_PER_RULE = 10;
+
+// Runs compared by /audit trend unless another number is given
+const DEFAULT_TREND_RUNS = 5;
+const MAX_TREND_RUNS = 20;
+
+// Workspaces or pillars listed in the trend, lowest score first
+const MAX_TREND_GROUPS = 15;
+
+// Fixed and newly broken issues listed in the trend
+const MAX_TREND_CHANGES = 15;
+
+const SPARK_BARS = '▁▂▃▄▅▆▇█';
+
+// What an audit can be narrowed to, e.g. "/audit workspace:Web pillar:Growth"
+const SCOPE_KINDS = ['workspace', 'pillar', 'theme'];
+
+// Names suggested when a scope name doesn't match
+const MAX_SCOPE_SUGGESTIONS = 5;
+
+// Issues with a Fix button in the detailed report; messages allow 50 blocks and the rest are listed without buttons
+const MAX_FIX_BUTTONS = 45;
+
+// Longest public description the fix form accepts
+const MAX_DESCRIPTION_LENGTH = 3000;
+
+// Owners listed in a scheduled audit's channel post, most issues first
+const MAX_LISTED_OWNERS = 20;
+
+// Slack channel mention, e.g. <#C123ABC> or <#C123ABC|roadmap-hygiene>
+const CHANNEL_MENTION_PATTERN = /<#([CG][A-Z0-9]+)(?:\|[^>]*)?>/;
+
+/**
+ * Pull workspace:, pillar: and theme: options out of command text
+ * Names with spaces can be quoted, e.g. workspace:"Mobile App"; repeating an option matches any of its names
+ * @param {string} text - Command text, e.g. "workspace:Web pillar:Growth"
+ * @returns {{scope: Object, text: string}} - Names by kind, e.g. { workspace: ['Web'] }, and the text with the options removed
+ */
+function parseAuditScope(text) {
+  const scope = {};
+  const rest = (text || '').replace(/\b(workspace|pillar|theme):(?:["“]([^"”]*)["”]|(\S+))/gi, (match, kind, quoted, bare) => {
+    const name = (quoted ?? bare).trim();
+    const key = kind.toLowerCase();
+    if (name) scope[key] = [...(scope[key] || []), name];
+    return ' ';
+  });
+
+  return { scope, text: rest.replace(/\s{2,}/g, ' ').trim() };
+}
+
+/**
+ * Match scope names to the names in the issue tracker, ignoring case
+ * @param {Object} scope - From parseAuditScope
+ * @returns {Promise<{scope: Object, unknown: Array<{kind: string, name: string, suggestions: string[]}>}>}
+ *   The scope with the tracker's spelling of each name (sorted, so equal scopes compare equal), and the names that didn't match
+ */
+async function resolveAuditScope(scope) {
+  const resolved = {};
+  const unknown = [];
+
+  for (const kind of SCOPE_KINDS) {
+    for (const name of scope[kind] || []) {
+      const names = await listAuditScopeNames(kind, name);
+      const match = names.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+      if (match) {
+        resolved[kind] = [...new Set([...(resolved[kind] || []), match])].sort();
+      } else {
+        unknown.push({ kind, name, suggestions: names.slice(0, MAX_SCOPE_SUGGESTIONS) });
+      }
+    }
+  }
+
+  return { scope: resolved, unknown };
+}
+
+/**
+ * Describe a scope, e.g. "workspace Web, pillar Growth or Trust"
+ * @param {Object} scope - Resolved scope
+ * @returns {string|null} - null for an audit of every issue
+ */
+function describeScope(scope) {
+  const parts = SCOPE_KINDS.filter(kind => scope[kind]?.length).map(kind => `${kind} ${scope[kind].join(' or ')}`);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Write a scope back as command options, e.g. 'workspace:Web pillar:"Core Platform"'
+ * @param {Object} scope - Names by kind
+ * @returns {string}
+ */
+function formatScopeOptions(scope) {
+  return SCOPE_KINDS
+    .flatMap(kind => (scope[kind] || []).map(name => `${kind}:${/\s/.test(name) ? `"${name}"` : name}`))
+    .join(' ');
+}
+
+/**
+ * Explain which scope names didn't match, with close names where there are some
+ * @param {Array} unknown - From resolveAuditScope
+ * @returns {string}
+ */
+function describeUnknownScope(unknown) {
+  return unknown.map(({ kind, name, suggestions }) =>
+    `I couldn't find a ${kind} called "${name}".${suggestions.length > 0 ? ` Did you mean ${suggestions.map(suggestion => `*${suggestion}*`).join(', ')}?` : ''}`
+  ).join('\n');
+}
+
+/**
+ * Build a message with a searchable menu for each scope kind and a button that runs the audit
+ * @param {string} intro - Text shown above the menus
+ * @returns {Array} - Blocks
+ */
+function buildScopePickerBlocks(intro) {
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: intro
+      }
+    },
+    {
+      type: 'actions',
+      block_id: 'audit_scope',
+      elements: [
+        ...SCOPE_KINDS.map(kind => ({
+          type: 'external_select',
+          action_id: `audit_scope_${kind}`,
+          placeholder: {
+            type: 'plain_text',
+            text: `Any ${kind}`
+          },
+          min_query_length: 0
+        })),
+        {
+          type: 'button',
+          action_id: 'audit_scope_run',
+          text: {
+            type: 'plain_text',
+            text: 'Run audit',
+            emoji: true
+          },
+          style: 'primary'
+        }
+      ]
+    }
+  ];
+}
+
+/**
+ * Describe an issue in one line, e.g. "*ABC-12* Checkout redesign"
+ * @param {Object} issue - Row from listAuditIssues
+ * @returns {string}
+ */
+function formatIssue(issue) {
+  return `*${issue.issue_code || `#${issue.id}`}* ${issue.issue_name || '(untitled)'}`;
+}
+
+/**
+ * Build the report section for one rule's violations
+ * @param {Object} result - Entry from runAuditRules
+ * @returns {Object} - Section block
+ */
+function buildRuleSection({ rule, issues }) {
+  const severity = SEVERITIES[rule.severity];
+  const listed = issues.slice(0, MAX_LISTED_PER_RULE).map(issue => `• ${formatIssue(issue)}`);
+  if (issues.length > MAX_LISTED_PER_RULE) {
+    listed.push(`_…and ${issues.length - MAX_LISTED_PER_RULE} more in the detailed report_`);
+  }
+
+  return {
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `${severity.emoji} *${rule.name}* · ${severity.label} · ${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}\n${listed.join('\n')}`.substring(0, 3000)
+    }
+  };
+}
+
+/**
+ * Draw scores as a sparkline, e.g. "▃▅▇"; missing scores are shown as spaces
+ * @param {Array<number|null>} scores - Percentages, oldest first
+ * @returns {string}
+ */
+function sparkline(scores) {
+  return scores
+    .map(score => score === null ? ' ' : SPARK_BARS[Math.min(SPARK_BARS.length - 1, Math.floor((score / 100) * SPARK_BARS.length))])
+    .join('');
+}
+
+/**
+ * Format when an audit ran, e.g. "Oct 19, 3:02 PM"
+ * @param {Date|string} date - Run time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+function formatRunTime(date, timeZone) {
+  return new Date(date).toLocaleString('en-US', { timeZone, month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Describe how each workspace's or pillar's score moved across runs, lowest latest score first
+ * @param {Array} runs - audit_runs rows, oldest first
+ * @param {string} group - 'workspace' or 'pillar'
+ * @returns {string[]} - One line per workspace or pillar
+ */
+function describeGroupTrend(runs, group) {
+  const names = [...new Set(runs.flatMap(run => Object.keys(run.breakdown[group] || {})))];
+
+  return names
+    .map(name => {
+      const scores = runs.map(run => {
+        const entry = run.breakdown[group]?.[name];
+        return entry ? toScore(entry.clean, entry.total) : null;
+      });
+      const known = scores.filter(score => score !== null);
+      return { name, scores, first: known[0], latest: scores[scores.length - 1] };
+    })
+    .sort((a, b) => (a.latest ?? -1) - (b.latest ?? -1))
+    .slice(0, MAX_TREND_GROUPS)
+    .map(({ name, scores, first, latest }) => {
+      if (latest === null) return `\`${sparkline(scores)}\` *${name}*: no issues in the latest run`;
+      const change = scores.filter(score => score !== null).length > 1 ? formatScoreChange(latest, first) : null;
+      return `\`${sparkline(scores)}\` *${name}*: ${latest}%${change ? ` (${change})` : ''}`;
+    });
+}
+
+/**
+ * Describe issues that were fixed or newly broken between two runs
+ * @param {Map<number, string[]>} changes - Rule IDs by issue ID, from diffAuditRuns
+ * @param {Map<number, Object>} issuesById - Current issues, to name them
+ * @returns {string}
+ */
+function describeIssueChanges(changes, issuesById) {
+  const lines = [...changes.entries()].slice(0, MAX_TREND_CHANGES).map(([issueId, ruleIds]) => {
+    const issue = issuesById.get(issueId);
+    const rules = ruleIds.map(ruleId => getAuditRule(ruleId)?.name || ruleId).join(', ');
+    return `• ${issue ? formatIssue(issue) : `*#${issueId}* (no longer in the tracker)`}: ${rules}`;
+  });
+
+  if (changes.size > MAX_TREND_CHANGES) {
+    lines.push(`_…and ${changes.size - MAX_TREND_CHANGES} more_`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * List each issue with gaps once, with the rules it breaks, in the order of its most severe rule
+ * @param {Array} violated - Entries from runAuditRules that have violations
+ * @returns {Array<{issue: Object, rules: Array}>}
+ */
+function groupViolationsByIssue(violated) {
+  const issues = new Map();
+  violated.forEach(({ rule, issues: broken }) => {
+    broken.forEach(issue => {
+      const entry = issues.get(issue.id) || { issue, rules: [] };
+      entry.rules.push(rule);
+      issues.set(issue.id, entry);
+    });
+  });
+
+  return [...issues.values()];
+}
+
+/**
+ * Build a list of issues with the rules each breaks and a Fix button
+ * Issues past MAX_FIX_BUTTONS are listed in one section without buttons
+ * @param {Array} entries - From groupViolationsByIssue
+ * @param {string} intro - Text of the first section
+ * @param {string} [overflowHint] - Added to the note about issues without buttons
+ * @returns {Array} - Blocks
+ */
+function buildIssueListBlocks(entries, intro, overflowHint = '') {
+  const describeRules = rules => rules.map(rule => `${SEVERITIES[rule.severity].emoji} ${rule.name}`).join(', ');
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: intro
+      }
+    },
+    ...entries.slice(0, MAX_FIX_BUTTONS).map(({ issue, rules }) => ({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${formatIssue(issue)}\n${describeRules(rules)}`.substring(0, 3000)
+      },
+      accessory: {
+        type: 'button',
+        action_id: 'audit_fix_issue',
+        text: {
+          type: 'plain_text',
+          text: 'Fix',
+          emoji: true
+        },
+        value: String(issue.id)
+      }
+    }))
+  ];
+
+  const rest = entries.slice(MAX_FIX_BUTTONS);
+  if (rest.length > 0) {
+    const note = `_${rest.length} more ${rest.length === 1 ? 'issue' : 'issues'} without buttons.${overflowHint ? ` ${overflowHint}` : ''}_\n`;
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${note}${rest.map(({ issue, rules }) => `• ${formatIssue(issue)}: ${rules.map(rule => rule.name).join(', ')}`).join('\n')}`.substring(0, 3000)
+      }
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Build the detailed report: each issue with gaps once, with the rules it breaks and a Fix button
+ * @param {Array} violated - Entries from runAuditRules that have violations
+ * @param {Object} scope - Resolved scope, to suggest narrowing the audit when there are too many issues for buttons
+ * @returns {{text: string, blocks: Array}}
+ */
+function buildDetailedReport(violated, scope) {
+  const entries = groupViolationsByIssue(violated);
+  const gaps = `${entries.length} ${entries.length === 1 ? 'issue has' : 'issues have'} gaps`;
+
+  return {
+    text: `Detailed Issues Report: ${gaps}`,
+    blocks: buildIssueListBlocks(
+      entries,
+      `*Detailed Issues Report*\n${gaps}. Use *Fix* to fill in a missing description or theme.`,
+      describeScope(scope) ? '' : 'Narrow the audit with `workspace:`, `pillar:` or `theme:` to get Fix buttons for them.'
+    )
+  };
+}
+
+/**
+ * Build the modal for filling in an issue's public description and theme
+ * @param {Object} issue - Row from getAuditIssue
+ * @param {Array} themes - Rows from listAuditThemes
+ * @param {Object} [options]
+ * @param {string} [options.description] - Text to put in the description box instead of the issue's own
+ * @param {string} [options.descriptionBlockId] - Block ID for the description box; Slack keeps what was typed
+ *   in a block it has already shown, so a new ID is needed to replace the text with a draft
+ * @param {string} [options.themeId] - Theme to select instead of the issue's own
+ * @param {string} [options.note] - Shown under the Suggest with AI button
+ * @param {string} [options.channelId] - Channel to confirm the fix in
+ * @returns {Object} - Modal view
+ */
+function buildFixModal(issue, themes, { description, descriptionBlockId = 'audit_fix_description', themeId, note, channelId } = {}) {
+  const selectedThemeId = String(themeId ?? issue.theme_id ?? '');
+  const themeOptions = themes.map(theme => ({
+    text: { type: 'plain_text', text: theme.name.substring(0, 75) },
+    value: String(theme.id)
+  }));
+  const initialTheme = themeOptions.find(option => option.value === selectedThemeId);
+  const flags = [
+    issue.description_missing && 'description flagged missing',
+    issue.theme_missing && 'theme flagged missing'
+  ].filter(Boolean);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${formatIssue(issue)}\n*Pillar:* ${issue.pillar_name || 'None'} · *Workspace:* ${issue.workspace_name || 'None'} · *Theme:* ${issue.theme_name || 'None'}`
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: flags.length > 0
+            ? `Saving clears the ${flags.join(' and ')} ${flags.length === 1 ? 'flag' : 'flags'} for what you fill in.`
+            : 'Saving updates the issue in the tracker.'
+        }
+      ]
+    },
+    {
+      type: 'input',
+      block_id: descriptionBlockId,
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Public description'
+      },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'description',
+        multiline: true,
+        max_length: MAX_DESCRIPTION_LENGTH,
+        ...((description ?? issue.public_description) ? { initial_value: (description ?? issue.public_description).substring(0, MAX_DESCRIPTION_LENGTH) } : {})
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          action_id: 'audit_fix_suggest',
+          text: {
+            type: 'plain_text',
+            text: '✨ Suggest with AI',
+            emoji: true
+          },
+          value: String(issue.id)
+        }
+      ]
+    }
+  ];
+
+  if (note) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: note }]
+    });
+  }
+
+  if (themeOptions.length > 0) {
+    blocks.push({
+      type: 'input',
+      block_id: 'audit_fix_theme',
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Theme'
+      },
+      element: {
+        type: 'static_select',
+        action_id: 'theme',
+        placeholder: {
+          type: 'plain_text',
+          text: 'Pick a theme'
+        },
+        options: themeOptions,
+        ...(initialTheme ? { initial_option: initialTheme } : {})
+      }
+    });
+  } else {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: 'There are no themes in the tracker to pick from.' }]
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'audit_fix_modal',
+    private_metadata: JSON.stringify({ issueId: issue.id, channelId }),
+    title: {
+      type: 'plain_text',
+      text: 'Fix issue'
+    },
+    submit: {
+      type: 'plain_text',
+      text: 'Save'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel'
+    },
+    blocks
+  };
+}
+
+/**
+ * Find the description box in a fix modal's state; its block ID changes when a draft is filled in
+ * @param {Object} values - view.state.values
+ * @returns {{blockId: string, value: string}}
+ */
+function getFixDescription(values) {
+  const blockId = Object.keys(values || {}).find(id => id.startsWith('audit_fix_description')) || 'audit_fix_description';
+  return { blockId, value: (values?.[blockId]?.description?.value || '').trim() };
+}
+
+/**
+ * Show how completeness changed over the last few runs: /audit trend [runs] [workspace:<name>] [pillar:<name>] [theme:<name>]
+ * Lists the overall score per run, each workspace's and pillar's score over the runs,
+ * and the issues fixed or newly broken since the run before the latest one
+ * Only runs with the same scope are compared
+ * @param {Object} command - Slash command payload
+ * @param {string} text - Text after "trend"
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function auditTrendCommand(command, text, client, respond) {
+  const parsed = parseAuditScope(text);
+  const count = parsed.text ? parseInt(parsed.text, 10) : DEFAULT_TREND_RUNS;
+  if (!Number.isInteger(count) || count < 2 || count > MAX_TREND_RUNS) {
+    await respond({ response_type: 'ephemeral', text: `Compare between 2 and ${MAX_TREND_RUNS} runs, e.g. \`/audit trend 10\`.` });
+    return;
+  }
+
+  const { scope, unknown } = await resolveAuditScope(parsed.scope);
+  if (unknown.length > 0) {
+    await respond({ response_type: 'ephemeral', text: describeUnknownScope(unknown) });
+    return;
+  }
+
+  const scopeText = describeScope(scope);
+  const runs = (await listAuditRuns({ teamId: command.team_id, scope, limit: count })).reverse();
+  if (runs.length === 0) {
+    await respond({
+      response_type: 'ephemeral',
+      text: scopeText
+        ? `No audits of ${scopeText} have been stored yet. Run \`/audit ${text.trim()}\` to start tracking its completeness.`
+        : 'No audits have been stored yet. Run `/audit` to start tracking completeness.'
+    });
+    return;
+  }
+
+  const timeZone = await getUserTimeZone(command.user_id, client);
+  const latest = runs[runs.length - 1];
+  const previous = runs.length > 1 ? runs[runs.length - 2] : null;
+  const runLines = runs.map((run, index) => {
+    const change = index > 0 ? formatScoreChange(run.score, runs[index - 1].score) : null;
+    return `${formatRunTime(run.created_at, timeZone)} · *${run.score}%*${change ? ` (${change})` : ''} · ` +
+           `${run.issue_count - run.clean_count} of ${run.issue_count} issues with gaps${run.run_by ? ` · <@${run.run_by}>` : ''}`;
+  });
+
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `📈 Audit trend: last ${runs.length} ${runs.length === 1 ? 'run' : 'runs'}${scopeText ? ` of ${scopeText}` : ''}`.substring(0, 150),
+        emoji: true
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Completeness* \`${sparkline(runs.map(run => run.score))}\`\n${runLines.join('\n')}`
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*By workspace*\n${describeGroupTrend(runs, 'workspace').join('\n')}`.substring(0, 3000)
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*By pillar*\n${describeGroupTrend(runs, 'pillar').join('\n')}`.substring(0, 3000)
+      }
+    }
+  ];
+
+  if (previous) {
+    const { fixed, broken } = diffAuditRuns(previous, latest);
+    const issuesById = new Map((await listAuditIssues() || []).map(issue => [issue.id, issue]));
+
+    blocks.push(
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*✅ Fixed since ${formatRunTime(previous.created_at, timeZone)}* (${fixed.size})\n` +
+                `${fixed.size > 0 ? describeIssueChanges(fixed, issuesById) : '_Nothing fixed._'}`.substring(0, 2900)
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*❌ Newly broken* (${broken.size})\n` +
+                `${broken.size > 0 ? describeIssueChanges(broken, issuesById) : '_Nothing newly broken._'}`.substring(0, 2900)
+        }
+      }
+    );
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: 'Completeness is the share of issues that pass every audit rule that was on for that run.'
+      }
+    ]
+  });
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Audit trend: completeness ${latest.score}%`,
+    blocks
+  });
+}
+
+/**
+ * Work out when a scheduled audit next runs
+ * @param {Object} schedule - Recurrence rule
+ * @param {string} timeZone - IANA time zone the schedule is in
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function getNextAuditTime(schedule, timeZone, now = new Date()) {
+  return fromWallClock(firstOccurrence(schedule, toWallClock(now, timeZone)), timeZone);
+}
+
+/**
+ * Match issue owners to Slack users so they can be mentioned and sent a DM
+ * Owners stored as a user ID or mention are used as-is, and email addresses are looked up;
+ * other names are kept for the channel post but can't be messaged
+ * @param {Array} entries - From groupViolationsByIssue
+ * @param {Object} client - Slack client
+ * @returns {Promise<Array<{owner: string|null, userId: string|null, entries: Array}>>} - Most issues first; owner is null for unowned issues
+ */
+async function groupEntriesByOwner(entries, client) {
+  const userIds = new Map();
+  const resolveOwner = async owner => {
+    if (!owner) return null;
+    if (userIds.has(owner)) return userIds.get(owner);
+
+    let userId = null;
+    const mention = owner.match(/^<?@?([UW][A-Z0-9]{2,})(?:\|[^>]*)?>?$/);
+    if (mention) {
+      userId = mention[1];
+    } else if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(owner)) {
+      try {
+        userId = (await client.users.lookupByEmail({ email: owner })).user?.id || null;
+      } catch (error) {
+        console.error(`Error looking up audit issue owner ${owner}:`, error.message);
+      }
+    }
+    userIds.set(owner, userId);
+    return userId;
+  };
+
+  // Owners written differently for the same Slack user are grouped together
+  const groups = new Map();
+  for (const entry of entries) {
+    const owner = (entry.issue.owner || '').trim() || null;
+    const userId = await resolveOwner(owner);
+    const key = userId || owner;
+    const group = groups.get(key) || { owner, userId, entries: [] };
+    group.entries.push(entry);
+    groups.set(key, group);
+  }
+
+  const owners = [...groups.values()];
+  return owners.sort((a, b) => b.entries.length - a.entries.length);
+}
+
+/**
+ * Run a scheduled audit: store the run, post the score and each owner's share of the gaps
+ * to the schedule's channel, and DM each owner the issues they need to fix
+ * @param {Object} schedule - audit_schedules row
+ * @param {Object} client - Slack client
+ */
+async function runScheduledAudit(schedule, client) {
+  const scope = schedule.scope || {};
+  const scopeText = describeScope(scope);
+  const issues = await listAuditIssues(scope);
+  if (!issues) {
+    throw new Error('Could not read the issues from the database');
+  }
+
+  const settings = await getWorkspaceSettings(schedule.team_id);
+  const results = runAuditRules(issues, settings?.audit_rules);
+  if (results.length === 0) {
+    await client.chat.postMessage({
+      channel: schedule.channel_id,
+      text: `🗓️ Skipped the scheduled audit${scopeText ? ` of ${scopeText}` : ''}: every audit rule is turned off for this workspace. See \`/audit rules\`.`
+    });
+    return;
+  }
+
+  const violated = results.filter(result => result.issues.length > 0);
+  const [previous] = await listAuditRuns({ teamId: schedule.team_id, scope, limit: 1 });
+  const summary = scoreAudit(issues, results);
+  if (!await saveAuditRun({ teamId: schedule.team_id, scope, ...summary })) {
+    console.error(`Scheduled audit ${schedule.id} could not be stored; it will be missing from /audit trend`);
+  }
+
+  const scoreChange = formatScoreChange(summary.score, previous?.score);
+  const entries = groupViolationsByIssue(violated);
+  const owners = await groupEntriesByOwner(entries, client);
+  const countIssues = count => `${count} ${count === 1 ? 'issue' : 'issues'}`;
+  const ownerLines = owners.slice(0, MAX_LISTED_OWNERS).map(({ owner, userId, entries: ownerEntries }) => {
+    if (!owner) return `• _No owner_: ${countIssues(ownerEntries.length)}`;
+    return `• ${userId ? `<@${userId}>` : owner}: ${countIssues(ownerEntries.length)}${userId ? '' : ' _(no Slack account found, so no DM)_'}`;
+  });
+  if (owners.length > MAX_LISTED_OWNERS) {
+    ownerLines.push(`_…and ${owners.length - MAX_LISTED_OWNERS} more owners_`);
+  }
+
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `🗓️ Scheduled audit${scopeText ? `: ${scopeText}` : ''}`.substring(0, 150),
+        emoji: true
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Completeness:* ${summary.score}%${scoreChange ? ` (${scoreChange} since the last run)` : ''}\n` +
+              `*Issues with gaps:* ${entries.length} of ${issues.length}`
+      }
+    }
+  ];
+
+  if (violated.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `✅ None of the issues break any of the ${results.length} audit rules that are on.`
+      }
+    });
+  } else {
+    blocks.push(
+      { type: 'divider' },
+      ...violated.map(buildRuleSection),
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*By owner*\n${ownerLines.join('\n')}`.substring(0, 3000)
+        }
+      }
+    );
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: `Runs ${describeRecurrence(schedule.schedule)} (${schedule.time_zone}).` +
+              `${owners.some(({ userId }) => userId) ? ' Owners have been sent their issues by DM.' : ''}` +
+              ` Stop it with \`/audit schedule remove ${schedule.id}\`.`
+      }
+    ]
+  });
+
+  await client.chat.postMessage({
+    channel: schedule.channel_id,
+    text: `Scheduled audit${scopeText ? ` of ${scopeText}` : ''}: completeness ${summary.score}%, ${entries.length} of ${issues.length} issues with gaps`,
+    blocks
+  });
+
+  // A failed DM is logged rather than stopping the others
+  for (const { userId, entries: ownerEntries } of owners) {
+    if (!userId) continue;
+
+    try {
+      const dm = await client.conversations.open({ users: userId });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: `The scheduled audit found ${countIssues(ownerEntries.length)} of yours with gaps`,
+        blocks: buildIssueListBlocks(
+          ownerEntries,
+          `🧹 The scheduled audit in <#${schedule.channel_id}>${scopeText ? ` of ${scopeText}` : ''} found ` +
+          `${countIssues(ownerEntries.length)} you own with gaps. Use *Fix* to fill in a missing description or theme.`
+        )
+      });
+    } catch (error) {
+      console.error(`Error sending scheduled audit issues to ${userId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Run the audit schedules that are due
+ * @param {Object} client - Slack client
+ */
+async function runAuditSchedules(client) {
+  for (const schedule of await getDueAuditSchedules()) {
+    // Skips any runs missed while the bot was down
+    const nextRunAt = getNextAuditTime(schedule.schedule, schedule.time_zone);
+    if (!await claimAuditSchedule(schedule.id, schedule.next_run_at, nextRunAt)) continue;
+
+    try {
+      await runScheduledAudit(schedule, client);
+    } catch (error) {
+      console.error(`Error running scheduled audit ${schedule.id} in ${schedule.channel_id}:`, error);
+    }
+  }
+}
+
+registerJob('run-audit-schedules', runAuditSchedules);
+
+/**
+ * Describe an audit schedule in one line for /audit schedule list
+ * @param {Object} schedule - audit_schedules row
+ * @returns {string}
+ */
+function describeAuditSchedule(schedule) {
+  return `*#${schedule.id}* ${describeRecurrence(schedule.schedule)} (${schedule.time_zone}) in <#${schedule.channel_id}>` +
+         ` · ${describeScope(schedule.scope || {}) || 'all issues'}` +
+         ` · next ${formatInTimeZone(schedule.next_run_at, schedule.time_zone)}`;
+}
+
+/**
+ * Schedule audits to be posted to a channel: /audit schedule <when> [#channel] [workspace:<name>] [pillar:<name>] [theme:<name>]
+ * Also "/audit schedule list" and "/audit schedule remove <id>", which only the schedule's creator or a workspace admin can use
+ * @param {Object} command - Slash command payload
+ * @param {string} text - Text after "schedule"
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function auditScheduleCommand(command, text, client, respond) {
+  const usage = 'Usage: `/audit schedule weekly mon 9am #roadmap-hygiene`, optionally with `workspace:`, `pillar:` or `theme:` names. ' +
+                'See schedules with `/audit schedule list` and stop one with `/audit schedule remove <id>`.';
+
+  if (!text || /^list$/i.test(text)) {
+    const schedules = await listAuditSchedules(command.team_id);
+    await respond({
+      response_type: 'ephemeral',
+      text: schedules.length > 0
+        ? `*Audit schedules*\n${schedules.map(describeAuditSchedule).join('\n')}`
+        : `No audits are scheduled. ${usage}`
+    });
+    return;
+  }
+
+  const remove = text.match(/^(?:remove|delete|stop)\s+#?(\d+)$/i);
+  if (remove) {
+    const scheduleId = parseInt(remove[1], 10);
+    const existing = await getAuditSchedule(scheduleId, command.team_id);
+    if (existing && existing.created_by !== command.user_id && !await isWorkspaceAdmin(command.user_id, client)) {
+      await respond({
+        response_type: 'ephemeral',
+        text: `Only ${existing.created_by ? `<@${existing.created_by}>, who scheduled it, or ` : ''}a workspace admin can remove audit schedule #${scheduleId}.`
+      });
+      return;
+    }
+
+    const removed = existing && await deleteAuditSchedule(scheduleId, command.team_id);
+    await respond({
+      response_type: 'ephemeral',
+      text: removed
+        ? `🗑️ Removed the audit schedule ${describeRecurrence(removed.schedule)} in <#${removed.channel_id}>.`
+        : `There's no audit schedule #${remove[1]}. See them with \`/audit schedule list\`.`
+    });
+    return;
+  }
+
+  const parsed = parseAuditScope(text);
+  const channel = parsed.text.match(CHANNEL_MENTION_PATTERN);
+  const rest = parsed.text.replace(CHANNEL_MENTION_PATTERN, ' ').replace(/\s{2,}/g, ' ').trim();
+  if (!channel && /(^|\s)#[\w-]+/.test(rest)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'I couldn\'t tell which channel you meant. Pick it from Slack\'s suggestions as you type `#` so it\'s sent as a link.'
+    });
+    return;
+  }
+
+  const channelId = channel ? channel[1] : command.channel_id;
+  if (channelId.startsWith('D')) {
+    await respond({ response_type: 'ephemeral', text: `Name the channel to post the audit to. ${usage}` });
+    return;
+  }
+
+  const timeZone = await getUserTimeZone(command.user_id, client);
+  const recurrence = parseRecurrence(rest, toWallClock(new Date(), timeZone));
+  const leftover = recurrence && recurrence.text !== rest ? recurrence.text : '';
+  if (!recurrence || leftover) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `${leftover ? `I didn't understand "${leftover}". ` : 'I couldn\'t tell when to run the audit. '}${usage}`
+    });
+    return;
+  }
+  if (recurrence.rule.frequency === 'hourly') {
+    await respond({ response_type: 'ephemeral', text: 'Audits can run at most once a day, since each run sends owners a DM.' });
+    return;
+  }
+
+  const { scope, unknown } = await resolveAuditScope(parsed.scope);
+  if (unknown.length > 0) {
+    await respond({ response_type: 'ephemeral', text: describeUnknownScope(unknown) });
+    return;
+  }
+
+  const schedule = await createAuditSchedule({
+    teamId: command.team_id,
+    channelId,
+    scope,
+    schedule: recurrence.rule,
+    timeZone,
+    nextRunAt: getNextAuditTime(recurrence.rule, timeZone),
+    createdBy: command.user_id
+  });
+  if (!schedule) {
+    throw new Error('Could not save the schedule to the database');
+  }
+
+  await respond({
+    response_type: 'in_channel',
+    text: `🗓️ <@${command.user_id}> scheduled an audit of ${describeScope(scope) || 'all issues'} ` +
+          `${describeRecurrence(schedule.schedule)} (${timeZone}) in <#${channelId}>. ` +
+          `The first one is ${formatInTimeZone(schedule.next_run_at, timeZone)}. ` +
+          `Issue owners get a DM listing what they need to fix. Stop it with \`/audit schedule remove ${schedule.id}\`.`
+  });
+}
+
+/**
+ * List the audit rules and whether each is on: /audit rules
+ * Workspace admins can turn them on or off: /audit rules enable|disable <rule> or /audit rules reset
+ * @param {Object} command - Slash command payload
+ * @param {string} text - Text after "rules"
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function auditRulesCommand(command, text, client, respond) {
+  const [action = '', ruleId = ''] = text.trim().split(/\s+/);
+  const settings = await getWorkspaceSettings(command.team_id);
+  let overrides = settings?.audit_rules || {};
+
+  if (['enable', 'disable', 'on', 'off', 'reset'].includes(action.toLowerCase())) {
+    if (!await isWorkspaceAdmin(command.user_id, client)) {
+      await respond({ response_type: 'ephemeral', text: 'Only workspace admins can turn audit rules on or off.' });
+      return;
+    }
+
+    if (action.toLowerCase() === 'reset') {
+      overrides = {};
     } else {
-      console.error('Global vercelPool not available');
-      throw new Error('Database connection not available');
+      const rule = getAuditRule(ruleId);
+      if (!rule) {
+        await respond({
+          response_type: 'ephemeral',
+          text: `I don't know a rule called "${ruleId}". Rules: ${AUDIT_RULES.map(known => `\`${known.id}\``).join(', ')}`
+        });
+        return;
+      }
+      overrides = { ...overrides, [rule.id]: ['enable', 'on'].includes(action.toLowerCase()) };
+    }
+
+    const saved = await updateWorkspaceSettings(command.team_id, {
+      audit_rules: Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null
+    });
+    if (!saved) {
+      throw new Error('Could not save the audit rules to the database');
     }
-  } catch (error) {
-    console.error('Error accessing global pool:', error);
-    throw new Error('Database connection not available');
   }
+
+  const lines = AUDIT_RULES.map(rule => {
+    const severity = SEVERITIES[rule.severity];
+    return `${isRuleEnabled(rule, overrides) ? '✅' : '⏸️'} \`${rule.id}\` ${severity.emoji} *${rule.name}*: ${rule.description}`;
+  });
+
+  await respond({
+    response_type: 'ephemeral',
+    text: 'Audit rules',
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*Audit rules for this workspace*\n${lines.join('\n')}`
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: 'Workspace admins can use `/audit rules enable <rule>`, `/audit rules disable <rule>` or `/audit rules reset`.'
+          }
+        ]
+      }
+    ]
+  });
 }
 
 /**
  * Handle the /audit slash command
- * Provides audit analysis for roadmap data stored in the database
+ * Runs every audit rule that's on for the workspace against the issues in the database and
+ * reports violations grouped by rule, with an AI analysis
+ * "/audit project:<id>" (or "/audit <id>") adds that project's milestones and tasks; otherwise the channel's linked project is used
+ * "/audit workspace:<name> pillar:<name> theme:<name>", in any combination, audits only the matching issues;
+ * "/audit scope" picks them from searchable menus
+ * "/audit rules" lists the rules and turns them on or off; "/audit trend" compares stored runs;
+ * "/audit schedule" posts audits to a channel on a schedule and DMs owners their issues
  */
 async function handleAuditCommand({ command, ack, respond, client }) {
   // Acknowledge the command request already happened in the caller
-  
+  const text = (command.text || '').trim();
+
+  if (/^rules\b/i.test(text)) {
+    try {
+      await auditRulesCommand(command, text.replace(/^rules\s*/i, ''), client, respond);
+    } catch (error) {
+      console.error('Error handling /audit rules command:', error);
+      await respond({
+        response_type: 'ephemeral',
+        text: `❌ Error updating the audit rules: ${error.message}`
+      });
+    }
+    return;
+  }
+
+  if (/^trend\b/i.test(text)) {
+    try {
+      await auditTrendCommand(command, text.replace(/^trend\s*/i, ''), client, respond);
+    } catch (error) {
+      console.error('Error handling /audit trend command:', error);
+      await respond({
+        response_type: 'ephemeral',
+        text: `❌ Error showing the audit trend: ${error.message}`
+      });
+    }
+    return;
+  }
+
+  if (/^schedule\b/i.test(text)) {
+    try {
+      await auditScheduleCommand(command, text.replace(/^schedule\s*/i, ''), client, respond);
+    } catch (error) {
+      console.error('Error handling /audit schedule command:', error);
+      await respond({
+        response_type: 'ephemeral',
+        text: `❌ Error scheduling the audit: ${error.message}`
+      });
+    }
+    return;
+  }
+
+  if (/^scope$/i.test(text)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Pick what to audit',
+      blocks: buildScopePickerBlocks('Pick a workspace, pillar or theme to audit, or any combination. Leave a menu empty to include everything.')
+    });
+    return;
+  }
+
+  const parsed = parseAuditScope(text);
+  const { projectId: namedProjectId, text: rest } = parseProjectOption(parsed.text);
+  if (/\s/.test(rest)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Usage: `/audit [project-id] [workspace:<name>] [pillar:<name>] [theme:<name>]`, e.g. `/audit workspace:Web pillar:"Core Platform"`. ' +
+            'Use `/audit scope` to pick names from a list.'
+    });
+    return;
+  }
+
+  let projectId;
+  try {
+    projectId = await resolveProjectId(namedProjectId || rest.toLowerCase() || null, command.channel_id);
+  } catch (projectError) {
+    await respond({ response_type: 'ephemeral', text: projectError.message });
+    return;
+  }
+
   // Show typing indicator
   await respond({
     text: "Analyzing roadmap data...",
     response_type: 'ephemeral'
   });
-  
+
   try {
     // Check for environment variables
     if (!process.env.DATABASE_URL) {
@@ -41,99 +1115,99 @@ async function handleAuditCommand({ command, ack, respond, client }) {
       });
       return;
     }
-    
-    // Get database pool safely
-    let pool;
-    try {
-      pool = getPool();
-    } catch (poolError) {
-      console.error('Failed to get database pool:', poolError);
+
+    const { scope, unknown } = await resolveAuditScope(parsed.scope);
+    if (unknown.length > 0) {
+      await respond({
+        response_type: 'ephemeral',
+        text: describeUnknownScope(unknown),
+        blocks: buildScopePickerBlocks(`${describeUnknownScope(unknown)}\nPick from the lists instead:`)
+      });
+      return;
+    }
+
+    const scopeText = describeScope(scope);
+    const issues = await listAuditIssues(scope);
+    if (!issues) {
       await respond({
         text: ":x: Error processing the audit: Database connection not available\nPlease try again later.",
         response_type: 'ephemeral'
       });
       return;
     }
-    
-    // Get all issues with missing data using direct PostgreSQL query
-    const query = `
-      SELECT 
-        i.id,
-        i.issue_code,
-        i.issue_name,
-        i.public_description,
-        i.description_missing,
-        i.theme_missing,
-        p.name AS pillar_name,
-        t.name AS theme_name,
-        w.name AS workspace_name
-      FROM 
-        public.issues i
-      LEFT JOIN 
-        public.pillars p ON i.pillar_id = p.id
-      LEFT JOIN 
-        public.themes t ON i.theme_id = t.id
-      LEFT JOIN 
-        public.workspaces w ON i.workspace_id = w.id
-      WHERE 
-        i.description_missing = true OR i.theme_missing = true
-    `;
-    
-    // Execute the query
-    const result = await pool.query(query);
-    const data = result.rows;
-    
-    if (data.length === 0) {
+
+    if (scopeText && issues.length === 0) {
+      await respond({
+        response_type: 'ephemeral',
+        text: `There are no issues in ${scopeText}.`
+      });
+      return;
+    }
+
+    const settings = await getWorkspaceSettings(command.team_id);
+    const results = runAuditRules(issues, settings?.audit_rules);
+    const violated = results.filter(result => result.issues.length > 0);
+    const affected = new Set(violated.flatMap(result => result.issues.map(issue => issue.id)));
+
+    if (results.length === 0) {
+      await respond({
+        response_type: 'ephemeral',
+        text: 'Every audit rule is turned off for this workspace. See `/audit rules`.'
+      });
+      return;
+    }
+
+    // Store the run so /audit trend can compare it with earlier ones
+    const [previous] = await listAuditRuns({ teamId: command.team_id, scope, limit: 1 });
+    const summary = scoreAudit(issues, results);
+    if (!await saveAuditRun({ teamId: command.team_id, runBy: command.user_id, projectId, scope, ...summary })) {
+      console.error('Audit run could not be stored; it will be missing from /audit trend');
+    }
+    await refreshHomeTabs([command.user_id], client);
+
+    const scoreChange = formatScoreChange(summary.score, previous?.score);
+    const scoreText = `${summary.score}%${scoreChange ? ` (${scoreChange} since the last run)` : ''}`;
+
+    if (violated.length === 0) {
       await respond({
         response_type: 'in_channel',
-        text: '✅ Great news! No issues with missing data were found in the database.'
+        text: `✅ Great news! None of the ${issues.length} issues${scopeText ? ` in ${scopeText}` : ''} break any of the ${results.length} audit rules that are on. Completeness: ${scoreText}`
       });
       return;
     }
-    
-    // Group the issues by what's missing
-    const missingDesc = data.filter(issue => issue.description_missing).map(i => i.issue_code);
-    const missingTheme = data.filter(issue => issue.theme_missing).map(i => i.issue_code);
-    
+
     // Format the data for OpenAI analysis
     const auditData = {
-      total_issues: data.length,
-      issues_with_missing_descriptions: missingDesc.length,
-      issues_with_missing_themes: missingTheme.length,
-      issue_details: data.map(issue => ({
-        code: issue.issue_code,
-        name: issue.issue_name,
-        workspace: issue.workspace_name || 'Not assigned',
-        pillar: issue.pillar_name || 'Not assigned',
-        theme: issue.theme_name || 'Not assigned',
-        missing: [
-          issue.description_missing ? 'description' : null,
-          issue.theme_missing ? 'theme' : null
-        ].filter(Boolean)
+      scope: scopeText || 'All issues',
+      total_issues: issues.length,
+      issues_with_problems: affected.size,
+      rules: violated.map(({ rule, issues: broken }) => ({
+        rule: rule.name,
+        severity: rule.severity,
+        violations: broken.length,
+        examples: broken.slice(0, MAX_LISTED_PER_RULE).map(issue => ({
+          code: issue.issue_code,
+          name: issue.issue_name,
+          workspace: issue.workspace_name || 'Not assigned',
+          pillar: issue.pillar_name || 'Not assigned',
+          theme: issue.theme_name || 'Not assigned'
+        }))
       }))
     };
-    
-    // Use OpenAI to analyze the issues data
-    const completion = await getAIResponse({
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a project management expert specializing in data completeness assessment. Analyze the provided issue tracking data and provide actionable insights about missing data. Be specific, concise, and practical.'
-        },
-        {
-          role: 'user',
-          content: `Analyze these issues with missing data and provide recommendations for improving data quality:\n\n${JSON.stringify(auditData, null, 2)}`
-        }
-      ],
-      temperature: 0.7,
-    });
 
-    // Get AI response
-    const auditResult = completion.choices[0].message.content;
-    
-    // Send the analysis back to Slack
-    await say({
+    // Use OpenAI to analyze the issues data alongside the project's milestones and tasks
+    const projectContext = await describeProjectForPrompt(projectId);
+    const auditPrompt = `Analyze these data-quality rule violations and provide recommendations for improving data quality, ` +
+                        `starting with the most severe rules. Be specific, concise, and practical.\n\n${JSON.stringify(auditData, null, 2)}\n\n` +
+                        `Where it helps, relate your recommendations to this project:\n${projectContext}`;
+
+    const auditResult = await getAIResponse(auditPrompt, 'audit');
+    const ruleCounts = violated.map(({ rule, issues: broken }) => `*${rule.name}:* ${broken.length}`).join(' | ');
+
+    // Send the violations grouped by rule, then the analysis, back to Slack
+    await respond({
+      response_type: 'in_channel',
+      text: `Data completeness audit${scopeText ? ` of ${scopeText}` : ''}: ${affected.size} of ${issues.length} issues break at least one rule`,
       blocks: [
         {
           type: 'header',
@@ -148,30 +1222,40 @@ async function handleAuditCommand({ command, ack, respond, client }) {
           elements: [
             {
               type: 'mrkdwn',
-              text: `*Requested by:* <@${command.user_id}> | *Total issues with gaps:* ${data.length} | *Missing descriptions:* ${missingDesc.length} | *Missing themes:* ${missingTheme.length}`
+              text: `*Requested by:* <@${command.user_id}> | *Project:* ${projectId} | *Scope:* ${scopeText || 'All issues'} | *Completeness:* ${scoreText} | *Issues with gaps:* ${affected.size} of ${issues.length} | ${ruleCounts}`
             }
           ]
         },
         {
           type: 'divider'
         },
+        ...violated.map(buildRuleSection),
+        {
+          type: 'divider'
+        },
         {
           type: 'section',
           text: {
             type: 'mrkdwn',
             text: auditResult
           }
+        },
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `${results.length} of ${AUDIT_RULES.length} rules run. See which with \`/audit rules\`, and how completeness is changing with \`/audit trend${scopeText ? ` ${formatScopeOptions(scope)}` : ''}\`.`
+            }
+          ]
         }
       ]
     });
-    
-    // Also send a detailed breakdown in a thread
-    const missingDetails = data.map(issue => {
-      return `• *${issue.issue_code} ${issue.issue_name}*: Missing ${issue.description_missing && issue.theme_missing ? 'description and theme' : issue.description_missing ? 'description' : 'theme'}`;
-    }).join('\n');
-    
-    await say({
-      text: `*Detailed Issues Report*\n${missingDetails}`
+
+    // Also send a detailed breakdown: every issue with gaps, with a button to fix it
+    await respond({
+      response_type: 'in_channel',
+      ...buildDetailedReport(violated, scope)
     });
   } catch (error) {
     console.error('Error handling /audit command:', error);
@@ -182,4 +1266,229 @@ async function handleAuditCommand({ command, ack, respond, client }) {
   }
 }
 
-module.exports = { handleAuditCommand };
+/**
+ * Handle the menus and Run audit button on the /audit scope message
+ * Picking from a menu only needs acknowledging; the button audits whatever is picked
+ */
+async function handleAuditScopeAction({ ack, payload, body, client, respond }) {
+  await ack();
+
+  const actionId = payload?.action_id || body?.actions?.[0]?.action_id;
+  if (actionId !== 'audit_scope_run') return { success: true };
+
+  try {
+    const picked = body?.state?.values?.audit_scope || {};
+    const scope = {};
+    SCOPE_KINDS.forEach(kind => {
+      const name = picked[`audit_scope_${kind}`]?.selected_option?.value;
+      if (name) scope[kind] = [name];
+    });
+
+    await handleAuditCommand({
+      command: {
+        text: formatScopeOptions(scope),
+        user_id: body.user.id,
+        team_id: body.team?.id || body.user.team_id,
+        channel_id: body.channel?.id
+      },
+      client,
+      // Keep the menus so the audit can be run again with other names
+      respond: message => respond({ replace_original: false, ...message })
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error running scoped audit:', error);
+
+    if (respond) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `Sorry, I couldn't run the audit: ${error.message}`
+      });
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load the workspace, pillar or theme names for a scope menu as the user types
+ */
+async function handleAuditScopeOptions({ ack, payload, options }) {
+  const request = payload || options;
+  const kind = (request?.action_id || '').replace(/^audit_scope_/, '');
+
+  try {
+    const names = await listAuditScopeNames(kind, request?.value || '');
+    await ack({
+      options: names.map(name => ({
+        text: { type: 'plain_text', text: name.substring(0, 75) },
+        value: name.substring(0, 150)
+      }))
+    });
+  } catch (error) {
+    console.error('Error loading audit scope options:', error);
+    await ack({ options: [] });
+  }
+}
+
+/**
+ * Handle the Fix button in the detailed report by opening the fix modal for that issue
+ */
+async function handleAuditFixAction({ ack, payload, body, client, respond }) {
+  await ack();
+
+  try {
+    const [issue, themes] = await Promise.all([
+      getAuditIssue(payload?.value || body?.actions?.[0]?.value),
+      listAuditThemes()
+    ]);
+    if (!issue) {
+      throw new Error('That issue is no longer in the tracker');
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildFixModal(issue, themes, { channelId: body?.channel?.id })
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening audit fix modal:', error);
+
+    if (respond) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `Sorry, I couldn't open that issue: ${error.message}`
+      });
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle "Suggest with AI" in the fix modal by drafting a description from the issue's name, pillar and theme
+ * The draft replaces what's in the description box; the theme picked so far is kept
+ */
+async function handleAuditFixSuggestAction({ ack, payload, body, client }) {
+  await ack();
+
+  const view = body?.view;
+  const { channelId } = JSON.parse(view?.private_metadata || '{}');
+  const themeId = view?.state?.values?.audit_fix_theme?.theme?.selected_option?.value;
+  const { blockId, value: typed } = getFixDescription(view?.state?.values);
+
+  try {
+    const [issue, themes] = await Promise.all([
+      getAuditIssue(payload?.value || body?.actions?.[0]?.value),
+      listAuditThemes()
+    ]);
+    if (!issue) {
+      throw new Error('That issue is no longer in the tracker');
+    }
+
+    await client.views.update({
+      view_id: view.id,
+      view: buildFixModal(issue, themes, { description: typed, descriptionBlockId: blockId, themeId, channelId, note: '✨ Drafting a description…' })
+    });
+
+    const theme = themes.find(candidate => String(candidate.id) === String(themeId))?.name || issue.theme_name;
+    const prompt = `Write a public description for this roadmap item.\n` +
+                   `Name: ${issue.issue_name || issue.issue_code}\n` +
+                   `Pillar: ${issue.pillar_name || 'Not assigned'}\n` +
+                   `Theme: ${theme || 'Not assigned'}\n` +
+                   `Workspace: ${issue.workspace_name || 'Not assigned'}` +
+                   (typed ? `\nNotes to build on: ${typed}` : '');
+    const draft = await getAIResponse(prompt, 'issue_description');
+    const failed = !draft || draft === getFallbackResponse(prompt, 'issue_description');
+
+    await client.views.update({
+      view_id: view.id,
+      view: buildFixModal(issue, themes, {
+        description: failed ? typed : draft,
+        descriptionBlockId: failed ? blockId : `audit_fix_description_${Date.now()}`,
+        themeId,
+        channelId,
+        note: failed
+          ? getFallbackResponse(prompt, 'issue_description')
+          : '✨ Drafted by AI from the issue name, pillar and theme. Check it before saving.'
+      })
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error drafting issue description:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle the fix modal: save the description and theme, clearing the matching "missing" flags
+ */
+async function handleAuditFixSubmission({ ack, view, body, client }) {
+  const { issueId, channelId } = JSON.parse(view.private_metadata || '{}');
+  const description = getFixDescription(view.state.values);
+  const themeId = view.state.values.audit_fix_theme?.theme?.selected_option?.value || null;
+  const issue = await getAuditIssue(issueId);
+
+  if (!issue) {
+    await ack({ response_action: 'errors', errors: { [description.blockId]: 'This issue is no longer in the tracker' } });
+    return { success: false, error: 'Issue not found' };
+  }
+
+  // Only save what changed, or what was flagged missing, so an untouched field doesn't clear a flag by accident
+  const publicDescription = description.value && (description.value !== (issue.public_description || '').trim() || issue.description_missing)
+    ? description.value
+    : null;
+  const newThemeId = themeId && (themeId !== String(issue.theme_id ?? '') || issue.theme_missing) ? themeId : null;
+
+  if (!publicDescription && !newThemeId) {
+    await ack({ response_action: 'errors', errors: { [description.blockId]: 'Nothing has changed. Write a description or pick a theme to save.' } });
+    return { success: false, error: 'Nothing to save' };
+  }
+
+  await ack();
+
+  const userId = body?.user?.id;
+  const notify = async text => {
+    if (channelId) {
+      await client.chat.postEphemeral({ channel: channelId, user: userId, text });
+      return;
+    }
+    const dm = await client.conversations.open({ users: userId });
+    await client.chat.postMessage({ channel: dm.channel.id, text });
+  };
+
+  try {
+    if (!await updateAuditIssue(issue.id, { publicDescription, themeId: newThemeId })) {
+      throw new Error('Could not save the issue to the database');
+    }
+
+    const changed = [publicDescription && 'description', newThemeId && 'theme'].filter(Boolean).join(' and ');
+    await notify(`✅ Saved the ${changed} for ${formatIssue(issue)}. Run \`/audit\` again to see the updated report.`);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving audit fix:', error);
+
+    try {
+      await notify(`Sorry, I couldn't save your changes to ${formatIssue(issue)}: ${error.message}`);
+    } catch (postError) {
+      console.error('Error sending audit fix failure notice:', postError.message);
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  handleAuditCommand,
+  handleAuditScopeAction,
+  handleAuditScopeOptions,
+  handleAuditFixAction,
+  handleAuditFixSuggestAction,
+  handleAuditFixSubmission
+};
@@ -1,13 +1,15 @@
 // draft.js - Handler for /draft slash command
 const { getAIResponse } = require('../utils/ai');
+const { parseProjectOption, resolveProjectId, describeProjectForPrompt } = require('../utils/projects');
 
 /**
  * Handle the /draft slash command
  * Generates content drafts with tailored AI
+ * The draft draws on the project named with "project:<id>", or the channel's linked project
  */
 async function handleDraftCommand({ command, respond }) {
   try {
-    const draftRequest = command.text;
+    const { projectId: namedProject, text: draftRequest } = parseProjectOption(command.text);
     
     if (!draftRequest) {
       await respond({
@@ -17,13 +19,27 @@ async function handleDraftCommand({ command, respond }) {
       return;
     }
 
+    let projectId;
+    try {
+      projectId = await resolveProjectId(namedProject, command.channel_id);
+    } catch (projectError) {
+      await respond({
+        text: `<@${command.user_id}> ${projectError.message}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
     await respond({
       text: `<@${command.user_id}> I'm working on your draft for: *${draftRequest}*. Please wait a moment...`,
       response_type: 'in_channel'
     });
     
+    const projectContext = await describeProjectForPrompt(projectId);
+
     // First get context about the draft request
     const analysisPrompt = `Analyze this draft request: "${draftRequest}"\n` +
+                          `It's for this project:\n${projectContext}\n` +
                           `1. What type of content is being requested?\n` +
                           `2. What tone would be most appropriate?\n` +
                           `3. What key elements should be included?\n` +
@@ -41,7 +57,8 @@ async function handleDraftCommand({ command, respond }) {
     const draftPrompt = `Create a professional draft for: "${draftRequest}"\n` +
                       `Make it engaging, clear, and well-structured.\n` +
                       `If relevant, include appropriate formatting, sections, and any necessary elements like greetings or calls to action.\n` +
-                      `Length should be appropriate for the content type.`;
+                      `Length should be appropriate for the content type.\n` +
+                      `Use these project details where they're relevant, and don't invent others:\n${projectContext}`;
     
     console.log('Getting AI draft...');
     const draftResponse = await getAIResponse(draftPrompt, 'draft');
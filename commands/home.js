@@ -0,0 +1,434 @@
+// home.js - App Home tab: a personal dashboard of tasks, reminders and milestones
+const {
+  listTasks,
+  getTaskDependencies,
+  getActiveReminders,
+  getDueMilestones,
+  listAuditRuns,
+  listAuditIssues,
+  getWorkspaceSettings
+} = require('../utils/database');
+const { formatInTimeZone, getUserTimeZone } = require('../utils/timezone');
+const { classifyMilestone, formatMilestoneDate } = require('../utils/milestones');
+const { getOpenBlockers } = require('../utils/taskDependencies');
+const { runAuditRules, scoreAudit, formatScoreChange } = require('../utils/auditRules');
+
+// Most tasks shown; each takes one block and Home views allow 100
+const MAX_HOME_TASKS = 10;
+
+// Most upcoming reminders shown
+const MAX_HOME_REMINDERS = 5;
+
+// Milestones due within this many days (or already overdue) count as due soon
+const MILESTONE_WINDOW_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a workspace's live audit score is reused; scoring it reads every issue
+const LIVE_SCORE_TTL_MS = 10 * 60 * 1000;
+
+// Live audit scores by team, for workspaces that have no stored /audit run
+const liveScoreCache = new Map();
+
+// Each user's team, looked up when a Home tab is refreshed outside an event
+const userTeamCache = new Map();
+
+const MILESTONE_STATE_ICONS = {
+  overdue: '🔴',
+  at_risk: '🟡',
+  on_track: '🟢'
+};
+
+/**
+ * Build a section with a bold heading and a count
+ * @param {string} title - e.g. "📋 Your open tasks"
+ * @param {number} count - Number of items
+ * @returns {Object} - Section block
+ */
+function buildHeading(title, count) {
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*${title}* (${count})`
+    }
+  };
+}
+
+/**
+ * Build a context line for an empty list or a "more" note
+ * @param {string} text - mrkdwn text
+ * @returns {Object} - Context block
+ */
+function buildNote(text) {
+  return {
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text
+      }
+    ]
+  };
+}
+
+/**
+ * Build the open tasks part of the dashboard, each with a Done button
+ * @param {Array} tasks - The user's unfinished tasks
+ * @param {Array} dependencies - Dependency rows
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array} - Blocks
+ */
+function buildTaskBlocks(tasks, dependencies, timeZone) {
+  const now = new Date();
+  const blocks = [buildHeading('📋 Your open tasks', tasks.length)];
+
+  if (tasks.length === 0) {
+    blocks.push(buildNote('Nothing on your plate. Add a task with the button above or `/task create`.'));
+    return blocks;
+  }
+
+  tasks.slice(0, MAX_HOME_TASKS).forEach(task => {
+    const overdue = task.due_date && new Date(task.due_date) < now;
+    const blockers = getOpenBlockers(dependencies, task.id);
+    const details = [
+      task.due_date ? `📅 ${formatInTimeZone(task.due_date, timeZone)}${overdue ? ' ⚠️ _overdue_' : ''}` : '📅 No due date',
+      `📁 ${task.project_id}`,
+      task.status === 'in_progress' ? '🔵 In progress' : '⚪ Open',
+      blockers.length > 0 ? `⛔ Blocked by ${blockers.map(blocker => `#${blocker.blocked_by}`).join(', ')}` : null
+    ].filter(Boolean);
+
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*#${task.id}: ${task.title}*\n${details.join(' · ')}`
+      },
+      accessory: {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Done",
+          emoji: true
+        },
+        value: String(task.id),
+        action_id: "task_complete"
+      }
+    });
+  });
+
+  if (tasks.length > MAX_HOME_TASKS) {
+    blocks.push(buildNote(`_Showing ${MAX_HOME_TASKS} of ${tasks.length}. See them all with \`/task list\`._`));
+  }
+
+  return blocks;
+}
+
+/**
+ * Build the upcoming reminders part of the dashboard
+ * @param {Array} reminders - The user's reminders that haven't fired yet
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array} - Blocks
+ */
+function buildReminderBlocks(reminders, timeZone) {
+  const blocks = [buildHeading('⏰ Upcoming reminders', reminders.length)];
+
+  if (reminders.length === 0) {
+    blocks.push(buildNote('No reminders coming up. Set one with the button above or `/reminder`.'));
+    return blocks;
+  }
+
+  const lines = reminders.slice(0, MAX_HOME_REMINDERS).map(reminder =>
+    `• ${reminder.content} — ${formatInTimeZone(reminder.reminder_time, timeZone)}${reminder.recurrence ? ' 🔁' : ''}`);
+
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: lines.join('\n')
+    }
+  });
+
+  if (reminders.length > MAX_HOME_REMINDERS) {
+    blocks.push(buildNote(`_Showing the next ${MAX_HOME_REMINDERS} of ${reminders.length}. See them all with \`/reminder list\`._`));
+  }
+
+  return blocks;
+}
+
+/**
+ * Build the "milestones you own that are due soon" part of the dashboard
+ * @param {Array} milestones - The user's unfinished milestones that have a due date
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array} - Blocks
+ */
+function buildMilestoneBlocks(milestones, timeZone) {
+  const now = new Date();
+  const dueSoon = milestones.filter(milestone => new Date(milestone.due_date) - now < MILESTONE_WINDOW_DAYS * DAY_MS);
+  const blocks = [buildHeading(`🏁 Your milestones due in the next ${MILESTONE_WINDOW_DAYS} days`, dueSoon.length)];
+
+  if (dueSoon.length === 0) {
+    blocks.push(buildNote('None of your milestones are due soon.'));
+    return blocks;
+  }
+
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: dueSoon.map(milestone => {
+        const { state, reason } = classifyMilestone(milestone, 0, now);
+        return `${MILESTONE_STATE_ICONS[state] || '⚪'} *#${milestone.id}: ${milestone.title}* · ` +
+               `${formatMilestoneDate(milestone.due_date, timeZone)} · 📁 ${milestone.project_id}${reason ? ` · _${reason}_` : ''}`;
+      }).join('\n')
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Work out which projects a user is part of: those of the tasks and milestones they own
+ * @param {Array} tasks - The user's tasks
+ * @param {Array} milestones - The user's milestones
+ * @returns {Array<string>} - Project IDs
+ */
+function getUserProjectIds(tasks, milestones) {
+  return [...new Set([...tasks, ...milestones].map(item => item.project_id).filter(Boolean))];
+}
+
+/**
+ * Get the latest audit run for the user's projects and the run before it in the same project
+ * A user with no projects sees the workspace's latest runs
+ * @param {string|null} teamId - Slack team ID
+ * @param {Array<string>} projectIds - The user's projects
+ * @returns {Promise<Array>} - Up to two runs, newest first
+ */
+async function listProjectAuditRuns(teamId, projectIds) {
+  const [latest] = await listAuditRuns({ teamId, projectIds: projectIds.length > 0 ? projectIds : null, limit: 1 });
+  if (!latest) return [];
+
+  // Compare like with like: the change is against the same project's previous run
+  return listAuditRuns({ teamId, projectIds: latest.project_id ? [latest.project_id] : null, limit: 2 });
+}
+
+/**
+ * Score the workspace's issues against its audit rules without storing a run
+ * Used when nobody has run /audit yet; results are cached per team for LIVE_SCORE_TTL_MS
+ * @param {string|null} teamId - Slack team ID
+ * @returns {Promise<Object|null>} - Summary from scoreAudit, or null when there's nothing to score
+ */
+async function getLiveAuditScore(teamId) {
+  const key = teamId || '';
+  const cached = liveScoreCache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.summary;
+  }
+
+  const issues = await listAuditIssues();
+  // A failed query isn't cached, so the next refresh tries again
+  if (!issues) return null;
+
+  const settings = teamId ? await getWorkspaceSettings(teamId) : null;
+  const results = runAuditRules(issues, settings?.audit_rules);
+  const summary = issues.length > 0 && results.length > 0 ? scoreAudit(issues, results) : null;
+
+  liveScoreCache.set(key, { summary, expires: Date.now() + LIVE_SCORE_TTL_MS });
+  return summary;
+}
+
+/**
+ * Build the audit part of the dashboard: the latest completeness score and how it moved
+ * Falls back to a live score when no run has been stored
+ * @param {Array} runs - The latest audit runs, newest first
+ * @param {Object|null} liveScore - Summary from getLiveAuditScore, used when runs is empty
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array} - Blocks
+ */
+function buildAuditBlocks(runs, liveScore, timeZone) {
+  const [latest, previous] = runs;
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "*📊 Latest audit score*"
+      }
+    }
+  ];
+
+  if (!latest && liveScore) {
+    blocks.push(
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${liveScore.score}%* of issues complete\n` +
+                `${liveScore.issueCount - liveScore.cleanCount} of ${liveScore.issueCount} issues have gaps`
+        }
+      },
+      buildNote('Scored from the current roadmap data. Run `/audit` in a project channel to track how it changes.')
+    );
+    return blocks;
+  }
+
+  if (!latest) {
+    blocks.push(buildNote('No audit has been scored yet. Run `/audit` in a project channel to check your roadmap data.'));
+    return blocks;
+  }
+
+  const change = formatScoreChange(latest.score, previous?.score);
+  blocks.push(
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${latest.score}%* of issues complete${latest.project_id ? ` in 📁 ${latest.project_id}` : ''}${change ? ` · ${change} since the previous run` : ''}\n` +
+              `${latest.issue_count - latest.clean_count} of ${latest.issue_count} issues have gaps`
+      }
+    },
+    buildNote(`Run ${formatInTimeZone(latest.created_at, timeZone)}. See workspaces and pillars with \`/audit trend\`.`)
+  );
+
+  return blocks;
+}
+
+/**
+ * Find the team a user belongs to, for refreshes that don't come with one
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @returns {Promise<string|null>} - Slack team ID
+ */
+async function getUserTeamId(userId, client) {
+  if (userTeamCache.has(userId)) {
+    return userTeamCache.get(userId);
+  }
+
+  try {
+    const response = await client.users.info({ user: userId });
+    const teamId = response.user?.team_id || null;
+    if (teamId) userTeamCache.set(userId, teamId);
+    return teamId;
+  } catch (error) {
+    console.error(`Error looking up team for ${userId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build a user's Home tab
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {string|null} teamId - Slack team ID
+ * @returns {Promise<Object>} - Home view
+ */
+async function buildHomeView(userId, client, teamId) {
+  const [timeZone, tasks, dependencies, reminders, milestones] = await Promise.all([
+    getUserTimeZone(userId, client),
+    listTasks({ owner: userId }),
+    getTaskDependencies(),
+    getActiveReminders(userId, { upcomingOnly: true }),
+    getDueMilestones(userId)
+  ]);
+  const auditRuns = await listProjectAuditRuns(teamId, getUserProjectIds(tasks, milestones));
+  const liveScore = auditRuns.length === 0 ? await getLiveAuditScore(teamId) : null;
+
+  return {
+    type: "home",
+    blocks: [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: "🏠 Your dashboard",
+          emoji: true
+        }
+      },
+      {
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "➕ New task",
+              emoji: true
+            },
+            style: "primary",
+            action_id: "open_task_modal"
+          },
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "⏰ New reminder",
+              emoji: true
+            },
+            action_id: "open_reminder_modal"
+          }
+        ]
+      },
+      buildNote(`Updated ${formatInTimeZone(new Date(), timeZone)}`),
+      { type: "divider" },
+      ...buildTaskBlocks(tasks, dependencies, timeZone),
+      { type: "divider" },
+      ...buildReminderBlocks(reminders, timeZone),
+      { type: "divider" },
+      ...buildMilestoneBlocks(milestones, timeZone),
+      { type: "divider" },
+      ...buildAuditBlocks(auditRuns, liveScore, timeZone)
+    ]
+  };
+}
+
+/**
+ * Publish a user's Home tab
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {string|null} teamId - Slack team ID; looked up from the user when not given
+ */
+async function publishHomeTab(userId, client, teamId = null) {
+  await client.views.publish({
+    user_id: userId,
+    view: await buildHomeView(userId, client, teamId || await getUserTeamId(userId, client))
+  });
+}
+
+/**
+ * Republish the Home tab of everyone affected by a change
+ * A failed refresh is logged rather than failing the change that caused it
+ * @param {Array<string|null>} userIds - Slack user IDs; duplicates and empty values are skipped
+ * @param {Object} client - Slack client
+ */
+async function refreshHomeTabs(userIds, client) {
+  const unique = [...new Set(userIds.filter(Boolean))];
+
+  for (const userId of unique) {
+    try {
+      await publishHomeTab(userId, client);
+    } catch (error) {
+      console.error(`Error refreshing Home tab for ${userId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Handle the app_home_opened event by publishing the user's dashboard
+ * @param {Object} params - Event parameters
+ */
+async function handleAppHomeOpened({ event, body, client }) {
+  // The Messages tab fires this event too
+  if (event.tab !== 'home') return;
+
+  try {
+    await publishHomeTab(event.user, client, body?.team_id || null);
+  } catch (error) {
+    console.error('Error publishing Home tab:', error);
+  }
+}
+
+module.exports = {
+  publishHomeTab,
+  refreshHomeTabs,
+  handleAppHomeOpened
+};
@@ -1,20 +1,97 @@
 // index.js - Central export point for all command handlers
 
 const { handleDraftCommand } = require('./draft');
-const { handleAuditCommand } = require('./audit');
-const { handleReminderCommand, handleDeleteReminderAction } = require('./reminder');
+const {
+  handleAuditCommand,
+  handleAuditScopeAction,
+  handleAuditScopeOptions,
+  handleAuditFixAction,
+  handleAuditFixSuggestAction,
+  handleAuditFixSubmission
+} = require('./audit');
+const {
+  handleReminderCommand,
+  handleDeleteReminderAction,
+  handleReminderDoneAction,
+  handleReminderSnoozeAction,
+  handleRescheduleReminderAction,
+  handleRescheduleReminderSubmission,
+  handleEditReminderAction,
+  handleEditReminderSubmission,
+  handleOpenReminderModalAction,
+  handleCreateReminderSubmission,
+  handleShiftReminderAction,
+  handleCalendarImport
+} = require('./reminder');
 const { handleDescribeCommand } = require('./describe');
-const { handleTaskCommand } = require('./task');
+const {
+  handleTaskCommand,
+  handleCompleteTaskAction,
+  handleOpenTaskModalAction,
+  handleCreateTaskSubmission
+} = require('./task');
+const { handleMilestoneCommand } = require('./milestone');
+const { handleProjectCommand } = require('./project');
+const { handleSprintCommand } = require('./sprint');
+const {
+  handleStandupCommand,
+  handleStandupConfigureSubmission,
+  handleStandupAnswerAction,
+  handleStandupAnswerSubmission
+} = require('./standup');
+const { handleWorkloadCommand } = require('./workload');
+const {
+  handleRetroCommand,
+  handleRetroAddEntryAction,
+  handleRetroEntrySubmission,
+  handleRetroVoteAction,
+  handleRetroAddActionAction,
+  handleRetroActionSubmission
+} = require('./retro');
+const { handleAppHomeOpened } = require('./home');
 const { handleConvoCommand } = require('./convo');
 const { handleDirectMessage, handleAppMention } = require('./messages');
 
 module.exports = {
   handleDraftCommand,
   handleAuditCommand,
+  handleAuditScopeAction,
+  handleAuditScopeOptions,
+  handleAuditFixAction,
+  handleAuditFixSuggestAction,
+  handleAuditFixSubmission,
   handleReminderCommand,
   handleDeleteReminderAction,
+  handleReminderDoneAction,
+  handleReminderSnoozeAction,
+  handleRescheduleReminderAction,
+  handleRescheduleReminderSubmission,
+  handleEditReminderAction,
+  handleEditReminderSubmission,
+  handleOpenReminderModalAction,
+  handleCreateReminderSubmission,
+  handleShiftReminderAction,
+  handleCalendarImport,
   handleDescribeCommand,
   handleTaskCommand,
+  handleCompleteTaskAction,
+  handleOpenTaskModalAction,
+  handleCreateTaskSubmission,
+  handleMilestoneCommand,
+  handleProjectCommand,
+  handleSprintCommand,
+  handleStandupCommand,
+  handleStandupConfigureSubmission,
+  handleStandupAnswerAction,
+  handleStandupAnswerSubmission,
+  handleWorkloadCommand,
+  handleRetroCommand,
+  handleRetroAddEntryAction,
+  handleRetroEntrySubmission,
+  handleRetroVoteAction,
+  handleRetroAddActionAction,
+  handleRetroActionSubmission,
+  handleAppHomeOpened,
   handleConvoCommand,
   handleDirectMessage,
   handleAppMention
@@ -0,0 +1,746 @@
+// milestone.js - Handler for /milestone slash command
+const { parseDateTime } = require('../utils/dateParser');
+const {
+  DEFAULT_PROJECT_ID,
+  parseProjectOption,
+  resolveProjectId,
+  assertProjectActive
+} = require('../utils/projects');
+const {
+  MILESTONE_STATUSES,
+  normalizeMilestoneStatus,
+  isMilestoneDone,
+  classifyMilestone,
+  formatMilestoneDate
+} = require('../utils/milestones');
+const {
+  toWallClock,
+  fromWallClock,
+  getUserTimeZone
+} = require('../utils/timezone');
+const {
+  createMilestone,
+  getMilestone,
+  listMilestones,
+  updateMilestone,
+  slipMilestone,
+  getMilestoneSlips
+} = require('../utils/database');
+const { renderGanttSvg, uploadChart } = require('../utils/charts');
+const { refreshHomeTabs } = require('./home');
+
+// Slack user mention, e.g. <@U123ABC> or <@U123ABC|alice>
+const USER_MENTION_PATTERN = /<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/;
+
+// Most milestones listed under one heading, so a section stays under Slack's text limit
+const MAX_PER_GROUP = 15;
+
+// Most slips shown by /milestone history
+const MAX_HISTORY_ENTRIES = 20;
+
+// Most milestones drawn on a timeline, so the chart stays readable
+const MAX_TIMELINE_ROWS = 40;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Overview headings, in the order they're shown
+const OVERVIEW_GROUPS = [
+  { state: 'overdue', label: '🔴 Overdue' },
+  { state: 'at_risk', label: '🟡 At risk' },
+  { state: 'on_track', label: '🟢 On track' }
+];
+
+const STATUS_LABELS = {
+  planned: '⚪ Planned',
+  in_progress: '🔵 In progress',
+  at_risk: '🟡 At risk',
+  done: '✅ Done',
+  completed: '✅ Done'
+};
+
+/**
+ * Describe how far a date moved, e.g. "+5 days" or "-2 days"
+ * @param {Date|string|null} from - Old date
+ * @param {Date|string} to - New date
+ * @returns {string}
+ */
+function formatSlipDays(from, to) {
+  if (!from) return 'first date set';
+
+  const days = Math.round((new Date(to) - new Date(from)) / DAY_MS);
+  return `${days >= 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'}`;
+}
+
+/**
+ * Parse a date in the user's time zone, e.g. "July 1", "next Friday" or "2025-07-01"
+ * @param {string} text - Date text
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null}
+ */
+function parseMilestoneDate(text, timeZone) {
+  const parsed = parseDateTime(text, toWallClock(new Date(), timeZone));
+  return parsed ? fromWallClock(parsed.time, timeZone) : null;
+}
+
+/**
+ * Load a milestone by the ID the user typed, throwing a readable error if it doesn't exist
+ * @param {string} idText - ID text, e.g. "3" or "#3"
+ * @returns {Promise<Object>} - Milestone row
+ */
+async function findMilestone(idText) {
+  const match = (idText || '').trim().match(/^#?(\d+)$/);
+  if (!match) {
+    throw new Error(`"${idText || ''}" isn't a milestone ID. Use the number shown in \`/milestone list\`, e.g. \`#3\`.`);
+  }
+
+  const milestone = await getMilestone(parseInt(match[1], 10));
+  if (!milestone) {
+    throw new Error(`I couldn't find milestone #${match[1]}.`);
+  }
+
+  return milestone;
+}
+
+/**
+ * Respond with a milestone and a one-line summary of what happened to it
+ * @param {Function} respond - Slack respond function
+ * @param {string} headline - e.g. "🏁 Added milestone"
+ * @param {Object} milestone - Milestone row
+ * @param {string} timeZone - IANA time zone
+ */
+async function respondWithMilestone(respond, headline, milestone, timeZone) {
+  await respond({
+    response_type: 'ephemeral',
+    text: `${headline} #${milestone.id}: ${milestone.title}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${headline} *#${milestone.id}: ${milestone.title}*${milestone.description ? `\n${milestone.description}` : ''}`
+        }
+      },
+      {
+        type: "section",
+        fields: [
+          {
+            type: "mrkdwn",
+            text: `*Owner:*\n${milestone.owner ? `<@${milestone.owner}>` : 'Unassigned'}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Due:*\n${formatMilestoneDate(milestone.due_date, timeZone)}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Project:*\n${milestone.project_id}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Status:*\n${STATUS_LABELS[milestone.status] || milestone.status}`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Add a milestone: /milestone add <title> [@owner] [due <date>] [project:<id>]
+ * Without a project the milestone goes in the channel's linked project
+ * @param {string} text - Text after "add"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function addMilestoneCommand(text, userId, client, respond, channelId) {
+  const timeZone = await getUserTimeZone(userId, client);
+  let remaining = text;
+  let owner = userId;
+  let dueDate = null;
+  let match;
+
+  // The mention goes first so a trailing "project <id>" can come before it
+  if ((match = remaining.match(USER_MENTION_PATTERN))) {
+    owner = match[1];
+    remaining = remaining.replace(match[0], ' ');
+  }
+
+  let projectId;
+  ({ projectId, text: remaining } = parseProjectOption(remaining));
+
+  if ((match = remaining.match(/\bdue\s+(?!.*\bdue\s)(.+)$/i))) {
+    dueDate = parseMilestoneDate(match[1], timeZone);
+    if (!dueDate) {
+      await respond({
+        response_type: 'ephemeral',
+        text: `I couldn't understand the due date "${match[1].trim()}". Try something like "due July 1" or "due 2025-07-01".`
+      });
+      return;
+    }
+    remaining = remaining.replace(match[0], ' ');
+  }
+
+  const title = remaining.replace(/\s{2,}/g, ' ').trim();
+  if (!title) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Please give the milestone a title, e.g. `/milestone add Beta launch due July 1 project web`'
+    });
+    return;
+  }
+
+  projectId = await resolveProjectId(projectId, channelId);
+  await assertProjectActive(projectId);
+
+  const milestone = await createMilestone({
+    projectId,
+    title,
+    dueDate,
+    owner
+  });
+
+  if (!milestone) {
+    throw new Error('Could not save the milestone to the database');
+  }
+
+  await respondWithMilestone(respond, '🏁 Added milestone', milestone, timeZone);
+  await refreshHomeTabs([milestone.owner], client);
+}
+
+/**
+ * Show a status overview: /milestone list [project:<id>|all]
+ * Milestones are grouped into overdue, at risk and on track
+ * @param {string} text - Text after "list"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function listMilestonesCommand(text, userId, client, respond, channelId) {
+  const everyProject = /\ball\b/i.test(text);
+  const projectId = everyProject ? null : await resolveProjectId(parseProjectOption(text).projectId, channelId);
+
+  const [milestones, slips, timeZone] = await Promise.all([
+    listMilestones(projectId),
+    getMilestoneSlips({ projectId }),
+    getUserTimeZone(userId, client)
+  ]);
+  const scope = projectId || 'all projects';
+
+  if (milestones.length === 0) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `There are no milestones in ${scope} yet. Add one with \`/milestone add <title> due <date>${projectId ? ` project ${projectId}` : ''}\`.`
+    });
+    return;
+  }
+
+  const slipCounts = new Map();
+  slips.forEach(slip => slipCounts.set(slip.milestone_id, (slipCounts.get(slip.milestone_id) || 0) + 1));
+
+  const now = new Date();
+  const groups = new Map([['done', []], ...OVERVIEW_GROUPS.map(group => [group.state, []])]);
+  milestones.forEach(milestone => {
+    const { state, reason } = classifyMilestone(milestone, slipCounts.get(milestone.id) || 0, now);
+    groups.get(state).push({ milestone, reason });
+  });
+
+  const counts = OVERVIEW_GROUPS.map(group => `${group.label} ${groups.get(group.state).length}`);
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Milestones in ${scope}*\n${counts.join('   ')}   ✅ Done ${groups.get('done').length}`
+      }
+    }
+  ];
+
+  OVERVIEW_GROUPS.forEach(group => {
+    const entries = groups.get(group.state);
+    if (entries.length === 0) return;
+
+    const lines = entries.slice(0, MAX_PER_GROUP).map(({ milestone, reason }) => {
+      const details = [
+        formatMilestoneDate(milestone.due_date, timeZone),
+        milestone.owner ? `<@${milestone.owner}>` : 'Unassigned',
+        projectId ? null : `📁 ${milestone.project_id}`,
+        reason ? `_${reason}_` : null
+      ].filter(Boolean);
+
+      return `• *#${milestone.id}: ${milestone.title}* · ${details.join(' · ')}`;
+    });
+
+    if (entries.length > MAX_PER_GROUP) {
+      lines.push(`_…and ${entries.length - MAX_PER_GROUP} more_`);
+    }
+
+    blocks.push({ type: "divider" });
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${group.label}*\n${lines.join('\n')}`
+      }
+    });
+  });
+
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `Dates shown in ${timeZone} · \`/milestone slip <id> to <date> because <reason>\` to move a date · \`/milestone history\` for slippage`
+      }
+    ]
+  });
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Milestones in ${scope}: ${counts.join(', ')}`,
+    blocks
+  });
+}
+
+/**
+ * Change one field of a milestone: /milestone update <id> title|description|status|owner|project|due <value>
+ * Only a milestone without a due date can get one here; moving a date is a slip
+ * @param {string} text - Text after "update"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function updateMilestoneCommand(text, userId, client, respond) {
+  const match = text.match(/^(\S+)\s+(\S+)\s*([\s\S]*)$/);
+  const usage = 'Usage: `/milestone update <id> title|description|status|owner|project|due <value>`, e.g. `/milestone update 3 status in progress`';
+
+  if (!match) {
+    await respond({ response_type: 'ephemeral', text: usage });
+    return;
+  }
+
+  const [, idText, fieldText, rawValue] = match;
+  const field = fieldText.toLowerCase();
+  const value = rawValue.trim();
+  const timeZone = await getUserTimeZone(userId, client);
+  const milestone = await findMilestone(idText);
+  const changes = {};
+
+  switch (field) {
+    case 'title':
+    case 'project':
+      if (!value) {
+        await respond({ response_type: 'ephemeral', text: `Please give a new ${field}.` });
+        return;
+      }
+      if (field === 'project') {
+        await assertProjectActive(value.toLowerCase());
+        changes.project_id = value.toLowerCase();
+      } else {
+        changes.title = value;
+      }
+      break;
+    case 'description':
+      changes.description = value || null;
+      break;
+    case 'status':
+      changes.status = normalizeMilestoneStatus(value);
+      if (!changes.status) {
+        await respond({
+          response_type: 'ephemeral',
+          text: `Unknown status "${value}". Use one of: ${MILESTONE_STATUSES.join(', ')}`
+        });
+        return;
+      }
+      break;
+    case 'owner': {
+      const mention = value.match(USER_MENTION_PATTERN);
+      if (!mention) {
+        await respond({ response_type: 'ephemeral', text: 'Please mention the new owner, e.g. `/milestone update 3 owner @alice`' });
+        return;
+      }
+      changes.owner = mention[1];
+      break;
+    }
+    case 'due':
+      if (milestone.due_date) {
+        await respond({
+          response_type: 'ephemeral',
+          text: `#${milestone.id} is already due ${formatMilestoneDate(milestone.due_date, timeZone)}. ` +
+                `Use \`/milestone slip ${milestone.id} to <date> because <reason>\` so the change is logged.`
+        });
+        return;
+      }
+      changes.due_date = parseMilestoneDate(value, timeZone);
+      if (!changes.due_date) {
+        await respond({
+          response_type: 'ephemeral',
+          text: `I couldn't understand the date "${value}". Try something like "July 1" or "2025-07-01".`
+        });
+        return;
+      }
+      break;
+    default:
+      await respond({ response_type: 'ephemeral', text: usage });
+      return;
+  }
+
+  const updated = await updateMilestone(milestone.id, changes);
+  if (!updated) {
+    throw new Error('Could not update the milestone in the database');
+  }
+
+  await respondWithMilestone(respond, '✏️ Updated', updated, timeZone);
+  await refreshHomeTabs([milestone.owner, updated.owner], client);
+}
+
+/**
+ * Mark a milestone as reached: /milestone done <id>
+ * @param {string} text - Text after "done"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function completeMilestoneCommand(text, userId, client, respond) {
+  const milestone = await findMilestone(text);
+
+  if (isMilestoneDone(milestone)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `Milestone #${milestone.id} is already done.`
+    });
+    return;
+  }
+
+  const updated = await updateMilestone(milestone.id, { status: 'done' });
+  if (!updated) {
+    throw new Error('Could not update the milestone in the database');
+  }
+
+  await respondWithMilestone(respond, '🎉 Reached milestone', updated, await getUserTimeZone(userId, client));
+  await refreshHomeTabs([updated.owner], client);
+}
+
+/**
+ * Move a milestone's due date and log why: /milestone slip <id> [to] <date> because <reason>
+ * The slip is posted in the channel so the team sees it
+ * @param {string} text - Text after "slip"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function slipMilestoneCommand(text, userId, client, respond) {
+  const match = text.match(/^(\S+)\s+(?:to\s+)?(.+?)\s+(?:because|reason:?|due to)\s+(.+)$/i);
+  if (!match) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Usage: `/milestone slip <id> to <date> because <reason>`, e.g. `/milestone slip 3 to July 15 because the vendor API is late`. A reason is required so slippage can be reported.'
+    });
+    return;
+  }
+
+  const [, idText, dateText, reason] = match;
+  const timeZone = await getUserTimeZone(userId, client);
+  const milestone = await findMilestone(idText);
+
+  if (isMilestoneDone(milestone)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `Milestone #${milestone.id} is already done, so its date can't slip.`
+    });
+    return;
+  }
+
+  const newDueDate = parseMilestoneDate(dateText, timeZone);
+  if (!newDueDate) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `I couldn't understand the date "${dateText}". Try something like "July 15" or "2025-07-15".`
+    });
+    return;
+  }
+  if (milestone.due_date && new Date(milestone.due_date).getTime() === newDueDate.getTime()) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `#${milestone.id} is already due ${formatMilestoneDate(newDueDate, timeZone)}.`
+    });
+    return;
+  }
+
+  const updated = await slipMilestone(milestone.id, { newDueDate, changedBy: userId, reason: reason.trim() });
+  if (!updated) {
+    throw new Error('Could not update the milestone in the database');
+  }
+
+  const slipCount = (await getMilestoneSlips({ milestoneId: milestone.id })).length;
+
+  await respond({
+    response_type: 'in_channel',
+    text: `📉 <@${userId}> moved #${milestone.id}: ${milestone.title} to ${formatMilestoneDate(newDueDate, timeZone)}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `📉 <@${userId}> moved *#${milestone.id}: ${milestone.title}* ` +
+                `from ${formatMilestoneDate(milestone.due_date, timeZone)} to *${formatMilestoneDate(newDueDate, timeZone)}* ` +
+                `(${formatSlipDays(milestone.due_date, newDueDate)})`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Reason: ${reason.trim()} · 📁 ${milestone.project_id} · ${slipCount === 1 ? 'First slip' : `Slip ${slipCount}`} for this milestone`
+          }
+        ]
+      }
+    ]
+  });
+  await refreshHomeTabs([updated.owner], client);
+}
+
+/**
+ * Report slippage: /milestone history [<id>|project:<id>|all]
+ * @param {string} text - Text after "history"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function milestoneHistoryCommand(text, userId, client, respond, channelId) {
+  const idText = text.trim().match(/^#?\d+$/) ? text.trim() : null;
+  const milestone = idText ? await findMilestone(idText) : null;
+  const projectId = (milestone || /\ball\b/i.test(text)) ? null : await resolveProjectId(parseProjectOption(text).projectId, channelId);
+
+  const [slips, timeZone] = await Promise.all([
+    getMilestoneSlips({ milestoneId: milestone ? milestone.id : null, projectId }),
+    getUserTimeZone(userId, client)
+  ]);
+  const scope = milestone ? `#${milestone.id}: ${milestone.title}` : (projectId || 'all projects');
+
+  if (slips.length === 0) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `No date changes have been logged for ${scope}.`
+    });
+    return;
+  }
+
+  const totalDays = slips.reduce((sum, slip) =>
+    sum + (slip.old_due_date ? Math.round((new Date(slip.new_due_date) - new Date(slip.old_due_date)) / DAY_MS) : 0), 0);
+  const slippedMilestones = new Set(slips.map(slip => slip.milestone_id)).size;
+
+  const lines = slips.slice(0, MAX_HISTORY_ENTRIES).map(slip =>
+    `• ${formatMilestoneDate(slip.created_at, timeZone)}: ${milestone ? '' : `*#${slip.milestone_id}: ${slip.milestone_title}* `}` +
+    `${formatMilestoneDate(slip.old_due_date, timeZone)} → ${formatMilestoneDate(slip.new_due_date, timeZone)} ` +
+    `(${formatSlipDays(slip.old_due_date, slip.new_due_date)}) by <@${slip.changed_by}>` +
+    `${slip.reason ? ` · _${slip.reason}_` : ''}`);
+
+  if (slips.length > MAX_HISTORY_ENTRIES) {
+    lines.push(`_…and ${slips.length - MAX_HISTORY_ENTRIES} earlier changes_`);
+  }
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Slippage history for ${scope}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Slippage history for ${scope}*\n` +
+                `${slips.length} date change${slips.length === 1 ? '' : 's'}` +
+                `${milestone ? '' : ` across ${slippedMilestones} milestone${slippedMilestones === 1 ? '' : 's'}`}, ` +
+                `${totalDays >= 0 ? '+' : ''}${totalDays} days in total`
+        }
+      },
+      {
+        type: "divider"
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: lines.join('\n')
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Post a Gantt chart of milestones in the channel: /milestone timeline [project:<id>|all]
+ * Bars run from when each milestone was added to its due date; slipped dates are highlighted
+ * @param {string} text - Text after "timeline"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function milestoneTimelineCommand(text, userId, client, respond, channelId) {
+  const everyProject = /\ball\b/i.test(text);
+  const projectId = everyProject ? null : await resolveProjectId(parseProjectOption(text).projectId, channelId);
+
+  const [milestones, slips, timeZone] = await Promise.all([
+    listMilestones(projectId),
+    getMilestoneSlips({ projectId }),
+    getUserTimeZone(userId, client)
+  ]);
+  const scope = projectId || 'all projects';
+  const dated = milestones
+    .filter(milestone => milestone.due_date)
+    .sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+
+  if (dated.length === 0) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `There are no milestones with due dates in ${scope} to chart. Add one with \`/milestone add <title> due <date>\`.`
+    });
+    return;
+  }
+
+  const now = new Date();
+  const slipsByMilestone = new Map();
+  slips.forEach(slip => {
+    if (!slipsByMilestone.has(slip.milestone_id)) slipsByMilestone.set(slip.milestone_id, []);
+    slipsByMilestone.get(slip.milestone_id).push(slip);
+  });
+
+  const rows = dated.slice(0, MAX_TIMELINE_ROWS).map(milestone => {
+    const milestoneSlips = slipsByMilestone.get(milestone.id) || [];
+    const due = new Date(milestone.due_date);
+    const previousDueDates = milestoneSlips
+      .filter(slip => slip.old_due_date)
+      .map(slip => new Date(slip.old_due_date));
+    const { state } = classifyMilestone(milestone, milestoneSlips.length, now);
+    const slipDays = previousDueDates.length > 0 ?
+      formatSlipDays(new Date(Math.min(...previousDueDates.map(date => date.getTime()))), due) :
+      null;
+
+    return {
+      label: `#${milestone.id} ${milestone.title}${projectId ? '' : ` (${milestone.project_id})`}`,
+      start: milestone.created_at ? new Date(milestone.created_at) : due,
+      due,
+      state,
+      previousDueDates,
+      note: slipDays ? `slipped ${previousDueDates.length}× (${slipDays})` : formatMilestoneDate(due, timeZone).replace(/^\w+, /, '')
+    };
+  });
+
+  const svg = renderGanttSvg({
+    title: `Milestone timeline: ${scope}`,
+    rows,
+    timeZone,
+    now
+  });
+
+  try {
+    await uploadChart(client, {
+      channelId,
+      svg,
+      name: `timeline-${projectId || 'all'}`,
+      title: `Milestone timeline: ${scope}`,
+      comment: `🗓️ <@${userId}> Milestone timeline for *${scope}*` +
+               `${dated.length > MAX_TIMELINE_ROWS ? ` (first ${MAX_TIMELINE_ROWS} of ${dated.length} by due date)` : ''}`
+    });
+  } catch (error) {
+    console.error('Error uploading milestone timeline:', error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `I couldn't post the timeline here (${error.data?.error || error.message}). If I'm not in this channel, invite me and try again.`
+    });
+  }
+}
+
+/**
+ * Show the /milestone subcommands
+ * @param {Function} respond - Slack respond function
+ */
+async function showMilestoneHelp(respond) {
+  await respond({
+    response_type: 'ephemeral',
+    text: "Available milestone commands: add, list, update, done, slip, history, timeline",
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Milestone commands*\n" +
+                "• `/milestone add <title> [@owner] [due <date>] [project:<id>]`\n" +
+                "• `/milestone list [project:<id>|all]` – overdue, at risk and on track milestones\n" +
+                "• `/milestone update <id> title|description|status|owner|project <value>`\n" +
+                "• `/milestone done <id>`\n" +
+                "• `/milestone slip <id> to <date> because <reason>` – move a date and log why\n" +
+                "• `/milestone history [<id>|project:<id>|all]` – every logged date change\n" +
+                "• `/milestone timeline [project:<id>|all]` – post a Gantt chart with today and slipped dates marked"
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Statuses: ${MILESTONE_STATUSES.join(', ')} · Milestones without a project go in the channel's project (see \`/project link-channel\`), or *${DEFAULT_PROJECT_ID}*`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Handle the /milestone slash command
+ * @param {Object} params - Parameters from Slack
+ */
+async function handleMilestoneCommand({ command, respond, client }) {
+  const userId = command.user_id;
+  const text = (command.text || '').trim();
+  const [action = '', ...rest] = text.split(/\s+/);
+  const args = rest.join(' ');
+
+  try {
+    switch (action.toLowerCase()) {
+      case 'add':
+      case 'create':
+        await addMilestoneCommand(args, userId, client, respond, command.channel_id);
+        break;
+      case 'list':
+        await listMilestonesCommand(args, userId, client, respond, command.channel_id);
+        break;
+      case 'update':
+      case 'edit':
+        await updateMilestoneCommand(args, userId, client, respond);
+        break;
+      case 'done':
+      case 'complete':
+        await completeMilestoneCommand(args, userId, client, respond);
+        break;
+      case 'slip':
+        await slipMilestoneCommand(args, userId, client, respond);
+        break;
+      case 'history':
+        await milestoneHistoryCommand(args, userId, client, respond, command.channel_id);
+        break;
+      case 'timeline':
+      case 'gantt':
+        await milestoneTimelineCommand(args, userId, client, respond, command.channel_id);
+        break;
+      default:
+        await showMilestoneHelp(respond);
+    }
+  } catch (error) {
+    console.error('Error handling /milestone command:', error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `Sorry, I encountered an error with your milestone: ${error.message}`
+    });
+  }
+}
+
+module.exports = {
+  handleMilestoneCommand
+};
@@ -0,0 +1,410 @@
+// project.js - Handler for /project slash command
+const {
+  DEFAULT_PROJECT_ID,
+  PROJECT_KEY_PATTERN,
+  resolveProjectId
+} = require('../utils/projects');
+const { isMilestoneDone, classifyMilestone, formatMilestoneDate } = require('../utils/milestones');
+const { getUserTimeZone } = require('../utils/timezone');
+const {
+  getRoadmapData,
+  listRoadmapProjects,
+  updateRoadmapData,
+  linkChannelProject,
+  unlinkChannelProject,
+  unlinkProjectChannels,
+  getChannelProject,
+  getProjectChannels,
+  listMilestones,
+  getMilestoneSlips,
+  listTasks
+} = require('../utils/database');
+
+// Slack channel mention, e.g. <#C123ABC> or <#C123ABC|general>
+const CHANNEL_MENTION_PATTERN = /<#([CG][A-Z0-9]+)(?:\|[^>]*)?>/;
+
+// Most projects listed at once, so the list stays under Slack's text limit
+const MAX_LISTED_PROJECTS = 40;
+
+/**
+ * Load a project by key, throwing a readable error if it doesn't exist
+ * @param {string} projectId - Project key
+ * @returns {Promise<Object>} - Roadmap row
+ */
+async function findProject(projectId) {
+  const project = projectId ? await getRoadmapData(projectId.toLowerCase()) : null;
+  if (!project) {
+    throw new Error(`I couldn't find project "${projectId || ''}". See \`/project list\` for the project keys.`);
+  }
+
+  return project;
+}
+
+/**
+ * Create a project: /project create <key> <name> [| description]
+ * @param {string} text - Text after "create"
+ * @param {Object} command - Slash command payload
+ * @param {Function} respond - Slack respond function
+ */
+async function createProjectCommand(text, command, respond) {
+  const match = text.match(/^(\S+)\s*([^|]*?)\s*(?:\|\s*([\s\S]*))?$/);
+  const key = match ? match[1].toLowerCase() : '';
+
+  if (!match || !PROJECT_KEY_PATTERN.test(key)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Usage: `/project create <key> <name> [| description]`, e.g. `/project create web Website relaunch | New marketing site by Q3`. ' +
+            'Keys use lowercase letters, numbers, - and _.'
+    });
+    return;
+  }
+
+  if (await getRoadmapData(key)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `There's already a project called *${key}*. See it with \`/project show ${key}\`.`
+    });
+    return;
+  }
+
+  const data = {
+    name: match[2] || key,
+    description: match[3] ? match[3].trim() : null,
+    status: 'active',
+    team_id: command.team_id,
+    created_by: command.user_id
+  };
+
+  const project = await updateRoadmapData(key, data);
+  if (!project) {
+    throw new Error('Could not save the project to the database');
+  }
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `📁 Created project ${data.name} (${key})`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `📁 Created project *${data.name}* (\`${key}\`)${data.description ? `\n${data.description}` : ''}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Run \`/project link-channel ${key}\` in a channel so \`/task\`, \`/milestone\`, \`/audit\` and \`/draft\` use this project there by default.`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * List projects: /project list [all]
+ * Archived projects are only shown with "all"
+ * @param {string} text - Text after "list"
+ * @param {Object} command - Slash command payload
+ * @param {Function} respond - Slack respond function
+ */
+async function listProjectsCommand(text, command, respond) {
+  const includeArchived = /\ball\b/i.test(text);
+  const [projects, linkedProject] = await Promise.all([
+    listRoadmapProjects(),
+    getChannelProject(command.channel_id)
+  ]);
+  const shown = projects.filter(project => includeArchived || project.status !== 'archived');
+  const archivedCount = projects.length - projects.filter(project => project.status !== 'archived').length;
+
+  if (shown.length === 0) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'There are no projects yet. Create one with `/project create <key> <name>`.'
+    });
+    return;
+  }
+
+  const lines = shown.slice(0, MAX_LISTED_PROJECTS).map(project =>
+    `• *${project.name || project.project_id}* (\`${project.project_id}\`)` +
+    `${project.status === 'archived' ? ' · _archived_' : ''}` +
+    `${project.project_id === linkedProject ? ' · 📌 this channel' : ''}`);
+
+  if (shown.length > MAX_LISTED_PROJECTS) {
+    lines.push(`_…and ${shown.length - MAX_LISTED_PROJECTS} more_`);
+  }
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Projects: ${shown.map(project => project.project_id).join(', ')}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Projects*\n${lines.join('\n')}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: (linkedProject ?
+              `This channel defaults to *${linkedProject}*.` :
+              `This channel isn't linked to a project, so commands here use *${DEFAULT_PROJECT_ID}* unless you name one.`) +
+              `${!includeArchived && archivedCount > 0 ? ` · ${archivedCount} archived (\`/project list all\`)` : ''}`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Show a project's details and progress: /project show [key]
+ * Shows the channel's project when no key is given
+ * @param {string} text - Text after "show"
+ * @param {Object} command - Slash command payload
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function showProjectCommand(text, command, client, respond) {
+  const projectId = await resolveProjectId(text.trim().toLowerCase() || null, command.channel_id);
+  const project = await findProject(projectId);
+  const data = project.data || {};
+
+  const [timeZone, channels, milestones, slips, openTasks, doneTasks, overdueTasks] = await Promise.all([
+    getUserTimeZone(command.user_id, client),
+    getProjectChannels(projectId),
+    listMilestones(projectId),
+    getMilestoneSlips({ projectId }),
+    listTasks({ projectId }),
+    listTasks({ projectId, status: 'done' }),
+    listTasks({ projectId, overdue: true })
+  ]);
+
+  const slipCounts = new Map();
+  slips.forEach(slip => slipCounts.set(slip.milestone_id, (slipCounts.get(slip.milestone_id) || 0) + 1));
+
+  const now = new Date();
+  const states = { overdue: 0, at_risk: 0, on_track: 0, done: 0 };
+  milestones.forEach(milestone => {
+    states[classifyMilestone(milestone, slipCounts.get(milestone.id) || 0, now).state]++;
+  });
+  const nextMilestone = milestones.find(milestone => !isMilestoneDone(milestone) && milestone.due_date);
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Project ${data.name || projectId} (${projectId})`,
+    blocks: [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: `📁 ${data.name || projectId}`,
+          emoji: true
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `\`${projectId}\`${data.status === 'archived' ? ' · _archived_' : ''}${data.description ? `\n${data.description}` : ''}`
+        }
+      },
+      {
+        type: "section",
+        fields: [
+          {
+            type: "mrkdwn",
+            text: `*Milestones:*\n🔴 ${states.overdue} overdue · 🟡 ${states.at_risk} at risk · 🟢 ${states.on_track} on track · ✅ ${states.done} done`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Tasks:*\n${openTasks.length} open · ${overdueTasks.length} overdue · ${doneTasks.length} done`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Next milestone:*\n${nextMilestone ? `#${nextMilestone.id}: ${nextMilestone.title} (${formatMilestoneDate(nextMilestone.due_date, timeZone)})` : 'None scheduled'}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Channels:*\n${channels.length > 0 ? channels.map(channel => `<#${channel}>`).join(', ') : 'None linked'}`
+          }
+        ]
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `${data.created_by ? `Created by <@${data.created_by}> · ` : ''}\`/milestone list project ${projectId}\` · \`/task list project ${projectId}\``
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Archive a project and unlink its channels: /project archive <key>
+ * @param {string} text - Text after "archive"
+ * @param {Object} command - Slash command payload
+ * @param {Function} respond - Slack respond function
+ */
+async function archiveProjectCommand(text, command, respond) {
+  const project = await findProject(text.trim());
+  const data = project.data || {};
+
+  if (data.status === 'archived') {
+    await respond({
+      response_type: 'ephemeral',
+      text: `Project *${project.project_id}* is already archived.`
+    });
+    return;
+  }
+
+  const updated = await updateRoadmapData(project.project_id, {
+    ...data,
+    status: 'archived',
+    archived_by: command.user_id,
+    archived_at: new Date().toISOString()
+  });
+  if (!updated) {
+    throw new Error('Could not update the project in the database');
+  }
+
+  // Channels shouldn't keep adding work to an archived project
+  const unlinked = await unlinkProjectChannels(project.project_id);
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `🗄️ Archived project *${data.name || project.project_id}* (\`${project.project_id}\`).` +
+          `${unlinked.length > 0 ? ` Unlinked from ${unlinked.map(link => `<#${link.channel_id}>`).join(', ')}.` : ''}`
+  });
+}
+
+/**
+ * Make a project the default for a channel: /project link-channel <key> [#channel]
+ * "/project link-channel none" removes the link
+ * @param {string} text - Text after "link-channel"
+ * @param {Object} command - Slash command payload
+ * @param {Function} respond - Slack respond function
+ */
+async function linkChannelCommand(text, command, respond) {
+  const mention = text.match(CHANNEL_MENTION_PATTERN);
+  const channelId = mention ? mention[1] : command.channel_id;
+  const projectId = text.replace(CHANNEL_MENTION_PATTERN, ' ').trim().toLowerCase();
+
+  if (!projectId) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Usage: `/project link-channel <key> [#channel]`, or `/project link-channel none` to remove the link'
+    });
+    return;
+  }
+
+  if (projectId === 'none') {
+    const removed = await unlinkChannelProject(channelId);
+    await respond({
+      response_type: 'ephemeral',
+      text: removed ?
+        `<#${channelId}> is no longer linked to *${removed.project_id}*. Commands there use *${DEFAULT_PROJECT_ID}* unless you name a project.` :
+        `<#${channelId}> isn't linked to a project.`
+    });
+    return;
+  }
+
+  const project = await findProject(projectId);
+  const data = project.data || {};
+  if (data.status === 'archived') {
+    await respond({
+      response_type: 'ephemeral',
+      text: `Project *${project.project_id}* is archived, so it can't be linked to a channel.`
+    });
+    return;
+  }
+
+  if (!await linkChannelProject(channelId, project.project_id, command.user_id)) {
+    throw new Error('Could not save the channel link to the database');
+  }
+
+  // Posted in the channel so everyone there knows which project their commands use
+  await respond({
+    response_type: 'in_channel',
+    text: `📌 <@${command.user_id}> linked <#${channelId}> to project *${data.name || project.project_id}* (\`${project.project_id}\`). ` +
+          `\`/task\`, \`/milestone\`, \`/audit\` and \`/draft\` here now use it unless another project is named.`
+  });
+}
+
+/**
+ * Show the /project subcommands
+ * @param {Function} respond - Slack respond function
+ */
+async function showProjectHelp(respond) {
+  await respond({
+    response_type: 'ephemeral',
+    text: "Available project commands: create, list, show, archive, link-channel",
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Project commands*\n" +
+                "• `/project create <key> <name> [| description]`\n" +
+                "• `/project list [all]`\n" +
+                "• `/project show [key]` – milestones, tasks and linked channels\n" +
+                "• `/project archive <key>`\n" +
+                "• `/project link-channel <key> [#channel]` – use the project by default in a channel (`none` removes the link)"
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Handle the /project slash command
+ * @param {Object} params - Parameters from Slack
+ */
+async function handleProjectCommand({ command, respond, client }) {
+  const text = (command.text || '').trim();
+  const [action = '', ...rest] = text.split(/\s+/);
+  const args = rest.join(' ');
+
+  try {
+    switch (action.toLowerCase()) {
+      case 'create':
+        await createProjectCommand(args, command, respond);
+        break;
+      case 'list':
+        await listProjectsCommand(args, command, respond);
+        break;
+      case 'show':
+        await showProjectCommand(args, command, client, respond);
+        break;
+      case 'archive':
+        await archiveProjectCommand(args, command, respond);
+        break;
+      case 'link-channel':
+      case 'link':
+        await linkChannelCommand(args, command, respond);
+        break;
+      default:
+        await showProjectHelp(respond);
+    }
+  } catch (error) {
+    console.error('Error handling /project command:', error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `Sorry, I encountered an error with your project: ${error.message}`
+    });
+  }
+}
+
+module.exports = {
+  handleProjectCommand
+};
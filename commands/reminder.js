@@ -1,38 +1,85 @@
 // reminder.js - Handler for /reminder slash command
 const { getAIResponse } = require('../utils/ai');
-
-// Global object to store active reminders - NOTE: this won't persist in serverless
-// Consider moving this to a database
-const activeReminders = {};
-
-// Get database pool safely (for future database storage)
-function getPool() {
-  try {
-    if (global.vercelPool) {
-      console.log('Using global vercelPool in reminder command');
-      return global.vercelPool;
-    } else {
-      console.error('Global vercelPool not available');
-      throw new Error('Database connection not available');
-    }
-  } catch (error) {
-    console.error('Error accessing global pool:', error);
-    throw new Error('Database connection not available');
-  }
-}
+const { registerJob } = require('../utils/scheduler');
+const { parseDateTime } = require('../utils/dateParser');
+const { isWorkspaceAdmin } = require('../utils/permissions');
+const {
+  parseRecurrence,
+  firstOccurrence,
+  nextOccurrence,
+  describeRecurrence
+} = require('../utils/recurrence');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+  formatWallClock,
+  parseWallClock,
+  formatInTimeZone,
+  getUserTimeZone
+} = require('../utils/timezone');
+const {
+  OUT_OF_HOURS_MODES,
+  parseWorkingHours,
+  mergeCalendars,
+  isWorkingDay,
+  isWorkingTime,
+  nextWorkingTime,
+  describeWorkingHours,
+  getWorkingCalendar
+} = require('../utils/workingHours');
+const {
+  buildCalendar,
+  parseCalendar,
+  recurrenceToRRule,
+  rruleToRecurrence,
+  isExportedUid
+} = require('../utils/ical');
+const {
+  createReminder,
+  getReminder,
+  getActiveReminders,
+  markReminderDeleted,
+  markSeriesDeleted,
+  claimDueRecurringReminders,
+  releaseRecurringReminder,
+  setReminderSchedule,
+  getDueMilestones,
+  markReminderCompleted,
+  getUserPreferences,
+  updateUserPreferences,
+  getWorkspaceSettings,
+  updateWorkspaceSettings
+} = require('../utils/database');
+const { refreshHomeTabs } = require('./home');
 
 /**
- * Extract date and time information from a reminder request using AI
+ * Extract date and time information from a reminder request
+ * Repeating schedules ("every weekday at 9am") and common phrasings ("tomorrow at 3pm")
+ * are parsed locally; the AI is only asked about phrasing the local parser can't handle
  * @param {string} reminderText - The text of the reminder
- * @returns {Promise<{time: string, text: string}>}
+ * @param {string} timeZone - The user's IANA time zone, used to interpret the request
+ * @returns {Promise<{time: Date|null, text: string, recurrence: Object|null}>}
  */
-async function parseReminderDateTime(reminderText) {
+async function parseReminderDateTime(reminderText, timeZone = DEFAULT_TIME_ZONE) {
   try {
-    // Get current date and time details for smart parsing
+    // Get current date and time details for smart parsing, as the user's local time
     const now = new Date();
-    const currentDate = now.toISOString().split('T')[0];
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
+    const localNow = toWallClock(now, timeZone);
+    
+    const recurring = parseRecurrence(reminderText, localNow);
+    if (recurring) {
+      const first = firstOccurrence(recurring.rule, localNow);
+      return { time: fromWallClock(first, timeZone), text: recurring.text, recurrence: recurring.rule };
+    }
+    
+    const parsed = parseDateTime(reminderText, localNow);
+    if (parsed) {
+      return { time: fromWallClock(parsed.time, timeZone), text: parsed.text, recurrence: null };
+    }
+    
+    console.log('Local date parser could not handle the request, asking the AI');
     
     const parseResult = await getAIResponse(
       `Parse the following reminder request: "${reminderText}".\n` +
@@ -42,7 +89,7 @@ async function parseReminderDateTime(reminderText) {
       `IMPORTANT PARSING RULES:\n` +
       `1. For relative times like "tomorrow at 1pm", convert to absolute date/time.\n` +
       `2. Use 24-hour format for time (e.g., 13:00 not 1:00 PM).\n` +
-      `3. Current date and time is: ${currentDate} ${currentHour}:${currentMinute.toString().padStart(2, '0')}.\n` +
+      `3. Current date and time is: ${formatWallClock(localNow)} (${timeZone}). Return times in this same time zone.\n` +
       `4. If no specific time is mentioned, default to 9:00 AM.\n` +
       `5. For times specified for TODAY: If the time is still upcoming today (even by a few minutes), keep it for today. Only move to tomorrow if the time is significantly past (more than 1 hour ago).\n` +
       `6. If "next Monday" is mentioned and today is Monday, assume the user means NEXT week's Monday.\n` +
@@ -56,68 +103,348 @@ async function parseReminderDateTime(reminderText) {
     if (jsonMatch) {
       try {
         const parsed = JSON.parse(jsonMatch[0]);
+        let wallClock = parseWallClock(parsed.time);
         
         // Additional safeguard: If time is in the past, adjust to tomorrow
-        if (parsed.time) {
-          const reminderDate = new Date(parsed.time);
-          const now = new Date();
-          
+        if (wallClock) {
           // Only adjust if the time is more than 1 hour in the past
           // This prevents same-day reminders from being moved to tomorrow
-          const timeDiff = reminderDate.getTime() - now.getTime();
+          const timeDiff = fromWallClock(wallClock, timeZone).getTime() - now.getTime();
           if (timeDiff < -3600000) { // More than 1 hour in the past
             // Time is significantly in the past, move to tomorrow
-            reminderDate.setDate(reminderDate.getDate() + 1);
-            parsed.time = reminderDate.toISOString().split('.')[0].replace('T', ' ');
-            console.log(`Adjusted past time to tomorrow: ${parsed.time}`);
+            wallClock = new Date(wallClock.getTime() + 24 * 3600000);
+            console.log(`Adjusted past time to tomorrow: ${formatWallClock(wallClock)}`);
           }
         }
         
-        return parsed;
+        return {
+          time: wallClock ? fromWallClock(wallClock, timeZone) : null,
+          text: parsed.text || reminderText,
+          recurrence: null
+        };
       } catch (e) {
         console.error('Failed to parse reminder JSON:', e);
-        return { time: null, text: reminderText };
+        return { time: null, text: reminderText, recurrence: null };
       }
     }
-    return { time: null, text: reminderText };
+    return { time: null, text: reminderText, recurrence: null };
   } catch (error) {
     console.error('Error parsing reminder date/time:', error);
-    return { time: null, text: reminderText };
+    return { time: null, text: reminderText, recurrence: null };
   }
 }
 
 /**
- * Format a date string for display in Slack
- * @param {string} dateTimeStr - ISO date string or YYYY-MM-DD HH:MM format
+ * Format a date for display in Slack, in the user's time zone with the zone shown
+ * @param {Date|string} dateTime - Date or ISO date string
+ * @param {string} timeZone - IANA time zone
  * @returns {string} - Formatted date string
  */
-function formatDateForDisplay(dateTimeStr) {
-  if (!dateTimeStr) return 'unspecified time';
+function formatDateForDisplay(dateTime, timeZone = DEFAULT_TIME_ZONE) {
+  if (!dateTime) return 'unspecified time';
   
   try {
-    const date = new Date(dateTimeStr);
-    return date.toLocaleString('en-US', { 
-      weekday: 'long',
-      month: 'long', 
-      day: 'numeric',
-      year: 'numeric',
-      hour: 'numeric',
-      minute: 'numeric',
-      hour12: true
-    });
+    return formatInTimeZone(dateTime, timeZone);
   } catch (e) {
-    return dateTimeStr;
+    return String(dateTime);
+  }
+}
+
+/**
+ * Describe a repeating schedule for display, with the zone it repeats in
+ * @param {Object} recurrence - Recurrence rule
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+function formatRecurrenceForDisplay(recurrence, timeZone = DEFAULT_TIME_ZONE) {
+  const until = recurrence.until ?
+    ` until ${formatWallClock(toWallClock(new Date(recurrence.until), timeZone)).substring(0, 10)}` :
+    '';
+  return `${describeRecurrence(recurrence)}${until} (${timeZone})`;
+}
+
+/**
+ * Build the message a reminder posts when it fires, with Done/Snooze/Reschedule buttons
+ * @param {Object} reminder - Reminder row from the reminders table
+ * @returns {Array} - Block Kit blocks
+ */
+function buildReminderMessageBlocks(reminder) {
+  const userId = reminder.user_id;
+  const createdBy = reminder.created_by || userId;
+  const timeZone = reminder.time_zone || DEFAULT_TIME_ZONE;
+  const reminderId = String(reminder.id);
+  
+  const button = (text, actionId, style) => ({
+    type: "button",
+    text: {
+      type: "plain_text",
+      text,
+      emoji: true
+    },
+    value: reminderId,
+    action_id: actionId,
+    ...(style ? { style } : {})
+  });
+  
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `🔔 <@${userId}> *Reminder:* ${reminder.content}`
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: reminder.recurrence ?
+            `Repeats ${formatRecurrenceForDisplay(reminder.recurrence, timeZone)} · Set up by <@${createdBy}>` :
+            `Scheduled by <@${createdBy}> on ${formatDateForDisplay(reminder.created_at || new Date(), timeZone)}`
+        }
+      ]
+    },
+    {
+      type: "actions",
+      block_id: "reminder_actions",
+      elements: [
+        button("✅ Done", "reminder_done", "primary"),
+        button("Snooze 15m", "reminder_snooze_15m"),
+        button("Snooze 1h", "reminder_snooze_1h"),
+        button("Tomorrow", "reminder_snooze_tomorrow"),
+        button("Reschedule…", "reminder_reschedule")
+      ]
+    }
+  ];
+}
+
+/**
+ * Schedule the Slack message for a stored reminder with chat.scheduleMessage (works with bot tokens)
+ * @param {Object} reminder - Reminder row from the reminders table
+ * @param {Object} client - Slack client
+ * @returns {Promise<string>} - Scheduled message ID
+ */
+async function scheduleReminderMessage(reminder, client) {
+  const response = await client.chat.scheduleMessage({
+    channel: reminder.channel_id, // Send to the channel where reminder was created
+    text: `🔔 <@${reminder.user_id}> Reminder: ${reminder.content}`,
+    // Convert time to Unix timestamp (seconds)
+    post_at: Math.floor(new Date(reminder.reminder_time).getTime() / 1000),
+    blocks: buildReminderMessageBlocks(reminder)
+  });
+  
+  return response.scheduled_message_id;
+}
+
+/**
+ * Cancel a reminder's scheduled message if it hasn't been sent yet
+ * @param {Object} reminder - Reminder row from the reminders table
+ * @param {Object} client - Slack client
+ */
+async function cancelReminderMessage(reminder, client) {
+  // Only reminders that haven't fired yet still have a scheduled message to cancel
+  if (!reminder.scheduled_message_id || new Date(reminder.reminder_time) <= new Date()) return;
+  
+  try {
+    await client.chat.deleteScheduledMessage({
+      channel: reminder.channel_id,
+      scheduled_message_id: reminder.scheduled_message_id
+    });
+  } catch (slackError) {
+    // The message may already be gone (sent or removed in Slack)
+    console.warn(`Could not delete scheduled message ${reminder.scheduled_message_id}:`, slackError.message);
+  }
+}
+
+// Leading user and user group mentions, as Slack escapes them in slash commands:
+// <@U123|alice> and <!subteam^S123|@backend-team>
+const LEADING_MENTION_PATTERN = /^\s*<(@|!subteam\^)([A-Z0-9]+)(?:\|[^>]*)?>/;
+
+/**
+ * Work out who a reminder is for from the mentions at the start of its text
+ * e.g. "@alice @backend-team review the RFC Friday 2pm"
+ * @param {string} text - Reminder text
+ * @param {Object} client - Slack client
+ * @returns {Promise<{recipients: string[], mentions: string[], text: string}>}
+ *   Recipient user IDs (empty if nobody was mentioned), the mentions as typed, and the remaining text
+ */
+async function resolveRecipients(text, client) {
+  const recipients = new Set();
+  const mentions = [];
+  let remaining = text;
+  let match;
+  
+  while ((match = remaining.match(LEADING_MENTION_PATTERN))) {
+    const [mention, kind, id] = match;
+    mentions.push(mention.trim());
+    remaining = remaining.slice(mention.length);
+    
+    if (kind === '@') {
+      recipients.add(id);
+      continue;
+    }
+    
+    // Expand a user group into its current members
+    const response = await client.usergroups.users.list({ usergroup: id });
+    (response.users || []).forEach(memberId => recipients.add(memberId));
+  }
+  
+  return { recipients: [...recipients], mentions, text: remaining.trim() };
+}
+
+/**
+ * Pick where a recipient's reminder is posted: the channel it was set in, or a DM if they prefer
+ * @param {string} recipientId - Slack user ID of the person being reminded
+ * @param {string} createdBy - Slack user ID of the person who set the reminder
+ * @param {string} sourceChannel - Channel the reminder was set in
+ * @param {Object} client - Slack client
+ * @param {Object} options - viaDm forces DM delivery (`/reminder me …`)
+ * @returns {Promise<string>} - Channel ID to post to
+ */
+async function getDeliveryChannel(recipientId, createdBy, sourceChannel, client, { viaDm = false } = {}) {
+  const preferences = await getUserPreferences(recipientId);
+  
+  // Another person's DM with the bot would be the wrong place for someone else's reminder
+  const isOtherPersonsDm = recipientId !== createdBy && sourceChannel?.startsWith('D');
+  
+  if (!viaDm && preferences?.reminder_delivery !== 'dm' && !isOtherPersonsDm) {
+    return sourceChannel;
+  }
+  
+  const response = await client.conversations.open({ users: recipientId });
+  return response.channel.id;
+}
+
+/**
+ * Check whether a user may change or delete a reminder
+ * The person who set it and the person it's for both can
+ * @param {Object} reminder - Reminder row
+ * @param {string} userId - Slack user ID
+ * @returns {boolean}
+ */
+function canManageReminder(reminder, userId) {
+  return reminder.user_id === userId || (reminder.created_by || reminder.user_id) === userId;
+}
+
+/**
+ * Check a reminder time against the recipient's working hours, in their own time zone
+ * @param {string} userId - Slack user ID of the person being reminded
+ * @param {Date} time - When the reminder would fire
+ * @param {string} teamId - Slack workspace ID, for workspace-wide hours and holidays
+ * @param {Object} client - Slack client
+ * @returns {Promise<Object>} - { outsideHours, nextWorkingTime, calendar }
+ */
+async function checkWorkingHours(userId, time, teamId, client) {
+  const [calendar, timeZone] = await Promise.all([
+    getWorkingCalendar(userId, teamId),
+    getUserTimeZone(userId, client)
+  ]);
+  
+  const wallClock = toWallClock(time, timeZone);
+  if (isWorkingTime(wallClock, calendar)) {
+    return { outsideHours: false, nextWorkingTime: time, calendar };
+  }
+  
+  const next = nextWorkingTime(wallClock, calendar);
+  return {
+    // A calendar with no working time at all can't be honoured, so treat it as always open
+    outsideHours: Boolean(next),
+    nextWorkingTime: next ? fromWallClock(next, timeZone) : time,
+    calendar
+  };
+}
+
+// Most occurrences in a row that can be skipped for falling on days off
+const MAX_SKIPPED_OCCURRENCES = 400;
+
+/**
+ * Fit an occurrence of a repeating reminder into the recipient's working calendar
+ * Nobody confirms each occurrence, so ones on days off or holidays are skipped in favour
+ * of the next occurrence, and ones outside working hours move to the next working time
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date} time - When the occurrence would fire
+ * @param {string} timeZone - The series' time zone, which the rule is stepped in
+ * @param {Object} calendar - The recipient's working calendar
+ * @param {string} recipientTimeZone - The recipient's time zone, which the calendar is in
+ * @returns {{occurrence: Date, time: Date}|null} - The occurrence used, as the rule produced it,
+ *   and when to send it; null if skipping ran past the series' end
+ */
+function fitOccurrenceToCalendar(recurrence, time, timeZone, calendar, recipientTimeZone) {
+  let occurrence = toWallClock(time, timeZone);
+  
+  for (let i = 0; i < MAX_SKIPPED_OCCURRENCES; i++) {
+    const local = toWallClock(fromWallClock(occurrence, timeZone), recipientTimeZone);
+    if (isWorkingDay(local, calendar)) {
+      const next = nextWorkingTime(local, calendar);
+      const occurrenceTime = fromWallClock(occurrence, timeZone);
+      return { occurrence: occurrenceTime, time: next ? fromWallClock(next, recipientTimeZone) : occurrenceTime };
+    }
+    occurrence = nextOccurrence(recurrence, occurrence);
+    if (recurrence.until && fromWallClock(occurrence, timeZone) > new Date(recurrence.until)) {
+      return null;
+    }
   }
+  
+  // A series that never falls on a working day can't be honoured, so it's left alone
+  return { occurrence: time, time };
+}
+
+/**
+ * Fit an occurrence of a repeating reminder into the recipient's working calendar
+ * @param {string} userId - Slack user ID of the person being reminded
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date} time - When the occurrence would fire
+ * @param {string} timeZone - The series' time zone
+ * @param {string} teamId - Slack workspace ID, for workspace-wide hours and holidays
+ * @param {Object} client - Slack client
+ * @returns {Promise<{occurrence: Date, time: Date}|null>} - The occurrence used and when to send it,
+ *   or null if the series has ended
+ */
+async function fitRecurringReminderTime(userId, recurrence, time, timeZone, teamId, client) {
+  const [calendar, recipientTimeZone] = await Promise.all([
+    getWorkingCalendar(userId, teamId),
+    getUserTimeZone(userId, client)
+  ]);
+  
+  return fitOccurrenceToCalendar(recurrence, time, timeZone, calendar, recipientTimeZone);
+}
+
+/**
+ * Describe a user's working calendar for the AI, so suggested times are reasonable
+ * @param {Object} calendar - Working calendar
+ * @param {string} timeZone - The user's time zone
+ * @returns {string}
+ */
+function describeCalendarForPrompt(calendar, timeZone) {
+  const today = formatWallClock(toWallClock(new Date(), timeZone)).substring(0, 10);
+  const upcomingHolidays = calendar.holidays.filter(holiday => holiday >= today).slice(0, 5);
+  
+  return `The user works ${describeWorkingHours(calendar)} (${timeZone})` +
+    (upcomingHolidays.length > 0 ? ` and is off on ${upcomingHolidays.join(', ')}` : '') +
+    `. Only suggest times within their working hours.`;
 }
 
 /**
- * Schedule a reminder using Slack's chat.scheduleMessage API (works with bot tokens)
+ * Record a reminder in the reminders table and schedule its Slack message
  * @param {Object} reminderData - Reminder details
  * @param {Object} client - Slack client
- * @returns {Promise<Object>} - Scheduled message response
+ * @returns {Promise<Object>} - Stored reminder ID, scheduled message ID, text and timestamp
  */
 async function scheduleReminder(reminderData, client) {
-  const { userId, text, time, channel } = reminderData;
+  const {
+    userId,
+    text,
+    time,
+    channel,
+    timeZone = DEFAULT_TIME_ZONE,
+    recurrence = null,
+    seriesId = null,
+    createdBy = userId,
+    sourceChannel = channel,
+    teamId = null,
+    occurrenceTime = null
+  } = reminderData;
   const reminderTime = new Date(time);
   const now = new Date();
   const timeUntilReminder = reminderTime.getTime() - now.getTime();
@@ -126,64 +453,92 @@ async function scheduleReminder(reminderData, client) {
     throw new Error('Cannot set reminder for a time in the past');
   }
 
-  // Convert time to Unix timestamp (seconds)
-  const timestamp = Math.floor(reminderTime.getTime() / 1000);
+  // Store the reminder first so its message buttons can refer to its ID
+  const stored = await createReminder({
+    userId,
+    channelId: channel,
+    content: text,
+    reminderTime,
+    timeZone,
+    recurrence,
+    seriesId,
+    createdBy,
+    sourceChannelId: sourceChannel,
+    teamId,
+    occurrenceTime
+  });
+  
+  if (!stored) {
+    throw new Error('Could not save the reminder to the database');
+  }
   
   try {
-    // Use chat.scheduleMessage which works with bot tokens
-    const response = await client.chat.scheduleMessage({
-      channel: channel, // Send to the channel where reminder was created
-      text: `🔔 <@${userId}> Reminder: ${text}`,
-      post_at: timestamp,
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `🔔 <@${userId}> *Reminder:* ${text}`
-          }
-        },
-        {
-          type: "context",
-          elements: [
-            {
-              type: "mrkdwn",
-              text: `Scheduled by <@${userId}> on ${new Date().toLocaleString()}`
-            }
-          ]
-        }
-      ]
-    });
-
-    // Store the scheduled message info
-    const reminderId = response.scheduled_message_id;
-    activeReminders[reminderId] = {
-      id: reminderId,
-      userId,
-      text,
-      time: reminderTime,
-      channel,
-      scheduled_message_id: reminderId
-    };
+    const scheduledMessageId = await scheduleReminderMessage(stored, client);
+    await setReminderSchedule(stored.id, { reminderTime, scheduledMessageId });
+    await refreshHomeTabs([userId], client);
 
     return {
-      id: reminderId,
+      id: stored.id,
+      userId,
+      seriesId: stored.series_id,
+      scheduledMessageId,
       text,
-      time: timestamp
+      time: Math.floor(reminderTime.getTime() / 1000)
     };
   } catch (error) {
     console.error('Error scheduling reminder message:', error);
+    // Don't keep a record of a reminder that will never be sent
+    await markReminderDeleted(stored.id);
     throw new Error(`Failed to schedule reminder: ${error.message}`);
   }
 }
 
+/**
+ * Move an existing reminder to a new time, keeping its ID and history
+ * @param {Object} reminder - Reminder row from the reminders table
+ * @param {Date} newTime - When the reminder should fire
+ * @param {Object} client - Slack client
+ * @param {Object} changes - Optional new content and channelId (from the edit modal)
+ * @returns {Promise<Object>} - The updated reminder row
+ */
+async function rescheduleReminder(reminder, newTime, client, { content = null, channelId = null } = {}) {
+  if (newTime.getTime() <= Date.now()) {
+    throw new Error('Cannot set reminder for a time in the past');
+  }
+  
+  // Cancel using the old channel, since that's where the message was scheduled
+  await cancelReminderMessage(reminder, client);
+  
+  const scheduledMessageId = await scheduleReminderMessage({
+    ...reminder,
+    content: content || reminder.content,
+    channel_id: channelId || reminder.channel_id,
+    reminder_time: newTime
+  }, client);
+  const updated = await setReminderSchedule(reminder.id, { reminderTime: newTime, scheduledMessageId, content, channelId });
+  
+  if (!updated) {
+    throw new Error('Could not update the reminder in the database');
+  }
+  
+  await refreshHomeTabs([updated.user_id], client);
+  return updated;
+}
+
 /**
  * Handle the /reminder slash command
  */
 async function handleReminderCommand({ command, client, respond }) {
   // Command structure: /reminder [task] [time]
-  // or /reminder list
+  // or /reminder list [here]
   // or /reminder delete [id]
+  // or /reminder timezone [zone|auto]
+  // or /reminder delivery [channel|dm]
+  // or /reminder hours [workspace] [hours days|shift|confirm|reset]
+  // or /reminder holidays [workspace] [add|remove YYYY-MM-DD]
+  // or /reminder export
+  // or /reminder @user @group [task] [time]
+  // or /reminder me [task] [time] (delivered by DM)
   
   const { text } = command;
   const trimmedText = text?.trim() || '';
@@ -195,49 +550,177 @@ async function handleReminderCommand({ command, client, respond }) {
             "Create a reminder:\n" +
             "/reminder [task] [time]\n" +
             "Example: /reminder Submit report tomorrow at 3pm\n\n" +
-            "List your reminders:\n" +
-            "/reminder list\n\n" +
-            "Delete a reminder:\n" +
-            "/reminder delete [reminder_id]",
+            "Remind other people or a user group:\n" +
+            "Example: /reminder @alice @backend-team review the RFC Friday 2pm\n\n" +
+            "Create a repeating reminder:\n" +
+            "Example: /reminder Standup notes every weekday at 9am\n" +
+            "Example: /reminder Monthly report first Monday of the month\n\n" +
+            "Get a reminder by DM instead of in this channel:\n" +
+            "Example: /reminder me to call the vendor at 4pm\n\n" +
+            "List your reminders from every channel (or just this one):\n" +
+            "/reminder list [here]\n\n" +
+            "Delete a reminder (or stop a repeating series):\n" +
+            "/reminder delete [reminder_id]\n\n" +
+            "Show or change the time zone used for your reminders:\n" +
+            "/reminder timezone [America/New_York | auto]\n\n" +
+            "Choose where reminders for you are posted:\n" +
+            "/reminder delivery [channel | dm]\n\n" +
+            "Set working hours and holidays (reminders outside them are moved or flagged; repeating ones skip days off):\n" +
+            "/reminder hours [workspace] [9am-5pm mon-fri | shift | confirm | reset]\n" +
+            "/reminder holidays [workspace] [add | remove] [YYYY-MM-DD]\n\n" +
+            "Export your reminders and milestones to your calendar (.ics):\n" +
+            "/reminder export\n" +
+            "To import, send me an .ics file in a DM",
       response_type: 'ephemeral'
     });
     return;
   }
   
-  // Check if the command is to create a new reminder
-  if (trimmedText && !trimmedText.startsWith('list') && !trimmedText.startsWith('delete')) {
-    try {
-      const userId = command.user_id;
-      const reminderText = trimmedText;
-      
-      // Show a temporary message while we process
-      const loadingMessage = await respond({
+  if (/^list(\s+here)?$/i.test(trimmedText)) {
+    const channelOnly = /\bhere$/i.test(trimmedText);
+    await listUserReminders(command.user_id, client, respond, { channelId: channelOnly ? command.channel_id : null });
+    return;
+  }
+  
+  if (trimmedText.startsWith('delete')) {
+    const reminderId = trimmedText.replace(/^delete\s*/, '');
+    if (!/^\d+$/.test(reminderId)) {
+      await respond({
+        text: "Please provide the ID of the reminder to delete, e.g. `/reminder delete 42`. Use `/reminder list` to see your reminder IDs.",
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    await deleteReminder(reminderId, command.user_id, client, respond);
+    return;
+  }
+  
+  if (/^(timezone|tz)\b/i.test(trimmedText)) {
+    await handleTimeZoneSetting(command.user_id, trimmedText.replace(/^(timezone|tz)\s*/i, ''), client, respond);
+    return;
+  }
+  
+  if (trimmedText.toLowerCase() === 'export') {
+    await handleCalendarExport(command, client, respond);
+    return;
+  }
+  
+  if (/^hours\b/i.test(trimmedText)) {
+    await handleWorkingHoursSetting(command, trimmedText.replace(/^hours\s*/i, ''), client, respond);
+    return;
+  }
+  
+  if (/^holidays\b/i.test(trimmedText)) {
+    await handleHolidaySetting(command, trimmedText.replace(/^holidays\s*/i, ''), client, respond);
+    return;
+  }
+  
+  if (/^delivery\b/i.test(trimmedText)) {
+    await handleDeliverySetting(command.user_id, trimmedText.replace(/^delivery\s*/i, ''), respond);
+    return;
+  }
+  
+  // Otherwise the command is to create a new reminder
+  try {
+    const userId = command.user_id;
+    
+    // "/reminder me …" reminds the person who ran it by DM, wherever it was set
+    const meMatch = trimmedText.match(/^me\s+(?:to\s+)?/i);
+    const viaDm = Boolean(meMatch);
+    
+    // Mentions at the start say who the reminder is for (default: the person who ran the command)
+    const { recipients: mentioned, mentions, text: reminderText } = viaDm ?
+      { recipients: [], mentions: [], text: trimmedText.slice(meMatch[0].length) } :
+      await resolveRecipients(trimmedText, client);
+    const recipients = mentioned.length > 0 ? mentioned : [userId];
+    const recipientList = recipients.map(id => `<@${id}>`).join(', ');
+    
+    if (!reminderText) {
+      await respond({
         response_type: 'ephemeral',
-        text: `Setting up a reminder for <@${userId}>: *${reminderText}*\n\nProcessing...`
+        text: `What should I remind ${mentions.join(' ')} about? e.g. \`/reminder ${mentions.join(' ')} review the RFC Friday 2pm\``
       });
+      return;
+    }
     
-    // Parse the date and time from the reminder text
-    const { time, text: reminderContent } = await parseReminderDateTime(reminderText);
+    // Show a temporary message while we process
+    const loadingMessage = await respond({
+      response_type: 'ephemeral',
+      text: `Setting up a reminder for ${recipientList}: *${reminderText}*\n\nProcessing...`
+    });
+    
+    // Parse the date and time in the time zone of the person setting the reminder
+    const timeZone = await getUserTimeZone(userId, client);
+    const calendar = await getWorkingCalendar(userId, command.team_id);
+    const { time, text: reminderContent, recurrence } = await parseReminderDateTime(reminderText, timeZone);
     
     // Format the time for display
-    const displayTime = formatDateForDisplay(time);
+    const displayTime = recurrence ?
+      `${formatDateForDisplay(time, timeZone)}\n_Repeats ${formatRecurrenceForDisplay(recurrence, timeZone)}_` :
+      formatDateForDisplay(time, timeZone);
     
     if (time) {
       try {
-        // Schedule the reminder using Slack's reminders API
-        const reminder = await scheduleReminder({
-          userId: userId,
-          text: reminderContent,
-          time: time,
-          channel: command.channel_id
-        }, null);
+        // Schedule a separate reminder for each recipient so each can snooze or finish their own
+        const reminders = [];
+        const failures = [];
+        const shifted = [];
+        const outsideHours = [];
+        
+        for (const recipientId of recipients) {
+          try {
+            const channel = await getDeliveryChannel(recipientId, userId, command.channel_id, client, { viaDm });
+            
+            // One-off reminders outside the recipient's working hours are moved or flagged;
+            // each occurrence of a repeating one is fitted to their calendar instead
+            let reminderTime = time;
+            let occurrenceTime = null;
+            const hoursCheck = recurrence ? null : await checkWorkingHours(recipientId, time, command.team_id, client);
+            if (recurrence) {
+              ({ occurrence: occurrenceTime, time: reminderTime } =
+                await fitRecurringReminderTime(recipientId, recurrence, time, timeZone, command.team_id, client));
+            } else if (hoursCheck.outsideHours && hoursCheck.calendar.outOfHours === 'shift') {
+              reminderTime = hoursCheck.nextWorkingTime;
+            }
+            
+            const reminder = await scheduleReminder({
+              userId: recipientId,
+              text: reminderContent,
+              time: reminderTime,
+              channel,
+              timeZone,
+              recurrence,
+              createdBy: userId,
+              sourceChannel: command.channel_id,
+              teamId: command.team_id,
+              occurrenceTime
+            }, client);
+            reminders.push(reminder);
+            
+            if (reminderTime.getTime() !== time.getTime()) {
+              shifted.push({ recipientId, time: reminderTime });
+            } else if (hoursCheck?.outsideHours) {
+              outsideHours.push({ recipientId, id: reminder.id, calendar: hoursCheck.calendar });
+            }
+          } catch (recipientError) {
+            console.error(`Error setting reminder for ${recipientId}:`, recipientError);
+            failures.push({ recipientId, error: recipientError.message });
+          }
+        }
+        
+        if (reminders.length === 0) {
+          throw new Error(failures[0]?.error || 'No reminders could be scheduled');
+        }
+        
+        const reminderIds = reminders.map(reminder => reminder.id);
         
         // Analyze the task and provide recommendations
         const timeAnalysis = await getAIResponse(
-          `Analyze this task: "${text}". \n` +
+          `Analyze this task: "${reminderText}". \n` +
           `1. How complex is this task on a scale of 1-5?\n` +
           `2. How much time would be reasonable to allocate to this task?\n` +
           `3. Should this be broken down into smaller sub-tasks?\n` +
+          `${describeCalendarForPrompt(calendar, timeZone)}\n` +
           `Present this as helpful time management advice.`, 
           'reminder'
         );
@@ -251,7 +734,7 @@ async function handleReminderCommand({ command, client, respond }) {
               type: "section",
               text: {
                 type: "mrkdwn",
-                text: `✅ *Reminder set for <@${userId}>*`
+                text: `✅ *Reminder set for ${reminders.map(reminder => `<@${reminder.userId}>`).join(', ')}*`
               }
             },
             {
@@ -259,11 +742,15 @@ async function handleReminderCommand({ command, client, respond }) {
               fields: [
                 {
                   type: "mrkdwn",
-                  text: `*Task:*\n${text}`
+                  text: `*Task:*\n${reminderContent}`
                 },
                 {
                   type: "mrkdwn",
-                  text: `*When:*\n${displayTime}`
+                  // A lone reminder that was moved into working hours shows its new time
+                  text: reminders.length === 1 && shifted.length === 1 ?
+                    `*When:*\n${formatDateForDisplay(shifted[0].time, timeZone)}\n_Moved from ${formatDateForDisplay(time, timeZone)}_` +
+                      (recurrence ? `\n_Repeats ${formatRecurrenceForDisplay(recurrence, timeZone)}_` : '') :
+                    `*When:*\n${displayTime}`
                 }
               ]
             },
@@ -279,10 +766,47 @@ async function handleReminderCommand({ command, client, respond }) {
               elements: [
                 {
                   type: "mrkdwn",
-                  text: `_Reminder ID: ${reminder.id}_`
+                  text: reminderIds.length > 1 ?
+                    `_Reminder IDs: ${reminderIds.join(', ')}_` :
+                    `_Reminder ID: ${reminderIds[0]}_`
                 }
               ]
             },
+            ...(shifted.length > 0 && reminders.length > 1 ? [{
+              type: "context",
+              elements: [
+                {
+                  type: "mrkdwn",
+                  text: `🕘 Moved to the next working time for ${shifted.map(entry => `<@${entry.recipientId}> (${formatDateForDisplay(entry.time, timeZone)})`).join(', ')}`
+                }
+              ]
+            }] : []),
+            ...(outsideHours.length > 0 ? [{
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: `⚠️ This is outside working hours for ${outsideHours.map(entry => `<@${entry.recipientId}> (${describeWorkingHours(entry.calendar)})`).join(', ')}.`
+              },
+              accessory: {
+                type: "button",
+                text: {
+                  type: "plain_text",
+                  text: "Move to working hours",
+                  emoji: true
+                },
+                value: outsideHours.map(entry => entry.id).join(','),
+                action_id: "reminder_shift_working"
+              }
+            }] : []),
+            ...(failures.length > 0 ? [{
+              type: "context",
+              elements: [
+                {
+                  type: "mrkdwn",
+                  text: `⚠️ Couldn't set it for ${failures.map(failure => `<@${failure.recipientId}> (${failure.error})`).join(', ')}`
+                }
+              ]
+            }] : []),
             {
               type: "actions",
               elements: [
@@ -290,10 +814,11 @@ async function handleReminderCommand({ command, client, respond }) {
                   type: "button",
                   text: {
                     type: "plain_text",
-                    text: "Delete Reminder",
+                    text: recurrence ? "Stop Series" : (reminderIds.length > 1 ? "Delete for Everyone" : "Delete Reminder"),
                     emoji: true
                   },
-                  value: reminder.id,
+                  // The delete handler accepts a comma-separated list of reminder IDs
+                  value: reminderIds.join(','),
                   action_id: "delete_reminder"
                 }
               ]
@@ -307,7 +832,7 @@ async function handleReminderCommand({ command, client, respond }) {
           response_type: 'ephemeral',
           replace_original: true,
           text: `⚠️ I couldn't set your reminder (${reminderError.message}).\n\n` +
-                `*Task:* ${text}\n` +
+                `*Task:* ${reminderContent}\n` +
                 `*When:* ${displayTime}\n\n` +
                 `Please try again with a future date and time.`
         });
@@ -318,6 +843,7 @@ async function handleReminderCommand({ command, client, respond }) {
         `The user wants a reminder for: "${reminderText}".\n` +
         `I couldn't determine a specific date/time.\n` +
         `Suggest some reasonable timeframes for this task.\n` +
+        `${describeCalendarForPrompt(calendar, timeZone)}\n` +
         `Also provide a brief task breakdown with 2-3 steps.`, 
         'reminder'
       );
@@ -337,144 +863,263 @@ async function handleReminderCommand({ command, client, respond }) {
       text: `<@${command.user_id}> Sorry, I encountered an error setting your reminder. Please try again later.`
     });
   }
-  }
+}
+
+// Slack allows at most 50 blocks per message; leave room for the "more" note
+const MAX_LIST_BLOCKS = 48;
+
+/**
+ * Describe where a reminder is delivered, for list headings
+ * @param {string} channelId - Channel ID from the reminders table
+ * @returns {string}
+ */
+function describeReminderChannel(channelId) {
+  return channelId?.startsWith('D') ? '✉️ Direct message' : `<#${channelId}>`;
 }
 
 /**
- * List all reminders for a user
+ * List a user's reminders from every channel, grouped by the channel they are posted in
+ * Includes reminders they set for other people
  * @param {string} userId - Slack user ID
- * @param {string} channelId - Channel ID
  * @param {Object} client - Slack client
- * @param {Function} say - Slack say function
+ * @param {Function} respond - Slack respond function
+ * @param {Object} options - channelId limits the list to one channel (`/reminder list here`)
  */
-async function listUserReminders(userId, channelId, client, respond) {
+async function listUserReminders(userId, client, respond, { channelId = null } = {}) {
   try {
-    // Check if client is available
-    if (!client || !client.chat || !client.chat.scheduledMessages) {
-      console.error('Slack client not available for reminders');
-      await respond({
-        text: "Sorry, I can't access the Slack API in this environment.",
-        response_type: 'ephemeral'
-      });
-      return [];
-    }
-    
-    // Use Slack's scheduledMessages.list API (which works with bot tokens)
-    const response = await client.chat.scheduledMessages.list({
-      channel: channelId // Scheduled messages are channel-specific
-    });
-    
-    // Filter out scheduled messages that aren't actually reminders for this user
-    // You may need to adjust this logic based on how you identify your reminders
-    const reminders = response.scheduled_messages.filter(msg => 
-      // Look for messages that contain @[userId] and Reminder: as pattern
-      msg.text.includes(`<@${userId}>`) && msg.text.includes('Reminder:')
-    );
+    // Read from the reminders table so the list works after restarts and cold starts
+    const reminders = await getActiveReminders(userId, { channelId, upcomingOnly: true, includeCreated: true });
+    const timeZone = await getUserTimeZone(userId, client);
     
     if (!reminders || reminders.length === 0) {
       await respond({
-        text: `<@${userId}> You don't have any active reminders.`,
+        text: channelId ?
+          `<@${userId}> You don't have any active reminders in this channel.` :
+          `<@${userId}> You don't have any active reminders.`,
         response_type: 'ephemeral'
       });
       return;
     }
     
+    // Group by channel, keeping channels in order of their next reminder
+    // (reminders come back sorted by reminder_time, closest first)
+    const byChannel = new Map();
+    reminders.forEach(reminder => {
+      if (!byChannel.has(reminder.channel_id)) {
+        byChannel.set(reminder.channel_id, []);
+      }
+      byChannel.get(reminder.channel_id).push(reminder);
+    });
+    
     const reminderBlocks = [
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `<@${userId}> Here are your current reminders:`
+          text: channelId ?
+            `<@${userId}> Here are your current reminders in this channel:` :
+            `<@${userId}> Here are your current reminders across ${byChannel.size} ${byChannel.size === 1 ? 'channel' : 'channels'}:`
         }
       }
     ];
+    let shown = 0;
     
-    // Sort by post_at time (closest first)
-    const sortedReminders = [...reminders].sort((a, b) => a.post_at - b.post_at);
-    
-    sortedReminders.forEach(reminder => {
-      // Extract the actual reminder text without the user mention and prefix
-      const reminderText = reminder.text.replace(`🔔 <@${userId}> Reminder: `, '');
-      const reminderTime = new Date(reminder.post_at * 1000); // Convert Unix timestamp to JS Date
-      const displayTime = formatDateForDisplay(reminderTime.toISOString());
+    for (const [reminderChannel, channelReminders] of byChannel) {
+      // A heading needs two blocks and each reminder three
+      if (reminderBlocks.length + 5 > MAX_LIST_BLOCKS) break;
       
+      reminderBlocks.push({ type: "divider" });
       reminderBlocks.push({
         type: "section",
-        fields: [
-          {
-            type: "mrkdwn",
-            text: `*Task:*\n${reminderText}`
-          },
-          {
-            type: "mrkdwn",
-            text: `*When:*\n${displayTime}`
-          }
-        ],
-        accessory: {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "Delete",
-            emoji: true
-          },
-          value: reminder.id,
-          action_id: "delete_reminder"
+        text: {
+          type: "mrkdwn",
+          text: `*${describeReminderChannel(reminderChannel)}*`
         }
       });
       
-      // Add a divider between reminders
-      reminderBlocks.push({
-        type: "divider"
-      });
-    });
-    
-    // Remove the last divider
-    if (reminderBlocks.length > 1) {
-      reminderBlocks.pop();
-    }
-    
-    await respond({
-      text: `${userId} Here are your current reminders.`,
-      blocks: reminderBlocks,
-      response_type: 'ephemeral'
-    });
-  } catch (error) {
-    console.error('Error listing reminders:', error);
-    await respond({
-      text: `<@${userId}> Sorry, I encountered an error retrieving your reminders: ${error.message}`,
-      response_type: 'ephemeral'
-    });
-  }
-}
-
-/**
- * Delete a scheduled message reminder
- * @param {string} scheduledMessageId - Scheduled message ID
- * @param {string} userId - User ID
- * @param {string} channelId - Channel ID
- * @param {Object} client - Slack client
- * @param {Function} say - Slack say function
- */
-async function deleteReminder(scheduledMessageId, userId, channelId, client, say) {
-  try {
-    // Use Slack's chat.deleteScheduledMessage API
-    await client.chat.deleteScheduledMessage({
-      channel: channelId,
-      scheduled_message_id: scheduledMessageId
-    });
+      for (const reminder of channelReminders) {
+        if (reminderBlocks.length + 3 > MAX_LIST_BLOCKS) break;
+        shown++;
+        
+        let displayTime = formatDateForDisplay(reminder.reminder_time, timeZone);
+        if (reminder.recurrence) {
+          displayTime += `\n_Repeats ${formatRecurrenceForDisplay(reminder.recurrence, reminder.time_zone || timeZone)}_`;
+        }
+        
+        reminderBlocks.push({
+          type: "section",
+          fields: [
+            {
+              type: "mrkdwn",
+              text: `*Task:*\n${reminder.content}`
+            },
+            {
+              type: "mrkdwn",
+              text: `*When:*\n${displayTime}`
+            }
+          ]
+        });
+        
+        reminderBlocks.push({
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: reminder.user_id !== userId ?
+                `_Reminder ID: ${reminder.id}_ · For <@${reminder.user_id}>` :
+                reminder.created_by && reminder.created_by !== userId ?
+                  `_Reminder ID: ${reminder.id}_ · Set by <@${reminder.created_by}>` :
+                  `_Reminder ID: ${reminder.id}_`
+            }
+          ]
+        });
+        
+        reminderBlocks.push({
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "Edit",
+                emoji: true
+              },
+              value: String(reminder.id),
+              action_id: "edit_reminder"
+            },
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: reminder.recurrence ? "Stop Series" : "Delete",
+                emoji: true
+              },
+              value: String(reminder.id),
+              action_id: "delete_reminder"
+            }
+          ]
+        });
+      }
+    }
     
-    // Clean up our tracking object if it exists there
-    if (activeReminders[scheduledMessageId]) {
-      delete activeReminders[scheduledMessageId];
+    if (shown < reminders.length) {
+      reminderBlocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `_…and ${reminders.length - shown} more. Use \`/reminder list here\` in a channel to see just that channel's reminders._`
+          }
+        ]
+      });
     }
     
-    await say(`<@${userId}> Your reminder has been deleted.`);
+    await respond({
+      text: `<@${userId}> Here are your current reminders.`,
+      blocks: reminderBlocks,
+      response_type: 'ephemeral'
+    });
   } catch (error) {
-    console.error('Error deleting scheduled reminder:', error);
-    await say(`<@${userId}> Sorry, I couldn't delete that reminder: ${error.message}`);
+    console.error('Error listing reminders:', error);
+    await respond({
+      text: `<@${userId}> Sorry, I encountered an error retrieving your reminders: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+/**
+ * Cancel a reminder's scheduled message and mark it deleted in the reminders table
+ * For a repeating reminder this stops every remaining occurrence in its series
+ * @param {string|number} reminderId - Reminder ID from the reminders table
+ * @param {string} userId - ID of the user requesting the deletion
+ * @param {Object} client - Slack client
+ * @returns {Promise<Object>} - The reminder row that was deleted
+ */
+async function removeReminder(reminderId, userId, client) {
+  const reminder = await getReminder(reminderId);
+  
+  if (!reminder) {
+    throw new Error(`Reminder ${reminderId} was not found`);
+  }
+  
+  if (!canManageReminder(reminder, userId)) {
+    throw new Error('Only the person who set this reminder or the person it is for can delete it');
+  }
+  
+  // Deleting any occurrence of a repeating reminder stops the whole series
+  const deletedRows = reminder.series_id ?
+    await markSeriesDeleted(reminder.series_id) :
+    [await markReminderDeleted(reminder.id)].filter(Boolean);
+  
+  if (deletedRows.length === 0) {
+    throw new Error('Could not update the reminder in the database');
+  }
+  
+  for (const row of deletedRows) {
+    await cancelReminderMessage(row, client);
+  }
+  await refreshHomeTabs([reminder.user_id], client);
+  
+  return reminder;
+}
+
+/**
+ * Delete a reminder from the /reminder delete subcommand
+ * @param {string} reminderId - Reminder ID from the reminders table
+ * @param {string} userId - User ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function deleteReminder(reminderId, userId, client, respond) {
+  try {
+    const deleted = await removeReminder(reminderId, userId, client);
+    
+    await respond({
+      text: deleted.series_id ?
+        `<@${userId}> Your repeating reminder "${deleted.content}" has been stopped.` :
+        `<@${userId}> Your reminder "${deleted.content}" has been deleted.`,
+      response_type: 'ephemeral'
+    });
+  } catch (error) {
+    console.error('Error deleting reminder:', error);
+    await respond({
+      text: `<@${userId}> Sorry, I couldn't delete that reminder: ${error.message}`,
+      response_type: 'ephemeral'
+    });
   }
 }
 
+/**
+ * Delete a reminder that was set for several people at once
+ * Recipients may already have deleted their own copy, so missing ones are skipped
+ * @param {string[]} reminderIds - Reminder IDs, one per recipient
+ * @param {string} userId - Slack user ID of the person deleting
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Function to send responses
+ */
+async function deleteReminderGroup(reminderIds, userId, client, respond) {
+  const deleted = [];
+  let lastError = null;
+  
+  for (const id of reminderIds) {
+    try {
+      deleted.push(await removeReminder(id, userId, client));
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  
+  if (deleted.length === 0) {
+    throw lastError || new Error('None of these reminders could be deleted');
+  }
+  
+  await respond({
+    response_type: 'ephemeral',
+    text: `<@${userId}> The reminder "${deleted[0].content}" has been deleted for ${deleted.map(reminder => `<@${reminder.user_id}>`).join(', ')}.`
+  });
+}
+
 /**
  * Handle delete reminder button action
  * @param {Object} payload - Button click payload
@@ -486,78 +1131,48 @@ async function deleteReminder(scheduledMessageId, userId, channelId, client, say
 async function handleDeleteReminderAction({ payload, client, ack, respond, body }) {
   await ack();
   
-  console.log('Delete reminder action payload:', JSON.stringify(payload, null, 2));
-  console.log('Delete reminder action body:', JSON.stringify(body, null, 2));
-  
-  // Get values from the action handler parameters
-  const scheduledMessageId = payload?.value;
+  // The button value holds the reminder ID from the reminders table
+  const reminderId = payload?.value || body?.actions?.[0]?.value;
   const userId = body?.user?.id;
-  const channel = body?.channel?.id;
-  
-  console.log('Extracted values:', { scheduledMessageId, userId, channel });
+  const channel = body?.channel?.id || body?.container?.channel_id;
   
-  // Validate required fields
-  if (!scheduledMessageId || !userId || !channel) {
-    console.error('Missing required fields in delete reminder payload:', { scheduledMessageId, userId, channel });
+  if (!reminderId || !userId) {
+    console.error('Missing required fields in delete reminder payload:', { reminderId, userId, channel });
     await respond({
       response_type: 'ephemeral',
       text: 'Sorry, I couldn\'t delete the reminder due to missing information.'
     });
-    return;
+    return { success: false, error: 'Missing required information to delete reminder' };
   }
   
   try {
-    // Handle different payload structures
-    if (body.actions && body.actions.length > 0) {
-      scheduledMessageId = body.actions[0].value;
-    } else if (body.value) {
-      scheduledMessageId = body.value;
-    } else {
-      throw new Error('Could not find reminder ID in the action payload');
-    }
+    console.log(`Attempting to delete reminder ${reminderId} for user ${userId}`);
     
-    userId = body.user?.id || '';
-    channel = body.channel?.id || '';
+    // A reminder set for several people carries all of their IDs
+    const reminderIds = String(reminderId).split(',');
     
-    if (!scheduledMessageId || !userId || !channel) {
-      throw new Error('Missing required information to delete reminder');
+    if (reminderIds.length > 1) {
+      await deleteReminderGroup(reminderIds, userId, client, respond);
+      return { success: true };
     }
-
-    console.log(`Attempting to delete reminder ${scheduledMessageId} for user ${userId} in channel ${channel}`);
-    
-    // Use Slack's chat.deleteScheduledMessage API
-    await client.chat.deleteScheduledMessage({
-      channel: channel,
-      scheduled_message_id: scheduledMessageId
-    });
     
-    // Clean up our tracking object if it exists there 
-    // Note: This won't work reliably in serverless environment
-    if (activeReminders[scheduledMessageId]) {
-      delete activeReminders[scheduledMessageId];
-    }
+    const deleted = await removeReminder(reminderId, userId, client);
     
-    // Respond to the action
-    await client.chat.postMessage({
-      channel: channel,
-      text: `<@${userId}> Your reminder has been deleted.`
+    await respond({
+      response_type: 'ephemeral',
+      text: deleted.series_id ?
+        `<@${userId}> Your repeating reminder "${deleted.content}" has been stopped.` :
+        `<@${userId}> Your reminder "${deleted.content}" has been deleted.`
     });
     
     return { success: true };
   } catch (error) {
     console.error('Error deleting scheduled reminder:', error);
     
-    // Try to notify the user if possible
-    if (client && channel) {
-      try {
-        await client.chat.postMessage({
-          channel: channel,
-          text: `<@${userId || 'user'}> Sorry, I couldn't delete that reminder: ${error.message}`
-        });
-      } catch (notifyError) {
-        console.error('Failed to notify user about deletion error:', notifyError);
-      }
-    }
+    await respond({
+      response_type: 'ephemeral',
+      text: `<@${userId}> Sorry, I couldn't delete that reminder: ${error.message}`
+    });
     
     return { 
       success: false,
@@ -566,9 +1181,1361 @@ async function handleDeleteReminderAction({ payload, client, ack, respond, body
   }
 }
 
-// Export active reminders to make them accessible if needed
+// How far each snooze button pushes a reminder
+const SNOOZE_OPTIONS = {
+  reminder_snooze_15m: { label: '15 minutes', minutes: 15 },
+  reminder_snooze_1h: { label: '1 hour', minutes: 60 },
+  reminder_snooze_tomorrow: { label: 'tomorrow morning' }
+};
+
+// Local time the "Tomorrow" button moves a reminder to
+const TOMORROW_HOUR = 9;
+
+/**
+ * Work out when a snoozed reminder should fire again
+ * @param {string} actionId - Snooze button action_id
+ * @param {string} timeZone - The user's time zone
+ * @param {Date} now - Current time
+ * @returns {Date|null}
+ */
+function getSnoozeTime(actionId, timeZone, now = new Date()) {
+  const option = SNOOZE_OPTIONS[actionId];
+  if (!option) return null;
+  
+  if (option.minutes) {
+    return new Date(now.getTime() + option.minutes * 60000);
+  }
+  
+  // Tomorrow at 9:00 in the user's own zone
+  const wall = toWallClock(now, timeZone);
+  wall.setUTCDate(wall.getUTCDate() + 1);
+  wall.setUTCHours(TOMORROW_HOUR, 0, 0, 0);
+  return fromWallClock(wall, timeZone);
+}
+
+/**
+ * Look up a reminder and check the user is allowed to act on it
+ * @param {string} reminderId - Reminder ID from the button value
+ * @param {string} userId - Slack user ID of the person who clicked
+ * @returns {Promise<Object>} - Reminder row
+ */
+async function getOwnedReminder(reminderId, userId) {
+  const reminder = await getReminder(reminderId);
+  
+  if (!reminder) {
+    throw new Error('This reminder no longer exists');
+  }
+  
+  if (!canManageReminder(reminder, userId)) {
+    throw new Error('Only the person who set this reminder or the person it is for can change it');
+  }
+  
+  return reminder;
+}
+
+/**
+ * Replace a delivered reminder's buttons with a status line
+ * @param {Object} client - Slack client
+ * @param {Object} message - Channel and ts of the delivered message
+ * @param {Object} reminder - Reminder row
+ * @param {string} status - Status text shown under the reminder
+ */
+async function updateDeliveredReminder(client, { channel, ts }, reminder, status) {
+  if (!channel || !ts) return;
+  
+  try {
+    await client.chat.update({
+      channel,
+      ts,
+      text: `🔔 Reminder: ${reminder.content}`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `🔔 <@${reminder.user_id}> *Reminder:* ${reminder.content}`
+          }
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: status
+            }
+          ]
+        }
+      ]
+    });
+  } catch (error) {
+    // The reminder itself was updated, so a stale message isn't fatal
+    console.error('Error updating delivered reminder message:', error.message);
+  }
+}
+
+/**
+ * Get the reminder ID, user and delivered message from a button click
+ * @param {Object} payload - Action payload
+ * @param {Object} body - Action body
+ * @returns {Object}
+ */
+function getReminderActionContext(payload, body) {
+  return {
+    reminderId: payload?.value || body?.actions?.[0]?.value,
+    actionId: payload?.action_id || body?.actions?.[0]?.action_id,
+    userId: body?.user?.id,
+    message: {
+      channel: body?.channel?.id || body?.container?.channel_id,
+      ts: body?.message?.ts || body?.container?.message_ts
+    }
+  };
+}
+
+/**
+ * Handle the Done button on a delivered reminder
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleReminderDoneAction({ payload, client, ack, respond, body }) {
+  await ack();
+  
+  const { reminderId, userId, message } = getReminderActionContext(payload, body);
+  
+  try {
+    const reminder = await getOwnedReminder(reminderId, userId);
+    
+    if (!await markReminderCompleted(reminder.id)) {
+      throw new Error('Could not update the reminder in the database');
+    }
+    
+    await updateDeliveredReminder(client, message, reminder, `✅ Marked done by <@${userId}>`);
+    await refreshHomeTabs([reminder.user_id], client);
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error completing reminder:', error);
+    
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `<@${userId}> Sorry, I couldn't mark that reminder as done: ${error.message}`
+    });
+    
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle the Snooze 15m / Snooze 1h / Tomorrow buttons on a delivered reminder
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleReminderSnoozeAction({ payload, client, ack, respond, body }) {
+  await ack();
+  
+  const { reminderId, actionId, userId, message } = getReminderActionContext(payload, body);
+  
+  try {
+    const reminder = await getOwnedReminder(reminderId, userId);
+    const timeZone = reminder.time_zone || await getUserTimeZone(userId, client);
+    const snoozeTime = getSnoozeTime(actionId, timeZone);
+    
+    if (!snoozeTime) {
+      throw new Error(`Unknown snooze option "${actionId}"`);
+    }
+    
+    await rescheduleReminder(reminder, snoozeTime, client);
+    
+    await updateDeliveredReminder(client, message, reminder,
+      `💤 Snoozed by <@${userId}> until ${formatDateForDisplay(snoozeTime, timeZone)}`);
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error snoozing reminder:', error);
+    
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `<@${userId}> Sorry, I couldn't snooze that reminder: ${error.message}`
+    });
+    
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle the Reschedule button by opening a date/time picker modal
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleRescheduleReminderAction({ payload, client, ack, respond, body }) {
+  await ack();
+  
+  const { reminderId, userId, message } = getReminderActionContext(payload, body);
+  
+  try {
+    const reminder = await getOwnedReminder(reminderId, userId);
+    const timeZone = reminder.time_zone || await getUserTimeZone(userId, client);
+    
+    // Start the pickers an hour from now in the user's zone
+    const suggested = formatWallClock(toWallClock(new Date(Date.now() + 60 * 60000), timeZone));
+    
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "reminder_reschedule_modal",
+        private_metadata: JSON.stringify({
+          reminderId: reminder.id,
+          channel: message.channel,
+          messageTs: message.ts
+        }),
+        title: {
+          type: "plain_text",
+          text: "Reschedule reminder"
+        },
+        submit: {
+          type: "plain_text",
+          text: "Reschedule"
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel"
+        },
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `*Reminder:* ${reminder.content}`
+            }
+          },
+          {
+            type: "input",
+            block_id: "reminder_date",
+            label: {
+              type: "plain_text",
+              text: "Date"
+            },
+            element: {
+              type: "datepicker",
+              action_id: "date",
+              initial_date: suggested.substring(0, 10)
+            }
+          },
+          {
+            type: "input",
+            block_id: "reminder_time",
+            label: {
+              type: "plain_text",
+              text: "Time"
+            },
+            element: {
+              type: "timepicker",
+              action_id: "time",
+              initial_time: suggested.substring(11, 16)
+            }
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `Times are in ${timeZone}`
+              }
+            ]
+          }
+        ]
+      }
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening reschedule modal:', error);
+    
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `<@${userId}> Sorry, I couldn't reschedule that reminder: ${error.message}`
+    });
+    
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle submission of the reschedule modal
+ * Validation errors are shown on the modal; the reminder keeps its ID and history
+ * @param {Object} params - View submission parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleRescheduleReminderSubmission({ ack, view, body, client }) {
+  const userId = body?.user?.id;
+  const values = view.state.values;
+  const { reminderId, channel, messageTs } = JSON.parse(view.private_metadata || '{}');
+  const date = values.reminder_date?.date?.selected_date;
+  const time = values.reminder_time?.time?.selected_time;
+  
+  let reminder;
+  let timeZone;
+  let newTime;
+  
+  try {
+    reminder = await getOwnedReminder(reminderId, userId);
+    timeZone = reminder.time_zone || await getUserTimeZone(userId, client);
+    
+    const wall = parseWallClock(`${date} ${time}`);
+    newTime = wall && fromWallClock(wall, timeZone);
+  } catch (error) {
+    await ack({
+      response_action: 'errors',
+      errors: { reminder_date: error.message }
+    });
+    return { success: false, error: error.message };
+  }
+  
+  if (!newTime || newTime.getTime() <= Date.now()) {
+    await ack({
+      response_action: 'errors',
+      errors: { reminder_time: 'Pick a time in the future' }
+    });
+    return { success: false, error: 'Reminder time is in the past' };
+  }
+  
+  await ack();
+  
+  try {
+    await rescheduleReminder(reminder, newTime, client);
+    
+    await updateDeliveredReminder(client, { channel, ts: messageTs }, reminder,
+      `🗓️ Rescheduled by <@${userId}> for ${formatDateForDisplay(newTime, timeZone)}`);
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error rescheduling reminder:', error);
+    
+    if (channel) {
+      await client.chat.postEphemeral({
+        channel,
+        user: userId,
+        text: `Sorry, I couldn't reschedule that reminder: ${error.message}`
+      }).catch(postError => console.error('Error sending reschedule failure notice:', postError.message));
+    }
+    
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle the "Move to working hours" button shown when a reminder lands outside working hours
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleShiftReminderAction({ payload, client, ack, respond, body }) {
+  await ack();
+  
+  const { reminderId, userId } = getReminderActionContext(payload, body);
+  const teamId = body?.team?.id || body?.user?.team_id;
+  
+  try {
+    const timeZone = await getUserTimeZone(userId, client);
+    const moved = [];
+    
+    for (const id of String(reminderId).split(',')) {
+      const reminder = await getOwnedReminder(id, userId);
+      const hoursCheck = await checkWorkingHours(reminder.user_id, new Date(reminder.reminder_time), teamId, client);
+      
+      // It may already have been moved, snoozed or edited into working hours
+      if (!hoursCheck.outsideHours) continue;
+      
+      await rescheduleReminder(reminder, hoursCheck.nextWorkingTime, client);
+      moved.push(`<@${reminder.user_id}> (${formatDateForDisplay(hoursCheck.nextWorkingTime, timeZone)})`);
+    }
+    
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: moved.length > 0 ?
+        `<@${userId}> Moved the reminder to the next working time for ${moved.join(', ')}.` :
+        `<@${userId}> That reminder is already within working hours.`
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error moving reminder into working hours:', error);
+    
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `<@${userId}> Sorry, I couldn't move that reminder: ${error.message}`
+    });
+    
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle the Edit button in /reminder list by opening a prefilled edit modal
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleEditReminderAction({ payload, client, ack, respond, body }) {
+  await ack();
+  
+  const { reminderId, userId } = getReminderActionContext(payload, body);
+  
+  try {
+    const reminder = await getOwnedReminder(reminderId, userId);
+    const timeZone = reminder.time_zone || await getUserTimeZone(userId, client);
+    const current = formatWallClock(toWallClock(new Date(reminder.reminder_time), timeZone));
+    
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "reminder_edit_modal",
+        private_metadata: JSON.stringify({ reminderId: reminder.id }),
+        title: {
+          type: "plain_text",
+          text: "Edit reminder"
+        },
+        submit: {
+          type: "plain_text",
+          text: "Save"
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel"
+        },
+        blocks: [
+          {
+            type: "input",
+            block_id: "reminder_text",
+            label: {
+              type: "plain_text",
+              text: "Remind about"
+            },
+            element: {
+              type: "plain_text_input",
+              action_id: "text",
+              initial_value: reminder.content
+            }
+          },
+          {
+            type: "input",
+            block_id: "reminder_date",
+            label: {
+              type: "plain_text",
+              text: "Date"
+            },
+            element: {
+              type: "datepicker",
+              action_id: "date",
+              initial_date: current.substring(0, 10)
+            }
+          },
+          {
+            type: "input",
+            block_id: "reminder_time",
+            label: {
+              type: "plain_text",
+              text: "Time"
+            },
+            element: {
+              type: "timepicker",
+              action_id: "time",
+              initial_time: current.substring(11, 16)
+            }
+          },
+          {
+            type: "input",
+            block_id: "reminder_channel",
+            label: {
+              type: "plain_text",
+              text: "Post in"
+            },
+            element: {
+              type: "conversations_select",
+              action_id: "channel",
+              initial_conversation: reminder.channel_id
+            }
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: reminder.recurrence ?
+                  `Times are in ${timeZone}. Changes apply to this and later occurrences of the series.` :
+                  `Times are in ${timeZone}`
+              }
+            ]
+          }
+        ]
+      }
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening edit reminder modal:', error);
+    
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `<@${userId}> Sorry, I couldn't edit that reminder: ${error.message}`
+    });
+    
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle submission of the edit reminder modal
+ * The old scheduled message is cancelled and a new one created; the reminder keeps its ID and history
+ * @param {Object} params - View submission parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleEditReminderSubmission({ ack, view, body, client }) {
+  const userId = body?.user?.id;
+  const values = view.state.values;
+  const { reminderId } = JSON.parse(view.private_metadata || '{}');
+  const content = values.reminder_text?.text?.value?.trim();
+  const date = values.reminder_date?.date?.selected_date;
+  const time = values.reminder_time?.time?.selected_time;
+  const channelId = values.reminder_channel?.channel?.selected_conversation;
+  
+  let reminder;
+  let timeZone;
+  let newTime;
+  
+  try {
+    reminder = await getOwnedReminder(reminderId, userId);
+    timeZone = reminder.time_zone || await getUserTimeZone(userId, client);
+    
+    const wall = parseWallClock(`${date} ${time}`);
+    newTime = wall && fromWallClock(wall, timeZone);
+  } catch (error) {
+    await ack({
+      response_action: 'errors',
+      errors: { reminder_text: error.message }
+    });
+    return { success: false, error: error.message };
+  }
+  
+  const errors = {};
+  if (!content) {
+    errors.reminder_text = 'Enter what to be reminded about';
+  }
+  if (!newTime || newTime.getTime() <= Date.now()) {
+    errors.reminder_time = 'Pick a time in the future';
+  }
+  
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return { success: false, error: Object.values(errors).join(', ') };
+  }
+  
+  await ack();
+  
+  try {
+    const updated = await rescheduleReminder(reminder, newTime, client, { content, channelId });
+    
+    await client.chat.postEphemeral({
+      channel: updated.channel_id,
+      user: userId,
+      text: `✏️ Reminder ${updated.id} updated: "${updated.content}" on ${formatDateForDisplay(newTime, timeZone)}`
+    }).catch(postError => console.error('Error sending edit confirmation:', postError.message));
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error editing reminder:', error);
+    
+    await client.chat.postEphemeral({
+      channel: channelId || reminder.channel_id,
+      user: userId,
+      text: `Sorry, I couldn't update that reminder: ${error.message}`
+    }).catch(postError => console.error('Error sending edit failure notice:', postError.message));
+    
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle the New reminder button on the Home tab by opening a create reminder modal
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleOpenReminderModalAction({ ack, body, client }) {
+  await ack();
+  
+  const userId = body?.user?.id;
+  
+  try {
+    const timeZone = await getUserTimeZone(userId, client);
+    // Start from the next full hour
+    const next = formatWallClock(toWallClock(new Date(Date.now() + 60 * 60 * 1000), timeZone));
+    
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "reminder_create_modal",
+        title: {
+          type: "plain_text",
+          text: "New reminder"
+        },
+        submit: {
+          type: "plain_text",
+          text: "Set reminder"
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel"
+        },
+        blocks: [
+          {
+            type: "input",
+            block_id: "reminder_text",
+            label: {
+              type: "plain_text",
+              text: "Remind me about"
+            },
+            element: {
+              type: "plain_text_input",
+              action_id: "text"
+            }
+          },
+          {
+            type: "input",
+            block_id: "reminder_date",
+            label: {
+              type: "plain_text",
+              text: "Date"
+            },
+            element: {
+              type: "datepicker",
+              action_id: "date",
+              initial_date: next.substring(0, 10)
+            }
+          },
+          {
+            type: "input",
+            block_id: "reminder_time",
+            label: {
+              type: "plain_text",
+              text: "Time"
+            },
+            element: {
+              type: "timepicker",
+              action_id: "time",
+              initial_time: `${next.substring(11, 13)}:00`
+            }
+          },
+          {
+            type: "input",
+            block_id: "reminder_channel",
+            optional: true,
+            label: {
+              type: "plain_text",
+              text: "Post in"
+            },
+            hint: {
+              type: "plain_text",
+              text: "Leave empty to get the reminder by DM"
+            },
+            element: {
+              type: "conversations_select",
+              action_id: "channel"
+            }
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `Times are in ${timeZone}`
+              }
+            ]
+          }
+        ]
+      }
+    });
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening create reminder modal:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle submission of the create reminder modal
+ * Like "/reminder me", a reminder without a channel is delivered by DM
+ * @param {Object} params - View submission parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleCreateReminderSubmission({ ack, view, body, client }) {
+  const userId = body?.user?.id;
+  const values = view.state.values;
+  const content = values.reminder_text?.text?.value?.trim();
+  const date = values.reminder_date?.date?.selected_date;
+  const time = values.reminder_time?.time?.selected_time;
+  const selectedChannel = values.reminder_channel?.channel?.selected_conversation || null;
+  const timeZone = await getUserTimeZone(userId, client);
+  const wall = parseWallClock(`${date} ${time}`);
+  const reminderTime = wall && fromWallClock(wall, timeZone);
+  
+  const errors = {};
+  if (!content) {
+    errors.reminder_text = 'Enter what to be reminded about';
+  }
+  if (!reminderTime || reminderTime.getTime() <= Date.now()) {
+    errors.reminder_time = 'Pick a time in the future';
+  }
+  
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return { success: false, error: Object.values(errors).join(', ') };
+  }
+  
+  await ack();
+  
+  try {
+    const channel = await getDeliveryChannel(userId, userId, selectedChannel, client, { viaDm: !selectedChannel });
+    
+    // Follow the user's working hours the same way /reminder does when they've chosen to shift
+    const teamId = body?.user?.team_id || body?.team?.id;
+    const hoursCheck = await checkWorkingHours(userId, reminderTime, teamId, client);
+    const time = hoursCheck.outsideHours && hoursCheck.calendar.outOfHours === 'shift' ?
+      hoursCheck.nextWorkingTime :
+      reminderTime;
+    
+    await scheduleReminder({
+      userId,
+      text: content,
+      time,
+      channel,
+      timeZone,
+      createdBy: userId,
+      sourceChannel: selectedChannel || channel,
+      teamId
+    }, client);
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Error creating reminder from modal:', error);
+    
+    try {
+      const dm = await client.conversations.open({ users: userId });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: `Sorry, I couldn't set your reminder "${content}": ${error.message}`
+      });
+    } catch (postError) {
+      console.error('Error sending create reminder failure notice:', postError.message);
+    }
+    
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Show or change the time zone used for a user's reminders
+ * @param {string} userId - Slack user ID
+ * @param {string} value - Requested zone, "auto" to follow the Slack profile, or empty to show the current zone
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function handleTimeZoneSetting(userId, value, client, respond) {
+  if (!value) {
+    const timeZone = await getUserTimeZone(userId, client);
+    await respond({
+      text: `<@${userId}> Your reminders use *${timeZone}* (it's ${formatDateForDisplay(new Date(), timeZone)} there).\n` +
+            `Change it with \`/reminder timezone Europe/London\`, or \`/reminder timezone auto\` to follow your Slack profile.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const override = value.toLowerCase() === 'auto' ? null : value;
+  if (override && !isValidTimeZone(override)) {
+    await respond({
+      text: `<@${userId}> "${value}" isn't a time zone I recognize. Use a name like \`America/New_York\` or \`Asia/Kolkata\`.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const saved = await updateUserPreferences(userId, { time_zone: override });
+  if (!saved) {
+    await respond({
+      text: `<@${userId}> Sorry, I couldn't save your time zone. Please try again later.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const timeZone = await getUserTimeZone(userId, client);
+  await respond({
+    text: override ?
+      `<@${userId}> Your reminders will now use *${timeZone}*.` :
+      `<@${userId}> Your reminders will follow your Slack profile time zone (currently *${timeZone}*).`,
+    response_type: 'ephemeral'
+  });
+}
+
+/**
+ * Show or change where reminders for a user are posted
+ * @param {string} userId - Slack user ID
+ * @param {string} value - "channel", "dm", or empty to show the current setting
+ * @param {Function} respond - Function to send responses
+ */
+async function handleDeliverySetting(userId, value, respond) {
+  const preferences = await getUserPreferences(userId);
+  const current = preferences?.reminder_delivery === 'dm' ? 'dm' : 'channel';
+  const describe = (delivery) => delivery === 'dm' ?
+    'as a direct message from me' :
+    'in the channel they were set in';
+  
+  if (!value) {
+    await respond({
+      text: `<@${userId}> Reminders for you are posted ${describe(current)}.\n` +
+            `Change it with \`/reminder delivery dm\` or \`/reminder delivery channel\`.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const delivery = value.toLowerCase();
+  if (!['channel', 'dm'].includes(delivery)) {
+    await respond({
+      text: `<@${userId}> Reminders can be delivered to \`channel\` or \`dm\`.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const saved = await updateUserPreferences(userId, { reminder_delivery: delivery });
+  if (!saved) {
+    await respond({
+      text: `<@${userId}> Sorry, I couldn't save your delivery preference. Please try again later.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  await respond({
+    text: `<@${userId}> New reminders for you will be posted ${describe(delivery)}.`,
+    response_type: 'ephemeral'
+  });
+}
+
+/**
+ * Load the saved working hours for a user, or for their workspace
+ * ("workspace" at the start of the value picks the workspace; only admins may change it)
+ * @param {Object} command - Slash command payload
+ * @param {string} value - Setting text after the subcommand
+ * @param {Object} client - Slack client
+ * @returns {Promise<Object>} - { workspace, rest, saved, save } or { error }
+ */
+async function loadWorkingHoursScope(command, value, client) {
+  const workspace = /^workspace\b/i.test(value);
+  const rest = value.replace(/^workspace\s*/i, '');
+  
+  if (workspace && rest && !await isWorkspaceAdmin(command.user_id, client)) {
+    return { error: 'Only workspace admins can change the workspace calendar.' };
+  }
+  
+  const saved = workspace ?
+    (await getWorkspaceSettings(command.team_id))?.working_hours :
+    (await getUserPreferences(command.user_id))?.working_hours;
+  
+  // Save a new working_hours value (an empty one clears it)
+  const save = (workingHours) => {
+    const stored = workingHours && Object.keys(workingHours).length > 0 ? JSON.stringify(workingHours) : null;
+    return workspace ?
+      updateWorkspaceSettings(command.team_id, { working_hours: stored }) :
+      updateUserPreferences(command.user_id, { working_hours: stored });
+  };
+  
+  return { workspace, rest, saved: saved || {}, save };
+}
+
+/**
+ * Show or change working hours, working days and what happens to reminders outside them
+ * e.g. "9am-5pm mon-fri", "workspace 8:30-16:30 sun-thu", "shift", "confirm", "reset"
+ * @param {Object} command - Slash command payload
+ * @param {string} value - Setting text after "hours"
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Function to send responses
+ */
+async function handleWorkingHoursSetting(command, value, client, respond) {
+  const userId = command.user_id;
+  const scope = await loadWorkingHoursScope(command, value, client);
+  
+  if (scope.error) {
+    await respond({ text: `<@${userId}> ${scope.error}`, response_type: 'ephemeral' });
+    return;
+  }
+  
+  const { workspace, rest, saved, save } = scope;
+  const owner = workspace ? 'The workspace' : 'Your';
+  
+  // The workspace calendar on its own, or the user's combined with their workspace's
+  const currentCalendar = async (workingHours) => workspace ?
+    mergeCalendars(workingHours, null) :
+    getWorkingCalendar(userId, command.team_id);
+  
+  if (!rest) {
+    const calendar = await currentCalendar(saved);
+    await respond({
+      text: `<@${userId}> ${owner} working hours are *${describeWorkingHours(calendar)}*` +
+            (calendar.holidays.length > 0 ? `, with ${calendar.holidays.length} holiday(s)` : '') + '.\n' +
+            `Reminders outside them are ${calendar.outOfHours === 'shift' ? 'moved to your next working time' : 'set as asked, with an option to move them'}.\n` +
+            `Change them with \`/reminder hours 9am-5pm mon-fri\` (or \`/reminder hours workspace …\` for everyone), ` +
+            `\`/reminder hours shift|confirm\` or \`/reminder hours reset\`.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  let updated;
+  const setting = rest.toLowerCase();
+  
+  if (setting === 'reset') {
+    // Keep holidays; they are managed with /reminder holidays
+    updated = saved.holidays?.length ? { holidays: saved.holidays } : {};
+  } else if (OUT_OF_HOURS_MODES.includes(setting)) {
+    updated = { ...saved, outOfHours: setting };
+  } else {
+    const hours = parseWorkingHours(rest);
+    if (!hours) {
+      await respond({
+        text: `<@${userId}> I couldn't read "${rest}" as working hours. Try something like \`9am-5pm mon-fri\` or \`08:30-16:30 sun-thu\`.`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    updated = { ...saved, ...hours };
+  }
+  
+  if (!await save(updated)) {
+    await respond({
+      text: `<@${userId}> Sorry, I couldn't save the working hours. Please try again later.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const calendar = await currentCalendar(updated);
+  await respond({
+    text: setting === 'reset' ?
+      `<@${userId}> ${owner} working hours have been reset.` :
+      OUT_OF_HOURS_MODES.includes(setting) ?
+        `<@${userId}> Reminders outside working hours will now be ${setting === 'shift' ? 'moved to the next working time' : 'set as asked, with an option to move them'}.` :
+        `<@${userId}> ${owner} working hours are now *${describeWorkingHours(calendar)}*.`,
+    response_type: 'ephemeral'
+  });
+}
+
+/**
+ * List, add or remove holidays for a user or their workspace
+ * e.g. "add 2025-12-25", "workspace remove 2025-12-26"
+ * @param {Object} command - Slash command payload
+ * @param {string} value - Setting text after "holidays"
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Function to send responses
+ */
+async function handleHolidaySetting(command, value, client, respond) {
+  const userId = command.user_id;
+  const scope = await loadWorkingHoursScope(command, value, client);
+  
+  if (scope.error) {
+    await respond({ text: `<@${userId}> ${scope.error}`, response_type: 'ephemeral' });
+    return;
+  }
+  
+  const { workspace, rest, saved, save } = scope;
+  const holidays = saved.holidays || [];
+  
+  if (!rest) {
+    await respond({
+      text: holidays.length > 0 ?
+        `<@${userId}> ${workspace ? 'Workspace' : 'Your'} holidays: ${holidays.join(', ')}` :
+        `<@${userId}> No ${workspace ? 'workspace' : 'personal'} holidays are set. Add one with \`/reminder holidays ${workspace ? 'workspace ' : ''}add 2025-12-25\`.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const match = rest.match(/^(add|remove)\s+(\d{4}-\d{2}-\d{2})$/i);
+  if (!match || isNaN(Date.parse(match[2]))) {
+    await respond({
+      text: `<@${userId}> Use \`/reminder holidays [workspace] add|remove YYYY-MM-DD\`.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const [, action, date] = match;
+  const updatedHolidays = action.toLowerCase() === 'add' ?
+    [...new Set([...holidays, date])].sort() :
+    holidays.filter(holiday => holiday !== date);
+  
+  if (!await save({ ...saved, holidays: updatedHolidays })) {
+    await respond({
+      text: `<@${userId}> Sorry, I couldn't save the holiday. Please try again later.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  await respond({
+    text: `<@${userId}> ${date} ${action.toLowerCase() === 'add' ? 'added to' : 'removed from'} ${workspace ? 'the workspace' : 'your'} holidays.`,
+    response_type: 'ephemeral'
+  });
+}
+
+// Most events a single .ics import will turn into reminders
+const MAX_IMPORTED_EVENTS = 50;
+
+// Safety limit when stepping a repeating event forward from an old start date
+const MAX_OCCURRENCE_STEPS = 100000;
+
+/**
+ * Upload the user's pending reminders and due milestones as an .ics file to their DM
+ * @param {Object} command - Slash command payload
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Function to send responses
+ */
+async function handleCalendarExport(command, client, respond) {
+  const userId = command.user_id;
+  
+  try {
+    const timeZone = await getUserTimeZone(userId, client);
+    const [reminders, milestones] = await Promise.all([
+      getActiveReminders(userId, { upcomingOnly: true }),
+      getDueMilestones(userId)
+    ]);
+    
+    if (reminders.length === 0 && milestones.length === 0) {
+      await respond({
+        text: `<@${userId}> You don't have any pending reminders or due milestones to export.`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const events = reminders.map(reminder => {
+      const event = {
+        uid: `reminder-${reminder.series_id || reminder.id}`,
+        summary: reminder.content,
+        description: `Slack reminder (ID ${reminder.id})`
+      };
+      
+      if (!reminder.recurrence) {
+        return { ...event, start: new Date(reminder.reminder_time) };
+      }
+      
+      // Repeating reminders keep their local time across DST changes
+      const reminderZone = reminder.time_zone || timeZone;
+      return {
+        ...event,
+        wallClock: toWallClock(new Date(reminder.reminder_time), reminderZone),
+        timeZone: reminderZone,
+        rrule: recurrenceToRRule(reminder.recurrence)
+      };
+    });
+    
+    milestones.forEach(milestone => {
+      events.push({
+        uid: `milestone-${milestone.id}`,
+        summary: `🏁 ${milestone.title}`,
+        description: milestone.description || '',
+        date: toWallClock(new Date(milestone.due_date), timeZone)
+      });
+    });
+    
+    // Send the file privately rather than sharing it in the channel
+    const dm = await client.conversations.open({ users: userId });
+    await client.files.uploadV2({
+      channel_id: dm.channel.id,
+      filename: 'milestone-madness.ics',
+      title: 'Reminders and milestones',
+      content: buildCalendar(events, { name: 'Milestone Madness' }),
+      initial_comment: `Here are your ${reminders.length} pending reminder(s) and ${milestones.length} due milestone(s). ` +
+                       `Open the file or import it into your calendar app.`
+    });
+    
+    await respond({
+      text: `<@${userId}> I've sent your calendar file to our DM.`,
+      response_type: 'ephemeral'
+    });
+  } catch (error) {
+    console.error('Error exporting reminders:', error);
+    await respond({
+      text: `<@${userId}> Sorry, I couldn't export your reminders: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+/**
+ * Work out when a reminder for an imported calendar event should fire
+ * @param {Object} event - Event from parseCalendar
+ * @param {string} userTimeZone - The importing user's zone, used for floating times
+ * @param {Object} calendar - The user's working calendar; all-day events fire at the start of the working day,
+ *   and occurrences of repeating events are fitted to it like other repeating reminders
+ * @param {Date} now - Current time
+ * @returns {Object} - { time, timeZone, recurrence, note } or { skip: reason }
+ */
+function planImportedReminder(event, userTimeZone, calendar, now = new Date()) {
+  const { start } = event;
+  let timeZone = userTimeZone;
+  let startWall;
+  
+  if (start.utc) {
+    // UTC times are real instants; repeat them at the matching local time
+    startWall = toWallClock(start.wallClock, userTimeZone);
+  } else if (start.allDay) {
+    const [hour, minute] = calendar.start.split(':').map(Number);
+    startWall = new Date(start.wallClock);
+    startWall.setUTCHours(hour, minute, 0, 0);
+  } else {
+    // Zones such as "W. Europe Standard Time" (Outlook) aren't IANA names; fall back to the user's
+    timeZone = isValidTimeZone(start.timeZone) ? start.timeZone : userTimeZone;
+    startWall = start.wallClock;
+  }
+  
+  if (!event.rrule) {
+    const time = fromWallClock(startWall, timeZone);
+    if (time <= now) return { skip: 'already past' };
+    
+    // One-off events follow the user's choice for reminders outside working hours
+    const localWall = toWallClock(time, userTimeZone);
+    const shifted = calendar.outOfHours === 'shift' && !isWorkingTime(localWall, calendar) ?
+      nextWorkingTime(localWall, calendar) :
+      null;
+    return shifted ?
+      { time: fromWallClock(shifted, userTimeZone), timeZone, recurrence: null, note: 'moved into working hours' } :
+      { time, timeZone, recurrence: null };
+  }
+  
+  const { rule, until, count, unsupported } = rruleToRecurrence(event.rrule, startWall);
+  
+  if (!rule) {
+    // Keep the first occurrence if it's still ahead, rather than dropping the event
+    const time = fromWallClock(startWall, timeZone);
+    return time > now ?
+      { time, timeZone, recurrence: null, note: `only the first occurrence; ${unsupported} aren't supported` } :
+      { skip: `${unsupported} aren't supported` };
+  }
+  
+  // The series ends at UNTIL, or at its COUNT-th occurrence; either way the end is
+  // stored on the rule as the time of the last occurrence allowed
+  let untilTime = until && (until.utc ? until.wallClock :
+    fromWallClock(new Date(until.wallClock.getTime() + (until.allDay ? 24 * 3600000 : 0)), timeZone));
+  if (count) {
+    if (count > MAX_OCCURRENCE_STEPS) return { skip: 'the series is too long' };
+    let last = startWall;
+    for (let i = 1; i < count; i++) {
+      last = nextOccurrence(rule, last);
+    }
+    untilTime = fromWallClock(last, timeZone);
+  }
+  const recurrence = untilTime ? { ...rule, until: untilTime.toISOString() } : rule;
+  
+  let occurrence = startWall;
+  let index = 1;
+  while (fromWallClock(occurrence, timeZone) <= now) {
+    if (index >= MAX_OCCURRENCE_STEPS) return { skip: 'starts too long ago' };
+    occurrence = nextOccurrence(rule, occurrence);
+    index++;
+  }
+  
+  const fitted = untilTime && fromWallClock(occurrence, timeZone) > untilTime ?
+    null :
+    fitOccurrenceToCalendar(recurrence, fromWallClock(occurrence, timeZone), timeZone, calendar, userTimeZone);
+  
+  return fitted ?
+    { time: fitted.time, occurrenceTime: fitted.occurrence, timeZone, recurrence } :
+    { skip: 'the series has ended' };
+}
+
+/**
+ * Check whether a Slack file looks like an iCalendar file
+ * @param {Object} file - File object from a message
+ * @returns {boolean}
+ */
+function isCalendarFile(file) {
+  return /\.ics$/i.test(file?.name || '') || file?.mimetype === 'text/calendar' || file?.filetype === 'ics';
+}
+
+/**
+ * Create reminders from .ics files a user sends the bot in a DM
+ * @param {Object} params - Message event parameters
+ * @returns {Promise<boolean>} - Whether the message had a calendar file (and was handled here)
+ */
+async function handleCalendarImport({ message, client }) {
+  const files = (message.files || []).filter(isCalendarFile);
+  if (files.length === 0) return false;
+  
+  const userId = message.user;
+  
+  try {
+    const [timeZone, calendar] = await Promise.all([
+      getUserTimeZone(userId, client),
+      getWorkingCalendar(userId, message.team)
+    ]);
+    const imported = [];
+    const skipped = [];
+    
+    for (const file of files) {
+      const response = await fetch(file.url_private_download || file.url_private, {
+        headers: { Authorization: `Bearer ${client.token}` }
+      });
+      if (!response.ok) {
+        throw new Error(`Couldn't download ${file.name} (${response.status})`);
+      }
+      
+      const events = parseCalendar(await response.text());
+      
+      for (const event of events) {
+        const title = event.summary || 'Untitled event';
+        
+        if (imported.length >= MAX_IMPORTED_EVENTS) {
+          skipped.push({ title, reason: `only ${MAX_IMPORTED_EVENTS} events are imported at a time` });
+          continue;
+        }
+        if (event.status === 'CANCELLED') {
+          skipped.push({ title, reason: 'cancelled' });
+          continue;
+        }
+        if (isExportedUid(event.uid)) {
+          skipped.push({ title, reason: 'exported from here already' });
+          continue;
+        }
+        
+        const plan = planImportedReminder(event, timeZone, calendar);
+        if (plan.skip) {
+          skipped.push({ title, reason: plan.skip });
+          continue;
+        }
+        
+        try {
+          await scheduleReminder({
+            userId,
+            text: title,
+            time: plan.time,
+            channel: message.channel,
+            timeZone: plan.timeZone,
+            recurrence: plan.recurrence,
+            teamId: message.team,
+            occurrenceTime: plan.occurrenceTime || null
+          }, client);
+          
+          imported.push({ title, time: plan.time, recurrence: plan.recurrence, timeZone: plan.timeZone, note: plan.note });
+        } catch (scheduleError) {
+          skipped.push({ title, reason: scheduleError.message });
+        }
+      }
+    }
+    
+    const lines = imported.map(entry =>
+      `• *${entry.title}* – ${entry.recurrence ?
+        `repeats ${formatRecurrenceForDisplay(entry.recurrence, entry.timeZone)}` :
+        formatDateForDisplay(entry.time, timeZone)}${entry.note ? ` _(${entry.note})_` : ''}`);
+    const skippedLines = skipped.map(entry => `• ${entry.title} – ${entry.reason}`);
+    
+    await client.chat.postMessage({
+      channel: message.channel,
+      text: (imported.length > 0 ?
+        `📅 Imported ${imported.length} reminder(s) from your calendar file:\n${lines.join('\n')}` :
+        `📅 I didn't find any upcoming events to import.`) +
+        (skippedLines.length > 0 ? `\n\nSkipped ${skipped.length}:\n${skippedLines.join('\n')}` : '')
+    });
+  } catch (error) {
+    console.error('Error importing calendar file:', error);
+    await client.chat.postMessage({
+      channel: message.channel,
+      text: `Sorry, I couldn't import that calendar file: ${error.message}`
+    }).catch(postError => console.error('Failed to send import error message:', postError));
+  }
+  
+  return true;
+}
+
+/**
+ * Schedule the next occurrence of every repeating reminder that has fired
+ * Runs as a background job (see utils/scheduler.js)
+ * @param {Object} client - Slack client
+ */
+async function advanceRecurringReminders(client) {
+  const dueReminders = await claimDueRecurringReminders();
+  
+  for (const reminder of dueReminders) {
+    try {
+      // Step from the occurrence the rule produced, in the zone the series was created in,
+      // and skip any occurrences that were missed while the bot was down. reminder_time
+      // can't be used: fitting to working hours, Snooze or Reschedule may have moved it
+      // (rows from before occurrence_time was stored fall back to it)
+      const timeZone = reminder.time_zone || DEFAULT_TIME_ZONE;
+      const until = reminder.recurrence.until ? new Date(reminder.recurrence.until) : null;
+      const now = new Date();
+      const fired = new Date(reminder.occurrence_time || reminder.reminder_time);
+      let next = nextOccurrence(reminder.recurrence, toWallClock(fired, timeZone));
+      while (fromWallClock(next, timeZone) <= now) {
+        next = nextOccurrence(reminder.recurrence, next);
+      }
+      const fitted = until && fromWallClock(next, timeZone) > until ?
+        null :
+        await fitRecurringReminderTime(
+          reminder.user_id, reminder.recurrence, fromWallClock(next, timeZone), timeZone, reminder.team_id, client
+        );
+      
+      // The claimed row stays claimed, so a finished series isn't picked up again
+      if (!fitted) {
+        console.log(`Reminder series ${reminder.series_id} has reached its end`);
+        continue;
+      }
+      
+      await scheduleReminder({
+        userId: reminder.user_id,
+        text: reminder.content,
+        time: fitted.time,
+        channel: reminder.channel_id,
+        timeZone,
+        recurrence: reminder.recurrence,
+        seriesId: reminder.series_id,
+        createdBy: reminder.created_by,
+        sourceChannel: reminder.source_channel_id,
+        teamId: reminder.team_id,
+        occurrenceTime: fitted.occurrence
+      }, client);
+      
+      console.log(`Scheduled next occurrence of reminder series ${reminder.series_id} for ${fitted.time.toISOString()}`);
+    } catch (error) {
+      console.error(`Error scheduling next occurrence of reminder ${reminder.id}:`, error);
+      await releaseRecurringReminder(reminder.id);
+    }
+  }
+}
+
+registerJob('advance-recurring-reminders', advanceRecurringReminders);
+
 module.exports = { 
   handleReminderCommand,
   handleDeleteReminderAction,
-  activeReminders
+  handleReminderDoneAction,
+  handleReminderSnoozeAction,
+  handleRescheduleReminderAction,
+  handleRescheduleReminderSubmission,
+  handleEditReminderAction,
+  handleEditReminderSubmission,
+  handleOpenReminderModalAction,
+  handleCreateReminderSubmission,
+  handleShiftReminderAction,
+  handleCalendarImport,
+  advanceRecurringReminders,
+  planImportedReminder
 };
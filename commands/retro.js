@@ -0,0 +1,1145 @@
+// retro.js - Handler for /retro: anonymous retro entries, AI-clustered themes, voting and action items
+const { getAIResponse } = require('../utils/ai');
+const { registerJob } = require('../utils/scheduler');
+const { parseProjectOption, resolveProjectId, assertProjectActive } = require('../utils/projects');
+const { formatInTimeZone, getUserTimeZone } = require('../utils/timezone');
+const {
+  createRetro,
+  getRetro,
+  getOpenRetro,
+  getLatestRetro,
+  listRetros,
+  updateRetro,
+  advanceRetro,
+  closeDueRetroCollections,
+  addRetroEntry,
+  getRetroEntries,
+  toggleRetroVote,
+  getRetroVotes,
+  addRetroAction,
+  getRetroActions,
+  listSprints,
+  createTask
+} = require('../utils/database');
+const { refreshHomeTabs } = require('./home');
+const { notifyTaskOwner, parseTaskDetails, parseDueDate } = require('./task');
+
+// Entry categories, in the order they're shown
+const CATEGORIES = [
+  { id: 'went_well', label: 'Went well', emoji: '🌞' },
+  { id: 'didnt_go_well', label: "Didn't go well", emoji: '🌧️' },
+  { id: 'ideas', label: 'Ideas', emoji: '💡' }
+];
+
+// How long entries are collected unless "for <duration>" is given
+const DEFAULT_WINDOW_MINUTES = 24 * 60;
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+// Votes each person can spread across the themes
+const VOTES_PER_PERSON = 3;
+
+// Each theme takes one block; stay well under Slack's 50-block limit
+const MAX_THEMES = 20;
+
+// Themes shown in the results, most votes first
+const MAX_RESULT_THEMES = 5;
+
+// Earlier retros whose themes are checked for recurring ones
+const HISTORY_RETROS = 5;
+
+// Longest entry that's accepted, and how much of it is quoted under a theme
+const MAX_ENTRY_LENGTH = 500;
+const MAX_QUOTED_LENGTH = 200;
+
+const CATEGORY_IDS = CATEGORIES.map(category => category.id);
+
+/**
+ * Look up a category by its ID
+ * @param {string} id - Category ID
+ * @returns {Object}
+ */
+function getCategory(id) {
+  return CATEGORIES.find(category => category.id === id) || CATEGORIES[0];
+}
+
+/**
+ * Normalize a theme title so the same theme is recognised across retros
+ * @param {string} title - Theme title
+ * @returns {string}
+ */
+function normalizeTheme(title) {
+  return (title || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a collection window such as "for 2h", "for 30 minutes" or "for 3 days"
+ * @param {string} text - Text that may contain the window
+ * @returns {{minutes: number|null, text: string}} - text has the window removed
+ */
+function parseWindowOption(text) {
+  const match = text.match(/\bfor\s+(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)\b/i);
+  if (!match) return { minutes: null, text };
+
+  const unit = match[2][0].toLowerCase();
+  const minutes = parseInt(match[1], 10) * (unit === 'd' ? 24 * 60 : unit === 'h' ? 60 : 1);
+  return { minutes, text: text.replace(match[0], ' ').trim() };
+}
+
+/**
+ * Describe a retro's project and sprint, e.g. "web (Sprint 12)"
+ * @param {Object} retro - Retro row with sprint_name
+ * @returns {string}
+ */
+function describeRetro(retro) {
+  return retro.sprint_name ? `${retro.project_id} (${retro.sprint_name})` : retro.project_id;
+}
+
+/**
+ * Count something with the right plural, e.g. "1 entry" or "3 entries"
+ * @param {number} count - How many
+ * @param {string} singular - Singular noun
+ * @param {string} plural - Plural noun
+ * @returns {string}
+ */
+function pluralize(count, singular, plural) {
+  return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Build the message that asks for entries, with a running count
+ * @param {Object} retro - Retro row
+ * @param {number} entryCount - Entries so far
+ * @param {string} timeZone - IANA time zone the closing time is shown in
+ * @returns {{text: string, blocks: Array}}
+ */
+function buildCollectingMessage(retro, entryCount, timeZone) {
+  const open = retro.status === 'collecting';
+  const text = open ?
+    `🔁 *Retro for ${describeRetro(retro)}*\nWhat went well, what didn't, and what should we try? ` +
+    `Entries are anonymous. Themes go up for a vote ${formatInTimeZone(retro.closes_at, timeZone)}.` :
+    `🔁 *Retro for ${describeRetro(retro)}*\nEntries are closed; the themes are in the thread.`;
+
+  return {
+    text: text.replace(/\*/g, ''),
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text
+        }
+      },
+      ...(open ? [{
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "Add entries",
+              emoji: true
+            },
+            style: "primary",
+            value: String(retro.id),
+            action_id: "retro_add_entry"
+          }
+        ]
+      }] : []),
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `${pluralize(entryCount, 'entry', 'entries')} so far`
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Ask the AI to group entries into themes
+ * Recurring themes are ones that match a theme from an earlier retro of the same project
+ * @param {Array} entries - Retro entry rows
+ * @param {string[]} previousThemes - Theme titles from earlier retros
+ * @returns {Promise<Array|null>} - Themes, or null if the AI's answer couldn't be used
+ */
+async function clusterWithAI(entries, previousThemes) {
+  const prompt = `Group these anonymous retrospective entries into themes.\n` +
+    `Each entry has an ID and a category (${CATEGORY_IDS.join(', ')}).\n\n` +
+    `${entries.map(entry => `${entry.id} [${entry.category}] ${entry.content}`).join('\n')}\n\n` +
+    (previousThemes.length > 0 ?
+      `Themes from earlier retros of this project:\n${previousThemes.map(title => `- ${title}`).join('\n')}\n\n` : '') +
+    `Reply with only a JSON array, no other text, like:\n` +
+    `[{"title": "Flaky CI slowed reviews", "category": "didnt_go_well", "entries": [3, 7], "recurring": false}]\n` +
+    `Use short titles, put every entry in exactly one theme, keep entries of different categories in different themes, ` +
+    `and set "recurring" to true when a theme is the same as one from an earlier retro.`;
+
+  const response = await getAIResponse(prompt, 'retro');
+  const json = (response || '').match(/\[[\s\S]*\]/);
+  if (!json) return null;
+
+  try {
+    const parsed = JSON.parse(json[0]);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    console.error('Error parsing retro themes from AI:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Group a retro's entries into themes
+ * Uses the AI when it answers with usable themes; otherwise entries with the same text are grouped
+ * Any entry the AI left out gets a theme of its own
+ * @param {Array} entries - Retro entry rows
+ * @param {string[]} previousThemes - Theme titles from earlier retros
+ * @returns {Promise<Array<{title: string, category: string, entries: number[], recurring: boolean}>>}
+ */
+async function buildThemes(entries, previousThemes) {
+  const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+  const used = new Set();
+  const themes = [];
+
+  for (const theme of (await clusterWithAI(entries, previousThemes)) || []) {
+    const ids = (Array.isArray(theme.entries) ? theme.entries : [])
+      .map(Number)
+      .filter(id => entriesById.has(id) && !used.has(id));
+    if (typeof theme.title !== 'string' || !theme.title.trim() || ids.length === 0) continue;
+
+    ids.forEach(id => used.add(id));
+    themes.push({
+      title: theme.title.trim().substring(0, 150),
+      category: CATEGORY_IDS.includes(theme.category) ? theme.category : entriesById.get(ids[0]).category,
+      entries: ids,
+      recurring: theme.recurring === true
+    });
+  }
+
+  for (const entry of entries.filter(entry => !used.has(entry.id))) {
+    const same = themes.find(theme => theme.category === entry.category &&
+      theme.entries.some(id => normalizeTheme(entriesById.get(id).content) === normalizeTheme(entry.content)));
+
+    if (same) {
+      same.entries.push(entry.id);
+    } else {
+      themes.push({ title: entry.content.substring(0, 150), category: entry.category, entries: [entry.id], recurring: false });
+    }
+  }
+
+  const previous = new Set(previousThemes.map(normalizeTheme));
+  themes.forEach(theme => {
+    theme.recurring = theme.recurring || previous.has(normalizeTheme(theme.title));
+  });
+
+  // Biggest themes first within each category
+  return themes
+    .sort((a, b) => CATEGORY_IDS.indexOf(a.category) - CATEGORY_IDS.indexOf(b.category) || b.entries.length - a.entries.length)
+    .slice(0, MAX_THEMES);
+}
+
+/**
+ * Count the votes for each theme
+ * @param {Array} votes - Rows from getRetroVotes
+ * @returns {Map<number, number>} - Votes by theme index
+ */
+function countVotes(votes) {
+  const counts = new Map();
+  votes.forEach(vote => counts.set(vote.theme_index, (counts.get(vote.theme_index) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Describe a theme and the entries in it
+ * @param {Object} theme - Theme from buildThemes
+ * @param {Map} entriesById - Retro entries by ID
+ * @returns {string}
+ */
+function describeTheme(theme, entriesById) {
+  const quotes = theme.entries
+    .map(id => entriesById.get(id))
+    .filter(Boolean)
+    .map(entry => `> ${entry.content.length > MAX_QUOTED_LENGTH ? `${entry.content.substring(0, MAX_QUOTED_LENGTH - 1)}…` : entry.content}`);
+
+  return `${getCategory(theme.category).emoji} *${theme.title}*${theme.recurring ? ' 🔁' : ''}\n${quotes.join('\n')}`.substring(0, 3000);
+}
+
+/**
+ * Build the message with a vote button on each theme
+ * Once voting has closed the counts stay but the buttons go
+ * @param {Object} retro - Retro row with its themes
+ * @param {Array} entries - Retro entry rows
+ * @param {Array} votes - Rows from getRetroVotes
+ * @returns {{text: string, blocks: Array}}
+ */
+function buildThemesMessage(retro, entries, votes) {
+  const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+  const counts = countVotes(votes);
+  const voting = retro.status === 'voting';
+
+  return {
+    text: `Retro themes for ${retro.project_id}: ${pluralize(retro.themes.length, 'theme', 'themes')} from ${pluralize(entries.length, 'entry', 'entries')}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: voting ?
+            `🗳️ *Retro themes* from ${pluralize(entries.length, 'entry', 'entries')}. You have ${VOTES_PER_PERSON} votes for what to talk about; click again to take one back.` :
+            `🗳️ *Retro themes* from ${pluralize(entries.length, 'entry', 'entries')}. Voting has closed.`
+        }
+      },
+      ...retro.themes.map((theme, index) => {
+        const count = counts.get(index) || 0;
+        const block = {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: voting ? describeTheme(theme, entriesById) : `${describeTheme(theme, entriesById)}\n👍 ${count}`.substring(0, 3000)
+          }
+        };
+
+        if (voting) {
+          block.accessory = {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: `👍 ${count}`,
+              emoji: true
+            },
+            value: `${retro.id}:${index}`,
+            action_id: "retro_vote"
+          };
+        }
+
+        return block;
+      }),
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `🔁 came up in an earlier retro${voting ? ' · `/retro close` ends voting' : ''}`
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Close a retro's entries: group them into themes and post them for a vote in the retro thread
+ * @param {Object} retro - Retro row that has just moved to voting
+ * @param {Object} client - Slack client
+ */
+async function postRetroThemes(retro, client) {
+  const entries = await getRetroEntries(retro.id);
+  const timeZone = await getUserTimeZone(retro.created_by, client);
+
+  if (retro.message_ts) {
+    await client.chat.update({
+      channel: retro.channel_id,
+      ts: retro.message_ts,
+      ...buildCollectingMessage(retro, entries.length, timeZone)
+    });
+  }
+
+  if (entries.length === 0) {
+    await advanceRetro(retro.id, 'voting', 'closed');
+    await client.chat.postMessage({
+      channel: retro.channel_id,
+      thread_ts: retro.message_ts || undefined,
+      text: 'Nobody added anything to this retro, so there is nothing to vote on.'
+    });
+    return;
+  }
+
+  const earlier = (await listRetros(retro.project_id, HISTORY_RETROS + 1)).filter(other => other.id !== retro.id);
+  const previousThemes = [...new Set(earlier.flatMap(other => (other.themes || []).map(theme => theme.title)))];
+  const themes = await buildThemes(entries, previousThemes);
+  const updated = await updateRetro(retro.id, { themes });
+
+  if (!updated) {
+    throw new Error('Could not save the retro themes to the database');
+  }
+
+  const posted = await client.chat.postMessage({
+    channel: retro.channel_id,
+    thread_ts: retro.message_ts || undefined,
+    reply_broadcast: Boolean(retro.message_ts),
+    ...buildThemesMessage(updated, entries, [])
+  });
+  await updateRetro(retro.id, { themes_ts: posted.ts });
+}
+
+/**
+ * Close voting: save the vote counts with the themes and post the results with action item buttons
+ * @param {Object} retro - Retro row that has just moved to closed
+ * @param {Object} client - Slack client
+ */
+async function postRetroResults(retro, client) {
+  const [entries, votes, actions] = await Promise.all([
+    getRetroEntries(retro.id),
+    getRetroVotes(retro.id),
+    getRetroActions([retro.id])
+  ]);
+  const counts = countVotes(votes);
+  const themes = (retro.themes || []).map((theme, index) => ({ ...theme, votes: counts.get(index) || 0 }));
+  const closed = await updateRetro(retro.id, { themes });
+
+  if (retro.themes_ts) {
+    await client.chat.update({
+      channel: retro.channel_id,
+      ts: retro.themes_ts,
+      ...buildThemesMessage(closed || { ...retro, themes }, entries, votes)
+    });
+  }
+
+  const ranked = themes
+    .map((theme, index) => ({ theme, index }))
+    .sort((a, b) => b.theme.votes - a.theme.votes)
+    .slice(0, MAX_RESULT_THEMES);
+  const voters = new Set(votes.map(vote => vote.user_id)).size;
+
+  await client.chat.postMessage({
+    channel: retro.channel_id,
+    thread_ts: retro.message_ts || undefined,
+    reply_broadcast: Boolean(retro.message_ts),
+    text: `Retro results for ${retro.project_id}: ${ranked.map(({ theme }) => theme.title).join(', ')}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🏁 *Retro results for ${retro.project_id}*: ${pluralize(voters, 'person', 'people')} voted. ` +
+                `Turn the top themes into action items:`
+        }
+      },
+      ...ranked.map(({ theme, index }) => ({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${getCategory(theme.category).emoji} *${theme.title}*${theme.recurring ? ' 🔁' : ''} · 👍 ${theme.votes}` +
+                `${actions.some(action => action.theme_index === index) ? ' · 📌 has an action item' : ''}`
+        },
+        accessory: {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "Add action item",
+            emoji: true
+          },
+          value: `${retro.id}:${index}`,
+          action_id: "retro_add_action"
+        }
+      })),
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Action items become tasks in *${retro.project_id}*. You can also use \`/retro action <title> [@owner] [due <date>]\`.`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Post the themes of retros whose collection window has ended
+ * Runs as a background job (see utils/scheduler.js)
+ * @param {Object} client - Slack client
+ */
+async function runRetros(client) {
+  for (const retro of await closeDueRetroCollections()) {
+    try {
+      await postRetroThemes(retro, client);
+    } catch (error) {
+      console.error(`Error posting themes for retro ${retro.id}:`, error);
+    }
+  }
+}
+
+registerJob('run-retros', runRetros);
+
+/**
+ * Create a retro action item as a task in the retro's project and announce it in the retro thread
+ * @param {Object} retro - Retro row
+ * @param {Object} details - title, owner, dueDate and themeIndex (null when not from a theme)
+ * @param {string} userId - Slack user ID of whoever added it
+ * @param {Object} client - Slack client
+ * @returns {Promise<Object>} - The task
+ */
+async function createActionItem(retro, { title, owner, dueDate, themeIndex = null }, userId, client) {
+  await assertProjectActive(retro.project_id);
+
+  const theme = themeIndex !== null ? retro.themes?.[themeIndex] : null;
+  const task = await createTask({
+    projectId: retro.project_id,
+    title,
+    description: theme ? `Action item from the retro theme "${theme.title}"` : 'Action item from a retro',
+    dueDate,
+    owner: owner || userId,
+    createdBy: userId
+  });
+
+  if (!task) {
+    throw new Error('Could not save the task to the database');
+  }
+
+  await addRetroAction({ retroId: retro.id, taskId: task.id, themeIndex });
+  await notifyTaskOwner(task, userId, client);
+  await refreshHomeTabs([task.owner, userId], client);
+
+  await client.chat.postMessage({
+    channel: retro.channel_id,
+    thread_ts: retro.message_ts || undefined,
+    text: `📌 <@${userId}> added action item #${task.id}: ${task.title} (owner <@${task.owner}>)` +
+          `${theme ? ` for "${theme.title}"` : ''}`
+  });
+
+  return task;
+}
+
+/**
+ * Start a retro in this channel: /retro start [project:<id>] [for <duration>]
+ * @param {Object} command - Slash command payload
+ * @param {string} text - Text after "start"
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function startRetroCommand(command, text, client, respond) {
+  if (command.channel_id.startsWith('D')) {
+    await respond({ response_type: 'ephemeral', text: 'Run `/retro start` in the team channel the retro should be posted to.' });
+    return;
+  }
+
+  const existing = await getOpenRetro(command.channel_id);
+  if (existing) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `There's already a retro ${existing.status === 'collecting' ? 'collecting entries' : 'being voted on'} in this channel. ` +
+            'Finish it with `/retro close` first.'
+    });
+    return;
+  }
+
+  const { minutes, text: remaining } = parseWindowOption(text);
+  const windowMinutes = minutes ?? DEFAULT_WINDOW_MINUTES;
+  if (windowMinutes < 1 || windowMinutes > MAX_WINDOW_MINUTES) {
+    await respond({ response_type: 'ephemeral', text: 'Collect entries for between 1 minute and 7 days, e.g. `for 2h` or `for 3 days`.' });
+    return;
+  }
+
+  const projectId = await resolveProjectId(parseProjectOption(remaining).projectId, command.channel_id);
+  await assertProjectActive(projectId);
+
+  // The active sprint, or the one that just ended
+  const [sprint] = await listSprints(projectId);
+  const timeZone = await getUserTimeZone(command.user_id, client);
+  const retro = await createRetro({
+    projectId,
+    sprintId: sprint?.id || null,
+    channelId: command.channel_id,
+    closesAt: new Date(Date.now() + windowMinutes * 60 * 1000),
+    createdBy: command.user_id
+  });
+
+  if (!retro) {
+    throw new Error('Could not save the retro to the database');
+  }
+
+  const posted = await client.chat.postMessage({
+    channel: command.channel_id,
+    ...buildCollectingMessage({ ...retro, sprint_name: sprint?.name }, 0, timeZone)
+  });
+  await updateRetro(retro.id, { message_ts: posted.ts });
+}
+
+/**
+ * Move the channel's retro on: close entries and post themes, or close voting and post results
+ * @param {Object} command - Slash command payload
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function closeRetroCommand(command, client, respond) {
+  const retro = await getOpenRetro(command.channel_id);
+  if (!retro) {
+    await respond({ response_type: 'ephemeral', text: 'There is no retro running in this channel. Start one with `/retro start`.' });
+    return;
+  }
+
+  if (retro.status === 'collecting') {
+    const voting = await advanceRetro(retro.id, 'collecting', 'voting');
+    if (voting) await postRetroThemes(voting, client);
+    return;
+  }
+
+  const closed = await advanceRetro(retro.id, 'voting', 'closed');
+  if (closed) await postRetroResults(closed, client);
+}
+
+/**
+ * Show the channel's current retro: /retro status
+ * @param {Object} command - Slash command payload
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function showRetroStatusCommand(command, client, respond) {
+  const retro = await getOpenRetro(command.channel_id);
+  if (!retro) {
+    await respond({ response_type: 'ephemeral', text: 'There is no retro running in this channel. Start one with `/retro start`.' });
+    return;
+  }
+
+  const timeZone = await getUserTimeZone(command.user_id, client);
+  const entries = await getRetroEntries(retro.id);
+  const phase = retro.status === 'collecting' ?
+    `collecting entries until ${formatInTimeZone(retro.closes_at, timeZone)}` :
+    `voting on ${pluralize(retro.themes.length, 'theme', 'themes')} until someone runs \`/retro close\``;
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `🔁 The retro for *${retro.project_id}* is ${phase}. It has ${pluralize(entries.length, 'entry', 'entries')}.`
+  });
+}
+
+/**
+ * Add an action item to the channel's latest retro: /retro action <title> [@owner] [due <date>]
+ * @param {Object} command - Slash command payload
+ * @param {string} text - Text after "action"
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function addActionCommand(command, text, client, respond) {
+  const retro = await getLatestRetro(command.channel_id);
+  if (!retro) {
+    await respond({ response_type: 'ephemeral', text: 'There is no retro in this channel yet. Start one with `/retro start`.' });
+    return;
+  }
+
+  const timeZone = await getUserTimeZone(command.user_id, client);
+  const details = parseTaskDetails(text, timeZone);
+
+  if (details.error) {
+    await respond({ response_type: 'ephemeral', text: details.error });
+    return;
+  }
+  if (!details.title) {
+    await respond({ response_type: 'ephemeral', text: 'Give the action item a title, e.g. `/retro action Fix the flaky deploy check @alice due Friday`' });
+    return;
+  }
+
+  const task = await createActionItem(retro, details, command.user_id, client);
+  await respond({
+    response_type: 'ephemeral',
+    text: `📌 Added action item #${task.id} to the retro for *${retro.project_id}*.`
+  });
+}
+
+/**
+ * Show a project's past retros, their top themes and action items, and themes that keep coming up
+ * /retro history [project:<id>]
+ * @param {Object} command - Slash command payload
+ * @param {string} text - Text after "history"
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function showRetroHistoryCommand(command, text, client, respond) {
+  const { projectId: named, text: remaining } = parseProjectOption(text);
+  const projectId = await resolveProjectId(named || remaining.trim().toLowerCase() || null, command.channel_id);
+  const retros = await listRetros(projectId);
+
+  if (retros.length === 0) {
+    await respond({ response_type: 'ephemeral', text: `*${projectId}* hasn't had a retro yet. Start one with \`/retro start project ${projectId}\`.` });
+    return;
+  }
+
+  const timeZone = await getUserTimeZone(command.user_id, client);
+  const actions = await getRetroActions(retros.map(retro => retro.id));
+  const statusIcons = { open: '⚪', in_progress: '🔵', done: '✅' };
+
+  // A theme recurs when it was flagged as such or the same title shows up in more than one retro
+  const seen = new Map();
+  retros.forEach(retro => (retro.themes || []).forEach(theme => {
+    const key = normalizeTheme(theme.title);
+    const entry = seen.get(key) || { title: theme.title, retros: new Set(), flagged: false };
+    entry.retros.add(retro.id);
+    entry.flagged = entry.flagged || theme.recurring;
+    seen.set(key, entry);
+  }));
+  const recurring = [...seen.values()]
+    .filter(entry => entry.flagged || entry.retros.size > 1)
+    .sort((a, b) => b.retros.size - a.retros.size);
+
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `Retro history: ${projectId}`,
+        emoji: true
+      }
+    },
+    ...(recurring.length > 0 ? [{
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `🔁 *Recurring themes*\n${recurring.slice(0, 10).map(entry =>
+          `• ${entry.title}${entry.retros.size > 1 ? ` (${entry.retros.size} retros)` : ' (also in an older retro)'}`).join('\n')}`
+      }
+    }] : []),
+    ...retros.map(retro => {
+      const top = [...(retro.themes || [])].sort((a, b) => (b.votes || 0) - (a.votes || 0)).slice(0, 3);
+      const items = actions.filter(action => action.retro_id === retro.id);
+      const lines = [
+        `*${new Date(retro.created_at).toLocaleDateString('en-US', { timeZone, month: 'short', day: 'numeric', year: 'numeric' })}* · ` +
+          `${describeRetro(retro)} · ${pluralize(retro.entry_count, 'entry', 'entries')}` +
+          `${retro.status !== 'closed' ? ` · _${retro.status}_` : ''}`,
+        ...top.map(theme => `${getCategory(theme.category).emoji} ${theme.title}${theme.votes ? ` · 👍 ${theme.votes}` : ''}${theme.recurring ? ' 🔁' : ''}`),
+        ...items.map(item => `${statusIcons[item.status] || '⚪'} #${item.task_id} ${item.title} (<@${item.owner}>)`)
+      ];
+
+      return {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: lines.join('\n').substring(0, 3000)
+        }
+      };
+    })
+  ];
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Retro history for ${projectId}`,
+    blocks
+  });
+}
+
+/**
+ * Show the /retro subcommands
+ * @param {Function} respond - Slack respond function
+ */
+async function showRetroHelp(respond) {
+  await respond({
+    response_type: 'ephemeral',
+    text: "Retro commands",
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Retro commands*\n" +
+                "• `/retro start [project:web] [for 2h]` – collect anonymous entries (default: 1 day)\n" +
+                "• `/retro close` – close entries and vote on the themes, then close voting and see the results\n" +
+                "• `/retro status` – see where this channel's retro is up to\n" +
+                "• `/retro action <title> [@owner] [due <date>]` – add an action item as a task\n" +
+                "• `/retro history [project]` – past retros, action items and recurring themes"
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Handle the /retro slash command
+ * @param {Object} params - Parameters from Slack
+ */
+async function handleRetroCommand({ command, respond, client }) {
+  const text = (command.text || '').trim();
+  const [action = '', ...rest] = text.split(/\s+/);
+  const args = rest.join(' ');
+
+  try {
+    switch (action.toLowerCase()) {
+      case 'start':
+        await startRetroCommand(command, args, client, respond);
+        break;
+      case 'close':
+      case 'next':
+        await closeRetroCommand(command, client, respond);
+        break;
+      case 'status':
+        await showRetroStatusCommand(command, client, respond);
+        break;
+      case 'action':
+        await addActionCommand(command, args, client, respond);
+        break;
+      case 'history':
+        await showRetroHistoryCommand(command, args, client, respond);
+        break;
+      default:
+        await showRetroHelp(respond);
+    }
+  } catch (error) {
+    console.error('Error handling /retro command:', error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `Sorry, I encountered an error with your retro: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Handle the Add entries button by opening the entry modal
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleRetroAddEntryAction({ payload, client, ack, respond, body }) {
+  await ack();
+
+  try {
+    const retro = await getRetro(payload?.value || body?.actions?.[0]?.value);
+    if (!retro || retro.status !== 'collecting') {
+      throw new Error('This retro is no longer collecting entries');
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "retro_entry_modal",
+        private_metadata: JSON.stringify({ retroId: retro.id }),
+        title: {
+          type: "plain_text",
+          text: "Retro"
+        },
+        submit: {
+          type: "plain_text",
+          text: "Add"
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel"
+        },
+        blocks: [
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: "Entries are anonymous: your name isn't saved with them. Put each point on its own line."
+              }
+            ]
+          },
+          ...CATEGORIES.map(category => ({
+            type: "input",
+            block_id: `retro_${category.id}`,
+            optional: true,
+            label: {
+              type: "plain_text",
+              text: `${category.emoji} ${category.label}`,
+              emoji: true
+            },
+            element: {
+              type: "plain_text_input",
+              action_id: "entries",
+              multiline: true
+            }
+          }))
+        ]
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening retro entry modal:', error);
+
+    if (respond) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `Sorry, I couldn't open the retro: ${error.message}`
+      });
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle submission of the entry modal: each line becomes an anonymous entry
+ * @param {Object} params - View submission parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleRetroEntrySubmission({ ack, view, body, client }) {
+  const { retroId } = JSON.parse(view.private_metadata || '{}');
+  const values = view.state.values;
+  const retro = await getRetro(retroId);
+  const firstBlock = `retro_${CATEGORY_IDS[0]}`;
+
+  if (!retro || retro.status !== 'collecting') {
+    await ack({ response_action: 'errors', errors: { [firstBlock]: 'This retro is no longer collecting entries' } });
+    return { success: false, error: 'Retro closed' };
+  }
+
+  const entries = CATEGORY_IDS.flatMap(category =>
+    (values[`retro_${category}`]?.entries?.value || '')
+      .split('\n')
+      .map(line => line.replace(/^\s*[-•*]\s*/, '').trim())
+      .filter(Boolean)
+      .map(content => ({ category, content })));
+
+  if (entries.length === 0) {
+    await ack({ response_action: 'errors', errors: { [firstBlock]: 'Add at least one entry' } });
+    return { success: false, error: 'No entries given' };
+  }
+
+  const tooLong = entries.find(entry => entry.content.length > MAX_ENTRY_LENGTH);
+  if (tooLong) {
+    await ack({ response_action: 'errors', errors: { [`retro_${tooLong.category}`]: `Keep each entry under ${MAX_ENTRY_LENGTH} characters` } });
+    return { success: false, error: 'Entry too long' };
+  }
+
+  await ack();
+
+  try {
+    for (const entry of entries) {
+      if (!await addRetroEntry({ retroId: retro.id, ...entry })) {
+        throw new Error('Could not save your entries to the database');
+      }
+    }
+
+    if (retro.message_ts) {
+      const count = (await getRetroEntries(retro.id)).length;
+      const timeZone = await getUserTimeZone(retro.created_by, client);
+      await client.chat.update({
+        channel: retro.channel_id,
+        ts: retro.message_ts,
+        ...buildCollectingMessage(retro, count, timeZone)
+      });
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving retro entries:', error);
+
+    try {
+      const dm = await client.conversations.open({ users: body?.user?.id });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: `Sorry, I couldn't add your retro entries: ${error.message}`
+      });
+    } catch (postError) {
+      console.error('Error sending retro failure notice:', postError.message);
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle a vote button on a theme: adds the user's vote, or takes it back
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleRetroVoteAction({ payload, client, ack, respond, body }) {
+  await ack();
+
+  const userId = body?.user?.id;
+
+  try {
+    const [retroId, themeIndex] = (payload?.value || body?.actions?.[0]?.value || '').split(':').map(Number);
+    const retro = await getRetro(retroId);
+    if (!retro || retro.status !== 'voting' || !retro.themes?.[themeIndex]) {
+      throw new Error('Voting on this retro has closed');
+    }
+
+    const result = await toggleRetroVote(retro.id, themeIndex, userId, VOTES_PER_PERSON);
+    if (!result) {
+      throw new Error('Could not save your vote to the database');
+    }
+    if (result === 'limit') {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `You've used all ${VOTES_PER_PERSON} of your votes. Click a theme you voted for to take a vote back.`
+      });
+      return { success: false, error: 'No votes left' };
+    }
+
+    const [entries, votes] = await Promise.all([getRetroEntries(retro.id), getRetroVotes(retro.id)]);
+    await client.chat.update({
+      channel: retro.channel_id,
+      ts: retro.themes_ts || body?.message?.ts,
+      ...buildThemesMessage(retro, entries, votes)
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error handling retro vote:', error);
+
+    if (respond) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `Sorry, I couldn't count your vote: ${error.message}`
+      });
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle the Add action item button on a result theme by opening the action item modal
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleRetroAddActionAction({ payload, client, ack, respond, body }) {
+  await ack();
+
+  try {
+    const [retroId, themeIndex] = (payload?.value || body?.actions?.[0]?.value || '').split(':').map(Number);
+    const retro = await getRetro(retroId);
+    const theme = retro?.themes?.[themeIndex];
+    if (!theme) {
+      throw new Error('This retro theme no longer exists');
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "retro_action_modal",
+        private_metadata: JSON.stringify({ retroId, themeIndex }),
+        title: {
+          type: "plain_text",
+          text: "Action item"
+        },
+        submit: {
+          type: "plain_text",
+          text: "Create task"
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel"
+        },
+        blocks: [
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `For ${getCategory(theme.category).emoji} *${theme.title}* · becomes a task in *${retro.project_id}*`
+              }
+            ]
+          },
+          {
+            type: "input",
+            block_id: "action_title",
+            label: {
+              type: "plain_text",
+              text: "What will we do?"
+            },
+            element: {
+              type: "plain_text_input",
+              action_id: "title",
+              max_length: 255
+            }
+          },
+          {
+            type: "input",
+            block_id: "action_owner",
+            label: {
+              type: "plain_text",
+              text: "Owner"
+            },
+            element: {
+              type: "users_select",
+              action_id: "owner",
+              initial_user: body?.user?.id
+            }
+          },
+          {
+            type: "input",
+            block_id: "action_due",
+            optional: true,
+            label: {
+              type: "plain_text",
+              text: "Due date"
+            },
+            element: {
+              type: "datepicker",
+              action_id: "date"
+            }
+          }
+        ]
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening retro action item modal:', error);
+
+    if (respond) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `Sorry, I couldn't add an action item: ${error.message}`
+      });
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle submission of the action item modal by creating the task
+ * @param {Object} params - View submission parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleRetroActionSubmission({ ack, view, body, client }) {
+  const userId = body?.user?.id;
+  const values = view.state.values;
+  const { retroId, themeIndex } = JSON.parse(view.private_metadata || '{}');
+  const title = values.action_title?.title?.value?.trim();
+  const owner = values.action_owner?.owner?.selected_user || userId;
+  const date = values.action_due?.date?.selected_date;
+
+  if (!title) {
+    await ack({ response_action: 'errors', errors: { action_title: 'Enter what will be done' } });
+    return { success: false, error: 'No title given' };
+  }
+
+  await ack();
+
+  try {
+    const retro = await getRetro(retroId);
+    if (!retro) {
+      throw new Error('This retro no longer exists');
+    }
+
+    const dueDate = date ? parseDueDate(date, await getUserTimeZone(userId, client)) : null;
+    await createActionItem(retro, { title, owner, dueDate, themeIndex }, userId, client);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error creating retro action item:', error);
+
+    try {
+      const dm = await client.conversations.open({ users: userId });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: `Sorry, I couldn't create the action item "${title}": ${error.message}`
+      });
+    } catch (postError) {
+      console.error('Error sending retro failure notice:', postError.message);
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  handleRetroCommand,
+  handleRetroAddEntryAction,
+  handleRetroEntrySubmission,
+  handleRetroVoteAction,
+  handleRetroAddActionAction,
+  handleRetroActionSubmission,
+  runRetros
+};
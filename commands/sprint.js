@@ -0,0 +1,660 @@
+// sprint.js - Handler for /sprint: sprints with story points, daily snapshots and a burndown
+const { getAIResponse } = require('../utils/ai');
+const { parseDateTime } = require('../utils/dateParser');
+const { registerJob } = require('../utils/scheduler');
+const {
+  parseProjectOption,
+  resolveProjectId,
+  assertProjectActive
+} = require('../utils/projects');
+const {
+  DEFAULT_POINTS,
+  MAX_SPRINT_DAYS,
+  toDayKey,
+  getSprintDays,
+  formatSprintDay,
+  summarizeSprintTasks,
+  buildBurndown,
+  forecastSprint,
+  renderBurndownText
+} = require('../utils/sprints');
+const {
+  toWallClock,
+  fromWallClock,
+  getUserTimeZone
+} = require('../utils/timezone');
+const {
+  getTask,
+  createSprint,
+  getActiveSprint,
+  listSprints,
+  closeSprint,
+  addSprintTask,
+  removeSprintTask,
+  getSprintTasks,
+  recordSprintSnapshots,
+  getSprintSnapshots
+} = require('../utils/database');
+const { renderBurndownSvg, uploadChart } = require('../utils/charts');
+
+// Most tasks listed by /sprint status and /sprint close
+const MAX_LISTED_TASKS = 15;
+
+// Largest estimate a task can have
+const MAX_POINTS = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a day in the user's time zone, e.g. "Friday", "Nov 2" or "2025-11-02"
+ * @param {string} text - Date text
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null} - Wall-clock midnight of that day
+ */
+function parseSprintDay(text, timeZone) {
+  const parsed = parseDateTime(text, toWallClock(new Date(), timeZone));
+  return parsed ? new Date(`${parsed.time.toISOString().substring(0, 10)}T00:00:00Z`) : null;
+}
+
+/**
+ * Describe a sprint's dates, e.g. "Mon 10/19 – Fri 10/30 (day 3 of 12)"
+ * @param {Object} sprint - Sprint row
+ * @param {Date} now - Current time
+ * @returns {string}
+ */
+function describeSprintDates(sprint, now = new Date()) {
+  const days = getSprintDays(sprint);
+  const dayIndex = days.indexOf(toDayKey(now, sprint.time_zone));
+  let progress;
+
+  if (dayIndex >= 0) {
+    progress = `day ${dayIndex + 1} of ${days.length}`;
+  } else if (now < new Date(sprint.starts_at)) {
+    progress = `starts in ${Math.ceil((new Date(sprint.starts_at) - now) / DAY_MS)} day(s)`;
+  } else {
+    progress = 'ended';
+  }
+
+  return `${formatSprintDay(days[0])} – ${formatSprintDay(days[days.length - 1])} (${progress})`;
+}
+
+/**
+ * Describe a sprint task in a list, e.g. "#12: Write release notes · 3 pts · @alice"
+ * @param {Object} row - Row from getSprintTasks
+ * @returns {string}
+ */
+function describeSprintTask(row) {
+  const status = row.status === 'done' ? '✅' : row.status === 'in_progress' ? '🔵' : '⚪';
+  return `${status} *#${row.task_id}: ${row.title}* · ${row.points} pt${row.points === 1 ? '' : 's'} · ` +
+         `${row.owner ? `<@${row.owner}>` : 'Unassigned'}${row.committed ? '' : ' · _added mid-sprint_'}`;
+}
+
+/**
+ * Find the project a /sprint subcommand applies to and its active sprint
+ * @param {string} text - Subcommand text, which may contain "project:<id>"
+ * @param {string} channelId - Channel the command was run in
+ * @returns {Promise<{projectId: string, sprint: Object|null, text: string}>} - text has the project option removed
+ */
+async function findActiveSprint(text, channelId) {
+  const { projectId: named, text: remaining } = parseProjectOption(text);
+  const projectId = await resolveProjectId(named, channelId);
+  return { projectId, sprint: await getActiveSprint(projectId), text: remaining };
+}
+
+/**
+ * Tell the user there's no sprint to work with
+ * @param {Function} respond - Slack respond function
+ * @param {string} projectId - Project key
+ */
+async function respondNoActiveSprint(respond, projectId) {
+  await respond({
+    response_type: 'ephemeral',
+    text: `There's no active sprint in *${projectId}*. Start one with \`/sprint start <name> to <end date> project ${projectId}\`.`
+  });
+}
+
+/**
+ * Pull task IDs and an optional "points <n>" out of /sprint add and /sprint remove text
+ * @param {string} text - e.g. "12 #14 points 3"
+ * @returns {{taskIds: number[], points: number|null, error?: string}}
+ */
+function parseSprintTaskArgs(text) {
+  let remaining = text;
+  let points = null;
+  const match = remaining.match(/\b(?:points?|pts|estimate)\s+(\d+)\b/i);
+
+  if (match) {
+    points = parseInt(match[1], 10);
+    remaining = remaining.replace(match[0], ' ');
+  }
+
+  const tokens = remaining.split(/[\s,]+/).filter(Boolean);
+  const invalid = tokens.filter(token => !/^#?\d+$/.test(token));
+  if (invalid.length > 0 || tokens.length === 0) {
+    return { taskIds: [], points, error: `"${invalid[0] || text}" isn't a task ID. Use the numbers shown in \`/task list\`, e.g. \`#12\`.` };
+  }
+  if (points !== null && (points < 0 || points > MAX_POINTS)) {
+    return { taskIds: [], points, error: `Points must be between 0 and ${MAX_POINTS}.` };
+  }
+
+  return { taskIds: [...new Set(tokens.map(token => parseInt(token.replace('#', ''), 10)))], points };
+}
+
+/**
+ * Start a sprint: /sprint start <name> [from <date>] to <date> [project:<id>]
+ * The sprint starts today unless a start date is given
+ * @param {string} text - Text after "start"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function startSprintCommand(text, userId, client, respond, channelId) {
+  const timeZone = await getUserTimeZone(userId, client);
+  const { projectId: named, text: withoutProject } = parseProjectOption(text);
+  let remaining = withoutProject;
+  let match;
+
+  // Everything after the last "to" is the end date, so sprint names like "Path to beta" still work
+  if (!(match = remaining.match(/\b(?:to|until|through)\s+(?!.*\b(?:to|until|through)\s)(.+)$/i))) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'When does the sprint end? e.g. `/sprint start Sprint 12 to Friday next week` or `/sprint start Sprint 12 from Monday to 2025-11-14`'
+    });
+    return;
+  }
+  const endDay = parseSprintDay(match[1], timeZone);
+  remaining = remaining.replace(match[0], ' ');
+
+  let startDay = new Date(`${toDayKey(new Date(), timeZone)}T00:00:00Z`);
+  if ((match = remaining.match(/\b(?:from|starting)\s+(.+)$/i))) {
+    startDay = parseSprintDay(match[1], timeZone);
+    remaining = remaining.replace(match[0], ' ');
+  }
+
+  if (!startDay || !endDay) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'I couldn\'t understand the sprint dates. Try something like `from Monday to Nov 14` or `to 2025-11-14`.'
+    });
+    return;
+  }
+
+  const length = Math.round((endDay - startDay) / DAY_MS) + 1;
+  if (length < 1 || length > MAX_SPRINT_DAYS) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `A sprint has to end on or after the day it starts and last at most ${MAX_SPRINT_DAYS} days.`
+    });
+    return;
+  }
+
+  const projectId = await resolveProjectId(named, channelId);
+  await assertProjectActive(projectId);
+
+  const active = await getActiveSprint(projectId);
+  if (active) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `*${active.name}* is still running in *${projectId}*. Close it with \`/sprint close project ${projectId}\` first.`
+    });
+    return;
+  }
+
+  const name = remaining.replace(/\s{2,}/g, ' ').trim() || `Sprint ${(await listSprints(projectId)).length + 1}`;
+  const sprint = await createSprint({
+    projectId,
+    name,
+    startsAt: fromWallClock(startDay, timeZone),
+    endsAt: fromWallClock(new Date(endDay.getTime() + DAY_MS), timeZone),
+    timeZone,
+    createdBy: userId
+  });
+
+  if (!sprint) {
+    throw new Error('Could not save the sprint to the database');
+  }
+
+  await respond({
+    response_type: 'in_channel',
+    text: `🏃 <@${userId}> started *${sprint.name}* in *${projectId}*: ${describeSprintDates(sprint)}, ${length} day${length === 1 ? '' : 's'}. ` +
+          `Add tasks with \`/sprint add <task ids> points <n>\`; everything added in the first day counts as committed.`
+  });
+}
+
+/**
+ * Add tasks to the active sprint, or re-estimate tasks already in it: /sprint add <ids> [points <n>] [project:<id>]
+ * @param {string} text - Text after "add"
+ * @param {string} userId - Slack user ID
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function addToSprintCommand(text, userId, respond, channelId) {
+  const { projectId, sprint, text: remaining } = await findActiveSprint(text, channelId);
+  if (!sprint) {
+    await respondNoActiveSprint(respond, projectId);
+    return;
+  }
+
+  const { taskIds, points, error } = parseSprintTaskArgs(remaining);
+  if (error) {
+    await respond({ response_type: 'ephemeral', text: `${error}\nUsage: \`/sprint add <task ids> [points <n>]\`` });
+    return;
+  }
+
+  const existing = new Map((await getSprintTasks(sprint.id)).map(row => [row.task_id, row]));
+  // Tasks added by the end of the sprint's first day are its committed scope; a sprint started
+  // after its first day (backdated) gets a day from when it was started instead
+  const planningStart = Math.max(new Date(sprint.starts_at).getTime(), new Date(sprint.created_at || sprint.starts_at).getTime());
+  const committed = Date.now() < planningStart + DAY_MS;
+  const added = [];
+  const skipped = [];
+
+  for (const taskId of taskIds) {
+    const task = await getTask(taskId);
+    const current = existing.get(taskId);
+
+    if (!task) {
+      skipped.push(`#${taskId} doesn't exist`);
+    } else if (task.project_id !== projectId) {
+      skipped.push(`#${taskId} is in project ${task.project_id}`);
+    } else if (task.status === 'done' && (!current || current.removed_at)) {
+      skipped.push(`#${taskId} is already done`);
+    } else {
+      const estimate = points !== null ? points : current ? current.points : DEFAULT_POINTS;
+      const row = await addSprintTask(sprint.id, taskId, estimate, committed);
+      if (!row) {
+        throw new Error('Could not save the sprint task to the database');
+      }
+      added.push(`#${taskId} ${task.title} (${row.points} pt${row.points === 1 ? '' : 's'})`);
+    }
+  }
+
+  if (added.length === 0) {
+    await respond({ response_type: 'ephemeral', text: `Nothing was added to *${sprint.name}*: ${skipped.join('; ')}.` });
+    return;
+  }
+
+  const totals = summarizeSprintTasks(await getSprintTasks(sprint.id));
+  await recordSprintSnapshots(sprint.id);
+  await respond({
+    response_type: 'in_channel',
+    text: `➕ <@${userId}> added to *${sprint.name}*: ${added.join(', ')}. Scope is now ${totals.scope} points.` +
+          `${skipped.length > 0 ? `\nSkipped: ${skipped.join('; ')}.` : ''}`
+  });
+}
+
+/**
+ * Take tasks out of the active sprint: /sprint remove <ids> [project:<id>]
+ * @param {string} text - Text after "remove"
+ * @param {string} userId - Slack user ID
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function removeFromSprintCommand(text, userId, respond, channelId) {
+  const { projectId, sprint, text: remaining } = await findActiveSprint(text, channelId);
+  if (!sprint) {
+    await respondNoActiveSprint(respond, projectId);
+    return;
+  }
+
+  const { taskIds, error } = parseSprintTaskArgs(remaining);
+  if (error) {
+    await respond({ response_type: 'ephemeral', text: `${error}\nUsage: \`/sprint remove <task ids>\`` });
+    return;
+  }
+
+  const removed = [];
+  for (const taskId of taskIds) {
+    if (await removeSprintTask(sprint.id, taskId)) removed.push(`#${taskId}`);
+  }
+
+  if (removed.length === 0) {
+    await respond({ response_type: 'ephemeral', text: `None of those tasks are in *${sprint.name}*.` });
+    return;
+  }
+
+  const totals = summarizeSprintTasks(await getSprintTasks(sprint.id));
+  await recordSprintSnapshots(sprint.id);
+  await respond({
+    response_type: 'in_channel',
+    text: `➖ <@${userId}> removed ${removed.join(', ')} from *${sprint.name}*. Scope is now ${totals.scope} points.`
+  });
+}
+
+/**
+ * Bring today's snapshot up to date and work out a sprint's totals, burndown and forecast
+ * @param {Object} sprint - Sprint row
+ * @returns {Promise<{totals: Object, burndown: Array, forecast: Object}>}
+ */
+async function loadSprintProgress(sprint) {
+  await recordSprintSnapshots(sprint.id);
+  const [sprintTasks, snapshots] = await Promise.all([
+    getSprintTasks(sprint.id),
+    getSprintSnapshots(sprint.id)
+  ]);
+  const totals = summarizeSprintTasks(sprintTasks);
+  const burndown = buildBurndown(sprint, snapshots, totals);
+
+  return { totals, burndown, forecast: forecastSprint(burndown, totals) };
+}
+
+/**
+ * Ask the AI whether the sprint will land
+ * @param {Object} sprint - Sprint row
+ * @param {Object} totals - From summarizeSprintTasks
+ * @param {Array} burndown - From buildBurndown
+ * @param {Object} forecast - From forecastSprint
+ * @returns {Promise<string>}
+ */
+async function getSprintCommentary(sprint, totals, burndown, forecast) {
+  const today = burndown.find(entry => entry.isToday);
+  const openTasks = totals.tasks.filter(row => row.status !== 'done');
+
+  const prompt = `Sprint "${sprint.name}" in project ${sprint.project_id}, ${burndown.length} days long. ` +
+    `${forecast.daysElapsed} days elapsed, ${forecast.daysLeft} left.\n` +
+    `Committed: ${totals.committed} points. Added since: ${totals.added}. Removed: ${totals.removed}. ` +
+    `Scope now: ${totals.scope}. Done: ${totals.done}. Remaining: ${totals.remaining}.\n` +
+    `Ideal remaining today: ${today ? today.ideal : 'n/a'}. Pace so far: ${forecast.pace} points/day. ` +
+    `Pace needed: ${forecast.neededPace === null ? 'n/a' : `${forecast.neededPace} points/day`}.\n` +
+    `Remaining per day so far: ${burndown.filter(entry => entry.remaining !== null).map(entry => entry.remaining).join(', ')}\n` +
+    `Open tasks:\n${openTasks.slice(0, MAX_LISTED_TASKS).map(row =>
+      `- #${row.task_id} ${row.title} (${row.points} pts, ${row.status.replace('_', ' ')}, ${row.owner ? 'assigned' : 'unassigned'}${row.committed ? '' : ', added mid-sprint'})`
+    ).join('\n') || 'none'}\n\n` +
+    `In 3-4 short sentences: will this sprint land, and what should the team do about it?`;
+
+  return getAIResponse(prompt, 'sprint');
+}
+
+/**
+ * Show the active sprint's burndown, forecast and AI commentary: /sprint status [project:<id>]
+ * @param {string} text - Text after "status"
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function sprintStatusCommand(text, respond, channelId) {
+  const { projectId, sprint } = await findActiveSprint(text, channelId);
+  if (!sprint) {
+    await respondNoActiveSprint(respond, projectId);
+    return;
+  }
+
+  const { totals, burndown, forecast } = await loadSprintProgress(sprint);
+
+  const forecastText = totals.scope === 0 ?
+    'No tasks in the sprint yet.' :
+    totals.remaining === 0 ?
+      '🎉 Everything in the sprint is done.' :
+      forecast.neededPace === null ?
+        `⚠️ The sprint has ended with ${totals.remaining} points left. Close it with \`/sprint close\`.` :
+        `${forecast.onTrack ? '🟢' : '🔴'} ${forecast.pace} points/day so far; ${forecast.neededPace} points/day needed to finish. ` +
+        `At this pace about ${forecast.projectedDone} of ${totals.scope} points get done.`;
+
+  const commentary = totals.scope > 0 ? await getSprintCommentary(sprint, totals, burndown, forecast) : null;
+  const openTasks = totals.tasks.filter(row => row.status !== 'done');
+  const taskLines = openTasks.slice(0, MAX_LISTED_TASKS).map(describeSprintTask);
+  if (openTasks.length > MAX_LISTED_TASKS) {
+    taskLines.push(`_…and ${openTasks.length - MAX_LISTED_TASKS} more_`);
+  }
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `${sprint.name}: ${totals.done} of ${totals.scope} points done`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🏃 *${sprint.name}* · 📁 ${projectId}\n${describeSprintDates(sprint)}`
+        }
+      },
+      {
+        type: "section",
+        fields: [
+          {
+            type: "mrkdwn",
+            text: `*Committed:*\n${totals.committed} pts`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Scope now:*\n${totals.scope} pts (+${totals.added} / -${totals.removed})`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Done:*\n${totals.done} pts`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Remaining:*\n${totals.remaining} pts`
+          }
+        ]
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Burndown*\n\`\`\`${renderBurndownText(burndown)}\`\`\``
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: forecastText
+        }
+      },
+      ...(commentary ? [{
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🤖 ${commentary}`
+        }
+      }] : []),
+      ...(taskLines.length > 0 ? [{
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Still open*\n${taskLines.join('\n')}`
+        }
+      }] : []),
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Days are in ${sprint.time_zone} · the ideal line runs from the committed scope down to zero · \`·\` marks the ideal when you're ahead of it`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Post the active sprint's burndown as a chart in the channel: /sprint chart [project:<id>]
+ * @param {string} text - Text after "chart"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function sprintChartCommand(text, userId, client, respond, channelId) {
+  const { projectId, sprint } = await findActiveSprint(text, channelId);
+  if (!sprint) {
+    await respondNoActiveSprint(respond, projectId);
+    return;
+  }
+
+  const { totals, burndown } = await loadSprintProgress(sprint);
+  const svg = renderBurndownSvg({
+    title: `${sprint.name} burndown (${projectId})`,
+    burndown,
+    baseline: totals.committed || totals.scope,
+    formatDay: formatSprintDay
+  });
+
+  try {
+    await uploadChart(client, {
+      channelId,
+      svg,
+      name: `burndown-${projectId}-${sprint.id}`,
+      title: `${sprint.name} burndown`,
+      comment: `📉 <@${userId}> Burndown for *${sprint.name}*: ${totals.done} of ${totals.scope} points done, ` +
+               `${totals.remaining} remaining · ${describeSprintDates(sprint)}`
+    });
+  } catch (error) {
+    console.error('Error uploading sprint chart:', error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `I couldn't post the chart here (${error.data?.error || error.message}). If I'm not in this channel, invite me and try again.`
+    });
+  }
+}
+
+/**
+ * Close the active sprint and report how it went: /sprint close [project:<id>]
+ * Unfinished tasks stay open so they can be added to the next sprint
+ * @param {string} text - Text after "close"
+ * @param {string} userId - Slack user ID
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function closeSprintCommand(text, userId, respond, channelId) {
+  const { projectId, sprint } = await findActiveSprint(text, channelId);
+  if (!sprint) {
+    await respondNoActiveSprint(respond, projectId);
+    return;
+  }
+
+  // Capture the final day before the sprint stops being snapshotted
+  await recordSprintSnapshots(sprint.id);
+  if (!await closeSprint(sprint.id)) {
+    throw new Error('Could not close the sprint in the database');
+  }
+
+  const totals = summarizeSprintTasks(await getSprintTasks(sprint.id));
+  const unfinished = totals.tasks.filter(row => row.status !== 'done');
+  const percent = totals.committed > 0 ? Math.round((totals.done / totals.committed) * 100) : null;
+  const lines = unfinished.slice(0, MAX_LISTED_TASKS).map(describeSprintTask);
+  if (unfinished.length > MAX_LISTED_TASKS) {
+    lines.push(`_…and ${unfinished.length - MAX_LISTED_TASKS} more_`);
+  }
+
+  await respond({
+    response_type: 'in_channel',
+    text: `🏁 ${sprint.name} closed: ${totals.done} of ${totals.scope} points done`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🏁 <@${userId}> closed *${sprint.name}* (📁 ${projectId})\n` +
+                `*${totals.done} of ${totals.scope} points done*` +
+                `${percent === null ? '' : ` · ${percent}% of the ${totals.committed} committed`}` +
+                ` · +${totals.added} added / -${totals.removed} removed mid-sprint`
+        }
+      },
+      ...(lines.length > 0 ? [{
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Not finished*\n${lines.join('\n')}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: 'These tasks are still open. Add them to the next sprint with `/sprint add`.'
+          }
+        ]
+      }] : [])
+    ]
+  });
+}
+
+/**
+ * Show the /sprint subcommands
+ * @param {Function} respond - Slack respond function
+ */
+async function showSprintHelp(respond) {
+  await respond({
+    response_type: 'ephemeral',
+    text: "Available sprint commands: start, add, remove, status, chart, close",
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Sprint commands*\n" +
+                "• `/sprint start <name> [from <date>] to <date> [project:<id>]`\n" +
+                "• `/sprint add <task ids> [points <n>]` – add tasks, or re-estimate ones already in the sprint\n" +
+                "• `/sprint remove <task ids>`\n" +
+                "• `/sprint status` – burndown, forecast and AI commentary\n" +
+                "• `/sprint chart` – post the burndown as a chart in the channel\n" +
+                "• `/sprint close` – report what got done"
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Each project has one active sprint; commands use the channel's project unless you add \`project:<id>\` · Tasks without an estimate count as ${DEFAULT_POINTS} point`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Handle the /sprint slash command
+ * @param {Object} params - Parameters from Slack
+ */
+async function handleSprintCommand({ command, respond, client }) {
+  const userId = command.user_id;
+  const text = (command.text || '').trim();
+  const [action = '', ...rest] = text.split(/\s+/);
+  const args = rest.join(' ');
+
+  try {
+    switch (action.toLowerCase()) {
+      case 'start':
+        await startSprintCommand(args, userId, client, respond, command.channel_id);
+        break;
+      case 'add':
+        await addToSprintCommand(args, userId, respond, command.channel_id);
+        break;
+      case 'remove':
+        await removeFromSprintCommand(args, userId, respond, command.channel_id);
+        break;
+      case 'status':
+        await sprintStatusCommand(args, respond, command.channel_id);
+        break;
+      case 'chart':
+        await sprintChartCommand(args, userId, client, respond, command.channel_id);
+        break;
+      case 'close':
+      case 'end':
+        await closeSprintCommand(args, userId, respond, command.channel_id);
+        break;
+      default:
+        await showSprintHelp(respond);
+    }
+  } catch (error) {
+    console.error('Error handling /sprint command:', error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `Sorry, I encountered an error with your sprint: ${error.message}`
+    });
+  }
+}
+
+// Keep each active sprint's snapshot for today current, so the burndown has a point for every day
+registerJob('snapshot-sprints', () => recordSprintSnapshots());
+
+module.exports = {
+  handleSprintCommand
+};
@@ -0,0 +1,895 @@
+// standup.js - Handler for /standup: async standups collected by DM and compiled in a channel thread
+const { getAIResponse } = require('../utils/ai');
+const { registerJob } = require('../utils/scheduler');
+const { firstOccurrence, describeRecurrence } = require('../utils/recurrence');
+const {
+  toWallClock,
+  fromWallClock,
+  formatInTimeZone,
+  getUserTimeZone
+} = require('../utils/timezone');
+const {
+  saveStandup,
+  getStandup,
+  setStandupActive,
+  getDueStandups,
+  claimStandup,
+  createStandupRun,
+  getStandupRun,
+  claimStandupRunsToNudge,
+  closeDueStandupRuns,
+  saveStandupResponse,
+  getStandupResponses
+} = require('../utils/database');
+
+// Questions a new standup starts with
+const DEFAULT_QUESTIONS = [
+  'What did you get done since the last standup?',
+  'What are you working on today?',
+  'Is anything blocking you?'
+];
+
+// Each question is one input in the answer modal
+const MAX_QUESTIONS = 10;
+
+// How long participants have to answer, in minutes; missing reporters are nudged halfway through
+const WINDOW_OPTIONS = [30, 60, 120, 240];
+const DEFAULT_WINDOW = 120;
+
+const DAY_OPTIONS = [
+  { value: 1, label: 'Monday' },
+  { value: 2, label: 'Tuesday' },
+  { value: 3, label: 'Wednesday' },
+  { value: 4, label: 'Thursday' },
+  { value: 5, label: 'Friday' },
+  { value: 6, label: 'Saturday' },
+  { value: 0, label: 'Sunday' }
+];
+
+// Answers to a question about blockers that mean "nothing is blocking me"
+const NO_BLOCKER_PATTERN = /^(no(pe|ne)?|nothing|n\/?a|-|all good|not really|none so far)\.?$/i;
+
+/**
+ * Work out when a standup next runs
+ * @param {Object} schedule - Weekly recurrence rule ({ frequency, interval, weekdays, hour, minute })
+ * @param {string} timeZone - IANA time zone the schedule is in
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function getNextRunTime(schedule, timeZone, now = new Date()) {
+  return fromWallClock(firstOccurrence(schedule, toWallClock(now, timeZone)), timeZone);
+}
+
+/**
+ * Describe how long a collection window is, e.g. "2 hours"
+ * @param {number} minutes - Window length
+ * @returns {string}
+ */
+function formatWindow(minutes) {
+  if (minutes % 60 !== 0) return `${minutes} minutes`;
+  return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+}
+
+/**
+ * Find the participants who answered that something is blocking them
+ * Only questions that mention blockers are checked
+ * @param {string[]} questions - The run's questions
+ * @param {Array} responses - Response rows
+ * @returns {Array<{userId: string, answer: string}>}
+ */
+function findReportedBlockers(questions, responses) {
+  const blockerQuestions = questions
+    .map((question, index) => (/block|stuck|imped/i.test(question) ? index : -1))
+    .filter(index => index >= 0);
+
+  return responses.flatMap(response => blockerQuestions
+    .map(index => (response.answers[index] || '').trim())
+    .filter(answer => answer && !NO_BLOCKER_PATTERN.test(answer))
+    .map(answer => ({ userId: response.user_id, answer })));
+}
+
+/**
+ * Build the thread reply that shows one person's answers
+ * @param {string} userId - Slack user ID
+ * @param {string[]} questions - The run's questions
+ * @param {string[]} answers - Their answers, one per question
+ * @param {boolean} edited - Whether they changed earlier answers
+ * @returns {Object} - Message text and blocks
+ */
+function buildResponseMessage(userId, questions, answers, edited = false) {
+  const lines = questions
+    .map((question, index) => (answers[index] ? `*${question}*\n${answers[index]}` : null))
+    .filter(Boolean);
+
+  return {
+    text: `Standup from <@${userId}>`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🗣️ *<@${userId}>*${edited ? ' _(edited)_' : ''}\n\n${lines.join('\n\n')}`
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * DM a participant the standup questions with a button that opens the answer modal
+ * A failed DM is logged rather than stopping the run for everyone else
+ * @param {Object} run - Standup run row
+ * @param {string} userId - Slack user ID of the participant
+ * @param {Object} client - Slack client
+ * @param {Object} options - nudge sends the "still waiting" version
+ */
+async function sendStandupPrompt(run, userId, client, { nudge = false } = {}) {
+  try {
+    const timeZone = await getUserTimeZone(userId, client);
+    const dm = await client.conversations.open({ users: userId });
+    const headline = nudge ?
+      `⏰ Still waiting on your standup for <#${run.channel_id}>` :
+      `🧍 Time for standup in <#${run.channel_id}>!`;
+
+    await client.chat.postMessage({
+      channel: dm.channel.id,
+      text: headline,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `${headline}\n${run.questions.map(question => `• ${question}`).join('\n')}`
+          }
+        },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "Answer standup",
+                emoji: true
+              },
+              style: "primary",
+              value: String(run.id),
+              action_id: "standup_answer"
+            }
+          ]
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `Answers are posted in the standup thread. Closes ${formatInTimeZone(run.closes_at, timeZone)}.`
+            }
+          ]
+        }
+      ]
+    });
+  } catch (error) {
+    console.error(`Error sending standup prompt to ${userId}:`, error);
+  }
+}
+
+/**
+ * Start a standup run: open the channel thread and DM every participant
+ * @param {Object} standup - Standup row
+ * @param {Object} client - Slack client
+ * @returns {Promise<Object>} - The new run
+ */
+async function startStandupRun(standup, client) {
+  const now = Date.now();
+  const windowMs = standup.window_minutes * 60 * 1000;
+  const closesAt = new Date(now + windowMs);
+  const day = new Date(now).toLocaleDateString('en-US', {
+    timeZone: standup.time_zone,
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric'
+  });
+  const text = `🧍 *Standup for ${day}*\n` +
+               `${standup.participants.map(id => `<@${id}>`).join(', ')}: check your DMs for the questions. ` +
+               `Answers will appear in this thread, with a summary in ${formatWindow(standup.window_minutes)}.`;
+
+  const parent = await client.chat.postMessage({
+    channel: standup.channel_id,
+    text,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text
+        }
+      }
+    ]
+  });
+
+  const run = await createStandupRun({
+    standupId: standup.id,
+    channelId: standup.channel_id,
+    participants: standup.participants,
+    questions: standup.questions,
+    threadTs: parent.ts,
+    nudgeAt: new Date(now + windowMs / 2),
+    closesAt
+  });
+
+  if (!run) {
+    throw new Error('Could not save the standup run to the database');
+  }
+
+  for (const userId of run.participants) {
+    await sendStandupPrompt(run, userId, client);
+  }
+
+  return run;
+}
+
+/**
+ * DM the participants who haven't answered yet
+ * @param {Object} run - Standup run row
+ * @param {Object} client - Slack client
+ */
+async function nudgeMissingReporters(run, client) {
+  const responded = new Set((await getStandupResponses(run.id)).map(response => response.user_id));
+
+  for (const userId of run.participants.filter(id => !responded.has(id))) {
+    await sendStandupPrompt(run, userId, client, { nudge: true });
+  }
+}
+
+/**
+ * Post the summary of a closed standup in its thread
+ * @param {Object} run - Standup run row
+ * @param {Object} client - Slack client
+ */
+async function postStandupSummary(run, client) {
+  const responses = await getStandupResponses(run.id);
+  const responded = new Set(responses.map(response => response.user_id));
+  const missing = run.participants.filter(id => !responded.has(id));
+  const blockers = findReportedBlockers(run.questions, responses);
+
+  let summary;
+  if (responses.length === 0) {
+    summary = 'Nobody answered this standup.';
+  } else {
+    const answers = responses.map(response =>
+      `<@${response.user_id}>:\n` +
+      run.questions.map((question, index) => `Q: ${question}\nA: ${response.answers[index] || '(no answer)'}`).join('\n')
+    ).join('\n\n');
+
+    summary = await getAIResponse(
+      `Summarize this async standup in a few short bullet points.\n` +
+      `1. List every blocker and who reported it.\n` +
+      `2. Point out dependencies between people: anyone waiting on, handing off to, or needing something from someone else.\n` +
+      `3. Mention notable progress in one or two bullets.\n` +
+      `Refer to people exactly as they are written (e.g. <@U123>) so Slack shows their names.\n\n` +
+      `${answers}`,
+      'standup'
+    );
+  }
+
+  const context = [
+    `${responses.length} of ${run.participants.length} reported`,
+    missing.length > 0 ? `No answer from ${missing.map(id => `<@${id}>`).join(', ')}` : null
+  ].filter(Boolean).join(' · ');
+
+  await client.chat.postMessage({
+    channel: run.channel_id,
+    thread_ts: run.thread_ts,
+    text: `📝 Standup summary: ${summary}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `📝 *Standup summary*\n${summary}`
+        }
+      },
+      ...(blockers.length > 0 ? [{
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `⛔ *Blockers*\n${blockers.map(blocker => `• <@${blocker.userId}>: ${blocker.answer}`).join('\n')}`
+        }
+      }] : []),
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: context
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Start due standups, nudge missing reporters and post summaries for closed runs
+ * Runs as a background job (see utils/scheduler.js)
+ * @param {Object} client - Slack client
+ */
+async function runStandups(client) {
+  for (const standup of await getDueStandups()) {
+    // Skips any runs missed while the bot was down
+    const nextRunAt = getNextRunTime(standup.schedule, standup.time_zone);
+    if (!await claimStandup(standup.id, standup.next_run_at, nextRunAt)) continue;
+
+    try {
+      await startStandupRun(standup, client);
+    } catch (error) {
+      console.error(`Error starting standup in ${standup.channel_id}:`, error);
+    }
+  }
+
+  for (const run of await claimStandupRunsToNudge()) {
+    try {
+      await nudgeMissingReporters(run, client);
+    } catch (error) {
+      console.error(`Error nudging reporters for standup run ${run.id}:`, error);
+    }
+  }
+
+  for (const run of await closeDueStandupRuns()) {
+    try {
+      await postStandupSummary(run, client);
+    } catch (error) {
+      console.error(`Error posting summary for standup run ${run.id}:`, error);
+    }
+  }
+}
+
+registerJob('run-standups', runStandups);
+
+/**
+ * Open the configure modal: /standup configure
+ * @param {Object} command - Slash command payload
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function configureStandupCommand(command, client, respond) {
+  if (command.channel_id.startsWith('D')) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Run `/standup configure` in the channel the standup should be posted to.'
+    });
+    return;
+  }
+
+  const [existing, timeZone] = await Promise.all([
+    getStandup(command.channel_id),
+    getUserTimeZone(command.user_id, client)
+  ]);
+  const schedule = existing?.schedule || { weekdays: [1, 2, 3, 4, 5], hour: 9, minute: 30 };
+  const windowMinutes = existing?.window_minutes || DEFAULT_WINDOW;
+  const dayOption = day => ({ text: { type: "plain_text", text: day.label }, value: String(day.value) });
+  const windowOption = minutes => ({ text: { type: "plain_text", text: formatWindow(minutes) }, value: String(minutes) });
+
+  await client.views.open({
+    trigger_id: command.trigger_id,
+    view: {
+      type: "modal",
+      callback_id: "standup_configure_modal",
+      private_metadata: JSON.stringify({ channelId: command.channel_id }),
+      title: {
+        type: "plain_text",
+        text: "Configure standup"
+      },
+      submit: {
+        type: "plain_text",
+        text: "Save"
+      },
+      close: {
+        type: "plain_text",
+        text: "Cancel"
+      },
+      blocks: [
+        {
+          type: "input",
+          block_id: "standup_participants",
+          label: {
+            type: "plain_text",
+            text: "Participants"
+          },
+          element: {
+            type: "multi_users_select",
+            action_id: "participants",
+            initial_users: existing?.participants || [command.user_id]
+          }
+        },
+        {
+          type: "input",
+          block_id: "standup_days",
+          label: {
+            type: "plain_text",
+            text: "Days"
+          },
+          element: {
+            type: "checkboxes",
+            action_id: "days",
+            options: DAY_OPTIONS.map(dayOption),
+            initial_options: DAY_OPTIONS.filter(day => schedule.weekdays.includes(day.value)).map(dayOption)
+          }
+        },
+        {
+          type: "input",
+          block_id: "standup_time",
+          label: {
+            type: "plain_text",
+            text: "Time"
+          },
+          element: {
+            type: "timepicker",
+            action_id: "time",
+            initial_time: `${String(schedule.hour).padStart(2, '0')}:${String(schedule.minute).padStart(2, '0')}`
+          }
+        },
+        {
+          type: "input",
+          block_id: "standup_window",
+          label: {
+            type: "plain_text",
+            text: "Post the summary after"
+          },
+          element: {
+            type: "static_select",
+            action_id: "window",
+            options: WINDOW_OPTIONS.map(windowOption),
+            initial_option: windowOption(WINDOW_OPTIONS.includes(windowMinutes) ? windowMinutes : DEFAULT_WINDOW)
+          }
+        },
+        {
+          type: "input",
+          block_id: "standup_questions",
+          label: {
+            type: "plain_text",
+            text: "Questions (one per line)"
+          },
+          element: {
+            type: "plain_text_input",
+            action_id: "questions",
+            multiline: true,
+            initial_value: (existing?.questions || DEFAULT_QUESTIONS).join('\n')
+          }
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: `Times are in ${timeZone}. Missing reporters get a nudge halfway through.`
+            }
+          ]
+        }
+      ]
+    }
+  });
+}
+
+/**
+ * Describe a channel's standup: /standup show
+ * @param {Object} command - Slash command payload
+ * @param {Function} respond - Slack respond function
+ */
+async function showStandupCommand(command, respond) {
+  const standup = await getStandup(command.channel_id);
+
+  if (!standup) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'There\'s no standup in this channel yet. Set one up with `/standup configure`.'
+    });
+    return;
+  }
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Standup in <#${command.channel_id}>`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🧍 *Standup in <#${command.channel_id}>*${standup.active ? '' : ' _(paused)_'}`
+        }
+      },
+      {
+        type: "section",
+        fields: [
+          {
+            type: "mrkdwn",
+            text: `*When:*\n${describeRecurrence(standup.schedule)} (${standup.time_zone})`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Next run:*\n${standup.active && standup.next_run_at ? formatInTimeZone(standup.next_run_at, standup.time_zone) : 'Paused'}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Participants:*\n${standup.participants.map(id => `<@${id}>`).join(', ')}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Summary after:*\n${formatWindow(standup.window_minutes)}`
+          }
+        ]
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Questions:*\n${standup.questions.map(question => `• ${question}`).join('\n')}`
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Start a standup right away: /standup run
+ * The regular schedule is unchanged
+ * @param {Object} command - Slash command payload
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function runStandupNowCommand(command, client, respond) {
+  const standup = await getStandup(command.channel_id);
+
+  if (!standup) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'There\'s no standup in this channel yet. Set one up with `/standup configure`.'
+    });
+    return;
+  }
+
+  const run = await startStandupRun(standup, client);
+  await respond({
+    response_type: 'ephemeral',
+    text: `🧍 Started a standup for ${run.participants.length} participant${run.participants.length === 1 ? '' : 's'}. ` +
+          `The summary is posted in ${formatWindow(standup.window_minutes)}.`
+  });
+}
+
+/**
+ * Pause or resume a channel's standup: /standup pause|resume
+ * @param {Object} command - Slash command payload
+ * @param {boolean} active - true to resume
+ * @param {Function} respond - Slack respond function
+ */
+async function setStandupActiveCommand(command, active, respond) {
+  const standup = await getStandup(command.channel_id);
+
+  if (!standup) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'There\'s no standup in this channel yet. Set one up with `/standup configure`.'
+    });
+    return;
+  }
+
+  const nextRunAt = active ? getNextRunTime(standup.schedule, standup.time_zone) : null;
+  if (!await setStandupActive(command.channel_id, active, nextRunAt)) {
+    throw new Error('Could not update the standup in the database');
+  }
+
+  await respond({
+    response_type: 'in_channel',
+    text: active ?
+      `▶️ <@${command.user_id}> resumed standup. The next one is ${formatInTimeZone(nextRunAt, standup.time_zone)}.` :
+      `⏸️ <@${command.user_id}> paused standup in this channel. Resume it with \`/standup resume\`.`
+  });
+}
+
+/**
+ * Show the /standup subcommands
+ * @param {Function} respond - Slack respond function
+ */
+async function showStandupHelp(respond) {
+  await respond({
+    response_type: 'ephemeral',
+    text: "Standup commands",
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Standup commands*\n" +
+                "• `/standup configure` – pick participants, days, time and questions for this channel\n" +
+                "• `/standup show` – see this channel's standup\n" +
+                "• `/standup run` – start a standup now\n" +
+                "• `/standup pause` / `/standup resume`"
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "Participants answer by DM, answers are posted in a thread, and a summary with blockers and dependencies follows."
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Handle the /standup slash command
+ * @param {Object} params - Parameters from Slack
+ */
+async function handleStandupCommand({ command, respond, client }) {
+  const action = (command.text || '').trim().split(/\s+/)[0].toLowerCase();
+
+  try {
+    switch (action) {
+      case 'configure':
+      case 'setup':
+        await configureStandupCommand(command, client, respond);
+        break;
+      case 'show':
+      case 'status':
+        await showStandupCommand(command, respond);
+        break;
+      case 'run':
+      case 'now':
+        await runStandupNowCommand(command, client, respond);
+        break;
+      case 'pause':
+        await setStandupActiveCommand(command, false, respond);
+        break;
+      case 'resume':
+        await setStandupActiveCommand(command, true, respond);
+        break;
+      default:
+        await showStandupHelp(respond);
+    }
+  } catch (error) {
+    console.error('Error handling /standup command:', error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `Sorry, I encountered an error with your standup: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Handle submission of the configure standup modal
+ * @param {Object} params - View submission parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleStandupConfigureSubmission({ ack, view, body, client }) {
+  const userId = body?.user?.id;
+  const values = view.state.values;
+  const { channelId } = JSON.parse(view.private_metadata || '{}');
+  const participants = values.standup_participants?.participants?.selected_users || [];
+  const weekdays = (values.standup_days?.days?.selected_options || []).map(option => parseInt(option.value, 10)).sort();
+  const time = values.standup_time?.time?.selected_time;
+  const windowMinutes = parseInt(values.standup_window?.window?.selected_option?.value, 10) || DEFAULT_WINDOW;
+  const questions = (values.standup_questions?.questions?.value || '')
+    .split('\n')
+    .map(question => question.trim())
+    .filter(Boolean);
+
+  const errors = {};
+  if (participants.length === 0) {
+    errors.standup_participants = 'Pick at least one participant';
+  }
+  if (weekdays.length === 0) {
+    errors.standup_days = 'Pick at least one day';
+  }
+  if (!/^\d{2}:\d{2}$/.test(time || '')) {
+    errors.standup_time = 'Pick a time';
+  }
+  if (questions.length === 0 || questions.length > MAX_QUESTIONS) {
+    errors.standup_questions = `Enter between 1 and ${MAX_QUESTIONS} questions, one per line`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return { success: false, error: Object.values(errors).join(', ') };
+  }
+
+  await ack();
+
+  try {
+    const timeZone = await getUserTimeZone(userId, client);
+    const [hour, minute] = time.split(':').map(Number);
+    const schedule = { frequency: 'weekly', interval: 1, weekdays, hour, minute };
+    const standup = await saveStandup({
+      channelId,
+      teamId: body?.team?.id || body?.user?.team_id,
+      participants,
+      questions,
+      schedule,
+      timeZone,
+      windowMinutes,
+      nextRunAt: getNextRunTime(schedule, timeZone),
+      createdBy: userId
+    });
+
+    if (!standup) {
+      throw new Error('Could not save the standup to the database');
+    }
+
+    await client.chat.postMessage({
+      channel: channelId,
+      text: `🧍 <@${userId}> set up standup here: ${describeRecurrence(schedule)} (${timeZone}) ` +
+            `for ${participants.map(id => `<@${id}>`).join(', ')}. ` +
+            `The first one is ${formatInTimeZone(standup.next_run_at, timeZone)}.`
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving standup:', error);
+
+    try {
+      const dm = await client.conversations.open({ users: userId });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: `Sorry, I couldn't set up standup in <#${channelId}>: ${error.message}. ` +
+              `If I'm not in that channel yet, invite me and try again.`
+      });
+    } catch (postError) {
+      console.error('Error sending standup failure notice:', postError.message);
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle the Answer standup button in a participant's DM by opening the answer modal
+ * Earlier answers to the same run are filled in so they can be edited
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleStandupAnswerAction({ payload, client, ack, respond, body }) {
+  await ack();
+
+  const userId = body?.user?.id;
+
+  try {
+    const run = await getStandupRun(payload?.value || body?.actions?.[0]?.value);
+    if (!run) {
+      throw new Error('This standup no longer exists');
+    }
+    if (run.status !== 'collecting') {
+      throw new Error('This standup has closed');
+    }
+    if (!run.participants.includes(userId)) {
+      throw new Error('You aren\'t a participant in this standup');
+    }
+
+    const previous = (await getStandupResponses(run.id)).find(response => response.user_id === userId);
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "standup_answer_modal",
+        private_metadata: JSON.stringify({ runId: run.id }),
+        title: {
+          type: "plain_text",
+          text: "Standup"
+        },
+        submit: {
+          type: "plain_text",
+          text: previous ? "Update" : "Post"
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel"
+        },
+        blocks: run.questions.map((question, index) => ({
+          type: "input",
+          block_id: `answer_${index}`,
+          optional: true,
+          label: {
+            type: "plain_text",
+            // Labels are capped at 2000 characters
+            text: question.substring(0, 2000)
+          },
+          element: {
+            type: "plain_text_input",
+            action_id: "answer",
+            multiline: true,
+            ...(previous?.answers[index] ? { initial_value: previous.answers[index] } : {})
+          }
+        }))
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening standup answer modal:', error);
+
+    if (respond) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `Sorry, I couldn't open the standup: ${error.message}`
+      });
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle submission of the standup answer modal
+ * The answers are posted in the standup thread, or the earlier post is updated
+ * @param {Object} params - View submission parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleStandupAnswerSubmission({ ack, view, body, client }) {
+  const userId = body?.user?.id;
+  const values = view.state.values;
+  const { runId } = JSON.parse(view.private_metadata || '{}');
+  const run = await getStandupRun(runId);
+
+  if (!run || run.status !== 'collecting') {
+    await ack({ response_action: 'errors', errors: { answer_0: 'This standup has closed' } });
+    return { success: false, error: 'This standup has closed' };
+  }
+
+  if (!run.participants.includes(userId)) {
+    await ack({ response_action: 'errors', errors: { answer_0: 'You aren\'t a participant in this standup' } });
+    return { success: false, error: 'Not a participant' };
+  }
+
+  const answers = run.questions.map((question, index) => (values[`answer_${index}`]?.answer?.value || '').trim());
+  if (answers.every(answer => !answer)) {
+    await ack({ response_action: 'errors', errors: { answer_0: 'Answer at least one question' } });
+    return { success: false, error: 'No answers given' };
+  }
+
+  await ack();
+
+  try {
+    const previous = (await getStandupResponses(run.id)).find(response => response.user_id === userId);
+    const message = buildResponseMessage(userId, run.questions, answers, Boolean(previous));
+    let messageTs = previous?.message_ts;
+
+    if (messageTs) {
+      await client.chat.update({ channel: run.channel_id, ts: messageTs, ...message });
+    } else {
+      const posted = await client.chat.postMessage({ channel: run.channel_id, thread_ts: run.thread_ts, ...message });
+      messageTs = posted.ts;
+    }
+
+    if (!await saveStandupResponse({ runId: run.id, userId, answers, messageTs })) {
+      throw new Error('Could not save your answers to the database');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving standup answers:', error);
+
+    try {
+      const dm = await client.conversations.open({ users: userId });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: `Sorry, I couldn't post your standup answers: ${error.message}`
+      });
+    } catch (postError) {
+      console.error('Error sending standup failure notice:', postError.message);
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  handleStandupCommand,
+  handleStandupConfigureSubmission,
+  handleStandupAnswerAction,
+  handleStandupAnswerSubmission,
+  runStandups
+};
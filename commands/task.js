@@ -1,111 +1,1233 @@
 // task.js - Handler for /task slash command
 const { getAIResponse } = require('../utils/ai');
-const { getConnection } = require('../utils/database');
+const { parseDateTime } = require('../utils/dateParser');
+const {
+  DEFAULT_PROJECT_ID,
+  parseProjectOption,
+  resolveProjectId,
+  assertProjectExists,
+  assertProjectActive
+} = require('../utils/projects');
+const {
+  toWallClock,
+  fromWallClock,
+  formatInTimeZone,
+  getUserTimeZone
+} = require('../utils/timezone');
+const {
+  getActiveReminders,
+  createTask,
+  getTask,
+  listTasks,
+  updateTask,
+  addTaskDependency,
+  removeTaskDependency,
+  getTaskDependencies,
+  getTasksBlockedBy,
+  getChannelProject
+} = require('../utils/database');
+const {
+  getOpenBlockers,
+  findDependencyCycle,
+  describeDependencyGraph
+} = require('../utils/taskDependencies');
+const { refreshHomeTabs } = require('./home');
+
+// Statuses a task can have, in the order they're worked through
+const TASK_STATUSES = ['open', 'in_progress', 'done'];
+
+// Each listed task takes two blocks; stay under Slack's 50-block limit
+const MAX_LISTED_TASKS = 20;
+
+// Slack user mention, e.g. <@U123ABC> or <@U123ABC|alice>
+const USER_MENTION_PATTERN = /<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/;
+
+const STATUS_LABELS = {
+  open: '⚪ Open',
+  in_progress: '🔵 In progress',
+  done: '✅ Done'
+};
 
 /**
- * Summarize user's tasks from reminders
- * @param {Object} params - Parameters from Slack
+ * Turn user input such as "in progress", "doing" or "todo" into a task status
+ * @param {string} text - Status text
+ * @returns {string|null} - One of TASK_STATUSES
  */
-async function handleTaskCommand({ command, respond, client }) {
+function normalizeStatus(text) {
+  const value = (text || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const aliases = { todo: 'open', to_do: 'open', doing: 'in_progress', started: 'in_progress', complete: 'done', completed: 'done' };
+  const status = aliases[value] || value;
+  return TASK_STATUSES.includes(status) ? status : null;
+}
+
+/**
+ * Parse a task ID such as "12" or "#12"
+ * @param {string} text - ID text
+ * @returns {number|null}
+ */
+function parseTaskId(text) {
+  const match = (text || '').trim().match(/^#?(\d+)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Parse a due date in the user's time zone, e.g. "Friday", "tomorrow 3pm" or "2025-07-01"
+ * @param {string} text - Due date text
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null}
+ */
+function parseDueDate(text, timeZone) {
+  const parsed = parseDateTime(text, toWallClock(new Date(), timeZone));
+  return parsed ? fromWallClock(parsed.time, timeZone) : null;
+}
+
+/**
+ * Pull the owner, project and due date out of "/task create" text
+ * e.g. "Write release notes @alice due Friday project web"
+ * @param {string} text - Text after "create"
+ * @param {string} timeZone - IANA time zone for the due date
+ * @returns {{title: string, owner: string|null, projectId: string|null, dueDate: Date|null, error?: string}}
+ */
+function parseTaskDetails(text, timeZone) {
+  let remaining = text;
+  let match;
+  const details = { title: '', owner: null, projectId: null, dueDate: null };
+
+  if ((match = remaining.match(USER_MENTION_PATTERN))) {
+    details.owner = match[1];
+    remaining = remaining.replace(match[0], ' ');
+  }
+
+  ({ projectId: details.projectId, text: remaining } = parseProjectOption(remaining));
+
+  // Everything after the last "due" is the date, so it goes last
+  if ((match = remaining.match(/\bdue\s+(?!.*\bdue\s)(.+)$/i))) {
+    details.dueDate = parseDueDate(match[1], timeZone);
+    if (!details.dueDate) {
+      details.error = `I couldn't understand the due date "${match[1].trim()}". Try something like "due Friday" or "due 2025-07-01 17:00".`;
+    }
+    remaining = remaining.replace(match[0], ' ');
+  }
+
+  details.title = remaining.replace(/\s{2,}/g, ' ').trim();
+  return details;
+}
+
+/**
+ * Describe a task's due date, flagging it if it has passed
+ * @param {Object} task - Task row
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+function formatDueDate(task, timeZone) {
+  if (!task.due_date) return 'No due date';
+
+  const formatted = formatInTimeZone(task.due_date, timeZone);
+  const overdue = task.status !== 'done' && new Date(task.due_date) < new Date();
+  return overdue ? `${formatted} ⚠️ _overdue_` : formatted;
+}
+
+/**
+ * Describe whether a task is waiting on other tasks
+ * @param {Object} task - Task row
+ * @param {Array} dependencies - Dependency rows
+ * @returns {string|null} - e.g. "⛔ Blocked by #3, #4", or null if the task has no blockers
+ */
+function describeBlockedState(task, dependencies) {
+  const blockers = dependencies.filter(dependency => dependency.task_id === task.id);
+  if (blockers.length === 0 || task.status === 'done') return null;
+
+  const open = getOpenBlockers(dependencies, task.id);
+  return open.length > 0 ?
+    `⛔ Blocked by ${open.map(blocker => `#${blocker.blocked_by}`).join(', ')}` :
+    '🔓 Unblocked';
+}
+
+/**
+ * Build the fields shown for a task after it is created or changed
+ * @param {Object} task - Task row
+ * @param {string} timeZone - IANA time zone
+ * @returns {Array} - Section fields
+ */
+function buildTaskFields(task, timeZone) {
+  return [
+    {
+      type: "mrkdwn",
+      text: `*Owner:*\n${task.owner ? `<@${task.owner}>` : 'Unassigned'}`
+    },
+    {
+      type: "mrkdwn",
+      text: `*Due:*\n${formatDueDate(task, timeZone)}`
+    },
+    {
+      type: "mrkdwn",
+      text: `*Project:*\n${task.project_id}`
+    },
+    {
+      type: "mrkdwn",
+      text: `*Status:*\n${STATUS_LABELS[task.status] || task.status}`
+    }
+  ];
+}
+
+/**
+ * Respond with a task and a one-line summary of what happened to it
+ * @param {Function} respond - Slack respond function
+ * @param {string} headline - e.g. "✅ Created task"
+ * @param {Object} task - Task row
+ * @param {string} timeZone - IANA time zone
+ */
+async function respondWithTask(respond, headline, task, timeZone) {
+  await respond({
+    response_type: 'ephemeral',
+    text: `${headline} #${task.id}: ${task.title}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${headline} *#${task.id}: ${task.title}*${task.description ? `\n${task.description}` : ''}`
+        }
+      },
+      {
+        type: "section",
+        fields: buildTaskFields(task, timeZone)
+      }
+    ]
+  });
+}
+
+/**
+ * Let someone know they've been given a task
+ * A failed DM is logged rather than failing the command that assigned the task
+ * @param {Object} task - Task row
+ * @param {string} assignedBy - Slack user ID of the person assigning it
+ * @param {Object} client - Slack client
+ */
+async function notifyTaskOwner(task, assignedBy, client) {
+  if (!task.owner || task.owner === assignedBy) return;
+
   try {
-    const userId = command.user_id;
-    
-    // Initial response
-    await respond({
-      response_type: 'ephemeral',
-      text: `Gathering task summary for <@${userId}>...`
-    });
-    
-    // Get user's reminders from our database
-    let activeReminders = [];
-    try {
-      const db = await getConnection();
-      const result = await db.query(`
-        SELECT task_name, reminder_time, completed 
-        FROM reminders 
-        WHERE user_id = $1 AND completed = false 
-        ORDER BY reminder_time ASC
-      `, [userId]);
-      
-      activeReminders = result.rows || [];
-    } catch (dbError) {
-      console.log('Database connection error:', dbError);
-      // Fall back to empty array if database isn't available
-    }
-
-    // Format reminders for display
-    let reminderText;
-    if (activeReminders.length > 0) {
-      reminderText = "Your current reminders:\n";
-      activeReminders.forEach((reminder, index) => {
-        const reminderTime = new Date(reminder.reminder_time);
-        reminderText += `${index + 1}. ${reminder.task_name} (${reminderTime.toLocaleString()})\n`;
-      });
-    } else {
-      reminderText = "You currently have no active reminders.";
-    }
-    
-    // Get summary from AI
-    console.log('Getting AI task summary...');
-    const summaryPrompt = `
-      Summarize the following tasks for the user and create a prioritized action plan for them:
-
-      ${reminderText}
-
-      Current time: ${new Date().toLocaleString()}
-      
-      Please provide a brief, encouraging summary of their day's tasks with:
-      1. A short motivational message at the beginning
-      2. A prioritized list of tasks
-      3. Time management tips based on their current workload
-      
-      Be conversational but concise.
-    `;
-    
-    const summary = await getAIResponse(summaryPrompt, 'task');
-    
-    // Send the summary to the user
-    await respond({
-      response_type: 'ephemeral',
+    const timeZone = await getUserTimeZone(task.owner, client);
+    const dm = await client.conversations.open({ users: task.owner });
+
+    await client.chat.postMessage({
+      channel: dm.channel.id,
+      text: `<@${assignedBy}> assigned you task #${task.id}: ${task.title}`,
       blocks: [
         {
-          type: "header",
+          type: "section",
           text: {
-            type: "plain_text",
-            text: "📋 Your Task Summary",
-            emoji: true
+            type: "mrkdwn",
+            text: `📌 <@${assignedBy}> assigned you *#${task.id}: ${task.title}*`
           }
         },
-        {
-          type: "divider"
-        },
         {
           type: "section",
-          text: {
-            type: "mrkdwn",
-            text: summary
-          }
+          fields: buildTaskFields(task, timeZone)
         },
         {
-          type: "context",
+          type: "actions",
           elements: [
             {
-              type: "mrkdwn",
-              text: `_Based on ${activeReminders.length} active reminders_`
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "Mark Done",
+                emoji: true
+              },
+              style: "primary",
+              value: String(task.id),
+              action_id: "task_complete"
             }
           ]
         }
       ]
     });
+  } catch (error) {
+    console.error(`Error notifying ${task.owner} about task ${task.id}:`, error);
+  }
+}
+
+/**
+ * Let the owners of tasks that were waiting on a finished task know
+ * Tasks that still wait on other unfinished tasks are reported as still blocked
+ * @param {Object} task - The task that was just completed
+ * @param {string} completedBy - Slack user ID of the person who completed it
+ * @param {Object} client - Slack client
+ */
+async function notifyUnblockedTasks(task, completedBy, client) {
+  const waiting = (await getTasksBlockedBy(task.id))
+    .filter(blocked => blocked.status !== 'done' && blocked.owner && blocked.owner !== completedBy);
+  if (waiting.length === 0) return;
+
+  // Read after the update so the finished task already counts as done
+  const dependencies = await getTaskDependencies();
+
+  for (const blocked of waiting) {
+    try {
+      const remaining = getOpenBlockers(dependencies, blocked.id);
+      const text = remaining.length === 0 ?
+        `🔓 *#${blocked.id}: ${blocked.title}* is unblocked. <@${completedBy}> finished *#${task.id}: ${task.title}*, the last task it was waiting on.` :
+        `<@${completedBy}> finished *#${task.id}: ${task.title}*. *#${blocked.id}: ${blocked.title}* is still waiting on ` +
+        `${remaining.map(blocker => `#${blocker.blocked_by} ${blocker.blocker_title}`).join(', ')}.`;
+
+      const dm = await client.conversations.open({ users: blocked.owner });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text
+            }
+          }
+        ]
+      });
+    } catch (error) {
+      console.error(`Error notifying ${blocked.owner} about unblocked task ${blocked.id}:`, error);
+    }
+  }
+
+  await refreshHomeTabs(waiting.map(blocked => blocked.owner), client);
+}
+
+/**
+ * Load a task by the ID the user typed, throwing a readable error if it doesn't exist
+ * @param {string} idText - ID text, e.g. "12" or "#12"
+ * @returns {Promise<Object>} - Task row
+ */
+async function findTask(idText) {
+  const taskId = parseTaskId(idText);
+  if (!taskId) {
+    throw new Error(`"${idText || ''}" isn't a task ID. Use the number shown in \`/task list\`, e.g. \`#12\`.`);
+  }
+
+  const task = await getTask(taskId);
+  if (!task) {
+    throw new Error(`I couldn't find task #${taskId}.`);
+  }
+
+  return task;
+}
+
+/**
+ * Create a task: /task create <title> [@owner] [due <date>] [project:<id>]
+ * Without a project the task goes in the channel's linked project
+ * @param {string} text - Text after "create"
+ * @param {string} userId - Slack user ID of the creator
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function createNewTask(text, userId, client, respond, channelId) {
+  const timeZone = await getUserTimeZone(userId, client);
+  const details = parseTaskDetails(text, timeZone);
+
+  if (details.error) {
+    await respond({ response_type: 'ephemeral', text: details.error });
+    return;
+  }
+  if (!details.title) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Please give the task a title, e.g. `/task create Write release notes @alice due Friday project web`'
+    });
+    return;
+  }
+
+  const projectId = await resolveProjectId(details.projectId, channelId);
+  await assertProjectActive(projectId);
+
+  const task = await createTask({
+    projectId,
+    title: details.title,
+    dueDate: details.dueDate,
+    owner: details.owner || userId,
+    createdBy: userId
+  });
+
+  if (!task) {
+    throw new Error('Could not save the task to the database');
+  }
+
+  await respondWithTask(respond, '✅ Created task', task, timeZone);
+  await notifyTaskOwner(task, userId, client);
+  await refreshHomeTabs([task.owner, userId], client);
+}
+
+/**
+ * List tasks: /task list [all|mine|@user] [project:<id>] [status <status>] [overdue] [blocked]
+ * Shows the user's own unfinished tasks unless told otherwise, limited to the channel's linked project
+ * @param {string} text - Text after "list"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ * @param {string} channelId - Channel the command was run in
+ */
+async function listTaskCommand(text, userId, client, respond, channelId) {
+  const filters = { owner: null, projectId: null, status: null, overdue: false };
+  let everyone = false;
+  let match;
+
+  if ((match = text.match(USER_MENTION_PATTERN))) filters.owner = match[1];
+  filters.projectId = parseProjectOption(text).projectId;
+  if (filters.projectId) await assertProjectExists(filters.projectId);
+  if ((match = text.match(/\bstatus\s+(\S+)/i))) {
+    filters.status = normalizeStatus(match[1]);
+    if (!filters.status) {
+      await respond({
+        response_type: 'ephemeral',
+        text: `Unknown status "${match[1]}". Use one of: ${TASK_STATUSES.join(', ')}`
+      });
+      return;
+    }
+  }
+  if (/\boverdue\b/i.test(text)) filters.overdue = true;
+  if (/\ball\b/i.test(text)) everyone = true;
+  const blockedOnly = /\bblocked\b/i.test(text);
+
+  // A project list shows everyone's tasks; otherwise default to the user's own
+  if (!filters.owner && !everyone && !filters.projectId) {
+    filters.owner = userId;
+  }
+  if (!filters.projectId && channelId) {
+    filters.projectId = await getChannelProject(channelId);
+  }
+
+  const [dependencies, timeZone] = await Promise.all([
+    getTaskDependencies(),
+    getUserTimeZone(userId, client)
+  ]);
+  let tasks = await listTasks(filters);
+  if (blockedOnly) {
+    tasks = tasks.filter(task => task.status !== 'done' && getOpenBlockers(dependencies, task.id).length > 0);
+  }
+
+  const scope = [
+    filters.owner ? (filters.owner === userId ? 'your' : `<@${filters.owner}>'s`) : 'all',
+    blockedOnly ? 'blocked' : '',
+    filters.overdue ? 'overdue' : (filters.status ? filters.status.replace('_', ' ') : (blockedOnly ? '' : 'unfinished')),
+    'tasks',
+    filters.projectId ? `in *${filters.projectId}*` : ''
+  ].filter(Boolean).join(' ');
+
+  if (tasks.length === 0) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `No ${scope.replace(/^(your|all) /, '')} found.`
+    });
+    return;
+  }
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `Here are ${scope}:`
+      }
+    },
+    {
+      type: "divider"
+    }
+  ];
+
+  tasks.slice(0, MAX_LISTED_TASKS).forEach(task => {
+    const section = {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*#${task.id}: ${task.title}*`
+      }
+    };
+
+    if (task.status !== 'done') {
+      section.accessory = {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Complete",
+          emoji: true
+        },
+        value: String(task.id),
+        action_id: "task_complete"
+      };
+    }
+
+    blocks.push(section);
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: [
+            task.owner ? `<@${task.owner}>` : 'Unassigned',
+            `📅 ${formatDueDate(task, timeZone)}`,
+            `📁 ${task.project_id}`,
+            STATUS_LABELS[task.status] || task.status,
+            describeBlockedState(task, dependencies)
+          ].filter(Boolean).join(' · ')
+        }
+      ]
+    });
+  });
+
+  if (tasks.length > MAX_LISTED_TASKS) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `_Showing ${MAX_LISTED_TASKS} of ${tasks.length} tasks. Narrow the list with \`project\`, \`status\`, \`overdue\` or \`blocked\`._`
+        }
+      ]
+    });
+  }
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Here are ${scope}`,
+    blocks
+  });
+}
+
+/**
+ * Mark a task as done: /task complete <id>
+ * @param {string} text - Text after "complete"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function completeTaskCommand(text, userId, client, respond) {
+  const task = await findTask(text);
+
+  if (task.status === 'done') {
+    await respond({
+      response_type: 'ephemeral',
+      text: `Task #${task.id} is already done.`
+    });
+    return;
+  }
+
+  const updated = await updateTask(task.id, { status: 'done' });
+  if (!updated) {
+    throw new Error('Could not update the task in the database');
+  }
+
+  await respondWithTask(respond, '✅ Completed', updated, await getUserTimeZone(userId, client));
+  await notifyUnblockedTasks(updated, userId, client);
+  await refreshHomeTabs([updated.owner, userId], client);
+}
+
+/**
+ * Give a task to someone else: /task assign <id> @user
+ * @param {string} text - Text after "assign"
+ * @param {string} userId - Slack user ID of the person assigning
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function assignTaskCommand(text, userId, client, respond) {
+  const [idText, ...rest] = text.split(/\s+/);
+  const mention = rest.join(' ').match(USER_MENTION_PATTERN);
+
+  if (!mention) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Please specify a valid user to assign the task to, e.g. `/task assign 12 @alice`'
+    });
+    return;
+  }
+
+  const task = await findTask(idText);
+  const updated = await updateTask(task.id, { owner: mention[1] });
+  if (!updated) {
+    throw new Error('Could not update the task in the database');
+  }
+
+  await respondWithTask(respond, `👤 Assigned to <@${mention[1]}>:`, updated, await getUserTimeZone(userId, client));
+  await notifyTaskOwner(updated, userId, client);
+  await refreshHomeTabs([task.owner, updated.owner], client);
+}
+
+/**
+ * Change one field of a task: /task update <id> title|description|due|status|project|owner <value>
+ * @param {string} text - Text after "update"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function updateTaskCommand(text, userId, client, respond) {
+  const match = text.match(/^(\S+)\s+(\S+)\s*([\s\S]*)$/);
+  const usage = 'Usage: `/task update <id> title|description|due|status|project|owner <value>`, e.g. `/task update 12 due next Monday`';
+
+  if (!match) {
+    await respond({ response_type: 'ephemeral', text: usage });
+    return;
+  }
+
+  const [, idText, fieldText, rawValue] = match;
+  const field = fieldText.toLowerCase();
+  const value = rawValue.trim();
+  const timeZone = await getUserTimeZone(userId, client);
+  const changes = {};
+
+  switch (field) {
+    case 'title':
+    case 'project':
+      if (!value) {
+        await respond({ response_type: 'ephemeral', text: `Please give a new ${field}.` });
+        return;
+      }
+      if (field === 'project') {
+        await assertProjectActive(value.toLowerCase());
+        changes.project_id = value.toLowerCase();
+      } else {
+        changes.title = value;
+      }
+      break;
+    case 'description':
+      changes.description = value || null;
+      break;
+    case 'due':
+      if (!value || /^(none|clear)$/i.test(value)) {
+        changes.due_date = null;
+      } else {
+        changes.due_date = parseDueDate(value, timeZone);
+        if (!changes.due_date) {
+          await respond({
+            response_type: 'ephemeral',
+            text: `I couldn't understand the due date "${value}". Try something like "Friday" or "2025-07-01 17:00", or "none" to clear it.`
+          });
+          return;
+        }
+      }
+      break;
+    case 'status':
+      changes.status = normalizeStatus(value);
+      if (!changes.status) {
+        await respond({
+          response_type: 'ephemeral',
+          text: `Unknown status "${value}". Use one of: ${TASK_STATUSES.join(', ')}`
+        });
+        return;
+      }
+      break;
+    case 'owner': {
+      const mention = value.match(USER_MENTION_PATTERN);
+      if (!mention) {
+        await respond({ response_type: 'ephemeral', text: 'Please mention the new owner, e.g. `/task update 12 owner @alice`' });
+        return;
+      }
+      changes.owner = mention[1];
+      break;
+    }
+    default:
+      await respond({ response_type: 'ephemeral', text: usage });
+      return;
+  }
+
+  const task = await findTask(idText);
+  const updated = await updateTask(task.id, changes);
+  if (!updated) {
+    throw new Error('Could not update the task in the database');
+  }
+
+  await respondWithTask(respond, '✏️ Updated', updated, timeZone);
+
+  if (changes.owner && changes.owner !== task.owner) {
+    await notifyTaskOwner(updated, userId, client);
+  }
+  if (changes.status === 'done' && task.status !== 'done') {
+    await notifyUnblockedTasks(updated, userId, client);
+  }
+  await refreshHomeTabs([task.owner, updated.owner], client);
+}
+
+/**
+ * Parse "<id> by <id>[, <id>...]" from /task block and /task unblock
+ * @param {string} text - Text after the subcommand
+ * @returns {{taskId: number, blockerIds: number[]}|null}
+ */
+function parseDependencyArgs(text) {
+  const match = text.match(/^(\S+)\s+(?:by|on|from)\s+(.+)$/i);
+  if (!match) return null;
+
+  const taskId = parseTaskId(match[1]);
+  const blockerIds = match[2].split(/[\s,]+/).filter(Boolean).map(parseTaskId);
+  if (!taskId || blockerIds.length === 0 || blockerIds.includes(null)) return null;
+
+  return { taskId, blockerIds: [...new Set(blockerIds)] };
+}
+
+/**
+ * Mark a task as blocked by other tasks: /task block <id> by <id>[, <id>...]
+ * Links that would make tasks wait on each other in a cycle are rejected
+ * @param {string} text - Text after "block"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function blockTaskCommand(text, userId, client, respond) {
+  const parsed = parseDependencyArgs(text);
+  if (!parsed) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Usage: `/task block <id> by <id>`, e.g. `/task block 5 by 3` means #5 can\'t start until #3 is done'
+    });
+    return;
+  }
+
+  const task = await findTask(String(parsed.taskId));
+  const blockers = [];
+  for (const blockerId of parsed.blockerIds) {
+    blockers.push(await findTask(String(blockerId)));
+  }
+
+  const dependencies = await getTaskDependencies();
+  const added = [];
+  const problems = [];
+
+  for (const blocker of blockers) {
+    if (dependencies.some(dependency => dependency.task_id === task.id && dependency.blocked_by === blocker.id)) {
+      problems.push(`#${task.id} is already blocked by #${blocker.id}.`);
+      continue;
+    }
+
+    const cycle = findDependencyCycle(dependencies, task.id, blocker.id);
+    if (cycle) {
+      problems.push(cycle.length === 2 ?
+        `A task can't be blocked by itself.` :
+        `#${task.id} can't wait on #${blocker.id}: that would create a cycle (${cycle.map(id => `#${id}`).join(' → ')}, where → means "waits on").`);
+      continue;
+    }
+
+    if (!await addTaskDependency(task.id, blocker.id)) {
+      throw new Error('Could not save the dependency to the database');
+    }
+
+    // Later blockers in the same command are checked against this link too
+    dependencies.push({ task_id: task.id, blocked_by: blocker.id, blocker_status: blocker.status, blocker_title: blocker.title });
+    added.push(blocker);
+  }
+
+  const lines = added.map(blocker =>
+    `⛔ *#${task.id}: ${task.title}* is blocked by *#${blocker.id}: ${blocker.title}*${blocker.status === 'done' ? ' (already done)' : ''}`);
+
+  await respond({
+    response_type: 'ephemeral',
+    text: [...lines, ...problems].join('\n'),
+    blocks: [
+      ...(lines.length > 0 ? [{
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: lines.join('\n')
+        }
+      }] : []),
+      ...(problems.length > 0 ? [{
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: problems.map(problem => `⚠️ ${problem}`).join('\n')
+          }
+        ]
+      }] : [])
+    ]
+  });
+
+  if (added.length > 0) {
+    await refreshHomeTabs([task.owner], client);
+  }
+}
+
+/**
+ * Remove "blocked by" links: /task unblock <id> by <id>[, <id>...]
+ * @param {string} text - Text after "unblock"
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function unblockTaskCommand(text, userId, client, respond) {
+  const parsed = parseDependencyArgs(text);
+  if (!parsed) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Usage: `/task unblock <id> by <id>`, e.g. `/task unblock 5 by 3`'
+    });
+    return;
+  }
+
+  const task = await findTask(String(parsed.taskId));
+  const removed = [];
+  const missing = [];
+
+  for (const blockerId of parsed.blockerIds) {
+    (await removeTaskDependency(task.id, blockerId) ? removed : missing).push(`#${blockerId}`);
+  }
+
+  const open = getOpenBlockers(await getTaskDependencies(), task.id);
+  const lines = [];
+  if (removed.length > 0) {
+    lines.push(`🔓 *#${task.id}: ${task.title}* no longer waits on ${removed.join(', ')}.`);
+  }
+  if (missing.length > 0) {
+    lines.push(`#${task.id} wasn't blocked by ${missing.join(', ')}.`);
+  }
+  lines.push(open.length > 0 ?
+    `It's still blocked by ${open.map(blocker => `#${blocker.blocked_by}`).join(', ')}.` :
+    `Nothing is blocking it now.`);
+
+  await respond({
+    response_type: 'ephemeral',
+    text: lines.join('\n'),
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: lines.join('\n')
+        }
+      }
+    ]
+  });
+
+  if (removed.length > 0) {
+    await refreshHomeTabs([task.owner], client);
+  }
+}
+
+/**
+ * Summarize the user's tasks and reminders with an AI-prioritized plan: /task summary
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function summarizeTasks(userId, client, respond) {
+  // Initial response
+  await respond({
+    response_type: 'ephemeral',
+    text: `Gathering task summary for <@${userId}>...`
+  });
+
+  // All three lists are empty if the database isn't available
+  const [activeReminders, openTasks, dependencies] = await Promise.all([
+    getActiveReminders(userId),
+    listTasks({ owner: userId }),
+    getTaskDependencies()
+  ]);
+  const timeZone = await getUserTimeZone(userId, client);
+
+  let taskText;
+  if (openTasks.length > 0) {
+    taskText = "Your open tasks:\n";
+    openTasks.forEach(task => {
+      const due = task.due_date ? `due ${formatInTimeZone(task.due_date, timeZone)}` : 'no due date';
+      const blocked = getOpenBlockers(dependencies, task.id).length > 0 ? ', blocked' : '';
+      taskText += `#${task.id} ${task.title} (${due}, ${task.status.replace('_', ' ')}${blocked}, project ${task.project_id})\n`;
+    });
+  } else {
+    taskText = "You currently have no open tasks.";
+  }
+
+  // Which tasks wait on which, so the plan never puts a task before what it depends on
+  const dependencyGraph = describeDependencyGraph(openTasks, dependencies);
+  const dependencyText = dependencyGraph ?
+    `Task dependencies (a task can't be finished before the tasks it waits on are done):\n${dependencyGraph}` :
+    "None of these tasks depend on other tasks.";
+
+  // Format reminders for display
+  let reminderText;
+  if (activeReminders.length > 0) {
+    reminderText = "Your current reminders:\n";
+    activeReminders.forEach((reminder, index) => {
+      reminderText += `${index + 1}. ${reminder.content} (${formatInTimeZone(reminder.reminder_time, timeZone)})\n`;
+    });
+  } else {
+    reminderText = "You currently have no active reminders.";
+  }
+
+  // Get summary from AI
+  console.log('Getting AI task summary...');
+  const summaryPrompt = `
+    Summarize the following tasks for the user and create a prioritized action plan for them:
+
+    ${taskText}
+
+    ${dependencyText}
+
+    ${reminderText}
+
+    Current time: ${formatInTimeZone(new Date(), timeZone)} (${timeZone})
+
+    Please provide a brief, encouraging summary of their day's tasks with:
+    1. A short motivational message at the beginning
+    2. A prioritized list of tasks
+    3. Time management tips based on their current workload
+
+    Order the list so that a task always comes after the tasks it waits on, and point out
+    blocked tasks they can't start yet and which blocker to chase.
+
+    Be conversational but concise.
+  `;
+
+  const summary = await getAIResponse(summaryPrompt, 'task');
+
+  // Send the summary to the user
+  await respond({
+    response_type: 'ephemeral',
+    blocks: [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: "📋 Your Task Summary",
+          emoji: true
+        }
+      },
+      {
+        type: "divider"
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: summary
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `_Based on ${openTasks.length} open tasks and ${activeReminders.length} active reminders · Times shown in ${timeZone}_`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Show the /task subcommands
+ * @param {Function} respond - Slack respond function
+ */
+async function showTaskHelp(respond) {
+  await respond({
+    response_type: 'ephemeral',
+    text: "Available task commands: create, list, complete, assign, update, block, unblock, summary",
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Task commands*\n" +
+                "• `/task create <title> [@owner] [due <date>] [project:<id>]`\n" +
+                "• `/task list [all|@user] [project:<id>] [status <status>] [overdue] [blocked]`\n" +
+                "• `/task complete <id>`\n" +
+                "• `/task assign <id> @user`\n" +
+                "• `/task update <id> title|description|due|status|project|owner <value>`\n" +
+                "• `/task block <id> by <id>` / `/task unblock <id> by <id>` – the first task can't start until the second is done\n" +
+                "• `/task summary` – an AI-prioritized plan for your tasks and reminders"
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Statuses: ${TASK_STATUSES.join(', ')} · Tasks without a project go in the channel's project (see \`/project link-channel\`), or *${DEFAULT_PROJECT_ID}*`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Handle the /task slash command
+ * @param {Object} params - Parameters from Slack
+ */
+async function handleTaskCommand({ command, respond, client }) {
+  const userId = command.user_id;
+  const text = (command.text || '').trim();
+  const [action = '', ...rest] = text.split(/\s+/);
+  const args = rest.join(' ');
+
+  try {
+    switch (action.toLowerCase()) {
+      case 'create':
+      case 'add':
+        await createNewTask(args, userId, client, respond, command.channel_id);
+        break;
+      case 'list':
+        await listTaskCommand(args, userId, client, respond, command.channel_id);
+        break;
+      case 'complete':
+      case 'done':
+        await completeTaskCommand(args, userId, client, respond);
+        break;
+      case 'assign':
+        await assignTaskCommand(args, userId, client, respond);
+        break;
+      case 'update':
+      case 'edit':
+        await updateTaskCommand(args, userId, client, respond);
+        break;
+      case 'block':
+        await blockTaskCommand(args, userId, client, respond);
+        break;
+      case 'unblock':
+        await unblockTaskCommand(args, userId, client, respond);
+        break;
+      case 'summary':
+        await summarizeTasks(userId, client, respond);
+        break;
+      default:
+        await showTaskHelp(respond);
+    }
   } catch (error) {
     console.error('Error handling /task command:', error);
     await respond({
       response_type: 'ephemeral',
-      text: `Sorry, I encountered an error generating your task summary: ${error.message}`
+      text: `Sorry, I encountered an error with your task: ${error.message}`
     });
   }
 }
 
+/**
+ * Handle the Complete button in /task list and task assignment DMs
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleCompleteTaskAction({ payload, client, ack, respond, body }) {
+  await ack();
+
+  const userId = body.user?.id;
+
+  try {
+    const task = await findTask(payload.value);
+    const updated = task.status === 'done' ? task : await updateTask(task.id, { status: 'done' });
+    if (!updated) {
+      throw new Error('Could not update the task in the database');
+    }
+
+    // Buttons on the Home tab have no response URL; the refreshed tab shows the change instead
+    if (respond) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `✅ <@${userId}> marked *#${updated.id}: ${updated.title}* as done.`
+      });
+    }
+
+    if (task.status !== 'done') {
+      await notifyUnblockedTasks(updated, userId, client);
+    }
+    await refreshHomeTabs([updated.owner, userId], client);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error completing task:', error);
+
+    if (respond) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `<@${userId}> Sorry, I couldn't complete that task: ${error.message}`
+      });
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle the New task button on the Home tab by opening a create task modal
+ * @param {Object} params - Action parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleOpenTaskModalAction({ ack, body, client }) {
+  await ack();
+
+  const userId = body.user?.id;
+
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "task_create_modal",
+        title: {
+          type: "plain_text",
+          text: "New task"
+        },
+        submit: {
+          type: "plain_text",
+          text: "Create"
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel"
+        },
+        blocks: [
+          {
+            type: "input",
+            block_id: "task_title",
+            label: {
+              type: "plain_text",
+              text: "Title"
+            },
+            element: {
+              type: "plain_text_input",
+              action_id: "title",
+              max_length: 255
+            }
+          },
+          {
+            type: "input",
+            block_id: "task_description",
+            optional: true,
+            label: {
+              type: "plain_text",
+              text: "Description"
+            },
+            element: {
+              type: "plain_text_input",
+              action_id: "description",
+              multiline: true
+            }
+          },
+          {
+            type: "input",
+            block_id: "task_owner",
+            label: {
+              type: "plain_text",
+              text: "Owner"
+            },
+            element: {
+              type: "users_select",
+              action_id: "owner",
+              initial_user: userId
+            }
+          },
+          {
+            type: "input",
+            block_id: "task_due",
+            optional: true,
+            label: {
+              type: "plain_text",
+              text: "Due date"
+            },
+            element: {
+              type: "datepicker",
+              action_id: "date"
+            }
+          },
+          {
+            type: "input",
+            block_id: "task_project",
+            optional: true,
+            label: {
+              type: "plain_text",
+              text: "Project"
+            },
+            element: {
+              type: "plain_text_input",
+              action_id: "project",
+              placeholder: {
+                type: "plain_text",
+                text: DEFAULT_PROJECT_ID
+              }
+            }
+          }
+        ]
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening create task modal:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Handle submission of the create task modal
+ * @param {Object} params - View submission parameters
+ * @returns {Promise<Object>} - Success status
+ */
+async function handleCreateTaskSubmission({ ack, view, body, client }) {
+  const userId = body?.user?.id;
+  const values = view.state.values;
+  const title = values.task_title?.title?.value?.trim();
+  const description = values.task_description?.description?.value?.trim() || null;
+  const owner = values.task_owner?.owner?.selected_user || userId;
+  const date = values.task_due?.date?.selected_date;
+  const projectId = (values.task_project?.project?.value || '').trim().toLowerCase() || DEFAULT_PROJECT_ID;
+  const timeZone = await getUserTimeZone(userId, client);
+  const errors = {};
+
+  if (!title) {
+    errors.task_title = 'Enter a title';
+  }
+  try {
+    await assertProjectActive(projectId);
+  } catch (error) {
+    errors.task_project = error.message;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: 'errors', errors });
+    return { success: false, error: Object.values(errors).join(', ') };
+  }
+
+  await ack();
+
+  try {
+    const task = await createTask({
+      projectId,
+      title,
+      description,
+      dueDate: date ? parseDueDate(date, timeZone) : null,
+      owner,
+      createdBy: userId
+    });
+
+    if (!task) {
+      throw new Error('Could not save the task to the database');
+    }
+
+    await notifyTaskOwner(task, userId, client);
+    await refreshHomeTabs([task.owner, userId], client);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error creating task from modal:', error);
+
+    try {
+      const dm = await client.conversations.open({ users: userId });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: `Sorry, I couldn't create the task "${title}": ${error.message}`
+      });
+    } catch (postError) {
+      console.error('Error sending create task failure notice:', postError.message);
+    }
+
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
-  handleTaskCommand
+  handleTaskCommand,
+  handleCompleteTaskAction,
+  handleOpenTaskModalAction,
+  handleCreateTaskSubmission,
+  parseDueDate,
+  parseTaskDetails,
+  notifyTaskOwner
 };
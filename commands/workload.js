@@ -0,0 +1,489 @@
+// workload.js - Handler for /workload: who is over capacity, with AI rebalancing suggestions
+const { getAIResponse } = require('../utils/ai');
+const { parseProjectOption, PROJECT_KEY_PATTERN } = require('../utils/projects');
+const { isMilestoneDone } = require('../utils/milestones');
+const { DEFAULT_POINTS } = require('../utils/sprints');
+const { isWorkspaceAdmin } = require('../utils/permissions');
+const {
+  listTasks,
+  listMilestones,
+  getActiveReminders,
+  getActiveSprintEstimates,
+  getChannelProject,
+  getRoadmapData,
+  getUserPreferences,
+  updateUserPreferences,
+  getWorkspaceSettings,
+  updateWorkspaceSettings
+} = require('../utils/database');
+
+// How far ahead work counts, in days, unless "days <n>" is given
+const DEFAULT_WINDOW_DAYS = 14;
+const MAX_WINDOW_DAYS = 90;
+
+// Points a person can take on per week unless they or their workspace set another capacity
+const DEFAULT_CAPACITY = 10;
+
+// Points an owned milestone due in the window adds to someone's load
+const MILESTONE_POINTS = 2;
+
+// Share of capacity at which someone is flagged as nearly full
+const NEAR_CAPACITY = 0.8;
+
+// Most people shown; a table block allows 100 rows but the AI prompt and the message stay readable
+const MAX_PEOPLE = 25;
+
+// Most of an overloaded person's tasks described to the AI
+const MAX_PROMPT_TASKS = 10;
+
+// How long the list of a workspace's active people is reused
+const PEOPLE_CACHE_TTL = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Active people by team, from users.list
+const peopleCache = new Map();
+
+// Slack mentions, e.g. <@U123ABC|alice> and <#C123ABC|general>
+const USER_MENTION_PATTERN = /<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g;
+const CHANNEL_MENTION_PATTERN = /<#([CG][A-Z0-9]+)(?:\|[^>]*)?>/;
+
+/**
+ * Work out a person's capacity in points per week
+ * Order: their own setting, then the workspace's, then DEFAULT_CAPACITY
+ * @param {string} userId - Slack user ID
+ * @param {Object|null} workspace - The workspace_settings row
+ * @returns {Promise<number>}
+ */
+async function getWeeklyCapacity(userId, workspace) {
+  const preferences = await getUserPreferences(userId);
+  return preferences?.workload_capacity ?? workspace?.workload_capacity ?? DEFAULT_CAPACITY;
+}
+
+/**
+ * Get the IDs of a workspace's active people, leaving out bots and deactivated accounts
+ * One paginated users.list call, cached per team for PEOPLE_CACHE_TTL, instead of users.info per member
+ * @param {string|null} teamId - Slack team ID
+ * @param {Object} client - Slack client
+ * @returns {Promise<Set<string>>} - Slack user IDs
+ */
+async function getActivePeople(teamId, client) {
+  const key = teamId || '';
+  const cached = peopleCache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.people;
+  }
+
+  const people = new Set();
+  let cursor;
+
+  do {
+    const response = await client.users.list({ cursor, limit: 200, ...(teamId ? { team_id: teamId } : {}) });
+    response.members
+      .filter(user => !user.is_bot && !user.deleted && user.id !== 'USLACKBOT')
+      .forEach(user => people.add(user.id));
+    cursor = response.response_metadata?.next_cursor;
+  } while (cursor);
+
+  peopleCache.set(key, { people, expires: Date.now() + PEOPLE_CACHE_TTL });
+  return people;
+}
+
+/**
+ * List the people in a channel, leaving out bots and deactivated accounts
+ * Stops after MAX_PEOPLE + 1 so a big channel doesn't page through every member;
+ * the extra one tells the caller the list was cut short
+ * @param {string} channelId - Slack channel ID
+ * @param {string|null} teamId - Slack team ID
+ * @param {Object} client - Slack client
+ * @returns {Promise<string[]>} - Slack user IDs
+ */
+async function listChannelPeople(channelId, teamId, client) {
+  let active;
+  try {
+    active = await getActivePeople(teamId, client);
+  } catch (error) {
+    console.error('Error listing workspace members:', error.message);
+    return [];
+  }
+
+  const people = [];
+  let cursor;
+
+  do {
+    const response = await client.conversations.members({ channel: channelId, cursor, limit: 200 });
+    people.push(...response.members.filter(userId => active.has(userId)));
+    cursor = response.response_metadata?.next_cursor;
+  } while (cursor && people.length <= MAX_PEOPLE);
+
+  return people.slice(0, MAX_PEOPLE + 1);
+}
+
+/**
+ * Decide whose workload to show from the /workload text
+ * Order: mentioned people, a mentioned channel's members, a named project's owners,
+ * then the current channel's project if it's linked to one, otherwise the current channel's members
+ * @param {string} text - Command text with any "days <n>" removed
+ * @param {string} channelId - Channel the command was run in
+ * @param {string|null} teamId - Slack team ID
+ * @param {Object} client - Slack client
+ * @param {Array} tasks - Every open task
+ * @param {Array} milestones - Every unfinished milestone
+ * @returns {Promise<{people: string[], scope: string, error?: string}>}
+ */
+async function resolveWorkloadScope(text, channelId, teamId, client, tasks, milestones) {
+  const mentioned = [...text.matchAll(USER_MENTION_PATTERN)].map(match => match[1]);
+  if (mentioned.length > 0) {
+    return { people: [...new Set(mentioned)], scope: mentioned.map(id => `<@${id}>`).join(', ') };
+  }
+
+  const channel = text.match(CHANNEL_MENTION_PATTERN);
+  if (channel) {
+    return { people: await listChannelPeople(channel[1], teamId, client), scope: `<#${channel[1]}>` };
+  }
+
+  const { projectId: named } = parseProjectOption(text);
+  const bare = text.trim().toLowerCase();
+  let projectId = named || (PROJECT_KEY_PATTERN.test(bare) ? bare : null);
+  if (projectId && !await getRoadmapData(projectId)) {
+    return { people: [], scope: projectId, error: `I don't know a project called *${projectId}*. See \`/project list\`.` };
+  }
+  if (!projectId) {
+    projectId = await getChannelProject(channelId);
+  }
+
+  if (projectId) {
+    const owners = [
+      ...tasks.filter(task => task.project_id === projectId).map(task => task.owner),
+      ...milestones.filter(milestone => milestone.project_id === projectId).map(milestone => milestone.owner)
+    ].filter(Boolean);
+    return { people: [...new Set(owners)], scope: `project ${projectId}` };
+  }
+
+  return { people: await listChannelPeople(channelId, teamId, client), scope: `<#${channelId}>` };
+}
+
+/**
+ * Add up one person's work in the window
+ * Open tasks due in the window, overdue or without a due date count their sprint estimate
+ * (DEFAULT_POINTS without one); milestones they own due in the window count MILESTONE_POINTS
+ * @param {Object} params - Everything needed to work out the load
+ * @returns {Promise<Object>} - The person's row in the workload table
+ */
+async function buildPersonWorkload({ userId, tasks, milestones, estimates, windowEnd, days, workspace }) {
+  const now = new Date();
+  const ownTasks = tasks.filter(task => task.owner === userId);
+  const tasksInWindow = ownTasks.filter(task => !task.due_date || new Date(task.due_date) <= windowEnd);
+  const taskPoints = tasksInWindow.reduce((sum, task) => sum + (estimates.get(task.id) ?? DEFAULT_POINTS), 0);
+  const ownMilestones = milestones.filter(milestone =>
+    milestone.owner === userId && milestone.due_date && new Date(milestone.due_date) <= windowEnd);
+  const reminders = (await getActiveReminders(userId, { upcomingOnly: true }))
+    .filter(reminder => new Date(reminder.reminder_time) <= windowEnd);
+  const capacity = Math.round((await getWeeklyCapacity(userId, workspace)) * days / 7 * 10) / 10;
+  const load = taskPoints + ownMilestones.length * MILESTONE_POINTS;
+
+  let state = 'ok';
+  if (load > capacity) {
+    state = 'over';
+  } else if (capacity > 0 && load >= capacity * NEAR_CAPACITY) {
+    state = 'near';
+  }
+
+  return {
+    userId,
+    openTasks: ownTasks.length,
+    overdueTasks: ownTasks.filter(task => task.due_date && new Date(task.due_date) < now).length,
+    tasksInWindow,
+    taskPoints,
+    milestones: ownMilestones.length,
+    reminders: reminders.length,
+    load,
+    capacity,
+    state
+  };
+}
+
+/**
+ * Build a table block cell
+ * @param {string|number} value - Text, or a user ID when asUser is true
+ * @param {boolean} asUser - Show a user mention instead of text
+ * @returns {Object}
+ */
+function buildCell(value, asUser = false) {
+  if (!asUser) return { type: "raw_text", text: String(value) };
+
+  return {
+    type: "rich_text",
+    elements: [
+      {
+        type: "rich_text_section",
+        elements: [{ type: "user", user_id: value }]
+      }
+    ]
+  };
+}
+
+/**
+ * Build the workload table
+ * @param {Array} rows - From buildPersonWorkload, most loaded first
+ * @param {number} days - Window length
+ * @returns {Object} - Table block
+ */
+function buildWorkloadTable(rows, days) {
+  const stateLabels = { over: '🔴 Over', near: '🟡 Nearly full', ok: '🟢 OK' };
+
+  return {
+    type: "table",
+    column_settings: [
+      { is_wrapped: true },
+      { align: "right" },
+      { align: "right" },
+      { align: "right" },
+      { align: "right" },
+      { align: "right" },
+      { align: "right" },
+      { align: "left" }
+    ],
+    rows: [
+      ['Person', 'Open tasks', `Due ≤ ${days}d`, 'Points', 'Milestones', 'Reminders', 'Load / capacity', 'Status'].map(label => buildCell(label)),
+      ...rows.map(row => [
+        buildCell(row.userId, true),
+        buildCell(row.overdueTasks > 0 ? `${row.openTasks} (${row.overdueTasks} late)` : row.openTasks),
+        buildCell(row.tasksInWindow.length),
+        buildCell(row.taskPoints),
+        buildCell(row.milestones),
+        buildCell(row.reminders),
+        buildCell(`${row.load} / ${row.capacity}`),
+        buildCell(stateLabels[row.state])
+      ])
+    ]
+  };
+}
+
+/**
+ * Ask the AI which tasks to move from overloaded people to people with room
+ * @param {Array} rows - From buildPersonWorkload
+ * @param {Map} estimates - Sprint estimates by task ID
+ * @param {number} days - Window length
+ * @returns {Promise<string>}
+ */
+async function getRebalancingAdvice(rows, estimates, days) {
+  const describePerson = row => {
+    const header = `<@${row.userId}>: load ${row.load} of ${row.capacity} points (${row.milestones} milestone(s), ${row.reminders} reminder(s))`;
+    if (row.state !== 'over') return header;
+
+    const taskLines = row.tasksInWindow.slice(0, MAX_PROMPT_TASKS).map(task => {
+      const due = task.due_date ? new Date(task.due_date).toISOString().substring(0, 10) : 'no due date';
+      return `  - #${task.id} ${task.title} (${estimates.get(task.id) ?? DEFAULT_POINTS} pts, due ${due}, ${task.status.replace('_', ' ')}, project ${task.project_id})`;
+    });
+    return [header, ...taskLines].join('\n');
+  };
+
+  const prompt = `Workload over the next ${days} days. Capacity is in story points; tasks without an estimate count as ${DEFAULT_POINTS} point ` +
+    `and each milestone due counts as ${MILESTONE_POINTS}.\n\n` +
+    `${rows.map(describePerson).join('\n')}\n\n` +
+    `Suggest specific tasks to move from people over capacity to people with room, written as "#id: from <@A> to <@B>", ` +
+    `and tasks that could be pushed back instead if nobody has room. Only use the people and tasks listed above. ` +
+    `Keep it to a short bulleted list.`;
+
+  return getAIResponse(prompt, 'workload');
+}
+
+/**
+ * Show the workload table: /workload [@user …|#channel|project:<id>] [days <n>]
+ * @param {Object} command - Slash command payload
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function showWorkloadCommand(command, client, respond) {
+  let text = (command.text || '').trim();
+  let days = DEFAULT_WINDOW_DAYS;
+  const daysMatch = text.match(/\b(?:days\s+(\d+)|next\s+(\d+)\s+days?|(\d+)\s*d(?:ays?)?)\b/i);
+
+  if (daysMatch) {
+    days = parseInt(daysMatch[1] || daysMatch[2] || daysMatch[3], 10);
+    text = text.replace(daysMatch[0], ' ').trim();
+    if (days < 1 || days > MAX_WINDOW_DAYS) {
+      await respond({ response_type: 'ephemeral', text: `Pick a window between 1 and ${MAX_WINDOW_DAYS} days.` });
+      return;
+    }
+  }
+
+  const [tasks, allMilestones, estimates, workspace] = await Promise.all([
+    listTasks(),
+    listMilestones(),
+    getActiveSprintEstimates(),
+    getWorkspaceSettings(command.team_id)
+  ]);
+  const milestones = allMilestones.filter(milestone => !isMilestoneDone(milestone));
+  const { people, scope, error } = await resolveWorkloadScope(text, command.channel_id, command.team_id, client, tasks, milestones);
+
+  if (error) {
+    await respond({ response_type: 'ephemeral', text: error });
+    return;
+  }
+  if (people.length === 0) {
+    await respond({ response_type: 'ephemeral', text: `Nobody in ${scope} has open tasks or milestones.` });
+    return;
+  }
+
+  const windowEnd = new Date(Date.now() + days * DAY_MS);
+  const rows = [];
+  for (const userId of people.slice(0, MAX_PEOPLE)) {
+    rows.push(await buildPersonWorkload({ userId, tasks, milestones, estimates, windowEnd, days, workspace }));
+  }
+  rows.sort((a, b) => (b.load / (b.capacity || 1)) - (a.load / (a.capacity || 1)));
+
+  const overloaded = rows.filter(row => row.state === 'over');
+  const advice = overloaded.length > 0 && rows.length > 1 ? await getRebalancingAdvice(rows, estimates, days) : null;
+  const summary = overloaded.length > 0 ?
+    `🔴 ${overloaded.map(row => `<@${row.userId}>`).join(', ')} ${overloaded.length === 1 ? 'is' : 'are'} over capacity` :
+    '🟢 Nobody is over capacity';
+
+  await respond({
+    response_type: 'ephemeral',
+    text: `Workload for ${scope} over the next ${days} days: ${overloaded.length} over capacity`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Workload for ${scope}* · next ${days} days\n${summary}`
+        }
+      },
+      buildWorkloadTable(rows, days),
+      ...(advice ? [{
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🤖 *Rebalancing suggestions*\n${advice}`
+        }
+      }] : []),
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Load = points of open tasks due in the window, overdue or undated (sprint estimate, or ${DEFAULT_POINTS} without one) ` +
+                  `+ ${MILESTONE_POINTS} per milestone due · Capacity is per week, scaled to the window; change it with \`/workload capacity\`` +
+                  `${people.length > MAX_PEOPLE ? ` · Showing the first ${MAX_PEOPLE} people; mention people or name a project to narrow it` : ''}`
+          }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Show or set capacity in points per week: /workload capacity [@user|workspace] [<points>|reset]
+ * Anyone can set their own; workspace admins can set anyone's and the workspace default
+ * @param {Object} command - Slash command payload
+ * @param {string} value - Text after "capacity"
+ * @param {Object} client - Slack client
+ * @param {Function} respond - Slack respond function
+ */
+async function capacityCommand(command, value, client, respond) {
+  const userId = command.user_id;
+  const workspace = /^workspace\b/i.test(value);
+  const mention = value.match(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/);
+  const target = mention ? mention[1] : userId;
+  const setting = value.replace(/^workspace\s*/i, '').replace(mention ? mention[0] : '', '').trim().toLowerCase();
+  const who = workspace ? 'The workspace default' : target === userId ? 'Your capacity' : `<@${target}>'s capacity`;
+
+  if (!setting) {
+    const settings = await getWorkspaceSettings(command.team_id);
+    const capacity = workspace ? (settings?.workload_capacity ?? DEFAULT_CAPACITY) : await getWeeklyCapacity(target, settings);
+    await respond({
+      response_type: 'ephemeral',
+      text: `${who} is *${capacity} points per week*. Change it with \`/workload capacity 8\`, \`/workload capacity @alice 8\` or \`/workload capacity workspace 10\`.`
+    });
+    return;
+  }
+
+  if ((workspace || target !== userId) && !await isWorkspaceAdmin(userId, client)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: 'Only workspace admins can change the workspace default or someone else\'s capacity.'
+    });
+    return;
+  }
+
+  const points = setting === 'reset' ? null : Number(setting);
+  if (points !== null && (!Number.isInteger(points) || points < 0 || points > 200)) {
+    await respond({
+      response_type: 'ephemeral',
+      text: `"${setting}" isn't a capacity. Give a whole number of points per week between 0 and 200, or \`reset\`.`
+    });
+    return;
+  }
+
+  const saved = workspace ?
+    await updateWorkspaceSettings(command.team_id, { workload_capacity: points }) :
+    await updateUserPreferences(target, { workload_capacity: points });
+  if (!saved) {
+    throw new Error('Could not save the capacity to the database');
+  }
+
+  await respond({
+    response_type: 'ephemeral',
+    text: points === null ?
+      `${who} is back to the default.` :
+      `${who} is now *${points} points per week*.`
+  });
+}
+
+/**
+ * Show the /workload options
+ * @param {Function} respond - Slack respond function
+ */
+async function showWorkloadHelp(respond) {
+  await respond({
+    response_type: 'ephemeral',
+    text: "Workload commands",
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Workload commands*\n" +
+                "• `/workload` – everyone in this channel's project (or this channel)\n" +
+                "• `/workload @alice @bob`, `/workload #team-channel` or `/workload project web`\n" +
+                `• Add \`days 7\` to change the window (default ${DEFAULT_WINDOW_DAYS} days)\n` +
+                "• `/workload capacity [@user|workspace] [<points per week>|reset]`"
+        }
+      }
+    ]
+  });
+}
+
+/**
+ * Handle the /workload slash command
+ * @param {Object} params - Parameters from Slack
+ */
+async function handleWorkloadCommand({ command, respond, client }) {
+  const text = (command.text || '').trim();
+  const [action = '', ...rest] = text.split(/\s+/);
+
+  try {
+    switch (action.toLowerCase()) {
+      case 'capacity':
+        await capacityCommand(command, rest.join(' '), client, respond);
+        break;
+      case 'help':
+        await showWorkloadHelp(respond);
+        break;
+      default:
+        await showWorkloadCommand(command, client, respond);
+    }
+  } catch (error) {
+    console.error('Error handling /workload command:', error);
+    await respond({
+      response_type: 'ephemeral',
+      text: `Sorry, I encountered an error working out the workload: ${error.message}`
+    });
+  }
+}
+
+module.exports = {
+  handleWorkloadCommand
+};
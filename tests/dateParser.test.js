@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDateTime, parseTimeOfDay } = require('../utils/dateParser');
+
+// Wednesday 2 July 2025, 10:30 wall-clock time
+const NOW = new Date(Date.UTC(2025, 6, 2, 10, 30));
+
+const PARSED_CASES = [
+  // Relative days
+  ['Submit report tomorrow at 3pm', '2025-07-03T15:00', 'Submit report'],
+  ['Call the bank today', '2025-07-02T11:00', 'Call the bank'],
+  ['Ship it day after tomorrow', '2025-07-04T09:00', 'Ship it'],
+  ['Deploy tonight', '2025-07-02T20:00', 'Deploy'],
+  ['Check the logs in 3 days', '2025-07-05T10:30', 'Check the logs'],
+  ['Renew license in a week', '2025-07-09T10:30', 'Renew license'],
+
+  // Weekdays
+  ['Review Friday', '2025-07-04T09:00', 'Review'],
+  ['Standup notes on Wednesday', '2025-07-09T09:00', 'Standup notes'],
+  ['Sync this Wednesday', '2025-07-02T11:00', 'Sync'],
+  ['Pay rent next Friday at noon', '2025-07-04T12:00', 'Pay rent'],
+  ['Plan sprint mon at 9:30am', '2025-07-07T09:30', 'Plan sprint'],
+
+  // Relative times
+  ['Stretch in 2 hours', '2025-07-02T12:30', 'Stretch'],
+  ['Check the oven in 20 minutes', '2025-07-02T10:50', 'Check the oven'],
+  ['Follow up in half an hour', '2025-07-02T11:00', 'Follow up'],
+
+  // End of day and week
+  ['Send summary EOD', '2025-07-02T17:00', 'Send summary'],
+  ['Finish draft by end of day tomorrow', '2025-07-03T17:00', 'Finish draft'],
+  ['Wrap up EOW', '2025-07-04T17:00', 'Wrap up'],
+
+  // ISO and month-name dates
+  ['Launch 2025-07-15', '2025-07-15T09:00', 'Launch'],
+  ['Launch 2025-07-15 14:00', '2025-07-15T14:00', 'Launch'],
+  ['Freeze 2025-07-15T08:45', '2025-07-15T08:45', 'Freeze'],
+  ['Fireworks July 4', '2025-07-04T09:00', 'Fireworks'],
+  ['Taxes Jan 3', '2026-01-03T09:00', 'Taxes'],
+  ['Party on the 4th of July at 6pm', '2025-07-04T18:00', 'Party'],
+
+  // Times only: today if still ahead, otherwise tomorrow
+  ['Lunch at 1', '2025-07-02T13:00', 'Lunch'],
+  ['Coffee at 9am', '2025-07-03T09:00', 'Coffee'],
+  ['Email Sam 16:45', '2025-07-02T16:45', 'Email Sam']
+];
+
+for (const [input, expectedTime, expectedText] of PARSED_CASES) {
+  test(`parseDateTime parses "${input}"`, () => {
+    const parsed = parseDateTime(input, NOW);
+    assert.ok(parsed, 'expected a date to be found');
+    assert.strictEqual(parsed.time.toISOString().substring(0, 16), expectedTime);
+    assert.strictEqual(parsed.text, expectedText);
+  });
+}
+
+// Phrasings that are left for the AI fallback
+const UNPARSED_CASES = [
+  '12/25',
+  'Book flights next week',
+  'Buy milk',
+  'Room 42 cleanup',
+  '',
+  // Dates and times that don't exist aren't rolled over into different ones
+  'pay 2025-02-30',
+  'Check 2025-13-40',
+  'x 2025-07-10 25:99',
+  'x 2025-07-10 14:60',
+  'x on 31 June',
+  'Renew Feb 29, 2027',
+  'x on 0 July'
+];
+
+for (const input of UNPARSED_CASES) {
+  test(`parseDateTime returns null for "${input}"`, () => {
+    assert.strictEqual(parseDateTime(input, NOW), null);
+  });
+}
+
+test('parseTimeOfDay ignores bare numbers and invalid times', () => {
+  assert.strictEqual(parseTimeOfDay('order 3 pizzas'), null);
+  assert.strictEqual(parseTimeOfDay('at 13pm'), null);
+  assert.deepStrictEqual(parseTimeOfDay('at midnight'), { hour: 0, minute: 0, match: 'at midnight' });
+  assert.deepStrictEqual(parseTimeOfDay('12am'), { hour: 0, minute: 0, match: '12am' });
+});
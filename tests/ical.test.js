@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  buildCalendar,
+  parseCalendar,
+  recurrenceToRRule,
+  rruleToRecurrence,
+  isExportedUid
+} = require('../utils/ical');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const wallClock = (iso) => new Date(`${iso}:00.000Z`);
+
+test('parseCalendar reads a TZID start and RRULE, ignoring the VTIMEZONE block', () => {
+  const events = parseCalendar(readFixture('weekly-tzid.ics'));
+
+  assert.strictEqual(events.length, 1);
+  assert.deepStrictEqual(events[0], {
+    uid: 'team-sync-1@example.com',
+    summary: 'Team sync',
+    description: '',
+    start: { wallClock: wallClock('2025-07-07T09:30'), timeZone: 'Europe/London', utc: false, allDay: false },
+    rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6',
+    status: 'CONFIRMED'
+  });
+});
+
+test('parseCalendar reads UTC starts, escaped text and cancelled events', () => {
+  const [dentist, board, offsite] = parseCalendar(readFixture('utc.ics'));
+
+  assert.strictEqual(dentist.summary, 'Dentist, downtown');
+  assert.strictEqual(dentist.description, 'Bring the insurance card; arrive early');
+  assert.deepStrictEqual(dentist.start, { wallClock: wallClock('2025-07-10T14:00'), timeZone: 'UTC', utc: true, allDay: false });
+  assert.strictEqual(board.rrule, 'FREQ=MONTHLY;BYDAY=2TU;UNTIL=20251231T235959Z');
+  assert.strictEqual(offsite.status, 'CANCELLED');
+});
+
+test('parseCalendar reads all-day starts', () => {
+  const [report, birthday] = parseCalendar(readFixture('all-day.ics'));
+
+  assert.deepStrictEqual(report.start, { wallClock: wallClock('2025-07-15T00:00'), timeZone: null, utc: false, allDay: true });
+  assert.strictEqual(birthday.rrule, 'FREQ=YEARLY');
+});
+
+test('parseCalendar ignores the properties of a VALARM inside a VEVENT', () => {
+  const events = parseCalendar(readFixture('alarm.ics'));
+
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].summary, 'Design review');
+  assert.strictEqual(events[0].description, 'Walk through the new onboarding flow');
+  assert.strictEqual(events[0].start.timeZone, 'America/New_York');
+});
+
+test('parseCalendar unfolds continuation lines and quoted TZID parameters', () => {
+  const [event] = parseCalendar(readFixture('folded.ics'));
+
+  assert.strictEqual(event.uid, '040000008200E00074C5B7101A82E00800000000102F1B5B3AF1DB0100000000000000001000000012345@example.com');
+  assert.strictEqual(event.summary, 'Check the overnight build results and file tickets for any failing suites before standup');
+  assert.strictEqual(event.description, 'Dashboard: https://ci.example.com/builds?branch=main\nOwner: on-call engineer');
+  assert.strictEqual(event.start.timeZone, 'W. Europe Standard Time');
+  assert.strictEqual(event.rrule, 'FREQ=DAILY;INTERVAL=2;UNTIL=20250720');
+});
+
+const START = wallClock('2025-07-07T09:30'); // a Monday
+
+const RRULE_CASES = [
+  ['FREQ=DAILY', { frequency: 'daily', interval: 1, hour: 9, minute: 30 }],
+  ['FREQ=HOURLY;INTERVAL=3', { frequency: 'hourly', interval: 3 }],
+  ['FREQ=WEEKLY', { frequency: 'weekly', interval: 1, hour: 9, minute: 30, weekdays: [1] }],
+  ['FREQ=WEEKLY;INTERVAL=2;BYDAY=FR,MO,MO', { frequency: 'weekly', interval: 2, hour: 9, minute: 30, weekdays: [1, 5] }],
+  ['FREQ=MONTHLY', { frequency: 'monthly', interval: 1, hour: 9, minute: 30, monthDay: 7 }],
+  ['FREQ=MONTHLY;BYMONTHDAY=15', { frequency: 'monthly', interval: 1, hour: 9, minute: 30, monthDay: 15 }],
+  ['FREQ=MONTHLY;BYDAY=2TU', { frequency: 'monthly', interval: 1, hour: 9, minute: 30, weekOfMonth: 2, weekday: 2 }],
+  ['FREQ=MONTHLY;BYDAY=FR;BYSETPOS=-1', { frequency: 'monthly', interval: 1, hour: 9, minute: 30, weekOfMonth: -1, weekday: 5 }]
+];
+
+for (const [rrule, expected] of RRULE_CASES) {
+  test(`rruleToRecurrence converts ${rrule}`, () => {
+    const result = rruleToRecurrence(rrule, START);
+    assert.deepStrictEqual(result.rule, expected);
+    assert.strictEqual(result.unsupported, null);
+  });
+}
+
+test('rruleToRecurrence returns COUNT and UNTIL as the end of the series', () => {
+  assert.strictEqual(rruleToRecurrence('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6', START).count, 6);
+
+  const { until, count } = rruleToRecurrence('FREQ=DAILY;UNTIL=20250720T170000Z', START);
+  assert.strictEqual(count, null);
+  assert.deepStrictEqual(until, { wallClock: wallClock('2025-07-20T17:00'), timeZone: 'UTC', utc: true, allDay: false });
+});
+
+const UNSUPPORTED_CASES = [
+  ['FREQ=YEARLY', 'yearly repeats'],
+  ['FREQ=MONTHLY;BYDAY=MO,TU', 'this monthly pattern'],
+  ['FREQ=MONTHLY;BYMONTHDAY=1,15', 'this monthly pattern'],
+  ['FREQ=DAILY;BYHOUR=9,17', 'this daily pattern']
+];
+
+for (const [rrule, unsupported] of UNSUPPORTED_CASES) {
+  test(`rruleToRecurrence reports ${rrule} as unsupported`, () => {
+    const result = rruleToRecurrence(rrule, START);
+    assert.strictEqual(result.rule, null);
+    assert.strictEqual(result.unsupported, unsupported);
+  });
+}
+
+test('recurrenceToRRule and rruleToRecurrence round-trip, including the end of a series', () => {
+  const rules = [
+    { frequency: 'daily', interval: 1, hour: 9, minute: 30 },
+    { frequency: 'weekly', interval: 2, hour: 9, minute: 30, weekdays: [1, 3, 5] },
+    { frequency: 'monthly', interval: 1, hour: 9, minute: 30, weekOfMonth: -1, weekday: 5 },
+    { frequency: 'monthly', interval: 3, hour: 9, minute: 30, monthDay: 28 }
+  ];
+
+  for (const rule of rules) {
+    assert.deepStrictEqual(rruleToRecurrence(recurrenceToRRule(rule), START).rule, rule);
+  }
+
+  const rrule = recurrenceToRRule({ ...rules[0], until: '2025-08-01T08:30:00.000Z' });
+  assert.strictEqual(rrule, 'FREQ=DAILY;UNTIL=20250801T083000Z');
+  assert.deepStrictEqual(rruleToRecurrence(rrule, START).until.wallClock, wallClock('2025-08-01T08:30'));
+});
+
+test('buildCalendar output parses back to the same events', () => {
+  const summary = 'Prepare the launch checklist, review pricing; confirm 🚀 with marketing and support before Friday';
+  const text = buildCalendar([
+    { uid: 'reminder-1', summary, description: 'Line one\nLine two', start: new Date('2025-07-10T14:00:00Z') },
+    { uid: 'reminder-2', summary: 'Standup', wallClock: START, timeZone: 'Europe/London', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE' },
+    { uid: 'milestone-3', summary: '🏁 Beta', date: wallClock('2025-07-15T00:00') }
+  ]);
+
+  for (const line of text.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, `line is longer than 75 octets: ${line}`);
+  }
+
+  const [single, repeating, allDay] = parseCalendar(text);
+
+  assert.ok(isExportedUid(single.uid));
+  assert.strictEqual(single.summary, summary);
+  assert.strictEqual(single.description, 'Line one\nLine two');
+  assert.deepStrictEqual(single.start, { wallClock: wallClock('2025-07-10T14:00'), timeZone: 'UTC', utc: true, allDay: false });
+
+  assert.deepStrictEqual(repeating.start, { wallClock: START, timeZone: 'Europe/London', utc: false, allDay: false });
+  assert.strictEqual(repeating.rrule, 'FREQ=WEEKLY;BYDAY=MO,WE');
+
+  assert.strictEqual(allDay.summary, '🏁 Beta');
+  assert.deepStrictEqual(allDay.start, { wallClock: wallClock('2025-07-15T00:00'), timeZone: null, utc: false, allDay: true });
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseProjectOption } = require('../utils/projects');
+
+const CASES = [
+  // Explicit marker anywhere
+  ['Write release notes project:web due Friday', 'web', 'Write release notes due Friday'],
+  ['project:Mobile-V2 status done', 'mobile-v2', 'status done'],
+  // "project <id>" only as the last words
+  ['Beta launch due July 1 project web', 'web', 'Beta launch due July 1'],
+  ['project web', 'web', ''],
+  ['all project web  ', 'web', 'all'],
+  // "project" as an ordinary word
+  ['Draft project plan for Q3 due Friday', null, 'Draft project plan for Q3 due Friday'],
+  ['Review the project roadmap with design', null, 'Review the project roadmap with design'],
+  ['Kick off the project', null, 'Kick off the project'],
+  ['subproject web', null, 'subproject web'],
+  ['', null, '']
+];
+
+for (const [input, projectId, text] of CASES) {
+  test(`parseProjectOption reads "${input}"`, () => {
+    assert.deepStrictEqual(parseProjectOption(input), { projectId, text });
+  });
+}
+
+test('parseProjectOption prefers the explicit marker', () => {
+  assert.deepStrictEqual(parseProjectOption('Plan project:web the project mobile'), {
+    projectId: 'web',
+    text: 'Plan the project mobile'
+  });
+});
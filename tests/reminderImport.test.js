@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCalendar } = require('../utils/ical');
+const { DEFAULT_CALENDAR } = require('../utils/workingHours');
+const { planImportedReminder } = require('../commands/reminder');
+
+const readEvents = (name) => parseCalendar(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+
+// Thursday 10 July 2025, 13:00 in London and 08:00 in New York
+const NOW = new Date('2025-07-10T12:00:00Z');
+
+test('a one-off UTC event fires at the same instant', () => {
+  const [dentist] = readEvents('utc.ics');
+
+  assert.deepStrictEqual(planImportedReminder(dentist, 'America/New_York', DEFAULT_CALENDAR, NOW), {
+    time: new Date('2025-07-10T14:00:00Z'),
+    timeZone: 'America/New_York',
+    recurrence: null
+  });
+  assert.deepStrictEqual(
+    planImportedReminder(dentist, 'America/New_York', DEFAULT_CALENDAR, new Date('2025-07-11T00:00:00Z')),
+    { skip: 'already past' }
+  );
+});
+
+test('a one-off event outside working hours moves only when the user shifts reminders', () => {
+  const [review] = readEvents('alarm.ics');
+  const evening = { ...review, start: { ...review.start, wallClock: new Date('2025-07-11T19:00:00Z') } };
+
+  assert.strictEqual(planImportedReminder(evening, 'America/New_York', DEFAULT_CALENDAR, NOW).time.toISOString(), '2025-07-11T23:00:00.000Z');
+  assert.deepStrictEqual(planImportedReminder(evening, 'America/New_York', { ...DEFAULT_CALENDAR, outOfHours: 'shift' }, NOW), {
+    time: new Date('2025-07-14T13:00:00Z'),
+    timeZone: 'America/New_York',
+    recurrence: null,
+    note: 'moved into working hours'
+  });
+});
+
+test('an all-day event fires at the start of the working day in the user\'s zone', () => {
+  const [report] = readEvents('all-day.ics');
+
+  assert.deepStrictEqual(planImportedReminder(report, 'Europe/London', DEFAULT_CALENDAR, NOW), {
+    time: new Date('2025-07-15T08:00:00Z'),
+    timeZone: 'Europe/London',
+    recurrence: null
+  });
+});
+
+test('a repeating event with COUNT stores the last occurrence as its end', () => {
+  const [sync] = readEvents('weekly-tzid.ics');
+
+  assert.deepStrictEqual(planImportedReminder(sync, 'Europe/London', DEFAULT_CALENDAR, NOW), {
+    time: new Date('2025-07-14T08:30:00Z'),
+    occurrenceTime: new Date('2025-07-14T08:30:00Z'),
+    timeZone: 'Europe/London',
+    recurrence: { frequency: 'weekly', interval: 1, hour: 9, minute: 30, weekdays: [1, 3], until: '2025-07-23T08:30:00.000Z' }
+  });
+  assert.deepStrictEqual(
+    planImportedReminder(sync, 'Europe/London', DEFAULT_CALENDAR, new Date('2025-07-23T09:00:00Z')),
+    { skip: 'the series has ended' }
+  );
+});
+
+test('a repeating event with UNTIL keeps it, and occurrences are fitted to working hours', () => {
+  const [, board] = readEvents('utc.ics');
+
+  // 16:00 UTC on the second Tuesday is 17:00 in London, the end of the working day
+  const plan = planImportedReminder(board, 'Europe/London', DEFAULT_CALENDAR, NOW);
+  assert.strictEqual(plan.time.toISOString(), '2025-08-13T08:00:00.000Z');
+  // The next occurrence is stepped from the time the rule gave, not the fitted one
+  assert.strictEqual(plan.occurrenceTime.toISOString(), '2025-08-12T16:00:00.000Z');
+  assert.strictEqual(plan.recurrence.until, '2025-12-31T23:59:00.000Z');
+  assert.deepStrictEqual(
+    planImportedReminder(board, 'Europe/London', DEFAULT_CALENDAR, new Date('2026-01-01T00:00:00Z')),
+    { skip: 'the series has ended' }
+  );
+});
+
+test('a repeating event skips occurrences on holidays', () => {
+  const [sync] = readEvents('weekly-tzid.ics');
+  const calendar = { ...DEFAULT_CALENDAR, holidays: ['2025-07-14'] };
+
+  assert.strictEqual(planImportedReminder(sync, 'Europe/London', calendar, NOW).time.toISOString(), '2025-07-16T08:30:00.000Z');
+});
+
+test('an event in a zone that isn\'t an IANA name uses the user\'s zone', () => {
+  const [build] = readEvents('folded.ics');
+  const plan = planImportedReminder(build, 'Europe/Berlin', DEFAULT_CALENDAR, NOW);
+
+  assert.strictEqual(plan.timeZone, 'Europe/Berlin');
+  // 08:15 is before the working day starts, so the reminder moves to 09:00
+  assert.strictEqual(plan.time.toISOString(), '2025-07-14T07:00:00.000Z');
+  // A date-only UNTIL includes the whole of that day
+  assert.strictEqual(plan.recurrence.until, '2025-07-20T22:00:00.000Z');
+});
+
+test('an unsupported repeat keeps only the first occurrence, or is skipped once it has passed', () => {
+  const [, birthday] = readEvents('all-day.ics');
+  const upcoming = { ...birthday, start: { ...birthday.start, wallClock: new Date('2025-07-21T00:00:00Z') } };
+
+  assert.deepStrictEqual(planImportedReminder(upcoming, 'Europe/London', DEFAULT_CALENDAR, NOW), {
+    time: new Date('2025-07-21T08:00:00Z'),
+    timeZone: 'Europe/London',
+    recurrence: null,
+    note: 'only the first occurrence; yearly repeats aren\'t supported'
+  });
+  assert.deepStrictEqual(planImportedReminder(birthday, 'Europe/London', DEFAULT_CALENDAR, NOW), { skip: 'yearly repeats aren\'t supported' });
+});
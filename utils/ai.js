@@ -39,6 +39,21 @@ function getFallbackResponse(userMessage, commandType = 'message') {
     case 'task':
       return `I'd like to help you summarize your daily tasks, but I'm currently having trouble connecting to my AI services. Please try again in a few minutes, or let me know if there's something else I can help with.`;
     
+    case 'standup':
+      return `I couldn't reach my AI services to summarize this standup, so please read through the answers in this thread. Sorry about that!`;
+    
+    case 'sprint':
+      return `I couldn't reach my AI services for a commentary on this sprint, so go by the burndown and forecast above for now. Please try again in a few minutes.`;
+    
+    case 'workload':
+      return `I couldn't reach my AI services for rebalancing suggestions, so look at who has room in the table above. Please try again in a few minutes.`;
+    
+    case 'retro':
+      return `I couldn't reach my AI services to group the retro entries into themes.`;
+    
+    case 'issue_description':
+      return `I couldn't reach my AI services to draft a description. Please write one yourself or try again in a few minutes.`;
+    
     case 'conversation':
       return `I'd like to help you summarize the recent conversation, but I'm currently experiencing some technical difficulties with my AI capabilities. Please try again shortly, or let me know if there's another way I can assist you.`;
     
@@ -89,6 +104,36 @@ async function getAIResponse(prompt, commandType = 'message') {
           Your advice should be practical, specific, and actionable.`;
         break;
         
+      case 'standup':
+        systemMessage = `You are a scrum master summarizing an async standup for a busy team.
+          Lead with blockers, then dependencies between people, then notable progress.
+          Keep it short, use bullet points, and never invent work nobody mentioned.`;
+        break;
+        
+      case 'sprint':
+        systemMessage = `You are an agile coach reviewing a sprint burndown with the team.
+          Say plainly whether the sprint is likely to land, and why, based only on the numbers given.
+          Point out scope changes and the tasks most at risk, and suggest at most two concrete actions.`;
+        break;
+        
+      case 'workload':
+        systemMessage = `You are a delivery lead balancing work across a team.
+          Suggest moving specific tasks from people over capacity to people with room, using only the people and tasks given.
+          Prefer moving tasks that aren't started yet, and say when pushing a task back is better than moving it.`;
+        break;
+        
+      case 'retro':
+        systemMessage = `You are a facilitator grouping anonymous retrospective entries into themes.
+          Group entries that are about the same underlying issue, even when they are worded differently.
+          Answer with JSON only, exactly in the format asked for.`;
+        break;
+        
+      case 'issue_description':
+        systemMessage = `You are a product manager writing public descriptions for items on a product roadmap.
+          Write two to four plain sentences a customer would understand, saying what the item is and why it matters.
+          Use only the details given, and answer with the description alone.`;
+        break;
+        
       case 'direct':
       case 'mention':
         systemMessage = `You are Milestone Madness, an AI assistant focused on helping with project management.
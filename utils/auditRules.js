@@ -0,0 +1,208 @@
+// auditRules.js - Data-quality rules that /audit runs against public.issues
+//
+// Each rule is data: an ID (used to turn it on or off), a name, a severity and a check that
+// gets one issue row (from listAuditIssues) plus context about all issues, and returns true
+// when the issue breaks the rule. Rules run in JavaScript over a single query, so rules that
+// look across issues, such as duplicate codes, work the same way as per-issue ones.
+
+// Severities from most to least serious
+const SEVERITIES = {
+  high: { label: 'High', emoji: '🔴', order: 0 },
+  medium: { label: 'Medium', emoji: '🟠', order: 1 },
+  low: { label: 'Low', emoji: '🟡', order: 2 }
+};
+
+const isBlank = value => !value || !String(value).trim();
+
+const AUDIT_RULES = [
+  {
+    id: 'description_missing',
+    name: 'Description flagged missing',
+    severity: 'high',
+    description: 'The issue has description_missing set',
+    enabledByDefault: true,
+    check: issue => issue.description_missing === true
+  },
+  {
+    id: 'theme_missing',
+    name: 'Theme flagged missing',
+    severity: 'medium',
+    description: 'The issue has theme_missing set',
+    enabledByDefault: true,
+    check: issue => issue.theme_missing === true
+  },
+  {
+    id: 'empty_public_description',
+    name: 'Empty public description',
+    severity: 'high',
+    description: 'public_description is empty',
+    enabledByDefault: true,
+    check: issue => isBlank(issue.public_description)
+  },
+  {
+    id: 'missing_owner',
+    name: 'Missing owner',
+    severity: 'medium',
+    description: 'Nobody owns the issue',
+    enabledByDefault: true,
+    check: issue => isBlank(issue.owner)
+  },
+  {
+    id: 'missing_pillar',
+    name: 'Missing pillar',
+    severity: 'medium',
+    description: 'The issue isn\'t in a pillar',
+    enabledByDefault: true,
+    check: issue => !issue.pillar_id
+  },
+  {
+    id: 'missing_workspace',
+    name: 'No workspace',
+    severity: 'low',
+    description: 'The issue isn\'t in a workspace',
+    enabledByDefault: true,
+    check: issue => !issue.workspace_id
+  },
+  {
+    id: 'duplicate_issue_code',
+    name: 'Duplicate issue code',
+    severity: 'high',
+    description: 'Another issue has the same issue_code',
+    enabledByDefault: true,
+    check: (issue, context) => !isBlank(issue.issue_code) && context.codeCounts.get(issue.issue_code.trim().toLowerCase()) > 1
+  }
+];
+
+/**
+ * Look up a rule by its ID
+ * @param {string} ruleId - Rule ID, e.g. "missing_owner"
+ * @returns {Object|null}
+ */
+function getAuditRule(ruleId) {
+  return AUDIT_RULES.find(rule => rule.id === (ruleId || '').trim().toLowerCase()) || null;
+}
+
+/**
+ * Work out whether a rule is on for a workspace
+ * @param {Object} rule - Rule from AUDIT_RULES
+ * @param {Object|null} overrides - The workspace's audit_rules setting, e.g. { missing_owner: false }
+ * @returns {boolean}
+ */
+function isRuleEnabled(rule, overrides) {
+  return typeof overrides?.[rule.id] === 'boolean' ? overrides[rule.id] : rule.enabledByDefault;
+}
+
+/**
+ * Run the enabled rules over a set of issues
+ * @param {Array} issues - Rows from listAuditIssues
+ * @param {Object|null} overrides - The workspace's audit_rules setting
+ * @returns {Array<{rule: Object, issues: Array}>} - One entry per enabled rule, most severe first, including rules with no violations
+ */
+function runAuditRules(issues, overrides = null) {
+  const codeCounts = new Map();
+  issues.forEach(issue => {
+    if (isBlank(issue.issue_code)) return;
+    const code = issue.issue_code.trim().toLowerCase();
+    codeCounts.set(code, (codeCounts.get(code) || 0) + 1);
+  });
+  const context = { codeCounts };
+
+  return AUDIT_RULES
+    .filter(rule => isRuleEnabled(rule, overrides))
+    .map(rule => ({ rule, issues: issues.filter(issue => rule.check(issue, context)) }))
+    .sort((a, b) => SEVERITIES[a.rule.severity].order - SEVERITIES[b.rule.severity].order);
+}
+
+/**
+ * Work out the percentage of issues that pass every rule, to one decimal place
+ * @param {number} clean - Issues with no violations
+ * @param {number} total - Issues checked
+ * @returns {number} - 100 when there are no issues
+ */
+function toScore(clean, total) {
+  return total > 0 ? Math.round((clean / total) * 1000) / 10 : 100;
+}
+
+/**
+ * Summarize an audit for storage: the completeness score (share of issues that pass every
+ * enabled rule), violations per rule and the same score per workspace and per pillar
+ * @param {Array} issues - Rows from listAuditIssues
+ * @param {Array} results - From runAuditRules
+ * @returns {{score: number, issueCount: number, cleanCount: number, ruleCounts: Object, violations: Object, breakdown: Object}}
+ *   violations maps rule IDs to issue IDs; breakdown is { workspace: { <name>: { total, clean } }, pillar: { ... } }
+ */
+function scoreAudit(issues, results) {
+  const broken = new Set(results.flatMap(result => result.issues.map(issue => issue.id)));
+  const breakdown = { workspace: {}, pillar: {} };
+  const count = (group, name, clean) => {
+    const entry = breakdown[group][name] || { total: 0, clean: 0 };
+    entry.total += 1;
+    entry.clean += clean ? 1 : 0;
+    breakdown[group][name] = entry;
+  };
+
+  issues.forEach(issue => {
+    const clean = !broken.has(issue.id);
+    count('workspace', issue.workspace_name || 'No workspace', clean);
+    count('pillar', issue.pillar_name || 'No pillar', clean);
+  });
+
+  return {
+    score: toScore(issues.length - broken.size, issues.length),
+    issueCount: issues.length,
+    cleanCount: issues.length - broken.size,
+    ruleCounts: Object.fromEntries(results.map(({ rule, issues: found }) => [rule.id, found.length])),
+    violations: Object.fromEntries(results.map(({ rule, issues: found }) => [rule.id, found.map(issue => issue.id)])),
+    breakdown
+  };
+}
+
+/**
+ * Describe how a score moved since an earlier run, e.g. "▲ 4.5 pts"
+ * @param {number} score - Latest score
+ * @param {number|null} previousScore - Earlier score, or null when there's nothing to compare with
+ * @returns {string|null}
+ */
+function formatScoreChange(score, previousScore) {
+  if (previousScore === null || previousScore === undefined) return null;
+
+  const change = Math.round((score - previousScore) * 10) / 10;
+  if (change === 0) return 'no change';
+  return `${change > 0 ? '▲' : '▼'} ${Math.abs(change)} pts`;
+}
+
+/**
+ * Compare two stored audit runs
+ * Only rules that ran both times are compared, so turning a rule on or off doesn't count as fixing or breaking issues
+ * @param {Object} previous - Earlier audit_runs row
+ * @param {Object} latest - Later audit_runs row
+ * @returns {{fixed: Map<number, string[]>, broken: Map<number, string[]>}} - Rule IDs by issue ID
+ */
+function diffAuditRuns(previous, latest) {
+  const fixed = new Map();
+  const broken = new Map();
+  const add = (map, issueId, ruleId) => map.set(issueId, [...(map.get(issueId) || []), ruleId]);
+
+  Object.keys(latest.violations)
+    .filter(ruleId => ruleId in previous.violations)
+    .forEach(ruleId => {
+      const before = new Set(previous.violations[ruleId]);
+      const after = new Set(latest.violations[ruleId]);
+      before.forEach(issueId => !after.has(issueId) && add(fixed, issueId, ruleId));
+      after.forEach(issueId => !before.has(issueId) && add(broken, issueId, ruleId));
+    });
+
+  return { fixed, broken };
+}
+
+module.exports = {
+  SEVERITIES,
+  AUDIT_RULES,
+  getAuditRule,
+  isRuleEnabled,
+  runAuditRules,
+  toScore,
+  scoreAudit,
+  formatScoreChange,
+  diffAuditRuns
+};
@@ -0,0 +1,350 @@
+// charts.js - Milestone Gantt charts and sprint burndowns drawn as SVG, uploaded to Slack as PNG
+//
+// Charts are built as SVG strings here and rasterized with @resvg/resvg-js, so nothing leaves the
+// server. If the PNG can't be made (for example the native module isn't available on the host),
+// the SVG itself is uploaded instead.
+
+const fs = require('fs');
+const path = require('path');
+const { toWallClock, fromWallClock } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fonts tried in order; the PNG always uses the bundled DejaVu Sans, the rest are for an SVG fallback viewed in Slack
+const FONT_FAMILY = 'DejaVu Sans, Helvetica, Arial, sans-serif';
+
+// Bundled with the app because serverless hosts such as Vercel ship no system fonts,
+// and resvg silently drops text it has no font for
+const FONT_FILES = [
+  path.join(__dirname, '..', 'assets', 'fonts', 'DejaVuSans.ttf'),
+  path.join(__dirname, '..', 'assets', 'fonts', 'DejaVuSans-Bold.ttf')
+];
+
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  grid: '#e5e7eb',
+  today: '#dc2626',
+  on_track: '#16a34a',
+  at_risk: '#f59e0b',
+  overdue: '#dc2626',
+  done: '#9ca3af',
+  slipped: '#fca5a5',
+  ideal: '#9ca3af',
+  remaining: '#2563eb',
+  scope: '#f59e0b'
+};
+
+// Tick spacings for the date axis, in days; the first that gives at most MAX_TICKS ticks is used
+const TICK_STEPS = [1, 2, 7, 14, 28, 56, 91, 182];
+const MAX_TICKS = 10;
+
+/**
+ * Escape text for use in SVG
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Shorten a label so it fits in the label column
+ * @param {string} text - Label
+ * @param {number} maxLength - Most characters kept
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Build an SVG text element
+ * @param {number} x - X position
+ * @param {number} y - Baseline position
+ * @param {string} text - Text to draw
+ * @param {Object} options - size, color, anchor ('start'|'middle'|'end') and weight
+ * @returns {string}
+ */
+function svgText(x, y, text, { size = 12, color = COLORS.text, anchor = 'start', weight = 'normal' } = {}) {
+  return `<text x="${x}" y="${y}" font-size="${size}" fill="${color}" text-anchor="${anchor}" font-weight="${weight}">${escapeXml(text)}</text>`;
+}
+
+/**
+ * Wrap chart elements in an SVG document with a white background
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {string[]} elements - SVG elements
+ * @returns {string}
+ */
+function wrapSvg(width, height, elements) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">` +
+         `<rect width="${width}" height="${height}" fill="#ffffff"/>${elements.join('')}</svg>`;
+}
+
+/**
+ * Pick date axis ticks: local midnights between two dates, evenly spaced
+ * @param {Date} from - Start of the axis
+ * @param {Date} to - End of the axis
+ * @param {string} timeZone - IANA time zone the dates are labelled in
+ * @returns {Array<{date: Date, label: string}>}
+ */
+function buildDateTicks(from, to, timeZone) {
+  const spanDays = (to - from) / DAY_MS;
+  const step = TICK_STEPS.find(days => spanDays / days <= MAX_TICKS) || TICK_STEPS[TICK_STEPS.length - 1];
+  const firstWall = toWallClock(from, timeZone);
+  let day = new Date(Date.UTC(firstWall.getUTCFullYear(), firstWall.getUTCMonth(), firstWall.getUTCDate() + 1));
+
+  // Weekly and longer steps start on a Monday so the ticks line up with weeks
+  if (step >= 7) {
+    day = new Date(day.getTime() + ((8 - day.getUTCDay()) % 7) * DAY_MS);
+  }
+
+  const ticks = [];
+  for (let date = fromWallClock(day, timeZone); date <= to; date = fromWallClock(day, timeZone)) {
+    ticks.push({
+      date,
+      label: day.toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric' })
+    });
+    day = new Date(day.getTime() + step * DAY_MS);
+  }
+
+  return ticks;
+}
+
+/**
+ * Render a milestone Gantt chart
+ * Each row is a bar from when the milestone was created to its due date, coloured by status.
+ * Slipped milestones show the part added by slips in a lighter colour, with a tick at every earlier
+ * due date. A red line marks today.
+ * @param {Object} params - Chart data
+ * @param {string} params.title - Chart title
+ * @param {Array<{label: string, start: Date, due: Date, state: string, previousDueDates: Date[], note?: string}>} params.rows
+ *   state is one of on_track, at_risk, overdue or done
+ * @param {string} params.timeZone - IANA time zone for the date axis
+ * @param {Date} params.now - Current time
+ * @returns {string} - SVG document
+ */
+function renderGanttSvg({ title, rows, timeZone, now = new Date() }) {
+  const width = 1000;
+  const labelWidth = 260;
+  const noteWidth = 150;
+  const top = 70;
+  const rowHeight = 30;
+  const chartLeft = labelWidth;
+  const chartRight = width - noteWidth;
+  const height = top + rows.length * rowHeight + 70;
+
+  const allDates = rows.flatMap(row => [row.start, row.due, ...row.previousDueDates]).concat([now]);
+  const min = Math.min(...allDates.map(date => date.getTime()));
+  const max = Math.max(...allDates.map(date => date.getTime()));
+  // Pad both ends by 5% (and at least a day) so bars don't touch the edges
+  const padding = Math.max(DAY_MS, (max - min) * 0.05);
+  const from = new Date(min - padding);
+  const to = new Date(max + padding);
+  const x = date => chartLeft + ((date.getTime() - from.getTime()) / (to - from)) * (chartRight - chartLeft);
+
+  const elements = [
+    svgText(20, 32, title, { size: 18, weight: 'bold' }),
+    svgText(20, 52, `Dates in ${timeZone}`, { size: 11, color: COLORS.muted })
+  ];
+
+  buildDateTicks(from, to, timeZone).forEach(tick => {
+    const tickX = x(tick.date).toFixed(1);
+    elements.push(`<line x1="${tickX}" y1="${top - 8}" x2="${tickX}" y2="${top + rows.length * rowHeight}" stroke="${COLORS.grid}"/>`);
+    elements.push(svgText(tickX, top - 12, tick.label, { size: 10, color: COLORS.muted, anchor: 'middle' }));
+  });
+
+  rows.forEach((row, index) => {
+    const y = top + index * rowHeight;
+    const barY = y + 8;
+    const barHeight = rowHeight - 16;
+    const color = COLORS[row.state] || COLORS.on_track;
+    const originalDue = row.previousDueDates.length > 0 ?
+      new Date(Math.min(...row.previousDueDates.map(date => date.getTime()))) :
+      row.due;
+    const plannedEnd = originalDue < row.due ? originalDue : row.due;
+    const startX = Math.min(x(row.start), x(plannedEnd));
+
+    if (index % 2 === 1) {
+      elements.push(`<rect x="0" y="${y}" width="${width}" height="${rowHeight}" fill="#f9fafb"/>`);
+    }
+    elements.push(svgText(20, y + rowHeight / 2 + 4, truncate(row.label, 36), { size: 12 }));
+
+    elements.push(`<rect x="${startX.toFixed(1)}" y="${barY}" width="${Math.max(2, x(plannedEnd) - startX).toFixed(1)}" height="${barHeight}" rx="3" fill="${color}"/>`);
+    if (row.due > plannedEnd) {
+      elements.push(`<rect x="${x(plannedEnd).toFixed(1)}" y="${barY}" width="${(x(row.due) - x(plannedEnd)).toFixed(1)}" height="${barHeight}" rx="3" fill="${COLORS.slipped}" stroke="${COLORS.overdue}" stroke-dasharray="3 2"/>`);
+    }
+    row.previousDueDates.forEach(date => {
+      const slipX = x(date).toFixed(1);
+      elements.push(`<line x1="${slipX}" y1="${barY - 3}" x2="${slipX}" y2="${barY + barHeight + 3}" stroke="${COLORS.overdue}" stroke-width="2"/>`);
+    });
+
+    // Diamond on the current due date
+    const dueX = x(row.due);
+    const midY = barY + barHeight / 2;
+    elements.push(`<path d="M ${dueX.toFixed(1)} ${midY - 7} L ${(dueX + 7).toFixed(1)} ${midY} L ${dueX.toFixed(1)} ${midY + 7} L ${(dueX - 7).toFixed(1)} ${midY} Z" fill="${color}" stroke="#ffffff"/>`);
+
+    if (row.note) {
+      elements.push(svgText(chartRight + 12, y + rowHeight / 2 + 4, row.note, { size: 11, color: row.previousDueDates.length > 0 ? COLORS.overdue : COLORS.muted }));
+    }
+  });
+
+  const todayX = x(now).toFixed(1);
+  elements.push(`<line x1="${todayX}" y1="${top - 8}" x2="${todayX}" y2="${top + rows.length * rowHeight}" stroke="${COLORS.today}" stroke-width="2" stroke-dasharray="6 4"/>`);
+  elements.push(svgText(todayX, top + rows.length * rowHeight + 16, 'Today', { size: 11, color: COLORS.today, anchor: 'middle', weight: 'bold' }));
+
+  const legendY = height - 18;
+  [
+    ['on_track', 'On track'],
+    ['at_risk', 'At risk'],
+    ['overdue', 'Overdue'],
+    ['done', 'Done'],
+    ['slipped', 'Slipped (ticks mark earlier due dates)']
+  ].forEach(([state, label], index) => {
+    const legendX = 20 + index * 120;
+    elements.push(`<rect x="${legendX}" y="${legendY - 10}" width="12" height="12" rx="2" fill="${COLORS[state]}"/>`);
+    elements.push(svgText(legendX + 18, legendY, label, { size: 11, color: COLORS.muted }));
+  });
+
+  return wrapSvg(width, height, elements);
+}
+
+/**
+ * Render a sprint burndown chart
+ * Lines show points remaining at the end of each day against the ideal line; a dashed line shows
+ * the sprint's scope when it changed after the start
+ * @param {Object} params - Chart data
+ * @param {string} params.title - Chart title
+ * @param {Array} params.burndown - From buildBurndown in utils/sprints.js
+ * @param {number} params.baseline - Points the ideal line starts from
+ * @param {Function} params.formatDay - Turns a YYYY-MM-DD key into an axis label
+ * @returns {string} - SVG document
+ */
+function renderBurndownSvg({ title, burndown, baseline, formatDay }) {
+  const width = 900;
+  const height = 480;
+  const left = 70;
+  const right = width - 30;
+  const top = 70;
+  const bottom = height - 80;
+  const largest = Math.max(1, baseline, ...burndown.map(entry => Math.max(entry.remaining || 0, entry.scope || 0)));
+  // Point 0 is the start of the sprint; point i is the end of day i
+  const x = index => left + (index / burndown.length) * (right - left);
+  const y = value => bottom - (value / largest) * (bottom - top);
+  const points = values => values.map(([index, value]) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+
+  const elements = [
+    svgText(20, 32, title, { size: 18, weight: 'bold' }),
+    svgText(20, 52, 'Story points remaining at the end of each day', { size: 11, color: COLORS.muted })
+  ];
+
+  const yStep = Math.max(1, Math.ceil(largest / 5));
+  for (let value = 0; value <= largest; value += yStep) {
+    elements.push(`<line x1="${left}" y1="${y(value).toFixed(1)}" x2="${right}" y2="${y(value).toFixed(1)}" stroke="${COLORS.grid}"/>`);
+    elements.push(svgText(left - 8, y(value) + 4, String(value), { size: 11, color: COLORS.muted, anchor: 'end' }));
+  }
+
+  // Label every day for short sprints and every few days for long ones
+  const labelEvery = Math.ceil(burndown.length / 14);
+  burndown.forEach((entry, index) => {
+    if (index % labelEvery !== 0 && index !== burndown.length - 1) return;
+    elements.push(svgText(x(index + 1), bottom + 18, formatDay(entry.day), { size: 10, color: COLORS.muted, anchor: 'middle' }));
+  });
+  elements.push(`<line x1="${left}" y1="${bottom}" x2="${right}" y2="${bottom}" stroke="${COLORS.muted}"/>`);
+
+  const todayIndex = burndown.findIndex(entry => entry.isToday);
+  if (todayIndex >= 0) {
+    const todayX = x(todayIndex + 1).toFixed(1);
+    elements.push(`<line x1="${todayX}" y1="${top}" x2="${todayX}" y2="${bottom}" stroke="${COLORS.today}" stroke-width="1.5" stroke-dasharray="6 4"/>`);
+    elements.push(svgText(todayX, top - 6, 'Today', { size: 11, color: COLORS.today, anchor: 'middle', weight: 'bold' }));
+  }
+
+  elements.push(`<polyline points="${points([[0, baseline], ...burndown.map((entry, index) => [index + 1, entry.ideal])])}" fill="none" stroke="${COLORS.ideal}" stroke-width="2" stroke-dasharray="8 5"/>`);
+
+  const actual = burndown.map((entry, index) => [index + 1, entry.remaining]).filter(([, value]) => value !== null);
+  const scope = burndown.map((entry, index) => [index + 1, entry.scope]).filter(([, value]) => value !== null);
+
+  if (scope.some(([, value]) => value !== baseline)) {
+    elements.push(`<polyline points="${points([[0, baseline], ...scope])}" fill="none" stroke="${COLORS.scope}" stroke-width="1.5" stroke-dasharray="3 3"/>`);
+  }
+  if (actual.length > 0) {
+    elements.push(`<polyline points="${points([[0, baseline], ...actual])}" fill="none" stroke="${COLORS.remaining}" stroke-width="3"/>`);
+    actual.forEach(([index, value]) => {
+      elements.push(`<circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="4" fill="${COLORS.remaining}"/>`);
+    });
+  }
+
+  const legendY = height - 22;
+  [
+    [COLORS.remaining, 'Remaining'],
+    [COLORS.ideal, 'Ideal'],
+    [COLORS.scope, 'Scope']
+  ].forEach(([color, label], index) => {
+    const legendX = left + index * 130;
+    elements.push(`<line x1="${legendX}" y1="${legendY - 4}" x2="${legendX + 24}" y2="${legendY - 4}" stroke="${color}" stroke-width="3"/>`);
+    elements.push(svgText(legendX + 30, legendY, label, { size: 11, color: COLORS.muted }));
+  });
+
+  return wrapSvg(width, height, elements);
+}
+
+/**
+ * Rasterize an SVG chart to PNG
+ * @param {string} svg - SVG document
+ * @returns {Buffer|null} - PNG data, or null if it couldn't be rendered
+ */
+function svgToPng(svg) {
+  const missingFonts = FONT_FILES.filter(file => !fs.existsSync(file));
+  if (missingFonts.length > 0) {
+    console.error('Chart fonts are missing, uploading SVG instead:', missingFonts.join(', '));
+    return null;
+  }
+
+  try {
+    // Loaded here so a host without the native module can still upload SVG
+    const { Resvg } = require('@resvg/resvg-js');
+    const resvg = new Resvg(svg, {
+      background: '#ffffff',
+      fitTo: { mode: 'zoom', value: 2 },
+      font: { fontFiles: FONT_FILES, loadSystemFonts: false, defaultFontFamily: 'DejaVu Sans' }
+    });
+    return resvg.render().asPng();
+  } catch (error) {
+    console.error('Error rendering chart as PNG, uploading SVG instead:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Upload a chart to a channel as a PNG (or the SVG if it can't be rasterized)
+ * @param {Object} client - Slack client
+ * @param {Object} params - Upload parameters
+ * @param {string} params.channelId - Channel to share the chart in
+ * @param {string} params.svg - SVG document
+ * @param {string} params.name - File name without an extension, e.g. "timeline-web"
+ * @param {string} params.title - File title
+ * @param {string} params.comment - Message posted with the chart
+ */
+async function uploadChart(client, { channelId, svg, name, title, comment }) {
+  const png = svgToPng(svg);
+
+  await client.files.uploadV2({
+    channel_id: channelId,
+    filename: png ? `${name}.png` : `${name}.svg`,
+    title,
+    ...(png ? { file: png } : { content: svg }),
+    initial_comment: comment
+  });
+}
+
+module.exports = {
+  renderGanttSvg,
+  renderBurndownSvg,
+  svgToPng,
+  uploadChart
+};
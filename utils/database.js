@@ -203,12 +203,15 @@ async function getRoadmapData(projectId) {
 }
 
 // List all available roadmap projects
+// ->> reads the JSON keys as text (data->"name" would be read as a column name)
 async function listRoadmapProjects() {
   if (!checkDbAvailable()) return [];
   
   try {
     const result = await dbManager.query(
-      'SELECT project_id, data->"name" as name FROM roadmaps ORDER BY data->"name"'
+      `SELECT project_id, data->>'name' AS name, data->>'status' AS status
+       FROM roadmaps
+       ORDER BY data->>'name'`
     );
     return result.rows;
   } catch (err) {
@@ -249,10 +252,1698 @@ async function updateRoadmapData(projectId, data) {
   }
 }
 
+// Make a project the default for commands run in a channel (replaces any earlier link)
+async function linkChannelProject(channelId, projectId, linkedBy) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO project_channels (channel_id, project_id, linked_by, created_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (channel_id) DO UPDATE SET project_id = EXCLUDED.project_id, linked_by = EXCLUDED.linked_by, created_at = NOW()
+       RETURNING *`,
+      [channelId, projectId, linkedBy]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error linking channel to project:', err.message);
+    return null;
+  }
+}
+
+// Remove a channel's default project
+async function unlinkChannelProject(channelId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'DELETE FROM project_channels WHERE channel_id = $1 RETURNING *',
+      [channelId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error unlinking channel from project:', err.message);
+    return null;
+  }
+}
+
+// Remove every channel link to a project (e.g. when it's archived)
+async function unlinkProjectChannels(projectId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'DELETE FROM project_channels WHERE project_id = $1 RETURNING *',
+      [projectId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error unlinking project channels:', err.message);
+    return [];
+  }
+}
+
+// Get the ID of the project a channel is linked to (null if it isn't linked)
+async function getChannelProject(channelId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT project_id FROM project_channels WHERE channel_id = $1',
+      [channelId]
+    );
+    return result.rows.length > 0 ? result.rows[0].project_id : null;
+  } catch (err) {
+    console.error('Error fetching channel project:', err.message);
+    return null;
+  }
+}
+
+// List the channels linked to a project
+async function getProjectChannels(projectId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT channel_id FROM project_channels WHERE project_id = $1 ORDER BY created_at',
+      [projectId]
+    );
+    return result.rows.map(row => row.channel_id);
+  } catch (err) {
+    console.error('Error listing project channels:', err.message);
+    return [];
+  }
+}
+
+// Save a scheduled reminder so it survives restarts and cold starts
+// A recurring reminder without a seriesId starts a new series named after its own ID
+// occurrenceTime is when the rule put this occurrence, before it was fitted to working hours
+async function createReminder({ userId, channelId, content, reminderTime, scheduledMessageId, timeZone = null, recurrence = null, seriesId = null, createdBy = null, sourceChannelId = null, teamId = null, occurrenceTime = null }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO reminders (user_id, channel_id, content, reminder_time, scheduled_message_id, time_zone, recurrence, series_id, created_by, source_channel_id, team_id, occurrence_time, completed, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, false, NOW())
+       RETURNING *`,
+      [userId, channelId, content, reminderTime, scheduledMessageId, timeZone, recurrence ? JSON.stringify(recurrence) : null, seriesId, createdBy || userId, sourceChannelId || channelId, teamId, occurrenceTime]
+    );
+    const reminder = result.rows.length > 0 ? result.rows[0] : null;
+    
+    if (reminder && recurrence && !seriesId) {
+      const updated = await dbManager.query(
+        'UPDATE reminders SET series_id = id WHERE id = $1 RETURNING *',
+        [reminder.id]
+      );
+      return updated.rows[0];
+    }
+    
+    return reminder;
+  } catch (err) {
+    console.error('Error saving reminder:', err.message);
+    return null;
+  }
+}
+
+// Get a single reminder by its ID (deleted reminders are excluded)
+async function getReminder(reminderId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM reminders WHERE id = $1 AND deleted_at IS NULL',
+      [reminderId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching reminder:', err.message);
+    return null;
+  }
+}
+
+// List a user's reminders that are neither completed nor deleted
+// Options: channelId limits to one channel, upcomingOnly skips reminders that already fired
+async function getActiveReminders(userId, { channelId = null, upcomingOnly = false, includeCreated = false } = {}) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    // includeCreated also returns reminders the user set for other people
+    const conditions = [includeCreated ? '(user_id = $1 OR created_by = $1)' : 'user_id = $1', 'completed = false', 'deleted_at IS NULL'];
+    const params = [userId];
+    
+    if (channelId) {
+      // Match reminders delivered to the channel or created there (and delivered by DM)
+      params.push(channelId);
+      conditions.push(`(channel_id = $${params.length} OR source_channel_id = $${params.length})`);
+    }
+    if (upcomingOnly) {
+      conditions.push('reminder_time > NOW()');
+    }
+    
+    const result = await dbManager.query(
+      `SELECT * FROM reminders WHERE ${conditions.join(' AND ')} ORDER BY reminder_time ASC`,
+      params
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing reminders:', err.message);
+    return [];
+  }
+}
+
+// Point a reminder at a (re)scheduled Slack message and reopen it
+// content and channelId are only changed when given (e.g. from the edit modal)
+async function setReminderSchedule(reminderId, { reminderTime, scheduledMessageId, content = null, channelId = null }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `UPDATE reminders
+       SET reminder_time = $2, scheduled_message_id = $3, completed = false,
+           content = COALESCE($4, content), channel_id = COALESCE($5, channel_id)
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING *`,
+      [reminderId, reminderTime, scheduledMessageId, content, channelId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error updating reminder schedule:', err.message);
+    return null;
+  }
+}
+
+// Mark a delivered reminder as done
+async function markReminderCompleted(reminderId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'UPDATE reminders SET completed = true WHERE id = $1 AND deleted_at IS NULL RETURNING *',
+      [reminderId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error completing reminder:', err.message);
+    return null;
+  }
+}
+
+// Mark a reminder as deleted (the row is kept for history)
+async function markReminderDeleted(reminderId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'UPDATE reminders SET deleted_at = NOW() WHERE id = $1 RETURNING *',
+      [reminderId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error deleting reminder:', err.message);
+    return null;
+  }
+}
+
+// Mark every remaining occurrence of a recurring series as deleted
+async function markSeriesDeleted(seriesId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'UPDATE reminders SET deleted_at = NOW() WHERE series_id = $1 AND deleted_at IS NULL RETURNING *',
+      [seriesId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error deleting reminder series:', err.message);
+    return [];
+  }
+}
+
+// Claim recurring reminders whose occurrence has passed and still need their next occurrence scheduled
+// The occurrence is the time the rule produced, so a snoozed or rescheduled reminder doesn't hold up its series
+// Claiming sets next_scheduled_at so two instances never schedule the same occurrence twice
+async function claimDueRecurringReminders() {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `UPDATE reminders SET next_scheduled_at = NOW()
+       WHERE id IN (
+         SELECT id FROM reminders
+         WHERE recurrence IS NOT NULL
+           AND deleted_at IS NULL
+           AND next_scheduled_at IS NULL
+           AND COALESCE(occurrence_time, reminder_time) <= NOW()
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error claiming recurring reminders:', err.message);
+    return [];
+  }
+}
+
+// Release a claimed reminder so the next run retries scheduling its next occurrence
+async function releaseRecurringReminder(reminderId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    await dbManager.query(
+      'UPDATE reminders SET next_scheduled_at = NULL WHERE id = $1',
+      [reminderId]
+    );
+  } catch (err) {
+    console.error('Error releasing recurring reminder:', err.message);
+  }
+}
+
+// Get the milestones a user owns that have a due date and aren't finished
+async function getDueMilestones(ownerId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT * FROM milestones
+       WHERE owner = $1 AND due_date IS NOT NULL AND status NOT IN ('done', 'completed')
+       ORDER BY due_date ASC`,
+      [ownerId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing milestones:', err.message);
+    return [];
+  }
+}
+
+// Create a milestone; status defaults to 'planned'
+async function createMilestone({ projectId, title, description = null, dueDate = null, owner = null, status = 'planned' }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO milestones (project_id, title, description, due_date, status, owner, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       RETURNING *`,
+      [projectId, title, description, dueDate, status, owner]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error creating milestone:', err.message);
+    return null;
+  }
+}
+
+// Get a single milestone by its ID
+async function getMilestone(milestoneId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM milestones WHERE id = $1',
+      [milestoneId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching milestone:', err.message);
+    return null;
+  }
+}
+
+// List a project's milestones (or every project's when projectId is null), soonest due first
+async function listMilestones(projectId = null) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT * FROM milestones
+       WHERE ($1::varchar IS NULL OR project_id = $1)
+       ORDER BY due_date ASC NULLS LAST, id ASC`,
+      [projectId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing milestones:', err.message);
+    return [];
+  }
+}
+
+// Columns of milestones that updateMilestone may set
+// Moving an existing due date should go through slipMilestone so the change is logged
+const MILESTONE_COLUMNS = ['project_id', 'title', 'description', 'due_date', 'status', 'owner'];
+
+// Change some of a milestone's fields, e.g. { status: 'done' }
+async function updateMilestone(milestoneId, fields) {
+  if (!checkDbAvailable()) return null;
+  
+  const columns = Object.keys(fields).filter(column => MILESTONE_COLUMNS.includes(column));
+  if (columns.length === 0) return getMilestone(milestoneId);
+  
+  try {
+    const values = columns.map(column => fields[column]);
+    const updates = columns.map((column, index) => `${column} = $${index + 2}`);
+    
+    const result = await dbManager.query(
+      `UPDATE milestones SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [milestoneId, ...values]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error updating milestone:', err.message);
+    return null;
+  }
+}
+
+// Move a milestone's due date and log the change in milestone_slips
+// Both happen in one statement so the log never disagrees with the milestone
+async function slipMilestone(milestoneId, { newDueDate, changedBy, reason = null }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `WITH previous AS (
+         SELECT id, due_date FROM milestones WHERE id = $1 FOR UPDATE
+       ), logged AS (
+         INSERT INTO milestone_slips (milestone_id, changed_by, reason, old_due_date, new_due_date, created_at)
+         SELECT id, $3, $4, due_date, $2, NOW() FROM previous
+       )
+       UPDATE milestones m SET due_date = $2, updated_at = NOW()
+       FROM previous WHERE m.id = previous.id
+       RETURNING m.*`,
+      [milestoneId, newDueDate, changedBy, reason]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error slipping milestone:', err.message);
+    return null;
+  }
+}
+
+// List logged date changes, newest first, for one milestone or for a project's milestones
+async function getMilestoneSlips({ milestoneId = null, projectId = null } = {}) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT s.*, m.title AS milestone_title, m.project_id
+       FROM milestone_slips s
+       JOIN milestones m ON m.id = s.milestone_id
+       WHERE ($1::integer IS NULL OR s.milestone_id = $1)
+         AND ($2::varchar IS NULL OR m.project_id = $2)
+       ORDER BY s.created_at DESC, s.id DESC`,
+      [milestoneId, projectId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing milestone slips:', err.message);
+    return [];
+  }
+}
+
+// Create a task; status defaults to 'open'
+async function createTask({ projectId, title, description = null, dueDate = null, owner = null, status = 'open', createdBy = null }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO tasks (project_id, title, description, due_date, status, owner, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+       RETURNING *`,
+      [projectId, title, description, dueDate, status, owner, createdBy]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error creating task:', err.message);
+    return null;
+  }
+}
+
+// Get a single task by its ID
+async function getTask(taskId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM tasks WHERE id = $1',
+      [taskId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching task:', err.message);
+    return null;
+  }
+}
+
+// List tasks, soonest due first
+// Filters: owner, projectId, status (finished tasks are skipped unless a status is given)
+// and overdue (past their due date and not done)
+async function listTasks({ owner = null, projectId = null, status = null, overdue = false } = {}) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    
+    if (owner) addCondition('owner = ?', owner);
+    if (projectId) addCondition('project_id = ?', projectId);
+    if (status) {
+      addCondition('status = ?', status);
+    } else {
+      conditions.push("status <> 'done'");
+    }
+    if (overdue) {
+      conditions.push("due_date < NOW() AND status <> 'done'");
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await dbManager.query(
+      `SELECT * FROM tasks ${where} ORDER BY due_date ASC NULLS LAST, id ASC`,
+      params
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing tasks:', err.message);
+    return [];
+  }
+}
+
+// Columns of tasks that updateTask may set
+const TASK_COLUMNS = ['project_id', 'title', 'description', 'due_date', 'status', 'owner'];
+
+// Change some of a task's fields, e.g. { status: 'done' } or { owner: 'U123' }
+async function updateTask(taskId, fields) {
+  if (!checkDbAvailable()) return null;
+  
+  const columns = Object.keys(fields).filter(column => TASK_COLUMNS.includes(column));
+  if (columns.length === 0) return getTask(taskId);
+  
+  try {
+    const values = columns.map(column => fields[column]);
+    const updates = columns.map((column, index) => `${column} = $${index + 2}`);
+    
+    const result = await dbManager.query(
+      `UPDATE tasks SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [taskId, ...values]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error updating task:', err.message);
+    return null;
+  }
+}
+
+// Record that a task is blocked by another task (does nothing if the link exists)
+async function addTaskDependency(taskId, blockedBy) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO task_dependencies (task_id, blocked_by, created_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (task_id, blocked_by) DO NOTHING
+       RETURNING *`,
+      [taskId, blockedBy]
+    );
+    return result.rows.length > 0 ? result.rows[0] : { task_id: taskId, blocked_by: blockedBy };
+  } catch (err) {
+    console.error('Error adding task dependency:', err.message);
+    return null;
+  }
+}
+
+// Remove a "blocked by" link between two tasks
+async function removeTaskDependency(taskId, blockedBy) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'DELETE FROM task_dependencies WHERE task_id = $1 AND blocked_by = $2 RETURNING *',
+      [taskId, blockedBy]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error removing task dependency:', err.message);
+    return null;
+  }
+}
+
+// List every dependency link with the status and title of the blocking task
+async function getTaskDependencies() {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT d.task_id, d.blocked_by, b.status AS blocker_status, b.title AS blocker_title
+       FROM task_dependencies d
+       JOIN tasks b ON b.id = d.blocked_by
+       ORDER BY d.task_id, d.blocked_by`
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing task dependencies:', err.message);
+    return [];
+  }
+}
+
+// Get the tasks that are blocked by a task
+async function getTasksBlockedBy(taskId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT t.* FROM tasks t
+       JOIN task_dependencies d ON d.task_id = t.id
+       WHERE d.blocked_by = $1
+       ORDER BY t.id`,
+      [taskId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing blocked tasks:', err.message);
+    return [];
+  }
+}
+
+// Create or replace a channel's standup; saving it turns the standup back on
+// participants, questions and schedule (a weekly recurrence rule) are stored as JSON
+async function saveStandup({ channelId, teamId = null, participants, questions, schedule, timeZone, windowMinutes, nextRunAt, createdBy }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO standups (channel_id, team_id, participants, questions, schedule, time_zone, window_minutes, next_run_at, active, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, $9, NOW(), NOW())
+       ON CONFLICT (channel_id) DO UPDATE SET
+         team_id = EXCLUDED.team_id,
+         participants = EXCLUDED.participants,
+         questions = EXCLUDED.questions,
+         schedule = EXCLUDED.schedule,
+         time_zone = EXCLUDED.time_zone,
+         window_minutes = EXCLUDED.window_minutes,
+         next_run_at = EXCLUDED.next_run_at,
+         active = true,
+         updated_at = NOW()
+       RETURNING *`,
+      [channelId, teamId, JSON.stringify(participants), JSON.stringify(questions), JSON.stringify(schedule), timeZone, windowMinutes, nextRunAt, createdBy]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error saving standup:', err.message);
+    return null;
+  }
+}
+
+// Get a channel's standup
+async function getStandup(channelId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM standups WHERE channel_id = $1',
+      [channelId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching standup:', err.message);
+    return null;
+  }
+}
+
+// Pause or resume a channel's standup; nextRunAt is when a resumed standup next runs
+async function setStandupActive(channelId, active, nextRunAt = null) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'UPDATE standups SET active = $2, next_run_at = $3, updated_at = NOW() WHERE channel_id = $1 RETURNING *',
+      [channelId, active, nextRunAt]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error updating standup:', err.message);
+    return null;
+  }
+}
+
+// List active standups whose next run time has passed
+async function getDueStandups() {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM standups WHERE active = true AND next_run_at <= NOW() ORDER BY next_run_at'
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing due standups:', err.message);
+    return [];
+  }
+}
+
+// Move a due standup on to its next run; only the instance whose update matches
+// the run time it saw gets the row back, so two instances never start the same run
+async function claimStandup(standupId, dueAt, nextRunAt) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'UPDATE standups SET next_run_at = $3 WHERE id = $1 AND next_run_at = $2 AND active = true RETURNING *',
+      [standupId, dueAt, nextRunAt]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error claiming standup:', err.message);
+    return null;
+  }
+}
+
+// Record a standup run; participants and questions are copied so later config changes don't affect it
+async function createStandupRun({ standupId, channelId, participants, questions, threadTs = null, nudgeAt, closesAt }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO standup_runs (standup_id, channel_id, participants, questions, thread_ts, status, nudged, nudge_at, closes_at, started_at)
+       VALUES ($1, $2, $3, $4, $5, 'collecting', false, $6, $7, NOW())
+       RETURNING *`,
+      [standupId, channelId, JSON.stringify(participants), JSON.stringify(questions), threadTs, nudgeAt, closesAt]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error creating standup run:', err.message);
+    return null;
+  }
+}
+
+// Get a single standup run by its ID
+async function getStandupRun(runId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM standup_runs WHERE id = $1',
+      [runId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching standup run:', err.message);
+    return null;
+  }
+}
+
+// Claim collecting runs that are due a nudge for missing reporters (each run is nudged once)
+async function claimStandupRunsToNudge() {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `UPDATE standup_runs SET nudged = true
+       WHERE status = 'collecting' AND nudged = false AND nudge_at <= NOW()
+       RETURNING *`
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error claiming standup runs to nudge:', err.message);
+    return [];
+  }
+}
+
+// Close collecting runs whose window has ended, so their summary is posted once
+async function closeDueStandupRuns() {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `UPDATE standup_runs SET status = 'closed', closed_at = NOW()
+       WHERE status = 'collecting' AND closes_at <= NOW()
+       RETURNING *`
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error closing standup runs:', err.message);
+    return [];
+  }
+}
+
+// Save a participant's answers (replacing earlier ones) and the thread reply that shows them
+async function saveStandupResponse({ runId, userId, answers, messageTs = null }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO standup_responses (run_id, user_id, answers, message_ts, submitted_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (run_id, user_id) DO UPDATE SET
+         answers = EXCLUDED.answers,
+         message_ts = COALESCE(EXCLUDED.message_ts, standup_responses.message_ts),
+         submitted_at = NOW()
+       RETURNING *`,
+      [runId, userId, JSON.stringify(answers), messageTs]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error saving standup response:', err.message);
+    return null;
+  }
+}
+
+// List the answers submitted for a standup run, in the order they came in
+async function getStandupResponses(runId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM standup_responses WHERE run_id = $1 ORDER BY submitted_at',
+      [runId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing standup responses:', err.message);
+    return [];
+  }
+}
+
+// Create a sprint; startsAt and endsAt are the start of its first day and the end of its last day
+async function createSprint({ projectId, name, startsAt, endsAt, timeZone, createdBy }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO sprints (project_id, name, starts_at, ends_at, time_zone, status, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, 'active', $6, NOW())
+       RETURNING *`,
+      [projectId, name, startsAt, endsAt, timeZone, createdBy]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error creating sprint:', err.message);
+    return null;
+  }
+}
+
+// Get a project's active sprint (a project has at most one)
+async function getActiveSprint(projectId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      "SELECT * FROM sprints WHERE project_id = $1 AND status = 'active' ORDER BY starts_at DESC LIMIT 1",
+      [projectId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching active sprint:', err.message);
+    return null;
+  }
+}
+
+// List a project's sprints, newest first
+async function listSprints(projectId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM sprints WHERE project_id = $1 ORDER BY starts_at DESC',
+      [projectId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing sprints:', err.message);
+    return [];
+  }
+}
+
+// Close an active sprint
+async function closeSprint(sprintId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      "UPDATE sprints SET status = 'closed', closed_at = NOW() WHERE id = $1 AND status = 'active' RETURNING *",
+      [sprintId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error closing sprint:', err.message);
+    return null;
+  }
+}
+
+// Add a task to a sprint, or change its points if it's already in it; a removed task is put back
+// committed is only set when the task is first added, so re-estimating doesn't change the committed scope
+async function addSprintTask(sprintId, taskId, points, committed) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO sprint_tasks (sprint_id, task_id, points, committed, added_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (sprint_id, task_id) DO UPDATE SET
+         points = EXCLUDED.points,
+         removed_at = NULL
+       RETURNING *`,
+      [sprintId, taskId, points, committed]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error adding sprint task:', err.message);
+    return null;
+  }
+}
+
+// Take a task out of a sprint; the row is kept so scope changes can be reported
+async function removeSprintTask(sprintId, taskId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'UPDATE sprint_tasks SET removed_at = NOW() WHERE sprint_id = $1 AND task_id = $2 AND removed_at IS NULL RETURNING *',
+      [sprintId, taskId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error removing sprint task:', err.message);
+    return null;
+  }
+}
+
+// List every task that has been in a sprint (including removed ones) with its current title, status and owner
+async function getSprintTasks(sprintId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT st.*, t.title, t.status, t.owner, t.due_date, t.project_id
+       FROM sprint_tasks st
+       JOIN tasks t ON t.id = st.task_id
+       WHERE st.sprint_id = $1
+       ORDER BY st.task_id`,
+      [sprintId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing sprint tasks:', err.message);
+    return [];
+  }
+}
+
+// Get the story points of every open task in an active sprint, keyed by task ID
+async function getActiveSprintEstimates() {
+  if (!checkDbAvailable()) return new Map();
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT st.task_id, st.points
+       FROM sprint_tasks st
+       JOIN sprints s ON s.id = st.sprint_id
+       WHERE s.status = 'active' AND st.removed_at IS NULL`
+    );
+    return new Map(result.rows.map(row => [row.task_id, row.points]));
+  } catch (err) {
+    console.error('Error listing sprint estimates:', err.message);
+    return new Map();
+  }
+}
+
+// Record today's scope and completed points for active sprints that are under way (or just one sprint)
+// Each sprint has one snapshot per day in its time zone, updated until the day ends
+async function recordSprintSnapshots(sprintId = null) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO sprint_snapshots (sprint_id, snapshot_date, scope_points, done_points, recorded_at)
+       SELECT s.id,
+              (NOW() AT TIME ZONE s.time_zone)::date,
+              COALESCE(SUM(st.points) FILTER (WHERE st.removed_at IS NULL), 0),
+              COALESCE(SUM(st.points) FILTER (WHERE st.removed_at IS NULL AND t.status = 'done'), 0),
+              NOW()
+       FROM sprints s
+       LEFT JOIN sprint_tasks st ON st.sprint_id = s.id
+       LEFT JOIN tasks t ON t.id = st.task_id
+       WHERE s.status = 'active' AND s.starts_at <= NOW() AND s.ends_at > NOW()
+         AND ($1::integer IS NULL OR s.id = $1)
+       GROUP BY s.id, s.time_zone
+       ON CONFLICT (sprint_id, snapshot_date) DO UPDATE SET
+         scope_points = EXCLUDED.scope_points,
+         done_points = EXCLUDED.done_points,
+         recorded_at = NOW()
+       WHERE (sprint_snapshots.scope_points, sprint_snapshots.done_points)
+         IS DISTINCT FROM (EXCLUDED.scope_points, EXCLUDED.done_points)
+       RETURNING sprint_id`,
+      [sprintId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error recording sprint snapshots:', err.message);
+    return [];
+  }
+}
+
+// List a sprint's daily snapshots, oldest first; snapshot_date is a YYYY-MM-DD string
+async function getSprintSnapshots(sprintId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT sprint_id, TO_CHAR(snapshot_date, 'YYYY-MM-DD') AS snapshot_date, scope_points, done_points, recorded_at
+       FROM sprint_snapshots
+       WHERE sprint_id = $1
+       ORDER BY snapshot_date`,
+      [sprintId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing sprint snapshots:', err.message);
+    return [];
+  }
+}
+
+// Start a retro in a channel; entries are collected until closesAt
+async function createRetro({ projectId, sprintId = null, channelId, closesAt, createdBy }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO retros (project_id, sprint_id, channel_id, status, closes_at, created_by, created_at)
+       VALUES ($1, $2, $3, 'collecting', $4, $5, NOW())
+       RETURNING *`,
+      [projectId, sprintId, channelId, closesAt, createdBy]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error creating retro:', err.message);
+    return null;
+  }
+}
+
+// Get a retro by its ID, with its sprint's name
+async function getRetro(retroId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT r.*, s.name AS sprint_name FROM retros r LEFT JOIN sprints s ON s.id = r.sprint_id WHERE r.id = $1`,
+      [retroId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching retro:', err.message);
+    return null;
+  }
+}
+
+// Get a channel's retro that is still collecting entries or being voted on, with its sprint's name
+async function getOpenRetro(channelId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT r.*, s.name AS sprint_name
+       FROM retros r
+       LEFT JOIN sprints s ON s.id = r.sprint_id
+       WHERE r.channel_id = $1 AND r.status <> 'closed'
+       ORDER BY r.created_at DESC
+       LIMIT 1`,
+      [channelId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching open retro:', err.message);
+    return null;
+  }
+}
+
+// Get a channel's most recent retro, whatever its status
+async function getLatestRetro(channelId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM retros WHERE channel_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [channelId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching latest retro:', err.message);
+    return null;
+  }
+}
+
+// List a project's retros with their sprint names, newest first
+async function listRetros(projectId, limit = 10) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT r.*, s.name AS sprint_name,
+              (SELECT COUNT(*)::int FROM retro_entries e WHERE e.retro_id = r.id) AS entry_count
+       FROM retros r
+       LEFT JOIN sprints s ON s.id = r.sprint_id
+       WHERE r.project_id = $1
+       ORDER BY r.created_at DESC
+       LIMIT $2`,
+      [projectId, limit]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing retros:', err.message);
+    return [];
+  }
+}
+
+// Columns of retros that updateRetro may set
+const RETRO_COLUMNS = ['message_ts', 'themes', 'themes_ts'];
+
+// Change some of a retro's fields, e.g. { message_ts: '1700000000.000100' }
+async function updateRetro(retroId, fields) {
+  if (!checkDbAvailable()) return null;
+  
+  const columns = Object.keys(fields).filter(column => RETRO_COLUMNS.includes(column));
+  if (columns.length === 0) return getRetro(retroId);
+  
+  try {
+    const values = columns.map(column => column === 'themes' ? JSON.stringify(fields[column]) : fields[column]);
+    const updates = columns.map((column, index) => `${column} = $${index + 2}`);
+    
+    const result = await dbManager.query(
+      `UPDATE retros SET ${updates.join(', ')} WHERE id = $1
+       RETURNING *, (SELECT name FROM sprints WHERE id = retros.sprint_id) AS sprint_name`,
+      [retroId, ...values]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error updating retro:', err.message);
+    return null;
+  }
+}
+
+// Move a retro from one status to the next ('collecting' -> 'voting' -> 'closed')
+// Returns null if it had already moved on, so only one caller goes ahead
+async function advanceRetro(retroId, fromStatus, toStatus) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `UPDATE retros
+       SET status = $3, closed_at = CASE WHEN $3 = 'closed' THEN NOW() ELSE closed_at END
+       WHERE id = $1 AND status = $2
+       RETURNING *, (SELECT name FROM sprints WHERE id = retros.sprint_id) AS sprint_name`,
+      [retroId, fromStatus, toStatus]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error advancing retro:', err.message);
+    return null;
+  }
+}
+
+// Move retros whose collection window has ended to voting
+async function closeDueRetroCollections() {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `UPDATE retros SET status = 'voting'
+       WHERE status = 'collecting' AND closes_at <= NOW()
+       RETURNING *, (SELECT name FROM sprints WHERE id = retros.sprint_id) AS sprint_name`
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error closing retro collections:', err.message);
+    return [];
+  }
+}
+
+// Add an anonymous entry to a retro; who wrote it isn't stored
+async function addRetroEntry({ retroId, category, content }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO retro_entries (retro_id, category, content, created_at)
+       VALUES ($1, $2, $3, NOW())
+       RETURNING *`,
+      [retroId, category, content]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error adding retro entry:', err.message);
+    return null;
+  }
+}
+
+// Get a retro's entries in the order they were added
+async function getRetroEntries(retroId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM retro_entries WHERE retro_id = $1 ORDER BY id',
+      [retroId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing retro entries:', err.message);
+    return [];
+  }
+}
+
+// Vote for a retro theme, or take the vote back if the user already voted for it
+// Returns 'added', 'removed' or 'limit' (the user has no votes left), or null on error
+async function toggleRetroVote(retroId, themeIndex, userId, maxVotes) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const removed = await dbManager.query(
+      'DELETE FROM retro_votes WHERE retro_id = $1 AND theme_index = $2 AND user_id = $3 RETURNING *',
+      [retroId, themeIndex, userId]
+    );
+    if (removed.rows.length > 0) return 'removed';
+    
+    const result = await dbManager.query(
+      `INSERT INTO retro_votes (retro_id, theme_index, user_id, created_at)
+       SELECT $1, $2, $3, NOW()
+       WHERE (SELECT COUNT(*) FROM retro_votes WHERE retro_id = $1 AND user_id = $3) < $4
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [retroId, themeIndex, userId, maxVotes]
+    );
+    return result.rows.length > 0 ? 'added' : 'limit';
+  } catch (err) {
+    console.error('Error saving retro vote:', err.message);
+    return null;
+  }
+}
+
+// Get every vote cast in a retro
+async function getRetroVotes(retroId) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM retro_votes WHERE retro_id = $1',
+      [retroId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing retro votes:', err.message);
+    return [];
+  }
+}
+
+// Record that a task is an action item from a retro theme
+async function addRetroAction({ retroId, taskId, themeIndex = null }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO retro_actions (retro_id, task_id, theme_index, created_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (retro_id, task_id) DO NOTHING
+       RETURNING *`,
+      [retroId, taskId, themeIndex]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error saving retro action item:', err.message);
+    return null;
+  }
+}
+
+// Get the action items of some retros along with their tasks
+async function getRetroActions(retroIds) {
+  if (!checkDbAvailable() || retroIds.length === 0) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT a.retro_id, a.theme_index, t.id AS task_id, t.title, t.status, t.owner, t.due_date
+       FROM retro_actions a
+       JOIN tasks t ON t.id = a.task_id
+       WHERE a.retro_id = ANY($1)
+       ORDER BY a.created_at`,
+      [retroIds]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing retro action items:', err.message);
+    return [];
+  }
+}
+
+// Issue columns /audit reads, with the pillar, theme and workspace names joined in
+const AUDIT_ISSUE_SELECT = `SELECT
+         i.id,
+         i.issue_code,
+         i.issue_name,
+         i.public_description,
+         i.description_missing,
+         i.theme_missing,
+         i.owner,
+         i.pillar_id,
+         i.theme_id,
+         i.workspace_id,
+         p.name AS pillar_name,
+         t.name AS theme_name,
+         w.name AS workspace_name
+       FROM public.issues i
+       LEFT JOIN public.pillars p ON i.pillar_id = p.id
+       LEFT JOIN public.themes t ON i.theme_id = t.id
+       LEFT JOIN public.workspaces w ON i.workspace_id = w.id`;
+
+// Get every issue with its pillar, theme and workspace names for /audit
+// Returns null rather than [] when the query fails, so a failed audit isn't reported as a clean one
+async function listAuditIssues(scope = {}) {
+  if (!checkDbAvailable()) return null;
+  
+  const names = kind => (scope[kind] || []).map(name => name.toLowerCase());
+  
+  try {
+    const result = await dbManager.query(
+      `${AUDIT_ISSUE_SELECT}
+       WHERE (cardinality($1::text[]) = 0 OR lower(w.name) = ANY($1))
+         AND (cardinality($2::text[]) = 0 OR lower(p.name) = ANY($2))
+         AND (cardinality($3::text[]) = 0 OR lower(t.name) = ANY($3))
+       ORDER BY i.issue_code`,
+      [names('workspace'), names('pillar'), names('theme')]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing audit issues:', err.message);
+    return null;
+  }
+}
+
+// Get one issue with its pillar, theme and workspace names
+async function getAuditIssue(issueId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `${AUDIT_ISSUE_SELECT}
+       WHERE i.id = $1`,
+      [issueId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error getting audit issue:', err.message);
+    return null;
+  }
+}
+
+// Fill in an issue's public description and/or theme, clearing the matching "missing" flag
+// Fields left null are unchanged
+async function updateAuditIssue(issueId, { publicDescription = null, themeId = null }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `UPDATE public.issues SET
+         public_description = COALESCE($2, public_description),
+         description_missing = CASE WHEN $2 IS NULL THEN description_missing ELSE false END,
+         theme_id = COALESCE($3, theme_id),
+         theme_missing = CASE WHEN $3 IS NULL THEN theme_missing ELSE false END
+       WHERE id = $1
+       RETURNING *`,
+      [issueId, publicDescription, themeId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error updating audit issue:', err.message);
+    return null;
+  }
+}
+
+// List the themes an issue can be put in, by name
+async function listAuditThemes(limit = 100) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT id, name FROM public.themes WHERE name IS NOT NULL ORDER BY name LIMIT $1',
+      [limit]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing themes:', err.message);
+    return [];
+  }
+}
+
+// Tables holding the names /audit can be scoped by
+const AUDIT_SCOPE_TABLES = {
+  workspace: 'public.workspaces',
+  pillar: 'public.pillars',
+  theme: 'public.themes'
+};
+
+// List workspace, pillar or theme names containing the search text, for /audit scopes
+async function listAuditScopeNames(kind, search = '', limit = 100) {
+  if (!checkDbAvailable()) return [];
+  if (!AUDIT_SCOPE_TABLES[kind]) return [];
+  
+  try {
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    const result = await dbManager.query(
+      `SELECT DISTINCT name FROM ${AUDIT_SCOPE_TABLES[kind]}
+       WHERE name IS NOT NULL AND name ILIKE $1
+       ORDER BY name
+       LIMIT $2`,
+      [pattern, limit]
+    );
+    return result.rows.map(row => row.name);
+  } catch (err) {
+    console.error(`Error listing audit ${kind} names:`, err.message);
+    return [];
+  }
+}
+
+// Store the result of an /audit run
+async function saveAuditRun({ teamId = null, runBy = null, projectId = null, scope = {}, score, issueCount, cleanCount, ruleCounts, violations, breakdown }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO audit_runs (team_id, run_by, project_id, scope, score, issue_count, clean_count, rule_counts, violations, breakdown, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+       RETURNING *`,
+      [teamId, runBy, projectId, JSON.stringify(scope), score, issueCount, cleanCount, JSON.stringify(ruleCounts), JSON.stringify(violations), JSON.stringify(breakdown)]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error saving audit run:', err.message);
+    return null;
+  }
+}
+
+// List stored audit runs with the same scope, newest first, optionally for one Slack workspace and/or some projects
+// An empty scope means runs over every issue
+async function listAuditRuns({ teamId = null, scope = {}, projectIds = null, limit = 10 } = {}) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT * FROM audit_runs
+       WHERE ($1::text IS NULL OR team_id = $1)
+         AND scope = $2::jsonb
+         AND ($3::text[] IS NULL OR project_id = ANY($3))
+       ORDER BY created_at DESC
+       LIMIT $4`,
+      [teamId, JSON.stringify(scope), projectIds, limit]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing audit runs:', err.message);
+    return [];
+  }
+}
+
+// Schedule an audit to be posted to a channel
+async function createAuditSchedule({ teamId = null, channelId, scope = {}, schedule, timeZone, nextRunAt, createdBy = null }) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `INSERT INTO audit_schedules (team_id, channel_id, scope, schedule, time_zone, next_run_at, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING *`,
+      [teamId, channelId, JSON.stringify(scope), JSON.stringify(schedule), timeZone, nextRunAt, createdBy]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error creating audit schedule:', err.message);
+    return null;
+  }
+}
+
+// List a Slack workspace's audit schedules, soonest first
+async function listAuditSchedules(teamId = null) {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT * FROM audit_schedules
+       WHERE ($1::text IS NULL OR team_id = $1)
+       ORDER BY next_run_at`,
+      [teamId]
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing audit schedules:', err.message);
+    return [];
+  }
+}
+
+// Get one audit schedule (null if there's no such schedule in the workspace)
+async function getAuditSchedule(scheduleId, teamId = null) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `SELECT * FROM audit_schedules
+       WHERE id = $1 AND ($2::text IS NULL OR team_id = $2)`,
+      [scheduleId, teamId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error getting audit schedule:', err.message);
+    return null;
+  }
+}
+
+// Delete an audit schedule (null if there's no such schedule in the workspace)
+async function deleteAuditSchedule(scheduleId, teamId = null) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `DELETE FROM audit_schedules
+       WHERE id = $1 AND ($2::text IS NULL OR team_id = $2)
+       RETURNING *`,
+      [scheduleId, teamId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error deleting audit schedule:', err.message);
+    return null;
+  }
+}
+
+// Get audit schedules whose next run is due
+async function getDueAuditSchedules() {
+  if (!checkDbAvailable()) return [];
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM audit_schedules WHERE next_run_at <= NOW() ORDER BY next_run_at'
+    );
+    return result.rows;
+  } catch (err) {
+    console.error('Error listing due audit schedules:', err.message);
+    return [];
+  }
+}
+
+// Move a due audit schedule on to its next run; like claimStandup, only one instance gets the row back
+async function claimAuditSchedule(scheduleId, dueAt, nextRunAt) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      `UPDATE audit_schedules SET next_run_at = $3, last_run_at = NOW()
+       WHERE id = $1 AND next_run_at = $2
+       RETURNING *`,
+      [scheduleId, dueAt, nextRunAt]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error claiming audit schedule:', err.message);
+    return null;
+  }
+}
+
+// Columns of user_preferences that updateUserPreferences may set
+const USER_PREFERENCE_COLUMNS = ['time_zone', 'reminder_delivery', 'working_hours', 'workload_capacity'];
+
+// Get a user's saved preferences (null if they haven't saved any)
+async function getUserPreferences(userId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM user_preferences WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching user preferences:', err.message);
+    return null;
+  }
+}
+
+// Save some of a user's preferences, e.g. { time_zone: 'Europe/London' }
+async function updateUserPreferences(userId, preferences) {
+  if (!checkDbAvailable()) return null;
+  
+  const columns = Object.keys(preferences).filter(column => USER_PREFERENCE_COLUMNS.includes(column));
+  if (columns.length === 0) return getUserPreferences(userId);
+  
+  try {
+    const values = columns.map(column => preferences[column]);
+    const placeholders = columns.map((column, index) => `$${index + 2}`);
+    const updates = columns.map(column => `${column} = EXCLUDED.${column}`);
+    
+    const result = await dbManager.query(
+      `INSERT INTO user_preferences (user_id, ${columns.join(', ')}, updated_at)
+       VALUES ($1, ${placeholders.join(', ')}, NOW())
+       ON CONFLICT (user_id) DO UPDATE SET ${updates.join(', ')}, updated_at = NOW()
+       RETURNING *`,
+      [userId, ...values]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error saving user preferences:', err.message);
+    return null;
+  }
+}
+
+// Columns of workspace_settings that updateWorkspaceSettings may set
+const WORKSPACE_SETTING_COLUMNS = ['working_hours', 'workload_capacity', 'audit_rules'];
+
+// Get a workspace's saved settings (null if none have been saved)
+async function getWorkspaceSettings(teamId) {
+  if (!checkDbAvailable()) return null;
+  
+  try {
+    const result = await dbManager.query(
+      'SELECT * FROM workspace_settings WHERE team_id = $1',
+      [teamId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error fetching workspace settings:', err.message);
+    return null;
+  }
+}
+
+// Save some of a workspace's settings, e.g. { working_hours: {...} }
+async function updateWorkspaceSettings(teamId, settings) {
+  if (!checkDbAvailable()) return null;
+  
+  const columns = Object.keys(settings).filter(column => WORKSPACE_SETTING_COLUMNS.includes(column));
+  if (columns.length === 0) return getWorkspaceSettings(teamId);
+  
+  try {
+    const values = columns.map(column => settings[column]);
+    const placeholders = columns.map((column, index) => `$${index + 2}`);
+    const updates = columns.map(column => `${column} = EXCLUDED.${column}`);
+    
+    const result = await dbManager.query(
+      `INSERT INTO workspace_settings (team_id, ${columns.join(', ')}, updated_at)
+       VALUES ($1, ${placeholders.join(', ')}, NOW())
+       ON CONFLICT (team_id) DO UPDATE SET ${updates.join(', ')}, updated_at = NOW()
+       RETURNING *`,
+      [teamId, ...values]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (err) {
+    console.error('Error saving workspace settings:', err.message);
+    return null;
+  }
+}
+
 // Export functions
 module.exports = {
+  dbManager,
   testConnection,
   getRoadmapData,
   listRoadmapProjects,
-  updateRoadmapData
+  updateRoadmapData,
+  linkChannelProject,
+  unlinkChannelProject,
+  unlinkProjectChannels,
+  getChannelProject,
+  getProjectChannels,
+  createReminder,
+  getReminder,
+  getActiveReminders,
+  setReminderSchedule,
+  markReminderCompleted,
+  markReminderDeleted,
+  markSeriesDeleted,
+  claimDueRecurringReminders,
+  releaseRecurringReminder,
+  getDueMilestones,
+  createMilestone,
+  getMilestone,
+  listMilestones,
+  updateMilestone,
+  slipMilestone,
+  getMilestoneSlips,
+  createTask,
+  getTask,
+  listTasks,
+  updateTask,
+  addTaskDependency,
+  removeTaskDependency,
+  getTaskDependencies,
+  getTasksBlockedBy,
+  saveStandup,
+  getStandup,
+  setStandupActive,
+  getDueStandups,
+  claimStandup,
+  createStandupRun,
+  getStandupRun,
+  claimStandupRunsToNudge,
+  closeDueStandupRuns,
+  saveStandupResponse,
+  getStandupResponses,
+  createSprint,
+  getActiveSprint,
+  listSprints,
+  closeSprint,
+  addSprintTask,
+  removeSprintTask,
+  getSprintTasks,
+  getActiveSprintEstimates,
+  recordSprintSnapshots,
+  getSprintSnapshots,
+  createRetro,
+  getRetro,
+  getOpenRetro,
+  getLatestRetro,
+  listRetros,
+  updateRetro,
+  advanceRetro,
+  closeDueRetroCollections,
+  addRetroEntry,
+  getRetroEntries,
+  toggleRetroVote,
+  getRetroVotes,
+  addRetroAction,
+  getRetroActions,
+  listAuditIssues,
+  getAuditIssue,
+  updateAuditIssue,
+  listAuditThemes,
+  listAuditScopeNames,
+  saveAuditRun,
+  listAuditRuns,
+  createAuditSchedule,
+  listAuditSchedules,
+  getAuditSchedule,
+  deleteAuditSchedule,
+  getDueAuditSchedules,
+  claimAuditSchedule,
+  getUserPreferences,
+  updateUserPreferences,
+  getWorkspaceSettings,
+  updateWorkspaceSettings
 };
@@ -0,0 +1,277 @@
+// dateParser.js - Deterministic natural-language date/time parsing for reminders
+//
+// Handles the common phrasings ("tomorrow at 3pm", "next Friday at noon",
+// "in 2 hours", "EOD", "2025-07-01 14:00") without calling the AI. Like
+// utils/recurrence.js it works on wall-clock dates (a Date whose UTC fields hold
+// the user's local date and time), so results only depend on the `now` passed in.
+
+const WEEKDAY_PATTERN = '(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Default times used when only a day is given
+const DEFAULT_HOUR = 9;
+const END_OF_DAY_HOUR = 17;
+const PART_OF_DAY_HOURS = { morning: 9, afternoon: 14, evening: 18, tonight: 20 };
+
+/**
+ * Find a time of day such as "at 9am", "at 14:30" or "at noon" in some text
+ * A bare "at 1" to "at 7" is read as afternoon/evening, since that's what people mean at work
+ * @param {string} text - Text to search
+ * @returns {{hour: number, minute: number, match: string}|null}
+ */
+function parseTimeOfDay(text) {
+  const namedMatch = text.match(/\b(?:at\s+)?(noon|midday|midnight)\b/i);
+  if (namedMatch) {
+    const hour = namedMatch[1].toLowerCase() === 'midnight' ? 0 : 12;
+    return { hour, minute: 0, match: namedMatch[0] };
+  }
+
+  // "at 9", "at 9:30", "at 9am", "9:30pm", "14:00"
+  const pattern = /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?=\s|$|[.,!?])/gi;
+
+  for (const timeMatch of text.matchAll(pattern)) {
+    const hasAt = /^at\s/i.test(timeMatch[0]);
+    const meridiem = timeMatch[3] ? timeMatch[3].toLowerCase().replace(/\./g, '') : null;
+
+    // A bare number is only a time when it has "at", minutes or am/pm attached
+    if (!hasAt && !timeMatch[2] && !meridiem) continue;
+
+    let hour = parseInt(timeMatch[1], 10);
+    const minute = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
+
+    if (minute > 59) continue;
+    if (meridiem) {
+      if (hour < 1 || hour > 12) continue;
+      if (meridiem === 'pm' && hour !== 12) hour += 12;
+      if (meridiem === 'am' && hour === 12) hour = 0;
+    } else if (hour > 23) {
+      continue;
+    } else if (hasAt && !timeMatch[2] && hour >= 1 && hour <= 7) {
+      hour += 12;
+    }
+
+    return { hour, minute, match: timeMatch[0] };
+  }
+
+  return null;
+}
+
+/**
+ * Build a wall-clock date from its parts
+ * @returns {Date}
+ */
+function wallClock(year, month, day, hour = 0, minute = 0) {
+  return new Date(Date.UTC(year, month, day, hour, minute));
+}
+
+/**
+ * Check that a date exists, e.g. not February 30 or month 13
+ * Date.UTC would otherwise roll it over into a different day
+ * @param {number} year - Full year
+ * @param {number} month - Month, 0-11
+ * @param {number} day - Day of the month
+ * @returns {boolean}
+ */
+function isRealDate(year, month, day) {
+  const date = wallClock(year, month, day);
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month && date.getUTCDate() === day;
+}
+
+/**
+ * Remove a matched phrase from some text and tidy the leftover whitespace
+ * @param {string} text - Original text
+ * @param {string} phrase - Phrase to remove
+ * @returns {string}
+ */
+function removePhrase(text, phrase) {
+  return text.replace(phrase, ' ').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Parse the number in "in 2 hours", "in an hour", "in half an hour"
+ * @param {string} amount - Amount word or digits
+ * @returns {number}
+ */
+function parseAmount(amount) {
+  const normalized = amount.toLowerCase();
+  if (normalized === 'a' || normalized === 'an' || normalized === 'one') return 1;
+  if (normalized.startsWith('half')) return 0.5;
+  return parseFloat(normalized);
+}
+
+/**
+ * Parse a date and time out of a reminder request
+ * @param {string} text - Reminder request, e.g. "Submit report tomorrow at 3pm"
+ * @param {Date} now - Current wall-clock date
+ * @returns {{time: Date, text: string}|null} - Wall-clock time and the text with the date/time removed,
+ *   or null if no date or time could be found
+ */
+function parseDateTime(text, now) {
+  if (!text) return null;
+
+  let remaining = text;
+  let date = null; // { year, month, day }
+  let timeOfDay = null; // { hour, minute }
+  let exact = null; // wall-clock Date from "in 2 hours"
+  let defaultHour = DEFAULT_HOUR;
+  let match;
+
+  const today = { year: now.getUTCFullYear(), month: now.getUTCMonth(), day: now.getUTCDate() };
+  const addDays = (days) => {
+    const shifted = wallClock(today.year, today.month, today.day + days);
+    return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth(), day: shifted.getUTCDate() };
+  };
+
+  // Relative offsets: "in 20 minutes", "in 2 hours", "in 3 days", "in a week"
+  if ((match = remaining.match(/\bin\s+(a|an|one|half\s+an|\d+(?:\.\d+)?)\s*(min(?:ute)?s?|h(?:ou)?rs?|hours?|days?|weeks?)\b/i))) {
+    const amount = parseAmount(match[1]);
+    const unit = match[2].toLowerCase();
+
+    if (unit.startsWith('min')) {
+      exact = new Date(now.getTime() + Math.round(amount * 60000));
+    } else if (unit.startsWith('h')) {
+      exact = new Date(now.getTime() + Math.round(amount * 3600000));
+    } else {
+      const days = Math.round(amount * (unit.startsWith('week') ? 7 : 1));
+      date = addDays(days);
+      // "in 3 days" keeps the current time unless a time is given
+      defaultHour = null;
+    }
+    remaining = removePhrase(remaining, match[0]);
+  }
+
+  // ISO dates: "2025-07-01", "2025-07-01 14:00", "2025-07-01T14:00"
+  if (!date && (match = remaining.match(/\b(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2}))?\b/))) {
+    date = { year: parseInt(match[1], 10), month: parseInt(match[2], 10) - 1, day: parseInt(match[3], 10) };
+    if (!isRealDate(date.year, date.month, date.day)) return null;
+    if (match[4]) {
+      timeOfDay = { hour: parseInt(match[4], 10), minute: parseInt(match[5], 10) };
+      if (timeOfDay.hour > 23 || timeOfDay.minute > 59) return null;
+    }
+    remaining = removePhrase(remaining, match[0]);
+  }
+
+  // End of week: "EOW", "end of week", "by end of the week" (Friday 5pm)
+  if (!date && (match = remaining.match(/\b(?:by\s+)?(?:eow|end\s+of\s+(?:the\s+)?week)\b/i))) {
+    const friday = (5 - now.getUTCDay() + 7) % 7;
+    date = addDays(friday);
+    timeOfDay = timeOfDay || { hour: END_OF_DAY_HOUR, minute: 0 };
+    if (wallClock(date.year, date.month, date.day, timeOfDay.hour, timeOfDay.minute) <= now) {
+      date = addDays(friday + 7);
+    }
+    remaining = removePhrase(remaining, match[0]);
+  }
+
+  // Month names: "July 4", "Jul 4th, 2026", "4 July"
+  if (!date && ((match = remaining.match(new RegExp(`\\b(?:on\\s+)?${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'i'))) ||
+                (match = remaining.match(new RegExp(`\\b(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?\\b`, 'i'))))) {
+    const monthFirst = isNaN(parseInt(match[1], 10));
+    const monthName = monthFirst ? match[1] : match[2];
+    const day = parseInt(monthFirst ? match[2] : match[1], 10);
+    const month = MONTHS.indexOf(monthName.toLowerCase().substring(0, 3));
+
+    date = { year: match[3] ? parseInt(match[3], 10) : today.year, month, day };
+    // A date earlier this year without an explicit year means next year, as does Feb 29 outside a leap year
+    if (!match[3] && (!isRealDate(date.year, month, day) || wallClock(date.year, month, day, 23, 59) < now)) {
+      date.year += 1;
+    }
+    // "31 June" or "Feb 29" outside a leap year is a typo, not a date to roll over
+    if (!isRealDate(date.year, month, day)) return null;
+    remaining = removePhrase(remaining, match[0]);
+  }
+
+  // Relative days: "today", "tonight", "tomorrow", "day after tomorrow"
+  if (!date && (match = remaining.match(/\b(?:the\s+)?day\s+after\s+tomorrow\b/i))) {
+    date = addDays(2);
+    remaining = removePhrase(remaining, match[0]);
+  } else if (!date && (match = remaining.match(/\b(tomorrow|tmrw|tmr)\b/i))) {
+    date = addDays(1);
+    remaining = removePhrase(remaining, match[0]);
+  } else if (!date && (match = remaining.match(/\btonight\b/i))) {
+    date = today;
+    defaultHour = PART_OF_DAY_HOURS.tonight;
+    remaining = removePhrase(remaining, match[0]);
+  } else if (!date && (match = remaining.match(/\btoday\b/i))) {
+    date = today;
+    remaining = removePhrase(remaining, match[0]);
+  }
+
+  // Weekdays: "Friday", "on Monday", "next Tuesday", "this Thursday"
+  if (!date && (match = remaining.match(new RegExp(`\\b(?:on\\s+)?(?:(next|this)\\s+)?${WEEKDAY_PATTERN}\\b`, 'i')))) {
+    const target = WEEKDAYS.indexOf(match[2].toLowerCase().substring(0, 3));
+    let offset = (target - now.getUTCDay() + 7) % 7;
+    // "Monday" or "next Monday" said on a Monday means a week from today
+    if (offset === 0 && (match[1] || '').toLowerCase() !== 'this') {
+      offset = 7;
+    }
+    date = addDays(offset);
+    remaining = removePhrase(remaining, match[0]);
+  }
+
+  // End of day: "EOD", "COB", "end of day", "by close of business" (5pm)
+  if (!timeOfDay && (match = remaining.match(/\b(?:by\s+)?(?:eod|cob|end\s+of\s+(?:the\s+)?day|close\s+of\s+business)\b/i))) {
+    timeOfDay = { hour: END_OF_DAY_HOUR, minute: 0 };
+    remaining = removePhrase(remaining, match[0]);
+  }
+
+  // Times of day: "at 3pm", "14:30", "noon"
+  if (!timeOfDay) {
+    const parsedTime = parseTimeOfDay(remaining);
+    if (parsedTime) {
+      timeOfDay = { hour: parsedTime.hour, minute: parsedTime.minute };
+      remaining = removePhrase(remaining, parsedTime.match);
+    }
+  }
+
+  // Parts of the day: "morning", "in the afternoon", "this evening"
+  if (!timeOfDay && (match = remaining.match(/\b(?:in\s+the\s+|this\s+)?(morning|afternoon|evening)\b/i))) {
+    timeOfDay = { hour: PART_OF_DAY_HOURS[match[1].toLowerCase()], minute: 0 };
+    date = date || today;
+    remaining = removePhrase(remaining, match[0]);
+  }
+
+  if (!exact && !date && !timeOfDay) return null;
+
+  let time;
+  if (exact) {
+    time = timeOfDay ?
+      wallClock(exact.getUTCFullYear(), exact.getUTCMonth(), exact.getUTCDate(), timeOfDay.hour, timeOfDay.minute) :
+      exact;
+  } else if (date) {
+    if (timeOfDay) {
+      time = wallClock(date.year, date.month, date.day, timeOfDay.hour, timeOfDay.minute);
+    } else if (defaultHour === null) {
+      time = wallClock(date.year, date.month, date.day, now.getUTCHours(), now.getUTCMinutes());
+    } else {
+      time = wallClock(date.year, date.month, date.day, defaultHour, 0);
+      // "today" after the default time has passed means the next full hour
+      // (an earlier date such as "2025-07-01" is kept as given)
+      if (time <= now && date.year === today.year && date.month === today.month && date.day === today.day) {
+        time = wallClock(today.year, today.month, today.day, now.getUTCHours() + 1, 0);
+      }
+    }
+  } else {
+    // Only a time was given: today if it's still ahead, otherwise tomorrow
+    time = wallClock(today.year, today.month, today.day, timeOfDay.hour, timeOfDay.minute);
+    if (time <= now) {
+      const tomorrow = addDays(1);
+      time = wallClock(tomorrow.year, tomorrow.month, tomorrow.day, timeOfDay.hour, timeOfDay.minute);
+    }
+  }
+
+  // Drop connecting words left dangling by the removed date ("report by" -> "report")
+  remaining = remaining
+    .replace(/(?:\s+(?:at|on|by|for|before|until|due))+[.,!?]?$/i, '')
+    .replace(/\s+([.,!?])/g, '$1')
+    .trim();
+
+  return { time, text: remaining || text.trim() };
+}
+
+module.exports = {
+  parseDateTime,
+  parseTimeOfDay,
+  WEEKDAY_PATTERN
+};
@@ -0,0 +1,355 @@
+// ical.js - Build and parse iCalendar (.ics) files
+//
+// Used by `/reminder export` and by importing an .ics file sent to the bot in a DM.
+// Times inside events are kept as wall-clock dates plus the zone they belong to
+// (see utils/timezone.js); callers decide which zone applies to floating times.
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = { HOURLY: 'hourly', DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+// Lines longer than this must be folded (RFC 5545 section 3.1)
+const MAX_LINE_LENGTH = 75;
+
+// Domain used for the UIDs of events this bot exports
+const UID_DOMAIN = 'milestone-madness';
+
+/**
+ * Escape text for use in a property value
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undo escapeText
+ * @param {string} text - Escaped property value
+ * @returns {string}
+ */
+function unescapeText(text) {
+  return String(text || '').replace(/\\([\\;,nN])/g, (match, char) => char.toLowerCase() === 'n' ? '\n' : char);
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * @param {string} line - Unfolded line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a real date as a UTC date-time, e.g. 20250701T150000Z
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a wall-clock date as a local date-time, e.g. 20250701T090000
+ * @param {Date} wallClock - Wall-clock date
+ * @returns {string}
+ */
+function formatLocalDateTime(wallClock) {
+  return formatUtcDateTime(wallClock).replace(/Z$/, '');
+}
+
+/**
+ * Format a wall-clock date as a date, e.g. 20250701
+ * @param {Date} wallClock - Wall-clock date
+ * @returns {string}
+ */
+function formatDate(wallClock) {
+  return formatLocalDateTime(wallClock).substring(0, 8);
+}
+
+/**
+ * Convert a recurrence rule (see utils/recurrence.js) to an RRULE value
+ * @param {Object} rule - Recurrence rule
+ * @returns {string|null}
+ */
+function recurrenceToRRule(rule) {
+  const frequency = Object.keys(FREQUENCIES).find(key => FREQUENCIES[key] === rule?.frequency);
+  if (!frequency) return null;
+
+  const parts = [`FREQ=${frequency}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+
+  if (rule.frequency === 'weekly') {
+    parts.push(`BYDAY=${rule.weekdays.map(day => DAY_CODES[day]).join(',')}`);
+  } else if (rule.frequency === 'monthly') {
+    parts.push(rule.weekOfMonth !== undefined ?
+      `BYDAY=${rule.weekOfMonth}${DAY_CODES[rule.weekday]}` :
+      `BYMONTHDAY=${rule.monthDay}`);
+  }
+  if (rule.until) parts.push(`UNTIL=${formatUtcDateTime(new Date(rule.until))}`);
+
+  return parts.join(';');
+}
+
+/**
+ * Convert an RRULE value to a recurrence rule (see utils/recurrence.js)
+ * @param {string} rrule - RRULE value, e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+ * @param {Date} start - Wall-clock start of the first occurrence
+ * @returns {{rule: Object|null, until: Object|null, count: number|null, unsupported: string|null}}
+ *   until is a parsed date value (see parseDateValue)
+ */
+function rruleToRecurrence(rrule, start) {
+  const fields = {};
+  rrule.split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value !== undefined) fields[key.toUpperCase()] = value.toUpperCase();
+  });
+
+  const result = {
+    rule: null,
+    until: fields.UNTIL ? parseDateValue(fields.UNTIL, {}) : null,
+    count: fields.COUNT ? parseInt(fields.COUNT, 10) : null,
+    unsupported: null
+  };
+
+  const frequency = FREQUENCIES[fields.FREQ];
+  if (!frequency) {
+    result.unsupported = `${(fields.FREQ || 'unknown').toLowerCase()} repeats`;
+    return result;
+  }
+
+  const rule = {
+    frequency,
+    interval: Math.max(1, parseInt(fields.INTERVAL || '1', 10) || 1)
+  };
+  if (frequency !== 'hourly') {
+    rule.hour = start.getUTCHours();
+    rule.minute = start.getUTCMinutes();
+  }
+
+  const byDay = fields.BYDAY ? fields.BYDAY.split(',') : [];
+
+  if (frequency === 'weekly') {
+    const weekdays = byDay.map(code => DAY_CODES.indexOf(code.slice(-2))).filter(day => day >= 0);
+    rule.weekdays = weekdays.length > 0 ? [...new Set(weekdays)].sort() : [start.getUTCDay()];
+  } else if (frequency === 'monthly') {
+    // "BYDAY=2TU", or "BYDAY=TU;BYSETPOS=2"
+    const match = byDay.length === 1 && byDay[0].match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+    const position = match && parseInt(match[1] || fields.BYSETPOS, 10);
+
+    if (match && [1, 2, 3, 4, -1].includes(position)) {
+      rule.weekOfMonth = position;
+      rule.weekday = DAY_CODES.indexOf(match[2]);
+    } else if (byDay.length > 0 || (fields.BYMONTHDAY && fields.BYMONTHDAY.includes(','))) {
+      result.unsupported = 'this monthly pattern';
+      return result;
+    } else {
+      const monthDay = parseInt(fields.BYMONTHDAY || start.getUTCDate(), 10);
+      if (!(monthDay >= 1 && monthDay <= 31)) {
+        result.unsupported = 'this monthly pattern';
+        return result;
+      }
+      rule.monthDay = monthDay;
+    }
+  } else if (byDay.length > 0 || fields.BYHOUR || fields.BYMINUTE) {
+    result.unsupported = `this ${frequency} pattern`;
+    return result;
+  }
+
+  result.rule = rule;
+  return result;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - e.g. "20250701", "20250701T090000" or "20250701T090000Z"
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {{wallClock: Date, timeZone: string|null, utc: boolean, allDay: boolean}|null}
+ */
+function parseDateValue(value, params) {
+  const match = value && value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const allDay = params.VALUE === 'DATE' || match[4] === undefined;
+  return {
+    wallClock: new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4] || 0, match[5] || 0)),
+    timeZone: match[7] ? 'UTC' : (params.TZID || null),
+    utc: Boolean(match[7]),
+    allDay
+  };
+}
+
+/**
+ * Split an unfolded content line into its name, parameters and value
+ * @param {string} line - e.g. "DTSTART;TZID=Europe/London:20250701T090000"
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon that isn't inside a quoted parameter
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+
+  const [name, ...paramParts] = line.substring(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.substring(colon + 1) };
+}
+
+/**
+ * Parse the events in an iCalendar file
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - Events with uid, summary, description, start, rrule and status
+ */
+function parseCalendar(text) {
+  // Unfold continuation lines first
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+  // Nested components (VALARM) have their own DTSTART/SUMMARY, which must be ignored
+  let depth = 0;
+
+  for (const line of lines) {
+    const property = parseContentLine(line.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT') {
+        event = { uid: null, summary: '', description: '', start: null, rrule: null, status: null };
+        depth = 0;
+      } else if (event) {
+        depth++;
+      }
+      continue;
+    }
+
+    if (property.name === 'END') {
+      if (property.value.toUpperCase() === 'VEVENT' && event) {
+        if (event.start) events.push(event);
+        event = null;
+      } else if (event) {
+        depth--;
+      }
+      continue;
+    }
+
+    if (!event || depth > 0) continue;
+
+    switch (property.name) {
+      case 'UID':
+        event.uid = property.value;
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(property.value);
+        break;
+      case 'DESCRIPTION':
+        event.description = unescapeText(property.value);
+        break;
+      case 'DTSTART':
+        event.start = parseDateValue(property.value, property.params);
+        break;
+      case 'RRULE':
+        event.rrule = property.value;
+        break;
+      case 'STATUS':
+        event.status = property.value.toUpperCase();
+        break;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Build an iCalendar file
+ * @param {Array<Object>} events - Events to include. Each has uid, summary, description and either
+ *   start (a real Date), or wallClock + timeZone (local time, used with rrule), or date (wall-clock, all-day)
+ * @param {Object} options - name shown by calendar apps
+ * @returns {string}
+ */
+function buildCalendar(events, { name = 'Milestone Madness' } = {}) {
+  const stamp = formatUtcDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//Slack bot//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}@${UID_DOMAIN}`);
+    lines.push(`DTSTAMP:${stamp}`);
+
+    if (event.date) {
+      const end = new Date(event.date);
+      end.setUTCDate(end.getUTCDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+    } else if (event.wallClock) {
+      lines.push(`DTSTART;TZID=${event.timeZone}:${formatLocalDateTime(event.wallClock)}`);
+    } else {
+      lines.push(`DTSTART:${formatUtcDateTime(event.start)}`);
+    }
+
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Check whether an event UID came from this bot's own export
+ * @param {string} uid - Event UID
+ * @returns {boolean}
+ */
+function isExportedUid(uid) {
+  return Boolean(uid && uid.endsWith(`@${UID_DOMAIN}`));
+}
+
+module.exports = {
+  buildCalendar,
+  parseCalendar,
+  recurrenceToRRule,
+  rruleToRecurrence,
+  isExportedUid
+};
@@ -0,0 +1,88 @@
+// milestones.js - Milestone statuses and the on track / at risk / overdue overview
+
+// Statuses a milestone can have; "at_risk" is set by hand when the team knows it's in trouble
+const MILESTONE_STATUSES = ['planned', 'in_progress', 'at_risk', 'done'];
+
+// Statuses that count as finished ("completed" comes from older data)
+const DONE_STATUSES = ['done', 'completed'];
+
+// A milestone due within this many days is at risk
+const AT_RISK_DAYS = 7;
+
+// A milestone that has slipped this many times is at risk
+const AT_RISK_SLIPS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn user input such as "in progress", "risk" or "complete" into a milestone status
+ * @param {string} text - Status text
+ * @returns {string|null} - One of MILESTONE_STATUSES
+ */
+function normalizeMilestoneStatus(text) {
+  const value = (text || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const aliases = { todo: 'planned', open: 'planned', doing: 'in_progress', started: 'in_progress', risk: 'at_risk', complete: 'done', completed: 'done' };
+  const status = aliases[value] || value;
+  return MILESTONE_STATUSES.includes(status) ? status : null;
+}
+
+/**
+ * Check whether a milestone is finished
+ * @param {Object} milestone - Milestone row
+ * @returns {boolean}
+ */
+function isMilestoneDone(milestone) {
+  return DONE_STATUSES.includes(milestone.status);
+}
+
+/**
+ * Decide where a milestone belongs in the status overview
+ * @param {Object} milestone - Milestone row
+ * @param {number} slipCount - How many times its date has slipped
+ * @param {Date} now - Current time
+ * @returns {{state: 'done'|'overdue'|'at_risk'|'on_track', reason: string|null}}
+ */
+function classifyMilestone(milestone, slipCount = 0, now = new Date()) {
+  if (isMilestoneDone(milestone)) return { state: 'done', reason: null };
+
+  const due = milestone.due_date ? new Date(milestone.due_date) : null;
+  if (due && due < now) {
+    const days = Math.floor((now - due) / DAY_MS);
+    return { state: 'overdue', reason: days === 0 ? 'due earlier today' : `${days} day${days === 1 ? '' : 's'} late` };
+  }
+
+  if (milestone.status === 'at_risk') return { state: 'at_risk', reason: 'marked at risk' };
+  if (slipCount >= AT_RISK_SLIPS) return { state: 'at_risk', reason: `slipped ${slipCount} times` };
+  if (due && due - now < AT_RISK_DAYS * DAY_MS && milestone.status === 'planned') {
+    return { state: 'at_risk', reason: `due within ${AT_RISK_DAYS} days and not started` };
+  }
+
+  return { state: 'on_track', reason: due ? null : 'no due date' };
+}
+
+/**
+ * Format a due date without the time, e.g. "Tue, Jul 1, 2025"
+ * @param {Date|string|null} date - Due date
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+function formatMilestoneDate(date, timeZone) {
+  if (!date) return 'No due date';
+
+  return new Date(date).toLocaleDateString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+module.exports = {
+  MILESTONE_STATUSES,
+  DONE_STATUSES,
+  normalizeMilestoneStatus,
+  isMilestoneDone,
+  classifyMilestone,
+  formatMilestoneDate
+};
@@ -0,0 +1,21 @@
+// permissions.js - Who may change settings that apply to the whole workspace
+
+/**
+ * Check whether a user can change workspace-wide settings (workspace admins and owners)
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @returns {Promise<boolean>}
+ */
+async function isWorkspaceAdmin(userId, client) {
+  try {
+    const response = await client.users.info({ user: userId });
+    return Boolean(response.user?.is_admin || response.user?.is_owner);
+  } catch (error) {
+    console.error(`Error checking admin status for ${userId}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  isWorkspaceAdmin
+};
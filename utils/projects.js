@@ -0,0 +1,133 @@
+// projects.js - Which project a command applies to, and what the AI should know about it
+//
+// Projects are stored in the roadmaps table: project_id is the short key used by tasks and
+// milestones (e.g. "web") and data holds { name, description, status, team_id, created_by }.
+// A channel linked with /project link-channel uses its project when a command doesn't name one.
+
+const {
+  getRoadmapData,
+  getChannelProject,
+  listMilestones,
+  listTasks
+} = require('./database');
+const { isMilestoneDone, classifyMilestone } = require('./milestones');
+
+// Project used when a command doesn't name one and the channel isn't linked to one
+const DEFAULT_PROJECT_ID = 'general';
+
+// Project keys are short and URL-safe, e.g. "web" or "mobile-v2"
+const PROJECT_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Most tasks and milestones described to the AI
+const MAX_PROMPT_ITEMS = 15;
+
+/**
+ * Pull a project option out of command text: "project:<id>" anywhere, or "project <id>" as the
+ * last words. Elsewhere "project" is just a word, as in "Draft project plan for Q3 due Friday"
+ * @param {string} text - Command text, e.g. "Beta launch due July 1 project web"
+ * @returns {{projectId: string|null, text: string}} - The project key (null if none was given)
+ *   and the text with the option removed
+ */
+function parseProjectOption(text) {
+  const value = text || '';
+  const match = value.match(/(?:^|\s)project:(\S+)/i) || value.match(/(?:^|\s)project\s+(\S+)\s*$/i);
+  if (!match) return { projectId: null, text: value.trim() };
+
+  return {
+    projectId: match[1].toLowerCase(),
+    text: value.replace(match[0], ' ').replace(/\s{2,}/g, ' ').trim()
+  };
+}
+
+/**
+ * Make sure a project exists before a command uses it
+ * DEFAULT_PROJECT_ID exists without being created with /project
+ * @param {string} projectId - Project key
+ * @returns {Promise<Object|null>} - The project's roadmap row, if it has one
+ */
+async function assertProjectExists(projectId) {
+  const project = await getRoadmapData(projectId);
+
+  if (!project && projectId !== DEFAULT_PROJECT_ID) {
+    throw new Error(`I couldn't find project "${projectId}". See \`/project list\` for the project keys.`);
+  }
+
+  return project;
+}
+
+/**
+ * Decide which project a command applies to
+ * Order: the project the user named, then the channel's linked project, then DEFAULT_PROJECT_ID
+ * A named project that doesn't exist is an error rather than a new project
+ * @param {string|null} projectId - Project the user named
+ * @param {string|null} channelId - Channel the command was run in
+ * @returns {Promise<string>} - Project key
+ */
+async function resolveProjectId(projectId, channelId) {
+  if (projectId) {
+    await assertProjectExists(projectId);
+    return projectId;
+  }
+
+  const linked = channelId ? await getChannelProject(channelId) : null;
+  return linked || DEFAULT_PROJECT_ID;
+}
+
+/**
+ * Make sure new work goes to a project that exists and isn't archived
+ * @param {string} projectId - Project key
+ * @returns {Promise<Object|null>} - The project's roadmap row, if it has one
+ */
+async function assertProjectActive(projectId) {
+  const project = await assertProjectExists(projectId);
+
+  if (project && project.data && project.data.status === 'archived') {
+    throw new Error(`Project *${projectId}* is archived. Pick another project with \`project:<id>\`.`);
+  }
+
+  return project;
+}
+
+/**
+ * Describe a project's milestones and open tasks for an AI prompt
+ * @param {string} projectId - Project key
+ * @returns {Promise<string>}
+ */
+async function describeProjectForPrompt(projectId) {
+  const [project, milestones, tasks] = await Promise.all([
+    getRoadmapData(projectId),
+    listMilestones(projectId),
+    listTasks({ projectId })
+  ]);
+  const data = (project && project.data) || {};
+  const now = new Date();
+  const lines = [`Project: ${data.name ? `${data.name} (${projectId})` : projectId}`];
+
+  if (data.description) lines.push(`Description: ${data.description}`);
+
+  const openMilestones = milestones.filter(milestone => !isMilestoneDone(milestone));
+  lines.push(`Milestones: ${milestones.length - openMilestones.length} done, ${openMilestones.length} open`);
+  openMilestones.slice(0, MAX_PROMPT_ITEMS).forEach(milestone => {
+    const { state, reason } = classifyMilestone(milestone, 0, now);
+    const due = milestone.due_date ? new Date(milestone.due_date).toISOString().substring(0, 10) : 'no due date';
+    lines.push(`- ${milestone.title} (due ${due}, ${state.replace('_', ' ')}${reason ? `: ${reason}` : ''})`);
+  });
+
+  lines.push(`Open tasks: ${tasks.length}`);
+  tasks.slice(0, MAX_PROMPT_ITEMS).forEach(task => {
+    const due = task.due_date ? new Date(task.due_date).toISOString().substring(0, 10) : 'no due date';
+    lines.push(`- ${task.title} (due ${due}, ${task.status.replace('_', ' ')}${task.owner ? '' : ', unassigned'})`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_PROJECT_ID,
+  PROJECT_KEY_PATTERN,
+  parseProjectOption,
+  resolveProjectId,
+  assertProjectExists,
+  assertProjectActive,
+  describeProjectForPrompt
+};
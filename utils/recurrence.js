@@ -0,0 +1,321 @@
+// recurrence.js - Recurrence rules for repeating reminders
+//
+// All dates handled here are "wall-clock" dates: a Date whose UTC fields hold the
+// local year/month/day/hour/minute the user means. Callers convert to and from
+// real instants, which keeps this module free of time zone concerns.
+
+const { parseTimeOfDay, WEEKDAY_PATTERN } = require('./dateParser');
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINAL_WORDS = { first: 1, second: 2, third: 3, fourth: 4, last: -1, '1st': 1, '2nd': 2, '3rd': 3, '4th': 4 };
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+const DEFAULT_HOUR = 9;
+const DEFAULT_MINUTE = 0;
+
+/**
+ * Convert a weekday name or abbreviation to its day number (0 = Sunday)
+ * @param {string} name - Weekday name such as "mon" or "Tuesday"
+ * @returns {number} - Day number, or -1 if not recognized
+ */
+function weekdayFromName(name) {
+  const prefix = name.toLowerCase().substring(0, 3);
+  return WEEKDAY_NAMES.findIndex(day => day.toLowerCase().startsWith(prefix));
+}
+
+/**
+ * Remove a matched phrase from some text and tidy the leftover whitespace
+ * @param {string} text - Original text
+ * @param {string} phrase - Phrase to remove
+ * @returns {string}
+ */
+function removePhrase(text, phrase) {
+  return text.replace(phrase, ' ').replace(/\s{2,}/g, ' ').replace(/\s+([.,!?])/g, '$1').trim();
+}
+
+/**
+ * Parse an interval word ("other", "2", "3") into a number
+ * @param {string} value - Interval word or digits
+ * @returns {number}
+ */
+function parseInterval(value) {
+  if (!value) return 1;
+  if (value.toLowerCase() === 'other') return 2;
+  const interval = parseInt(value, 10);
+  return isNaN(interval) || interval < 1 ? 1 : interval;
+}
+
+/**
+ * Detect a recurrence phrase such as "every weekday at 9am" or "first Monday of the month"
+ * @param {string} text - Reminder request text
+ * @param {Date} now - Current wall-clock date, used for rules that repeat on "today's" weekday or day of month
+ * @returns {{rule: Object, text: string}|null} - The recurrence rule and the text with the schedule removed
+ */
+function parseRecurrence(text, now) {
+  if (!text) return null;
+
+  let rule = null;
+  let phrase = null;
+  let match;
+
+  if ((match = text.match(new RegExp(`\\b(?:every|on\\s+the|the)?\\s*(first|second|third|fourth|last|1st|2nd|3rd|4th)\\s+${WEEKDAY_PATTERN}\\s+of\\s+(?:the|each|every)\\s+month\\b`, 'i')))) {
+    // "first Monday of the month", "every last Friday of each month"
+    rule = {
+      frequency: 'monthly',
+      interval: 1,
+      weekOfMonth: ORDINAL_WORDS[match[1].toLowerCase()],
+      weekday: weekdayFromName(match[2])
+    };
+    phrase = match[0];
+  } else if ((match = text.match(/\b(?:every\s+(other|\d+)\s+months|every\s+month|each\s+month|monthly)\s+on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\b/i)) ||
+             (match = text.match(/\bon\s+the\s+()(\d{1,2})(?:st|nd|rd|th)?\s+of\s+(?:every|each)\s+month\b/i))) {
+    // "every month on the 15th", "on the 1st of every month"
+    const monthDay = parseInt(match[2], 10);
+    if (monthDay >= 1 && monthDay <= 31) {
+      rule = { frequency: 'monthly', interval: parseInterval(match[1]), monthDay };
+      phrase = match[0];
+    }
+  } else if ((match = text.match(/\b(?:every\s+|on\s+)?(?:weekday|workday|business\s+day)s?\b/i)) && /^(every|on)\s|s$/i.test(match[0].trim())) {
+    // "every weekday", "on weekdays", "every business day"
+    rule = { frequency: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] };
+    phrase = match[0];
+  } else if ((match = text.match(new RegExp(`\\bevery\\s+(?:(other|\\d+)\\s+weeks?\\s+on\\s+)?(${WEEKDAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${WEEKDAY_PATTERN})*)\\b`, 'i')))) {
+    // "every Monday", "every Tue and Thu", "every 2 weeks on Friday"
+    const weekdays = match[2].split(/\s*(?:,|and|&)\s*/i).map(weekdayFromName).filter(day => day >= 0);
+    rule = { frequency: 'weekly', interval: parseInterval(match[1]), weekdays: [...new Set(weekdays)].sort() };
+    phrase = match[0];
+  } else if ((match = text.match(new RegExp(`\\b(?:weekly|every\\s+week)\\s+(?:on\\s+)?(${WEEKDAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${WEEKDAY_PATTERN})*)\\b`, 'i')))) {
+    // "weekly on Monday", "weekly mon", "every week on Tue and Thu"
+    const weekdays = match[1].split(/\s*(?:,|and|&)\s*/i).map(weekdayFromName).filter(day => day >= 0);
+    rule = { frequency: 'weekly', interval: 1, weekdays: [...new Set(weekdays)].sort() };
+    phrase = match[0];
+  } else if ((match = text.match(/\bevery\s+(other|\d+)?\s*(hour|day|week|month)s?\b/i))) {
+    // "every day", "every 3 days", "every other week", "every 2 hours"
+    const unit = match[2].toLowerCase();
+    const frequency = { hour: 'hourly', day: 'daily', week: 'weekly', month: 'monthly' }[unit];
+    rule = { frequency, interval: parseInterval(match[1]) };
+    phrase = match[0];
+  } else if ((match = text.match(/\b(hourly|daily|weekly|monthly)\b/i))) {
+    rule = { frequency: match[1].toLowerCase(), interval: 1 };
+    phrase = match[0];
+  }
+
+  if (!rule) return null;
+
+  // Fill in defaults that depend on when the rule was created
+  if (rule.frequency === 'weekly' && !rule.weekdays) {
+    rule.weekdays = [now.getUTCDay()];
+  }
+  if (rule.frequency === 'monthly' && !rule.monthDay && rule.weekOfMonth === undefined) {
+    rule.monthDay = now.getUTCDate();
+  }
+
+  let remaining = removePhrase(text, phrase);
+
+  if (rule.frequency !== 'hourly') {
+    const timeOfDay = parseTimeOfDay(remaining);
+    rule.hour = timeOfDay ? timeOfDay.hour : DEFAULT_HOUR;
+    rule.minute = timeOfDay ? timeOfDay.minute : DEFAULT_MINUTE;
+    if (timeOfDay) {
+      remaining = removePhrase(remaining, timeOfDay.match);
+    }
+  }
+
+  // Drop connecting words left dangling by the removed schedule ("standup at" -> "standup")
+  remaining = remaining.replace(/\s+(?:at|on|to)$/i, '').replace(/^(?:to)\s+/i, '').trim();
+
+  return { rule, text: remaining || text.trim() };
+}
+
+/**
+ * Build a wall-clock date from its parts
+ * @returns {Date}
+ */
+function wallClock(year, month, day, hour = 0, minute = 0) {
+  return new Date(Date.UTC(year, month, day, hour, minute));
+}
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {number}
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Get the day of month for the nth weekday of a month (n = -1 for the last one)
+ * @returns {number}
+ */
+function nthWeekdayOfMonth(year, month, n, weekday) {
+  if (n === -1) {
+    const lastDay = daysInMonth(year, month);
+    const lastWeekday = wallClock(year, month, lastDay).getUTCDay();
+    return lastDay - ((lastWeekday - weekday + 7) % 7);
+  }
+
+  const firstWeekday = wallClock(year, month, 1).getUTCDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+  // Months without a 5th occurrence fall back to the last one
+  return day > daysInMonth(year, month) ? day - 7 : day;
+}
+
+/**
+ * Get the occurrence of a monthly rule within a given month
+ * @returns {Date}
+ */
+function monthlyOccurrence(rule, year, month) {
+  // Normalize month overflow (e.g. month 13)
+  const normalized = wallClock(year, month, 1);
+  const y = normalized.getUTCFullYear();
+  const m = normalized.getUTCMonth();
+
+  const day = rule.weekOfMonth !== undefined
+    ? nthWeekdayOfMonth(y, m, rule.weekOfMonth, rule.weekday)
+    : Math.min(rule.monthDay, daysInMonth(y, m));
+
+  return wallClock(y, m, day, rule.hour, rule.minute);
+}
+
+/**
+ * Get the first occurrence of a rule strictly after the current time
+ * @param {Object} rule - Recurrence rule from parseRecurrence
+ * @param {Date} now - Current wall-clock date
+ * @returns {Date} - Wall-clock date of the first occurrence
+ */
+function firstOccurrence(rule, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+
+  switch (rule.frequency) {
+    case 'hourly':
+      return new Date(now.getTime() + rule.interval * 3600000);
+
+    case 'daily': {
+      const candidate = wallClock(year, month, date, rule.hour, rule.minute);
+      return candidate > now ? candidate : wallClock(year, month, date + 1, rule.hour, rule.minute);
+    }
+
+    case 'weekly': {
+      for (let offset = 0; offset <= 7; offset++) {
+        const candidate = wallClock(year, month, date + offset, rule.hour, rule.minute);
+        if (rule.weekdays.includes(candidate.getUTCDay()) && candidate > now) {
+          return candidate;
+        }
+      }
+      break;
+    }
+
+    case 'monthly': {
+      const candidate = monthlyOccurrence(rule, year, month);
+      return candidate > now ? candidate : monthlyOccurrence(rule, year, month + 1);
+    }
+  }
+
+  throw new Error(`Unsupported recurrence rule: ${JSON.stringify(rule)}`);
+}
+
+/**
+ * Get the occurrence that follows a previous one, honoring the rule's interval
+ * @param {Object} rule - Recurrence rule from parseRecurrence
+ * @param {Date} previous - Wall-clock date of the previous occurrence
+ * @returns {Date} - Wall-clock date of the next occurrence
+ */
+function nextOccurrence(rule, previous) {
+  const year = previous.getUTCFullYear();
+  const month = previous.getUTCMonth();
+  const date = previous.getUTCDate();
+
+  switch (rule.frequency) {
+    case 'hourly':
+      return new Date(previous.getTime() + rule.interval * 3600000);
+
+    case 'daily':
+      return wallClock(year, month, date + rule.interval, rule.hour, rule.minute);
+
+    case 'weekly': {
+      // Later days in the same week (weeks run Monday to Sunday)
+      const dayOfWeek = (previous.getUTCDay() + 6) % 7;
+      for (let offset = 1; dayOfWeek + offset <= 6; offset++) {
+        const candidate = wallClock(year, month, date + offset, rule.hour, rule.minute);
+        if (rule.weekdays.includes(candidate.getUTCDay())) {
+          return candidate;
+        }
+      }
+
+      // Otherwise the first matching day of the week `interval` weeks later
+      const nextWeekStart = date - dayOfWeek + rule.interval * 7;
+      for (let offset = 0; offset < 7; offset++) {
+        const candidate = wallClock(year, month, nextWeekStart + offset, rule.hour, rule.minute);
+        if (rule.weekdays.includes(candidate.getUTCDay())) {
+          return candidate;
+        }
+      }
+      break;
+    }
+
+    case 'monthly':
+      return monthlyOccurrence(rule, year, month + rule.interval);
+  }
+
+  throw new Error(`Unsupported recurrence rule: ${JSON.stringify(rule)}`);
+}
+
+/**
+ * Format an hour and minute as "9:00 AM"
+ * @returns {string}
+ */
+function formatTimeOfDay(hour, minute) {
+  const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  return `${displayHour}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Describe a recurrence rule for display, e.g. "every weekday at 9:00 AM"
+ * @param {Object} rule - Recurrence rule
+ * @returns {string}
+ */
+function describeRecurrence(rule) {
+  if (!rule) return '';
+
+  const every = (unit) => rule.interval === 1 ? `every ${unit}` :
+    rule.interval === 2 && unit !== 'hour' ? `every other ${unit}` : `every ${rule.interval} ${unit}s`;
+  const at = rule.hour !== undefined ? ` at ${formatTimeOfDay(rule.hour, rule.minute)}` : '';
+
+  switch (rule.frequency) {
+    case 'hourly':
+      return every('hour');
+
+    case 'daily':
+      return `${every('day')}${at}`;
+
+    case 'weekly': {
+      if (rule.interval === 1 && rule.weekdays.join(',') === '1,2,3,4,5') {
+        return `every weekday${at}`;
+      }
+      const days = rule.weekdays.map(day => WEEKDAY_NAMES[day]);
+      const dayList = days.length > 1 ? `${days.slice(0, -1).join(', ')} and ${days[days.length - 1]}` : days[0];
+      return rule.interval === 1 ? `every ${dayList}${at}` : `${every('week')} on ${dayList}${at}`;
+    }
+
+    case 'monthly': {
+      if (rule.weekOfMonth !== undefined) {
+        const months = rule.interval === 1 ? 'every month' : every('month');
+        return `on the ${ORDINAL_NAMES[rule.weekOfMonth]} ${WEEKDAY_NAMES[rule.weekday]} of ${months}${at}`;
+      }
+      return `${every('month')} on day ${rule.monthDay}${at}`;
+    }
+  }
+
+  return '';
+}
+
+module.exports = {
+  parseRecurrence,
+  firstOccurrence,
+  nextOccurrence,
+  describeRecurrence
+};
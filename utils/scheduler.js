@@ -0,0 +1,95 @@
+// scheduler.js - Periodic background jobs (recurring reminders, etc.)
+//
+// Command modules register their jobs when they are loaded. Long-running
+// entrypoints (app.js, the socket worker) call startScheduler; serverless
+// deployments hit the /jobs/run route, which calls runScheduledJobs once.
+
+// Default interval between job runs in long-running mode
+const DEFAULT_INTERVAL = 60000;
+
+const jobs = [];
+
+/**
+ * Register a background job
+ * @param {string} name - Job name used in logs
+ * @param {Function} handler - Async function called with the Slack client
+ */
+function registerJob(name, handler) {
+  if (jobs.some(job => job.name === name)) return;
+  jobs.push({ name, handler });
+}
+
+/**
+ * Run every registered job once
+ * @param {Object} client - Slack Web API client
+ * @param {string[]|null} names - Only run the jobs with these names
+ * @returns {Promise<Object>} - Result per job name ('ok' or the error message)
+ */
+async function runScheduledJobs(client, names = null) {
+  const results = {};
+
+  for (const job of jobs.filter(({ name }) => !names || names.includes(name))) {
+    try {
+      await job.handler(client);
+      results[job.name] = 'ok';
+    } catch (error) {
+      // One failing job shouldn't stop the others
+      console.error(`Scheduled job "${job.name}" failed:`, error);
+      results[job.name] = error.message;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Run the registered jobs on an interval (long-running mode only)
+ * @param {Object} client - Slack Web API client
+ * @param {number} intervalMs - Time between runs
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+function startScheduler(client, intervalMs = DEFAULT_INTERVAL) {
+  let running = false;
+
+  return setInterval(async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+    try {
+      await runScheduledJobs(client);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+}
+
+/**
+ * Check whether a job has been registered
+ * @param {string} name - Job name
+ * @returns {boolean}
+ */
+function hasJob(name) {
+  return jobs.some(job => job.name === name);
+}
+
+/**
+ * Check the shared secret on a /jobs/run request
+ * @param {Object} req - HTTP request
+ * @returns {boolean}
+ */
+function isAuthorizedJobRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.warn('CRON_SECRET is not set, refusing to run scheduled jobs over HTTP');
+    return false;
+  }
+  return req.headers.authorization === `Bearer ${secret}`;
+}
+
+module.exports = {
+  registerJob,
+  runScheduledJobs,
+  startScheduler,
+  hasJob,
+  isAuthorizedJobRequest
+};
@@ -0,0 +1,183 @@
+// sprints.js - Sprint scope, burndown and forecast calculations
+//
+// A sprint runs from the start of its first day (starts_at) to the end of its last day (ends_at)
+// in its time zone. Days are identified by YYYY-MM-DD keys in that zone, matching snapshot_date
+// in the sprint_snapshots table, which holds the scope and completed points at the end of each day.
+
+const { toWallClock } = require('./timezone');
+
+// Points a task counts for when it's added without an estimate
+const DEFAULT_POINTS = 1;
+
+// Longest sprint that can be started, so the burndown stays readable
+const MAX_SPRINT_DAYS = 42;
+
+// Width of the longest bar in the text burndown
+const BAR_WIDTH = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the YYYY-MM-DD key of the day a moment falls on in a time zone
+ * @param {Date|string} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+function toDayKey(date, timeZone) {
+  return toWallClock(new Date(date), timeZone).toISOString().substring(0, 10);
+}
+
+/**
+ * List the days of a sprint
+ * @param {Object} sprint - Sprint row
+ * @returns {string[]} - YYYY-MM-DD keys, first day first
+ */
+function getSprintDays(sprint) {
+  const first = new Date(`${toDayKey(sprint.starts_at, sprint.time_zone)}T00:00:00Z`);
+  // ends_at is midnight after the last day, so step back a minute to land on the last day
+  const last = new Date(`${toDayKey(new Date(new Date(sprint.ends_at).getTime() - 60000), sprint.time_zone)}T00:00:00Z`);
+  const days = [];
+
+  for (let day = first; day <= last; day = new Date(day.getTime() + DAY_MS)) {
+    days.push(day.toISOString().substring(0, 10));
+  }
+
+  return days;
+}
+
+/**
+ * Format a day key for display, e.g. "Mon 10/19"
+ * @param {string} dayKey - YYYY-MM-DD
+ * @returns {string}
+ */
+function formatSprintDay(dayKey) {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  const weekday = date.toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short' });
+  return `${weekday} ${date.getUTCMonth() + 1}/${date.getUTCDate()}`;
+}
+
+/**
+ * Add up a sprint's points
+ * Committed points are what was in the sprint at the end of its first day, including tasks removed later
+ * @param {Array} sprintTasks - Rows from getSprintTasks
+ * @returns {{committed: number, added: number, removed: number, scope: number, done: number, remaining: number, tasks: Array}}
+ *   tasks holds the rows still in the sprint
+ */
+function summarizeSprintTasks(sprintTasks) {
+  const sum = rows => rows.reduce((total, row) => total + row.points, 0);
+  const tasks = sprintTasks.filter(row => !row.removed_at);
+  const scope = sum(tasks);
+  const done = sum(tasks.filter(row => row.status === 'done'));
+
+  return {
+    committed: sum(sprintTasks.filter(row => row.committed)),
+    added: sum(tasks.filter(row => !row.committed)),
+    removed: sum(sprintTasks.filter(row => row.removed_at && row.committed)),
+    scope,
+    done,
+    remaining: scope - done,
+    tasks
+  };
+}
+
+/**
+ * Work out the burndown: points remaining at the end of each day against the ideal straight line
+ * Past days come from snapshots (a day without one repeats the day before), today is live and
+ * future days have no remaining value yet
+ * @param {Object} sprint - Sprint row
+ * @param {Array} snapshots - Rows from getSprintSnapshots
+ * @param {Object} totals - From summarizeSprintTasks
+ * @param {Date} now - Current time
+ * @returns {Array<{day: string, ideal: number, remaining: number|null, scope: number|null, isToday: boolean}>}
+ */
+function buildBurndown(sprint, snapshots, totals, now = new Date()) {
+  const days = getSprintDays(sprint);
+  const today = toDayKey(now, sprint.time_zone);
+  const byDay = new Map(snapshots.map(snapshot => [snapshot.snapshot_date, snapshot]));
+  // The ideal line starts from the committed scope, or today's scope if nothing was committed
+  const baseline = totals.committed || totals.scope;
+  let last = null;
+
+  return days.map((day, index) => {
+    const ideal = Math.round(baseline * (1 - (index + 1) / days.length) * 10) / 10;
+
+    if (day > today) {
+      return { day, ideal, remaining: null, scope: null, isToday: false };
+    }
+
+    if (day === today) {
+      last = { remaining: totals.remaining, scope: totals.scope };
+    } else if (byDay.has(day)) {
+      const snapshot = byDay.get(day);
+      last = { remaining: snapshot.scope_points - snapshot.done_points, scope: snapshot.scope_points };
+    }
+
+    return {
+      day,
+      ideal,
+      remaining: last ? last.remaining : null,
+      scope: last ? last.scope : null,
+      isToday: day === today
+    };
+  });
+}
+
+/**
+ * Forecast whether a sprint will land at its current pace
+ * @param {Array} burndown - From buildBurndown
+ * @param {Object} totals - From summarizeSprintTasks
+ * @returns {{daysElapsed: number, daysLeft: number, pace: number, neededPace: number|null, projectedDone: number, onTrack: boolean}}
+ *   pace and neededPace are points per day; neededPace is null when no days are left
+ */
+function forecastSprint(burndown, totals) {
+  const todayIndex = burndown.findIndex(entry => entry.isToday);
+  const ended = todayIndex < 0 && burndown.length > 0 && burndown[burndown.length - 1].remaining !== null;
+  const daysElapsed = ended ? burndown.length : todayIndex + 1;
+  const daysLeft = burndown.length - daysElapsed;
+  const pace = daysElapsed > 0 ? totals.done / daysElapsed : 0;
+  const projectedDone = Math.min(totals.scope, Math.round(totals.done + pace * daysLeft));
+
+  return {
+    daysElapsed,
+    daysLeft,
+    pace: Math.round(pace * 10) / 10,
+    neededPace: daysLeft > 0 ? Math.round((totals.remaining / daysLeft) * 10) / 10 : null,
+    projectedDone,
+    onTrack: totals.remaining === 0 || projectedDone >= totals.scope
+  };
+}
+
+/**
+ * Render a burndown as monospaced text, one row per day with a bar for the points remaining
+ * @param {Array} burndown - From buildBurndown
+ * @returns {string} - Text to put in a code block
+ */
+function renderBurndownText(burndown) {
+  const largest = Math.max(1, ...burndown.map(entry => Math.max(entry.ideal, entry.remaining || 0)));
+  const pad = (value, width) => String(value).padStart(width);
+  const lines = [`${'Day'.padEnd(10)} ${pad('Ideal', 5)} ${pad('Left', 5)}`];
+
+  burndown.forEach(entry => {
+    const left = entry.remaining === null ? '' : entry.remaining;
+    const bar = entry.remaining === null ? '' : '█'.repeat(Math.round((entry.remaining / largest) * BAR_WIDTH));
+    const idealMark = Math.round((entry.ideal / largest) * BAR_WIDTH);
+    // Show where the ideal line is when the bar doesn't reach it
+    const marker = entry.remaining !== null && bar.length < idealMark ? `${' '.repeat(idealMark - bar.length - 1)}·` : '';
+
+    lines.push(`${formatSprintDay(entry.day).padEnd(10)} ${pad(entry.ideal, 5)} ${pad(left, 5)} ${bar}${marker}${entry.isToday ? ' ◀ today' : ''}`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_POINTS,
+  MAX_SPRINT_DAYS,
+  toDayKey,
+  getSprintDays,
+  formatSprintDay,
+  summarizeSprintTasks,
+  buildBurndown,
+  forecastSprint,
+  renderBurndownText
+};
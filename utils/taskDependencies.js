@@ -0,0 +1,98 @@
+// taskDependencies.js - Dependency links between tasks ("task B is blocked by task A")
+//
+// Links are rows of the task_dependencies table, as returned by getTaskDependencies:
+//   { task_id: 5, blocked_by: 3, blocker_status: 'open', blocker_title: 'Design review' }
+// A task is blocked while any task it waits on isn't done.
+
+/**
+ * Get the links for the tasks a task waits on
+ * @param {Array} dependencies - Dependency rows
+ * @param {number} taskId - Task ID
+ * @returns {Array} - Dependency rows
+ */
+function getBlockers(dependencies, taskId) {
+  return dependencies.filter(dependency => dependency.task_id === taskId);
+}
+
+/**
+ * Get the links for the unfinished tasks a task waits on
+ * @param {Array} dependencies - Dependency rows
+ * @param {number} taskId - Task ID
+ * @returns {Array} - Dependency rows
+ */
+function getOpenBlockers(dependencies, taskId) {
+  return getBlockers(dependencies, taskId).filter(dependency => dependency.blocker_status !== 'done');
+}
+
+/**
+ * Find a chain of "waits on" links from one task to another
+ * @param {Array} dependencies - Dependency rows
+ * @param {number} fromId - Task to start from
+ * @param {number} toId - Task to reach
+ * @returns {number[]|null} - Task IDs from fromId to toId, or null if toId isn't reachable
+ */
+function findDependencyPath(dependencies, fromId, toId) {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    if (current === toId) {
+      const path = [];
+      for (let id = toId; id !== null; id = previous.get(id)) {
+        path.unshift(id);
+      }
+      return path;
+    }
+
+    getBlockers(dependencies, current).forEach(({ blocked_by: next }) => {
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Check whether making a task wait on another would create a cycle
+ * @param {Array} dependencies - Existing dependency rows
+ * @param {number} taskId - Task that would wait
+ * @param {number} blockedBy - Task it would wait on
+ * @returns {number[]|null} - The cycle as task IDs (first and last are taskId), or null if there's none
+ */
+function findDependencyCycle(dependencies, taskId, blockedBy) {
+  if (taskId === blockedBy) return [taskId, taskId];
+
+  // The new link closes a cycle if the blocker already waits on the task, directly or not
+  const path = findDependencyPath(dependencies, blockedBy, taskId);
+  return path ? [taskId, ...path] : null;
+}
+
+/**
+ * Describe how a set of tasks depend on each other, one link per line, for the AI
+ * @param {Array} tasks - Task rows
+ * @param {Array} dependencies - Dependency rows
+ * @returns {string} - e.g. '#5 "Ship beta" waits on #3 "Design review" (open)'
+ */
+function describeDependencyGraph(tasks, dependencies) {
+  const taskIds = new Set(tasks.map(task => task.id));
+  const titles = new Map(tasks.map(task => [task.id, task.title]));
+
+  return dependencies
+    .filter(dependency => taskIds.has(dependency.task_id))
+    .map(dependency => `#${dependency.task_id} "${titles.get(dependency.task_id)}" waits on ` +
+                       `#${dependency.blocked_by} "${dependency.blocker_title}" (${dependency.blocker_status.replace('_', ' ')})`)
+    .join('\n');
+}
+
+module.exports = {
+  getBlockers,
+  getOpenBlockers,
+  findDependencyPath,
+  findDependencyCycle,
+  describeDependencyGraph
+};
@@ -0,0 +1,169 @@
+// timezone.js - Per-user time zones for parsing, scheduling and displaying times
+//
+// Converts between real instants and the wall-clock dates used by
+// utils/dateParser.js and utils/recurrence.js, and resolves each user's zone
+// (their saved override, otherwise the `tz` from Slack's users.info).
+
+const { getUserPreferences } = require('./database');
+
+// Used when Slack doesn't tell us a user's zone
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// How long a zone looked up from Slack is cached
+const CACHE_TTL = 6 * 60 * 60 * 1000;
+
+const timeZoneCache = new Map();
+const formatterCache = new Map();
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ * @param {string} timeZone - e.g. "America/New_York"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get a cached formatter that splits a date into numeric parts in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getPartsFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Convert a real date to a wall-clock date in a time zone
+ * @param {Date} date - Date to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Date whose UTC fields hold the local date and time
+ */
+function toWallClock(date, timeZone) {
+  const parts = {};
+  getPartsFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute));
+}
+
+/**
+ * Convert a wall-clock date in a time zone back to a real date
+ * @param {Date} wallClock - Date whose UTC fields hold the local date and time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+function fromWallClock(wallClock, timeZone) {
+  // Guess using the offset at the wall-clock time, then correct once for DST changes
+  const offsetAt = (date) => toWallClock(date, timeZone).getTime() - Math.floor(date.getTime() / 60000) * 60000;
+  let result = new Date(wallClock.getTime() - offsetAt(wallClock));
+  const correctedOffset = offsetAt(result);
+  if (wallClock.getTime() - correctedOffset !== result.getTime()) {
+    result = new Date(wallClock.getTime() - correctedOffset);
+  }
+  return result;
+}
+
+/**
+ * Format a wall-clock date as YYYY-MM-DD HH:MM
+ * @param {Date} wallClock - Wall-clock date
+ * @returns {string}
+ */
+function formatWallClock(wallClock) {
+  return wallClock.toISOString().substring(0, 16).replace('T', ' ');
+}
+
+/**
+ * Parse a YYYY-MM-DD HH:MM string into a wall-clock date
+ * @param {string} text - Date string
+ * @returns {Date|null}
+ */
+function parseWallClock(text) {
+  const match = text && text.match(/^(\d{4})-(\d{2})-(\d{2})[T\s](\d{2}):(\d{2})/);
+  if (!match) return null;
+  return new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5]));
+}
+
+/**
+ * Format a date for display in a user's time zone, with the zone shown
+ * e.g. "Tuesday, July 1, 2025 at 3:00 PM EDT"
+ * @param {Date|string} date - Date to format
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+function formatInTimeZone(date, timeZone) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hour12: true,
+    timeZoneName: 'short'
+  });
+}
+
+/**
+ * Resolve the time zone to use for a user
+ * Order: the user's saved override, then Slack's users.info (cached), then the default zone
+ * @param {string} userId - Slack user ID
+ * @param {Object} client - Slack client
+ * @returns {Promise<string>} - IANA time zone
+ */
+async function getUserTimeZone(userId, client) {
+  const preferences = await getUserPreferences(userId);
+  if (preferences && isValidTimeZone(preferences.time_zone)) {
+    return preferences.time_zone;
+  }
+
+  const cached = timeZoneCache.get(userId);
+  if (cached && cached.expires > Date.now()) {
+    return cached.timeZone;
+  }
+
+  try {
+    if (client && client.users) {
+      const response = await client.users.info({ user: userId });
+      const timeZone = response.user?.tz;
+      if (isValidTimeZone(timeZone)) {
+        timeZoneCache.set(userId, { timeZone, expires: Date.now() + CACHE_TTL });
+        return timeZone;
+      }
+    }
+  } catch (error) {
+    console.error(`Error looking up time zone for ${userId}:`, error.message);
+  }
+
+  return DEFAULT_TIME_ZONE;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  toWallClock,
+  fromWallClock,
+  formatWallClock,
+  parseWallClock,
+  formatInTimeZone,
+  getUserTimeZone
+};
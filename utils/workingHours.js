@@ -0,0 +1,225 @@
+// workingHours.js - Working hours, working days and holidays for users and workspaces
+//
+// A calendar looks like:
+//   { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5], holidays: ['2025-12-25'], outOfHours: 'confirm' }
+// Days use 0 = Sunday. Like utils/recurrence.js, the checks here work on wall-clock
+// dates (see utils/timezone.js); callers convert to and from the user's zone.
+
+const { getUserPreferences, getWorkspaceSettings } = require('./database');
+const { formatWallClock } = require('./timezone');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Used when neither the user nor their workspace has set working hours
+const DEFAULT_CALENDAR = {
+  start: '09:00',
+  end: '17:00',
+  days: [1, 2, 3, 4, 5],
+  holidays: [],
+  outOfHours: 'confirm'
+};
+
+// What happens to a reminder outside working hours: move it, or set it and ask
+const OUT_OF_HOURS_MODES = ['shift', 'confirm'];
+
+// How far ahead to look for the next working slot (covers long holiday lists)
+const MAX_SEARCH_DAYS = 366;
+
+/**
+ * Parse a clock time such as "9", "9am", "5:30pm" or "17:00"
+ * @param {string} text - Time text
+ * @returns {number|null} - Minutes after midnight
+ */
+function parseClockTime(text) {
+  const match = text && text.trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  if (minute > 59) return null;
+
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    if (match[3] === 'pm' && hour !== 12) hour += 12;
+    if (match[3] === 'am' && hour === 12) hour = 0;
+  } else if (hour > 24 || (hour === 24 && minute > 0)) {
+    return null;
+  }
+
+  return hour * 60 + minute;
+}
+
+/**
+ * Format minutes after midnight as HH:MM
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string}
+ */
+function formatClockTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse working days such as "mon-fri", "sun-thu", "mon,wed,fri" or "weekdays"
+ * @param {string} text - Days text
+ * @returns {number[]|null} - Sorted day numbers (0 = Sunday)
+ */
+function parseWorkingDays(text) {
+  const value = text && text.trim().toLowerCase();
+  if (!value) return null;
+  if (value === 'weekdays') return [1, 2, 3, 4, 5];
+  if (value === 'everyday' || value === 'daily') return [0, 1, 2, 3, 4, 5, 6];
+
+  const dayIndex = (name) => DAY_NAMES.findIndex(day => day.toLowerCase() === name.substring(0, 3));
+  const days = new Set();
+
+  for (const part of value.split(',')) {
+    const [from, to] = part.trim().split('-');
+    const first = dayIndex(from || '');
+    const last = to === undefined ? first : dayIndex(to);
+    if (first < 0 || last < 0) return null;
+
+    // Ranges may wrap around the weekend, e.g. "sat-wed"
+    for (let day = first; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === last) break;
+    }
+  }
+
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a working hours setting such as "9am-5pm mon-fri" or "08:30-16:30"
+ * @param {string} text - Setting text
+ * @returns {{start: string, end: string, days?: number[]}|null}
+ */
+function parseWorkingHours(text) {
+  const match = text && text.trim().match(/^(\S+?)\s*(?:-|–|to)\s*(\S+)(?:\s+(.+))?$/i);
+  if (!match) return null;
+
+  const start = parseClockTime(match[1]);
+  const end = parseClockTime(match[2]);
+  if (start === null || end === null || start >= end) return null;
+
+  const hours = { start: formatClockTime(start), end: formatClockTime(end) };
+  if (match[3]) {
+    const days = parseWorkingDays(match[3]);
+    if (!days) return null;
+    hours.days = days;
+  }
+
+  return hours;
+}
+
+/**
+ * Combine workspace and user settings into the calendar that applies to a user
+ * The user's hours and days win; holidays from both are used
+ * @param {Object|null} workspace - Workspace working_hours setting
+ * @param {Object|null} user - User working_hours preference
+ * @returns {Object} - Calendar
+ */
+function mergeCalendars(workspace, user) {
+  const pick = (field) => user?.[field] ?? workspace?.[field] ?? DEFAULT_CALENDAR[field];
+
+  return {
+    start: pick('start'),
+    end: pick('end'),
+    days: pick('days'),
+    holidays: [...new Set([...(workspace?.holidays || []), ...(user?.holidays || [])])].sort(),
+    outOfHours: pick('outOfHours')
+  };
+}
+
+/**
+ * Check whether a wall-clock date is a working day that isn't a holiday
+ * @param {Date} wallClock - Wall-clock date
+ * @param {Object} calendar - Calendar
+ * @returns {boolean}
+ */
+function isWorkingDay(wallClock, calendar) {
+  return calendar.days.includes(wallClock.getUTCDay()) &&
+    !calendar.holidays.includes(formatWallClock(wallClock).substring(0, 10));
+}
+
+/**
+ * Check whether a wall-clock time falls inside working hours
+ * @param {Date} wallClock - Wall-clock date
+ * @param {Object} calendar - Calendar
+ * @returns {boolean}
+ */
+function isWorkingTime(wallClock, calendar) {
+  const minutes = wallClock.getUTCHours() * 60 + wallClock.getUTCMinutes();
+
+  return isWorkingDay(wallClock, calendar) &&
+    minutes >= parseClockTime(calendar.start) &&
+    minutes < parseClockTime(calendar.end);
+}
+
+/**
+ * Find the first working time at or after a wall-clock time
+ * @param {Date} wallClock - Wall-clock date
+ * @param {Object} calendar - Calendar
+ * @returns {Date|null} - Wall-clock date, or null if the calendar has no working time
+ */
+function nextWorkingTime(wallClock, calendar) {
+  if (isWorkingTime(wallClock, calendar)) return new Date(wallClock);
+
+  const start = parseClockTime(calendar.start);
+  const candidate = new Date(wallClock);
+  candidate.setUTCHours(Math.floor(start / 60), start % 60, 0, 0);
+
+  // Today's start has already passed, so begin with tomorrow
+  if (candidate <= wallClock) {
+    candidate.setUTCDate(candidate.getUTCDate() + 1);
+  }
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    if (isWorkingTime(candidate, calendar)) return candidate;
+    candidate.setUTCDate(candidate.getUTCDate() + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Describe a calendar's hours and days, e.g. "Mon–Fri, 09:00–17:00"
+ * @param {Object} calendar - Calendar
+ * @returns {string}
+ */
+function describeWorkingHours(calendar) {
+  const days = calendar.days;
+  const isRange = days.length > 2 && days.every((day, index) => index === 0 || day === days[index - 1] + 1);
+  const dayText = days.length === 7 ? 'Every day' :
+    isRange ? `${DAY_NAMES[days[0]]}–${DAY_NAMES[days[days.length - 1]]}` :
+    days.map(day => DAY_NAMES[day]).join(', ');
+
+  return `${dayText}, ${calendar.start}–${calendar.end}`;
+}
+
+/**
+ * Load the calendar that applies to a user in a workspace
+ * @param {string} userId - Slack user ID
+ * @param {string} teamId - Slack workspace (team) ID
+ * @returns {Promise<Object>} - Calendar
+ */
+async function getWorkingCalendar(userId, teamId) {
+  const [preferences, workspace] = await Promise.all([
+    getUserPreferences(userId),
+    teamId ? getWorkspaceSettings(teamId) : null
+  ]);
+
+  return mergeCalendars(workspace?.working_hours, preferences?.working_hours);
+}
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  OUT_OF_HOURS_MODES,
+  parseWorkingHours,
+  parseWorkingDays,
+  mergeCalendars,
+  isWorkingDay,
+  isWorkingTime,
+  nextWorkingTime,
+  describeWorkingHours,
+  getWorkingCalendar
+};